@@ -0,0 +1,84 @@
+/**
+ * Analyzed Image API
+ * Browser client for the server-side analyzed image store (/api/analyzed-images).
+ */
+
+import { migrateLocalStorageToServer } from './storage-migration.js';
+
+/**
+ * Call an analyzed image API route
+ * @param {string} url
+ * @param {string} fallbackError - Message used when the server does not give one
+ * @param {{method?: string, body?: any}} [options] - `body` is sent as JSON
+ * @returns {Promise<any>} The `data` of the response
+ * @throws {Error} If the request fails
+ */
+async function request(url, fallbackError, { method = 'GET', body } = {}) {
+  const response = await fetch(url, body === undefined ? { method } : {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || fallbackError);
+  }
+  return result.data;
+}
+
+/**
+ * List every analyzed image, after any left in this browser's localStorage
+ * have been migrated to the server
+ * @returns {Promise<AnalyzedImage[]>}
+ * @throws {Error} If the request fails
+ */
+export async function listAnalyzedImages() {
+  await migrateLocalStorageToServer();
+  return request('/api/analyzed-images', 'Failed to load analyzed images');
+}
+
+/**
+ * List the tags used by analyzed images
+ * @returns {Promise<string[]>}
+ * @throws {Error} If the request fails
+ */
+export async function listAnalyzedImageTags() {
+  await migrateLocalStorageToServer();
+  return request('/api/analyzed-images/tags', 'Failed to load tags');
+}
+
+/**
+ * Save an analyzed image, replacing one with the same ID
+ * @param {AnalyzedImage} image
+ * @returns {Promise<AnalyzedImage>} The image as stored
+ * @throws {Error} If the save fails
+ */
+export async function saveAnalyzedImage(image) {
+  return request('/api/analyzed-images', 'Failed to save analyzed image', { method: 'POST', body: image });
+}
+
+/**
+ * Add an analysis to an analyzed image
+ * @param {string} imageId
+ * @param {ImageAnalysis} analysis
+ * @returns {Promise<ImageAnalysis>}
+ * @throws {Error} If the image does not exist or the save fails
+ */
+export async function addAnalysisToImage(imageId, analysis) {
+  return request('/api/analyzed-images/analysis', 'Failed to add analysis', {
+    method: 'POST',
+    body: { imageId, ...analysis }
+  });
+}
+
+/**
+ * Delete an analyzed image
+ * @param {string} imageId
+ * @returns {Promise<void>}
+ * @throws {Error} If the delete fails
+ */
+export async function deleteAnalyzedImage(imageId) {
+  await request(`/api/analyzed-images?id=${encodeURIComponent(imageId)}`, 'Failed to delete analyzed image', {
+    method: 'DELETE'
+  });
+}
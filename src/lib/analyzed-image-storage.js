@@ -7,244 +7,318 @@ const ANALYZED_IMAGES_KEY = 'analyzed_images';
 const ANALYZED_IMAGES_METADATA_KEY = 'analyzed_images_metadata';
 
 /**
- * Get all analyzed images from localStorage
- * @returns {import('./types.js').AnalyzedImage[]}
+ * Whether an analyzed image matches a search by name, tags, notes or analysis descriptions
+ * @param {AnalyzedImage} image
+ * @param {string} query
+ * @returns {boolean}
  */
-export function getAnalyzedImages() {
-  try {
-    const stored = localStorage.getItem(ANALYZED_IMAGES_KEY);
-    return stored ? JSON.parse(stored) : [];
-  } catch (error) {
-    console.error('Error loading analyzed images:', error);
-    return [];
-  }
+export function matchesAnalyzedImage(image, query) {
+  const searchTerm = query.toLowerCase().trim();
+
+  // Search in name
+  if (image.name.toLowerCase().includes(searchTerm)) return true;
+
+  // Search in tags
+  if (image.tags && image.tags.some(tag => tag.toLowerCase().includes(searchTerm))) return true;
+
+  // Search in notes
+  if (image.notes && image.notes.toLowerCase().includes(searchTerm)) return true;
+
+  // Search in analysis descriptions
+  return image.analyses.some(analysis => analysis.description.toLowerCase().includes(searchTerm));
 }
 
 /**
- * Save analyzed image to storage
- * @param {import('./types.js').AnalyzedImage} analyzedImage
- * @returns {boolean} Success status
+ * Create analyzed image storage bound to a storage backend
+ * @param {KeyValueStorage} storage - Anything with getItem/setItem/removeItem (localStorage, file storage)
  */
-export function saveAnalyzedImage(analyzedImage) {
-  try {
-    const images = getAnalyzedImages();
-    const existingIndex = images.findIndex(img => img.id === analyzedImage.id);
-    
-    if (existingIndex >= 0) {
-      // Update existing image
-      images[existingIndex] = {
-        ...analyzedImage,
-        updatedAt: Date.now()
-      };
-    } else {
-      // Add new image
-      images.push({
-        ...analyzedImage,
-        createdAt: analyzedImage.createdAt || Date.now(),
-        updatedAt: Date.now()
-      });
+export function createAnalyzedImageStorage(storage) {
+  /**
+   * Get all analyzed images from storage
+   * @returns {import('./types.js').AnalyzedImage[]}
+   */
+  function getAnalyzedImages() {
+    try {
+      const stored = storage.getItem(ANALYZED_IMAGES_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading analyzed images:', error);
+      return [];
     }
-    
-    localStorage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(images));
-    return true;
-  } catch (error) {
-    console.error('Error saving analyzed image:', error);
-    return false;
   }
-}
 
-/**
- * Get analyzed image by ID
- * @param {string} id
- * @returns {import('./types.js').AnalyzedImage | null}
- */
-export function getAnalyzedImage(id) {
-  const images = getAnalyzedImages();
-  return images.find(img => img.id === id) || null;
-}
+  /**
+   * Save analyzed image to storage
+   * @param {import('./types.js').AnalyzedImage} analyzedImage
+   * @returns {boolean} Success status
+   */
+  function saveAnalyzedImage(analyzedImage) {
+    try {
+      const images = getAnalyzedImages();
+      const existingIndex = images.findIndex(img => img.id === analyzedImage.id);
+    
+      if (existingIndex >= 0) {
+        // Update existing image
+        images[existingIndex] = {
+          ...analyzedImage,
+          updatedAt: Date.now()
+        };
+      } else {
+        // Add new image
+        images.push({
+          ...analyzedImage,
+          createdAt: analyzedImage.createdAt || Date.now(),
+          updatedAt: Date.now()
+        });
+      }
+    
+      storage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(images));
+      return true;
+    } catch (error) {
+      console.error('Error saving analyzed image:', error);
+      return false;
+    }
+  }
 
-/**
- * Delete analyzed image by ID
- * @param {string} id
- * @returns {boolean} Success status
- */
-export function deleteAnalyzedImage(id) {
-  try {
+  /**
+   * Get analyzed image by ID
+   * @param {string} id
+   * @returns {import('./types.js').AnalyzedImage | null}
+   */
+  function getAnalyzedImage(id) {
     const images = getAnalyzedImages();
-    const filteredImages = images.filter(img => img.id !== id);
-    localStorage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(filteredImages));
-    return true;
-  } catch (error) {
-    console.error('Error deleting analyzed image:', error);
-    return false;
+    return images.find(img => img.id === id) || null;
   }
-}
 
-/**
- * Add analysis to an existing analyzed image
- * @param {string} imageId
- * @param {import('./types.js').ImageAnalysis} analysis
- * @returns {boolean} Success status
- */
-export function addAnalysisToImage(imageId, analysis) {
-  try {
-    const images = getAnalyzedImages();
-    const imageIndex = images.findIndex(img => img.id === imageId);
+  /**
+   * Delete analyzed image by ID
+   * @param {string} id
+   * @returns {boolean} Success status
+   */
+  function deleteAnalyzedImage(id) {
+    try {
+      const images = getAnalyzedImages();
+      const filteredImages = images.filter(img => img.id !== id);
+      storage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(filteredImages));
+      return true;
+    } catch (error) {
+      console.error('Error deleting analyzed image:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add analysis to an existing analyzed image
+   * @param {string} imageId
+   * @param {import('./types.js').ImageAnalysis} analysis
+   * @returns {boolean} Success status
+   */
+  function addAnalysisToImage(imageId, analysis) {
+    try {
+      const images = getAnalyzedImages();
+      const imageIndex = images.findIndex(img => img.id === imageId);
     
-    if (imageIndex >= 0) {
-      const image = images[imageIndex];
+      if (imageIndex >= 0) {
+        const image = images[imageIndex];
       
-      // Remove existing analysis of the same type
-      image.analyses = image.analyses.filter(a => a.type !== analysis.type);
+        // Remove existing analysis of the same type
+        image.analyses = image.analyses.filter(a => a.type !== analysis.type);
       
-      // Add new analysis
-      image.analyses.push({
-        ...analysis,
-        timestamp: analysis.timestamp || Date.now()
-      });
+        // Add new analysis
+        image.analyses.push({
+          ...analysis,
+          timestamp: analysis.timestamp || Date.now()
+        });
       
-      // Update timestamp
-      image.updatedAt = Date.now();
+        // Update timestamp
+        image.updatedAt = Date.now();
       
-      localStorage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(images));
-      return true;
-    }
+        storage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(images));
+        return true;
+      }
     
-    return false;
-  } catch (error) {
-    console.error('Error adding analysis to image:', error);
-    return false;
+      return false;
+    } catch (error) {
+      console.error('Error adding analysis to image:', error);
+      return false;
+    }
   }
-}
 
-/**
- * Get analysis by type for an image
- * @param {string} imageId
- * @param {string} analysisType
- * @returns {import('./types.js').ImageAnalysis | null}
- */
-export function getImageAnalysis(imageId, analysisType) {
-  const image = getAnalyzedImage(imageId);
-  if (!image) return null;
+  /**
+   * Get analysis by type for an image
+   * @param {string} imageId
+   * @param {string} analysisType
+   * @returns {import('./types.js').ImageAnalysis | null}
+   */
+  function getImageAnalysis(imageId, analysisType) {
+    const image = getAnalyzedImage(imageId);
+    if (!image) return null;
   
-  return image.analyses.find(a => a.type === analysisType) || null;
-}
+    return image.analyses.find(a => a.type === analysisType) || null;
+  }
 
-/**
- * Search analyzed images by name, tags, or analysis descriptions
- * @param {string} query
- * @returns {import('./types.js').AnalyzedImage[]}
- */
-export function searchAnalyzedImages(query) {
-  const images = getAnalyzedImages();
-  const searchTerm = query.toLowerCase().trim();
-  
-  if (!searchTerm) return images;
-  
-  return images.filter(image => {
-    // Search in name
-    if (image.name.toLowerCase().includes(searchTerm)) return true;
-    
-    // Search in tags
-    if (image.tags && image.tags.some(tag => tag.toLowerCase().includes(searchTerm))) return true;
-    
-    // Search in notes
-    if (image.notes && image.notes.toLowerCase().includes(searchTerm)) return true;
-    
-    // Search in analysis descriptions
-    if (image.analyses.some(analysis => 
-      analysis.description.toLowerCase().includes(searchTerm)
-    )) return true;
-    
-    return false;
-  });
-}
+  /**
+   * Search analyzed images by name, tags, or analysis descriptions
+   * @param {string} query
+   * @returns {import('./types.js').AnalyzedImage[]}
+   */
+  function searchAnalyzedImages(query) {
+    const images = getAnalyzedImages();
+    if (!query.trim()) return images;
+    return images.filter(image => matchesAnalyzedImage(image, query));
+  }
 
-/**
- * Get analyzed images by tag
- * @param {string} tag
- * @returns {import('./types.js').AnalyzedImage[]}
- */
-export function getAnalyzedImagesByTag(tag) {
-  const images = getAnalyzedImages();
-  return images.filter(image => 
-    image.tags && image.tags.includes(tag)
-  );
-}
 
-/**
- * Get all unique tags from analyzed images
- * @returns {string[]}
- */
-export function getAllTags() {
-  const images = getAnalyzedImages();
-  const tagSet = new Set();
+  /**
+   * Get analyzed images by tag
+   * @param {string} tag
+   * @returns {import('./types.js').AnalyzedImage[]}
+   */
+  function getAnalyzedImagesByTag(tag) {
+    const images = getAnalyzedImages();
+    return images.filter(image => 
+      image.tags && image.tags.includes(tag)
+    );
+  }
+
+  /**
+   * Get all unique tags from analyzed images
+   * @returns {string[]}
+   */
+  function getAllTags() {
+    const images = getAnalyzedImages();
+    const tagSet = new Set();
   
-  images.forEach(image => {
-    if (image.tags) {
-      image.tags.forEach(tag => tagSet.add(tag));
-    }
-  });
+    images.forEach(image => {
+      if (image.tags) {
+        image.tags.forEach(tag => tagSet.add(tag));
+      }
+    });
   
-  return Array.from(tagSet).sort();
-}
+    return Array.from(tagSet).sort();
+  }
 
-/**
- * Update analyzed image metadata (name, tags, notes)
- * @param {string} imageId
- * @param {Partial<Pick<import('./types.js').AnalyzedImage, 'name' | 'tags' | 'notes'>>} updates
- * @returns {boolean} Success status
- */
-export function updateAnalyzedImageMetadata(imageId, updates) {
-  try {
-    const images = getAnalyzedImages();
-    const imageIndex = images.findIndex(img => img.id === imageId);
+  /**
+   * Update analyzed image metadata (name, tags, notes)
+   * @param {string} imageId
+   * @param {Partial<Pick<import('./types.js').AnalyzedImage, 'name' | 'tags' | 'notes'>>} updates
+   * @returns {boolean} Success status
+   */
+  function updateAnalyzedImageMetadata(imageId, updates) {
+    try {
+      const images = getAnalyzedImages();
+      const imageIndex = images.findIndex(img => img.id === imageId);
     
-    if (imageIndex >= 0) {
-      const image = images[imageIndex];
+      if (imageIndex >= 0) {
+        const image = images[imageIndex];
       
-      // Update fields
-      if (updates.name !== undefined) image.name = updates.name;
-      if (updates.tags !== undefined) image.tags = updates.tags;
-      if (updates.notes !== undefined) image.notes = updates.notes;
+        // Update fields
+        if (updates.name !== undefined) image.name = updates.name;
+        if (updates.tags !== undefined) image.tags = updates.tags;
+        if (updates.notes !== undefined) image.notes = updates.notes;
       
-      // Update timestamp
-      image.updatedAt = Date.now();
+        // Update timestamp
+        image.updatedAt = Date.now();
       
-      localStorage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(images));
-      return true;
-    }
+        storage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(images));
+        return true;
+      }
     
-    return false;
-  } catch (error) {
-    console.error('Error updating analyzed image metadata:', error);
-    return false;
+      return false;
+    } catch (error) {
+      console.error('Error updating analyzed image metadata:', error);
+      return false;
+    }
   }
-}
 
-/**
- * Export analyzed image with metadata as JSON
- * @param {string} imageId
- * @returns {string | null} JSON string or null if not found
- */
-export function exportAnalyzedImageMetadata(imageId) {
-  const image = getAnalyzedImage(imageId);
-  if (!image) return null;
+  /**
+   * Export analyzed image with metadata as JSON
+   * @param {string} imageId
+   * @returns {string | null} JSON string or null if not found
+   */
+  function exportAnalyzedImageMetadata(imageId) {
+    const image = getAnalyzedImage(imageId);
+    if (!image) return null;
   
-  return JSON.stringify(image, null, 2);
-}
+    return JSON.stringify(image, null, 2);
+  }
 
-/**
- * Clear all analyzed images (for testing/cleanup)
- * @returns {boolean} Success status
- */
-export function clearAnalyzedImages() {
-  try {
-    localStorage.removeItem(ANALYZED_IMAGES_KEY);
-    localStorage.removeItem(ANALYZED_IMAGES_METADATA_KEY);
-    return true;
-  } catch (error) {
-    console.error('Error clearing analyzed images:', error);
-    return false;
+  /**
+   * Import analyzed images from JSON
+   * @param {string} jsonString
+   * @returns {{imported: number, skipped: number} | null} Counts, or null if the JSON could not be imported
+   */
+  function importAnalyzedImages(jsonString) {
+    try {
+      /** @type {AnalyzedImage[]} */
+      const importedImages = JSON.parse(jsonString);
+      const existingImages = getAnalyzedImages();
+
+      // Merge imported images, avoiding duplicates by ID
+      const existingIds = new Set(existingImages.map(img => img.id));
+      const newImages = importedImages.filter(img => !existingIds.has(img.id));
+
+      const mergedImages = [...existingImages, ...newImages];
+      storage.setItem(ANALYZED_IMAGES_KEY, JSON.stringify(mergedImages));
+
+      return { imported: newImages.length, skipped: importedImages.length - newImages.length };
+    } catch (error) {
+      console.error('Error importing analyzed images:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Clear all analyzed images (for testing/cleanup)
+   * @returns {boolean} Success status
+   */
+  function clearAnalyzedImages() {
+    try {
+      storage.removeItem(ANALYZED_IMAGES_KEY);
+      storage.removeItem(ANALYZED_IMAGES_METADATA_KEY);
+      return true;
+    } catch (error) {
+      console.error('Error clearing analyzed images:', error);
+      return false;
+    }
   }
-}
\ No newline at end of file
+
+  return {
+    getAnalyzedImages,
+    saveAnalyzedImage,
+    getAnalyzedImage,
+    deleteAnalyzedImage,
+    addAnalysisToImage,
+    getImageAnalysis,
+    searchAnalyzedImages,
+    getAnalyzedImagesByTag,
+    getAllTags,
+    updateAnalyzedImageMetadata,
+    exportAnalyzedImageMetadata,
+    importAnalyzedImages,
+    clearAnalyzedImages
+  };
+}
+
+/** @type {KeyValueStorage} */
+const browserStorage = {
+  getItem: (key) => localStorage.getItem(key),
+  setItem: (key, value) => localStorage.setItem(key, value),
+  removeItem: (key) => localStorage.removeItem(key)
+};
+
+export const {
+  getAnalyzedImages,
+  saveAnalyzedImage,
+  getAnalyzedImage,
+  deleteAnalyzedImage,
+  addAnalysisToImage,
+  getImageAnalysis,
+  searchAnalyzedImages,
+  getAnalyzedImagesByTag,
+  getAllTags,
+  updateAnalyzedImageMetadata,
+  exportAnalyzedImageMetadata,
+  importAnalyzedImages,
+  clearAnalyzedImages
+} = createAnalyzedImageStorage(browserStorage);
@@ -0,0 +1,336 @@
+/**
+ * App Registry
+ * Every app of the desktop in one place: its name and icon, the component
+ * its window shows, where that window opens and whether it has a desktop
+ * icon. Apps are opened by ID, which is also how links open them:
+ * /?open=fluxor&prompt=a+red+fox opens Fluxor with the prompt filled in.
+ */
+
+import { windowManager } from '$lib/window-manager.svelte.js';
+import { commandRegistry } from '$lib/command-registry.svelte.js';
+import About from '$lib/windows/about/About.svelte';
+import Chat from '$lib/windows/chat/Chat.svelte';
+import Cinemator from '$lib/windows/cinemator/Cinemator.svelte';
+import Fluxor from '$lib/windows/fluxor/Fluxor.svelte';
+import ImageAnalyzer from '$lib/windows/image-analyzer/ImageAnalyzer.svelte';
+import ImageGallery from '$lib/windows/image-gallery/ImageGallery.svelte';
+import JobMonitor from '$lib/windows/job-monitor/JobMonitor.svelte';
+import LightingStudio from '$lib/windows/lighting-studio/LightingStudio.svelte';
+import LoRAStudio from '$lib/windows/lora-studio/LoRAStudio.svelte';
+import Notepad from '$lib/windows/notepad/Notepad.svelte';
+import PromptGenerator from '$lib/windows/prompt-generator/PromptGenerator.svelte';
+import Settings from '$lib/windows/settings/Settings.svelte';
+import StaticFileBrowser from '$lib/windows/static-files/StaticFileBrowser.svelte';
+import Upscaler from '$lib/windows/upscaler/Upscaler.svelte';
+import VideoGallery from '$lib/windows/video-gallery/VideoGallery.svelte';
+import VideoUpscaler from '$lib/windows/video-upscaler/VideoUpscaler.svelte';
+
+// Controllers that add commands of their own to the palette
+import '$lib/windows/chat/ChatController.svelte.js';
+import '$lib/windows/image-gallery/ImageGalleryController.js';
+import '$lib/windows/prompt-generator/PromptGeneratorController.svelte.js';
+import '$lib/windows/upscaler/UpscalerController.svelte.js';
+
+/**
+ * @typedef {function(string): (string | null)} UrlParam - Reads a link parameter by name
+ *
+ * @typedef {Object} AppDefinition
+ * @property {string} id - Short ID used in links and commands
+ * @property {string} windowId - ID of the app's window, also used in the saved layout
+ * @property {string} title - Window title
+ * @property {string} label - Name under the desktop icon and in the palette
+ * @property {string} icon - Emoji icon
+ * @property {any} component - Svelte component shown in the window
+ * @property {{width: number, height: number, x: number, y: number}} bounds - Where the window opens
+ * @property {boolean} desktop - Whether the app has a desktop icon
+ * @property {string} [keywords] - Extra words the palette finds it by
+ * @property {function(UrlParam): Record<string, any>} [propsFromUrl] - Window props from link parameters
+ */
+
+/**
+ * An image URL from a link, if it's one the apps can load
+ * @param {string | null} value
+ * @returns {string | undefined}
+ */
+function linkedImageUrl(value) {
+  return value && /^(https?:\/\/|\/(?!\/))/.test(value) ? value : undefined;
+}
+
+/**
+ * Props without the undefined values, so a link only sets what it names
+ * @param {Record<string, any>} props
+ * @returns {Record<string, any>}
+ */
+function definedProps(props) {
+  return Object.fromEntries(Object.entries(props).filter(([, value]) => value !== undefined));
+}
+
+/** @type {AppDefinition[]} */
+export const APPS = [
+  {
+    id: 'about',
+    windowId: 'about-window',
+    title: 'About Windows',
+    label: 'About',
+    icon: 'ℹ️',
+    component: About,
+    bounds: { width: 400, height: 350, x: 300, y: 150 },
+    desktop: true,
+    keywords: 'version info'
+  },
+  {
+    id: 'notepad',
+    windowId: 'notepad-window',
+    title: 'Notepad',
+    label: 'Notepad',
+    icon: '📝',
+    component: Notepad,
+    bounds: { width: 500, height: 400, x: 250, y: 200 },
+    desktop: true,
+    keywords: 'notes text'
+  },
+  {
+    id: 'fluxor',
+    windowId: 'fluxor-window',
+    title: 'Fluxor - AI Image Generator',
+    label: 'Fluxor',
+    icon: '🎨',
+    component: Fluxor,
+    bounds: { width: 500, height: 600, x: 150, y: 50 },
+    desktop: true,
+    keywords: 'image generator create',
+    propsFromUrl: (param) => definedProps({ initialPrompt: param('prompt') || undefined })
+  },
+  {
+    id: 'image-gallery',
+    windowId: 'image-gallery-window',
+    title: 'Image Gallery',
+    label: 'Image Gallery',
+    icon: '🖼️',
+    component: ImageGallery,
+    bounds: { width: 640, height: 480, x: 300, y: 150 },
+    desktop: true,
+    keywords: 'saved images pictures'
+  },
+  {
+    id: 'video-gallery',
+    windowId: 'video-gallery-window',
+    title: 'Video Gallery',
+    label: 'Video Gallery',
+    icon: '🎥',
+    component: VideoGallery,
+    bounds: { width: 1000, height: 700, x: 250, y: 100 },
+    desktop: true,
+    keywords: 'saved videos'
+  },
+  {
+    id: 'settings',
+    windowId: 'settings-window',
+    title: 'Settings',
+    label: 'Settings',
+    icon: '⚙️',
+    component: Settings,
+    bounds: { width: 500, height: 600, x: 250, y: 100 },
+    desktop: true,
+    keywords: 'preferences api keys'
+  },
+  {
+    id: 'cinemator',
+    windowId: 'cinemator-window',
+    title: 'Cinemator - AI Video Generator',
+    label: 'Cinemator',
+    icon: '🎬',
+    component: Cinemator,
+    bounds: { width: 700, height: 500, x: 200, y: 50 },
+    desktop: true,
+    keywords: 'video generator'
+  },
+  {
+    id: 'upscaler',
+    windowId: 'upscaler-window',
+    title: 'Image Upscaler - AI Enhancement',
+    label: 'Upscaler',
+    icon: '🔍',
+    component: Upscaler,
+    bounds: { width: 800, height: 600, x: 200, y: 100 },
+    desktop: true,
+    keywords: 'enhance image',
+    propsFromUrl: (param) => definedProps({ imageUrl: linkedImageUrl(param('image')) })
+  },
+  {
+    id: 'video-upscaler',
+    windowId: 'video-upscaler',
+    title: 'Video Upscaler',
+    label: 'Video Upscaler',
+    icon: '🎬',
+    component: VideoUpscaler,
+    bounds: { width: 800, height: 650, x: 150, y: 100 },
+    desktop: true,
+    keywords: 'enhance video'
+  },
+  {
+    id: 'chat',
+    windowId: 'chat-window',
+    title: 'Chat - AI Agent',
+    label: 'Chat',
+    icon: '💬',
+    component: Chat,
+    bounds: { width: 500, height: 600, x: 200, y: 100 },
+    desktop: false,
+    keywords: 'ai agent assistant talk'
+  },
+  {
+    id: 'static-files',
+    windowId: 'static-files-window',
+    title: 'Static Files Browser',
+    label: 'Static Files',
+    icon: '📁',
+    component: StaticFileBrowser,
+    bounds: { width: 800, height: 600, x: 100, y: 100 },
+    desktop: true,
+    keywords: 'file browser'
+  },
+  {
+    id: 'image-analyzer',
+    windowId: 'image-analyzer-window',
+    title: 'Image Analyzer',
+    label: 'Image Analyzer',
+    icon: '🔍',
+    component: ImageAnalyzer,
+    bounds: { width: 1000, height: 700, x: 100, y: 100 },
+    desktop: true,
+    keywords: 'describe vision'
+  },
+  {
+    id: 'prompt-generator',
+    windowId: 'prompt-generator-window',
+    title: 'Prompt Generator',
+    label: 'Prompt Generator',
+    icon: '✨',
+    component: PromptGenerator,
+    bounds: { width: 1200, height: 700, x: 50, y: 50 },
+    desktop: true,
+    keywords: 'saved prompts'
+  },
+  {
+    id: 'lora-studio',
+    windowId: 'lora-studio-window',
+    title: 'LoRA Studio',
+    label: 'LoRA Studio',
+    icon: '🔗',
+    component: LoRAStudio,
+    bounds: { width: 1200, height: 800, x: 100, y: 50 },
+    desktop: true,
+    keywords: 'edit style',
+    propsFromUrl: (param) => {
+      const imageUrl = linkedImageUrl(param('image'));
+      return imageUrl ? definedProps({ imageUrl, prompt: param('prompt') || undefined }) : {};
+    }
+  },
+  {
+    id: 'job-monitor',
+    windowId: 'job-monitor-window',
+    title: 'Job Monitor',
+    label: 'Job Monitor',
+    icon: '📡',
+    component: JobMonitor,
+    bounds: { width: 640, height: 480, x: 280, y: 120 },
+    desktop: true,
+    keywords: 'queue jobs progress'
+  },
+  {
+    id: 'lighting-studio',
+    windowId: 'lighting-studio-window',
+    title: 'Lighting Studio',
+    label: 'Lighting Studio',
+    icon: '💡',
+    component: LightingStudio,
+    bounds: { width: 900, height: 700, x: 100, y: 100 },
+    desktop: false,
+    keywords: 'relight',
+    propsFromUrl: (param) => definedProps({ imageUrl: linkedImageUrl(param('image')) })
+  }
+];
+
+/**
+ * Look up an app by ID
+ * @param {string} id
+ * @returns {AppDefinition | undefined}
+ */
+export function getApp(id) {
+  return APPS.find((app) => app.id === id);
+}
+
+/**
+ * Open an app's window, or focus it if it's already open. Props given to an
+ * open window replace the ones it was opened with.
+ * @param {string} id - App ID
+ * @param {Record<string, any>} [props] - Props for the app's component
+ * @returns {string | null} Window ID, or null for an unknown app
+ */
+export function openApp(id, props = {}) {
+  const app = getApp(id);
+  if (!app) {
+    console.warn(`Unknown app: ${id}`);
+    return null;
+  }
+
+  const content = { component: app.component, props };
+
+  if (Object.keys(props).length > 0 && windowManager.windows.some((w) => w.id === app.windowId)) {
+    windowManager.updateWindowContent(app.windowId, { content });
+  }
+
+  return windowManager.createWindow({
+    id: app.windowId,
+    title: app.title,
+    content,
+    ...app.bounds
+  });
+}
+
+/**
+ * Open the apps a link asks for with ?open=, several separated by commas.
+ * A parameter can be aimed at one app by prefixing it with the app's ID,
+ * e.g. ?open=upscaler,lora-studio&upscaler.image=/a.png&lora-studio.image=/b.png
+ * @param {URL} url
+ * @returns {string[]} IDs of the apps opened
+ */
+export function openAppsFromUrl(url) {
+  const ids = url.searchParams
+    .getAll('open')
+    .flatMap((value) => value.split(','))
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  /** @type {string[]} */
+  const opened = [];
+  for (const id of ids) {
+    const app = getApp(id);
+    if (!app) {
+      console.warn(`Link asks for an unknown app: ${id}`);
+      continue;
+    }
+
+    /** @type {UrlParam} */
+    const param = (name) => url.searchParams.get(`${id}.${name}`) ?? url.searchParams.get(name);
+    openApp(id, app.propsFromUrl ? app.propsFromUrl(param) : {});
+    opened.push(id);
+  }
+
+  return opened;
+}
+
+// Every app can be restored with the saved layout, and opened from the palette
+for (const app of APPS) {
+  windowManager.registerWindowCreator(app.windowId, (/** @type {Record<string, any> | undefined} */ props) => openApp(app.id, props));
+}
+
+commandRegistry.registerCommands('apps', APPS.map((app) => ({
+  id: `app:${app.id}`,
+  title: `Open ${app.label}`,
+  icon: app.icon,
+  group: 'App',
+  keywords: app.keywords,
+  run: () => { openApp(app.id); }
+})));
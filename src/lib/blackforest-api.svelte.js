@@ -4,26 +4,10 @@
  */
 
 import { settingsManager } from './settings-manager.svelte.js';
+import { BLACKFOREST_ENDPOINTS, resolveBlackForestEndpoint, buildBlackForestRequest } from './blackforest-endpoints.js';
 
 const BLACKFOREST_BASE_URL = 'https://api.bfl.ml';
 
-/**
- * Map FAL model names to BlackForest endpoints
- * @param {string} falModel - The FAL model name
- * @returns {string} BlackForest endpoint
- */
-function mapToBlackForestEndpoint(falModel) {
-  // Map common FAL models to BlackForest equivalents
-  const modelMap = {
-    'fal-ai/flux-pro/v1.1-ultra': '/v1/flux-pro-1.1',
-    'fal-ai/flux-pro/kontext': '/v1/flux-kontext-pro', 
-    'fal-ai/flux-pro/kontext/text-to-image': '/v1/flux-kontext-pro',
-    // Default to flux-pro-1.1 for unknown models
-  };
-  
-  return modelMap[falModel] || '/v1/flux-pro-1.1';
-}
-
 function createBlackForestApi() {
   /** @type {string} */
   let error = $state('');
@@ -83,79 +67,47 @@ function createBlackForestApi() {
   }
 
   /**
-   * Generate image using BlackForest Flux model
-   * @param {import('./types.js').ImageGenerationOptions} options
-   * @param {string} [model] - The model to use
-   * @returns {Promise<{images: Array<{url: string}>}>}
+   * Generate images using BlackForest Flux model
+   * BlackForest returns one image per request, so `num_images` fans out into
+   * parallel requests with consecutive seeds.
+   * @param {ImageGenerationOptions} options
+   * @param {string} [model] - FAL model ID or BlackForest endpoint ID
+   * @returns {Promise<{images: GeneratedImage[], seed: number | null}>}
    */
   async function generateImage(options, model) {
     if (!isAvailable()) {
       throw new Error('BlackForest API key not configured');
     }
 
+    const endpointId = resolveBlackForestEndpoint(model);
+    if (!endpointId) {
+      throw new Error(`BlackForest Labs has no endpoint for model ${model}`);
+    }
+
     isGenerating = true;
     error = '';
 
     try {
-      // Map our options to BlackForest API format
-      const requestBody = {
-        prompt: options.prompt,
-        aspect_ratio: options.aspect_ratio || '16:9'
-      };
-
-      // Add image URL for image-to-image if provided
-      if (options.image_url) {
-        requestBody.input_image = options.image_url;
-      }
-
-      // Add other optional parameters if provided
-      if (options.seed) {
-        requestBody.seed = parseInt(options.seed);
-      }
-
-      console.log('BlackForest API request:', requestBody);
-
-      // Map the model to BlackForest endpoint
-      const modelToUse = model || 'fal-ai/flux-pro/v1.1-ultra'; // Default model
-      const endpoint = mapToBlackForestEndpoint(modelToUse);
-      console.log('Using BlackForest endpoint:', endpoint, 'for model:', modelToUse);
-
-      // Initial request to start generation
-      const response = await makeRequest(endpoint, {
-        method: 'POST',
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.detail || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      console.log('BlackForest API initial response:', data);
-      console.log('BlackForest response keys:', Object.keys(data));
-      console.log('BlackForest response type:', typeof data);
-
-      // Check what fields are actually in the response
-      if (!data) {
-        throw new Error('Empty response from BlackForest API');
-      }
-
-      // BlackForest API returns id and polling_url for async processing
-      if (!data.id || !data.polling_url) {
-        console.error('Missing fields in BlackForest response:', {
-          has_id: !!data.id,
-          has_polling_url: !!data.polling_url,
-          actual_response: data
-        });
-        throw new Error(`Invalid response from BlackForest API - missing id or polling_url. Got: ${JSON.stringify(data)}`);
-      }
-
-      // Poll for completion
-      const result = await pollForCompletion(data.polling_url);
-      return { images: [{ url: result.image_url }] };
-
-    } catch (err) {
+      // Map our options to the endpoint's parameter schema
+      const endpoint = BLACKFOREST_ENDPOINTS[endpointId];
+      const requestBody = buildBlackForestRequest(endpointId, options);
+      console.log('Using BlackForest endpoint:', endpoint.path, 'for model:', model);
+      console.log('BlackForest API request:', { ...requestBody, [endpoint.imageParam]: requestBody[endpoint.imageParam] ? '[image]' : undefined });
+
+      const numImages = Math.max(1, Math.min(4, options.num_images || 1));
+      const baseSeed = options.seed ? parseInt(String(options.seed)) : null;
+
+      const images = await Promise.all(
+        Array.from({ length: numImages }, (_, index) => {
+          const seed = baseSeed !== null ? baseSeed + index : null;
+          return requestImage(endpoint.path, seed !== null ? { ...requestBody, seed } : requestBody)
+            .then(image => ({ ...image, batchIndex: index }));
+        })
+      );
+
+      return { images, seed: images[0]?.seed ?? baseSeed };
+
+    } catch (/** @type {*} */ err) {
       error = err.message || 'Failed to generate image with BlackForest API';
       console.error('BlackForest API error:', err);
       throw err;
@@ -164,10 +116,51 @@ function createBlackForestApi() {
     }
   }
 
+  /**
+   * Submit a single generation request and wait for its image
+   * @param {string} endpoint - BlackForest endpoint path
+   * @param {Record<string, any>} requestBody - Request payload
+   * @returns {Promise<GeneratedImage>}
+   */
+  async function requestImage(endpoint, requestBody) {
+    // Initial request to start generation
+    const response = await makeRequest(endpoint, {
+      method: 'POST',
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.detail || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    console.log('BlackForest API initial response:', data);
+
+    // Check what fields are actually in the response
+    if (!data) {
+      throw new Error('Empty response from BlackForest API');
+    }
+
+    // BlackForest API returns id and polling_url for async processing
+    if (!data.id || !data.polling_url) {
+      console.error('Missing fields in BlackForest response:', {
+        has_id: !!data.id,
+        has_polling_url: !!data.polling_url,
+        actual_response: data
+      });
+      throw new Error(`Invalid response from BlackForest API - missing id or polling_url. Got: ${JSON.stringify(data)}`);
+    }
+
+    // Poll for completion
+    const result = await pollForCompletion(data.polling_url);
+    return { url: result.image_url, seed: result.seed ?? requestBody.seed ?? null };
+  }
+
   /**
    * Poll the BlackForest API for completion
    * @param {string} pollingUrl
-   * @returns {Promise<{image_url: string}>}
+   * @returns {Promise<{image_url: string, seed?: number}>}
    */
   async function pollForCompletion(pollingUrl) {
     const maxAttempts = 60; // 5 minutes max
@@ -214,11 +207,11 @@ function createBlackForestApi() {
 
             const blob = await proxyResponse.blob();
             const blobUrl = URL.createObjectURL(blob);
-            return { image_url: blobUrl };
+            return { image_url: blobUrl, seed: data.result.seed };
           } catch (proxyError) {
             console.error('Failed to proxy BlackForest image:', proxyError);
             // Fallback to original URL (might have CORS issues but better than nothing)
-            return { image_url: data.result.sample };
+            return { image_url: data.result.sample, seed: data.result.seed };
           }
         } else if (data.status === 'Error' || data.status === 'Failed') {
           throw new Error(`Generation failed: ${data.error || 'Unknown error'}`);
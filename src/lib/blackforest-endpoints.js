@@ -0,0 +1,197 @@
+/**
+ * BlackForest Labs Endpoints
+ * Parameter schemas for each BFL generation endpoint and the mapping from
+ * Fluxor's ImageGenerationOptions to request bodies.
+ */
+
+/**
+ * @typedef {Object} BlackForestEndpoint
+ * @property {string} path - API path
+ * @property {string} name - Display name
+ * @property {string} imageParam - Request field that receives the reference image
+ * @property {boolean} requiresImage - Whether a reference image is mandatory
+ * @property {Partial<Record<keyof ImageGenerationOptions, string>>} params - Option → request field.
+ *   'size' expands aspect_ratio into width/height for endpoints without an aspect_ratio field.
+ */
+
+/** Options every endpoint handles outside the params table */
+const COMMON_OPTIONS = ['prompt', 'image_url', 'num_images'];
+
+/** @type {Record<string, BlackForestEndpoint>} */
+export const BLACKFOREST_ENDPOINTS = {
+  'flux-pro-1.1': {
+    path: '/v1/flux-pro-1.1',
+    name: 'FLUX Pro 1.1',
+    imageParam: 'image_prompt',
+    requiresImage: false,
+    params: {
+      aspect_ratio: 'size',
+      seed: 'seed',
+      output_format: 'output_format',
+      safety_tolerance: 'safety_tolerance'
+    }
+  },
+  'flux-pro-1.1-ultra': {
+    path: '/v1/flux-pro-1.1-ultra',
+    name: 'FLUX Pro 1.1 Ultra',
+    imageParam: 'image_prompt',
+    requiresImage: false,
+    params: {
+      aspect_ratio: 'aspect_ratio',
+      seed: 'seed',
+      output_format: 'output_format',
+      safety_tolerance: 'safety_tolerance',
+      raw: 'raw'
+    }
+  },
+  'flux-kontext-pro': {
+    path: '/v1/flux-kontext-pro',
+    name: 'FLUX Kontext Pro',
+    imageParam: 'input_image',
+    requiresImage: false,
+    params: {
+      aspect_ratio: 'aspect_ratio',
+      seed: 'seed',
+      output_format: 'output_format',
+      safety_tolerance: 'safety_tolerance'
+    }
+  },
+  'flux-kontext-max': {
+    path: '/v1/flux-kontext-max',
+    name: 'FLUX Kontext Max',
+    imageParam: 'input_image',
+    requiresImage: false,
+    params: {
+      aspect_ratio: 'aspect_ratio',
+      seed: 'seed',
+      output_format: 'output_format',
+      safety_tolerance: 'safety_tolerance'
+    }
+  },
+  'flux-pro-1.0-fill': {
+    path: '/v1/flux-pro-1.0-fill',
+    name: 'FLUX Pro Fill',
+    imageParam: 'image',
+    requiresImage: true,
+    params: {
+      seed: 'seed',
+      output_format: 'output_format',
+      safety_tolerance: 'safety_tolerance',
+      guidance_scale: 'guidance',
+      num_inference_steps: 'steps'
+    }
+  },
+  'flux-pro-1.0-canny': {
+    path: '/v1/flux-pro-1.0-canny',
+    name: 'FLUX Pro Canny',
+    imageParam: 'control_image',
+    requiresImage: true,
+    params: {
+      seed: 'seed',
+      output_format: 'output_format',
+      safety_tolerance: 'safety_tolerance',
+      guidance_scale: 'guidance',
+      num_inference_steps: 'steps'
+    }
+  },
+  'flux-pro-1.0-depth': {
+    path: '/v1/flux-pro-1.0-depth',
+    name: 'FLUX Pro Depth',
+    imageParam: 'control_image',
+    requiresImage: true,
+    params: {
+      seed: 'seed',
+      output_format: 'output_format',
+      safety_tolerance: 'safety_tolerance',
+      guidance_scale: 'guidance',
+      num_inference_steps: 'steps'
+    }
+  }
+};
+
+/**
+ * FAL model IDs with a BlackForest equivalent
+ * @type {Record<string, string>}
+ */
+const FAL_MODEL_ENDPOINTS = {
+  'fal-ai/flux-pro/v1.1': 'flux-pro-1.1',
+  'fal-ai/flux-pro/v1.1-ultra': 'flux-pro-1.1-ultra',
+  'fal-ai/flux-pro/kontext': 'flux-kontext-pro',
+  'fal-ai/flux-pro/kontext/text-to-image': 'flux-kontext-pro',
+  'fal-ai/flux-pro/kontext/max': 'flux-kontext-max',
+  'fal-ai/flux-pro/kontext/max/text-to-image': 'flux-kontext-max',
+  'fal-ai/flux-pro/v1/fill': 'flux-pro-1.0-fill',
+  'fal-ai/flux-pro/v1/canny': 'flux-pro-1.0-canny',
+  'fal-ai/flux-pro/v1/depth': 'flux-pro-1.0-depth'
+};
+
+/** Output size for endpoints that take width/height (multiples of 32) */
+const ASPECT_RATIO_SIZES = {
+  '21:9': { width: 1344, height: 576 },
+  '16:9': { width: 1024, height: 576 },
+  '4:3': { width: 1024, height: 768 },
+  '1:1': { width: 1024, height: 1024 },
+  '3:4': { width: 768, height: 1024 },
+  '9:16': { width: 576, height: 1024 }
+};
+
+/**
+ * Resolve a model to a BlackForest endpoint ID
+ * @param {string} [model] - FAL model ID or BlackForest endpoint ID
+ * @returns {string | null} Endpoint ID, or null if BlackForest has no equivalent
+ */
+export function resolveBlackForestEndpoint(model) {
+  if (!model) return 'flux-pro-1.1-ultra';
+  if (BLACKFOREST_ENDPOINTS[model]) return model;
+  return FAL_MODEL_ENDPOINTS[model] || null;
+}
+
+/**
+ * Options an endpoint understands
+ * @param {string} endpointId
+ * @returns {string[]}
+ */
+export function getSupportedOptions(endpointId) {
+  const endpoint = BLACKFOREST_ENDPOINTS[endpointId];
+  return endpoint ? [...COMMON_OPTIONS, ...Object.keys(endpoint.params)] : [];
+}
+
+/**
+ * Build a request body for an endpoint. The seed is left to the caller so
+ * batches can use consecutive seeds.
+ * @param {string} endpointId
+ * @param {ImageGenerationOptions} options
+ * @returns {Record<string, any>}
+ * @throws {Error} If the endpoint needs a reference image and none was given
+ */
+export function buildBlackForestRequest(endpointId, options) {
+  const endpoint = BLACKFOREST_ENDPOINTS[endpointId];
+  if (!endpoint) {
+    throw new Error(`Unknown BlackForest endpoint: ${endpointId}`);
+  }
+  if (endpoint.requiresImage && !options.image_url) {
+    throw new Error(`${endpoint.name} requires a reference image`);
+  }
+
+  /** @type {Record<string, any>} */
+  const body = { prompt: options.prompt };
+
+  if (options.image_url) {
+    body[endpoint.imageParam] = options.image_url;
+  }
+
+  for (const [option, field] of Object.entries(endpoint.params)) {
+    const value = options[/** @type {keyof ImageGenerationOptions} */ (option)];
+    if (value === undefined || value === null || option === 'seed') continue;
+
+    if (field === 'size') {
+      Object.assign(body, ASPECT_RATIO_SIZES[/** @type {AspectRatio} */ (value)] || ASPECT_RATIO_SIZES['1:1']);
+    } else if (option === 'safety_tolerance') {
+      body[field] = parseInt(String(value));
+    } else {
+      body[field] = value;
+    }
+  }
+
+  return body;
+}
@@ -0,0 +1,96 @@
+/**
+ * Browser Speech Backend
+ * Speech-to-text through the Web Speech API (webkitSpeechRecognition).
+ * Chrome and Edge send the audio to their vendor's cloud service.
+ */
+
+/**
+ * @typedef {import('./speech-recognition.svelte.js').SpeechBackend} SpeechBackend
+ * @typedef {import('./speech-recognition.svelte.js').SpeechBackendCallbacks} SpeechBackendCallbacks
+ */
+
+/**
+ * @returns {SpeechBackend}
+ */
+function createBrowserSpeechBackend() {
+  /** @type {any | null} */
+  let recognition = null;
+
+  /**
+   * Check if the Web Speech API is available
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof window !== 'undefined' &&
+           ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window);
+  }
+
+  /**
+   * Start continuous recognition. The browser opens its own microphone
+   * stream, so the one passed in isn't used.
+   * @param {MediaStream} _stream
+   * @param {string} locale - BCP 47 language tag
+   * @param {SpeechBackendCallbacks} callbacks
+   */
+  function start(_stream, locale, callbacks) {
+    // @ts-ignore - WebKit prefix handling
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const instance = new SpeechRecognition();
+
+    instance.continuous = true;
+    instance.interimResults = true;
+    instance.lang = locale;
+    instance.maxAlternatives = 1;
+
+    instance.onstart = () => callbacks.onStart();
+    instance.onresult = (/** @type {any} */ event) => handleSpeechResult(event, callbacks);
+    instance.onerror = (/** @type {any} */ event) => callbacks.onError(event.error);
+    instance.onend = () => callbacks.onEnd();
+
+    recognition = instance;
+    instance.start();
+  }
+
+  /**
+   * Handle speech recognition results
+   * @param {any} event
+   * @param {SpeechBackendCallbacks} callbacks
+   */
+  function handleSpeechResult(event, callbacks) {
+    let interimTranscript = '';
+    let finalTranscript = '';
+
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const transcript = event.results[i][0].transcript.toLowerCase().trim();
+
+      if (event.results[i].isFinal) {
+        finalTranscript += transcript + ' ';
+      } else {
+        interimTranscript += transcript + ' ';
+      }
+    }
+
+    const fullTranscript = (finalTranscript + interimTranscript).trim();
+
+    if (fullTranscript) {
+      callbacks.onResult(fullTranscript, event.results[event.results.length - 1].isFinal);
+    }
+  }
+
+  function stop() {
+    if (recognition) {
+      const instance = recognition;
+      recognition = null;
+      instance.stop();
+    }
+  }
+
+  return {
+    label: 'Browser speech recognition',
+    isSupported,
+    start,
+    stop
+  };
+}
+
+export const browserSpeechBackend = createBrowserSpeechBackend();
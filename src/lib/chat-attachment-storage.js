@@ -0,0 +1,137 @@
+/**
+ * Chat Attachment Storage
+ * Keeps images attached to chat messages in IndexedDB, so sessions in
+ * localStorage only hold attachment IDs. Gallery images aren't copied here;
+ * messages reference them by their saved image ID instead.
+ */
+
+const DB_NAME = "ChatAttachmentDB";
+const DB_VERSION = 1;
+const STORE_NAME = "attachments";
+
+/**
+ * @typedef {Object} StoredAttachment
+ * @property {string} id - Attachment ID
+ * @property {string} sessionId - Chat session the attachment belongs to
+ * @property {Blob} blob - Image data
+ * @property {number} timestamp - When it was attached
+ */
+
+/** @type {IDBDatabase | null} */
+let db = null;
+
+/**
+ * Initialize IndexedDB
+ * @returns {Promise<IDBDatabase>}
+ */
+async function initDB() {
+  if (db) return db;
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      db = request.result;
+      resolve(db);
+    };
+
+    /** @param {IDBVersionChangeEvent} event */
+    request.onupgradeneeded = (event) => {
+      /** @type {IDBDatabase} */
+      const database = /** @type {IDBRequest} */ (event.target).result;
+      if (!database.objectStoreNames.contains(STORE_NAME)) {
+        const store = database.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("sessionId", "sessionId");
+      }
+    };
+  });
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store an attachment
+ * @param {Blob} blob - Image data
+ * @param {string} sessionId - Chat session it belongs to
+ * @returns {Promise<string>} The attachment ID
+ */
+async function saveAttachment(blob, sessionId) {
+  const database = await initDB();
+  const id = `att_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+
+  const transaction = database.transaction([STORE_NAME], "readwrite");
+  await promisifyRequest(transaction.objectStore(STORE_NAME).put({ id, sessionId, blob, timestamp: Date.now() }));
+  return id;
+}
+
+/**
+ * Get an attachment's image data
+ * @param {string} id - Attachment ID
+ * @returns {Promise<Blob | null>}
+ */
+async function getAttachmentBlob(id) {
+  try {
+    const database = await initDB();
+    const transaction = database.transaction([STORE_NAME], "readonly");
+    /** @type {StoredAttachment | undefined} */
+    const record = await promisifyRequest(transaction.objectStore(STORE_NAME).get(id));
+    return record ? record.blob : null;
+  } catch (error) {
+    console.error("Failed to get chat attachment:", error);
+    return null;
+  }
+}
+
+/**
+ * Delete attachments by ID
+ * @param {string[]} ids - Attachment IDs
+ * @returns {Promise<void>}
+ */
+async function deleteAttachments(ids) {
+  if (ids.length === 0) return;
+
+  try {
+    const database = await initDB();
+    const transaction = database.transaction([STORE_NAME], "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    await Promise.all(ids.map((id) => promisifyRequest(store.delete(id))));
+  } catch (error) {
+    console.error("Failed to delete chat attachments:", error);
+  }
+}
+
+/**
+ * Delete every attachment of a session
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<void>}
+ */
+async function deleteSessionAttachments(sessionId) {
+  try {
+    const database = await initDB();
+    const transaction = database.transaction([STORE_NAME], "readonly");
+    /** @type {IDBValidKey[]} */
+    const ids = await promisifyRequest(transaction.objectStore(STORE_NAME).index("sessionId").getAllKeys(sessionId));
+    await deleteAttachments(ids.map(String));
+  } catch (error) {
+    console.error("Failed to delete session attachments:", error);
+  }
+}
+
+export default {
+  saveAttachment,
+  getAttachmentBlob,
+  deleteAttachments,
+  deleteSessionAttachments,
+};
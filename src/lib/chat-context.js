@@ -0,0 +1,115 @@
+/**
+ * Chat Context
+ * Rough token accounting for chat history, used to keep what Chat sends
+ * within the model's context window. Counts are estimates (about four
+ * characters per token); no tokenizer is loaded in the browser.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Role markers and formatting the chat template adds to every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// What one attached image costs a vision model, give or take
+const IMAGE_TOKENS = 768;
+
+/**
+ * @typedef {import('./chat-manager.svelte.js').ChatMessage} ChatMessage
+ */
+
+/**
+ * Estimate the tokens in a piece of text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTextTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate what a message costs in the context, including its tool calls,
+ * their results and any attached images
+ * @param {ChatMessage} message
+ * @returns {number}
+ */
+export function estimateMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTextTokens(message.content);
+
+  for (const call of message.toolCalls || []) {
+    tokens += MESSAGE_OVERHEAD_TOKENS * 2
+      + estimateTextTokens(call.name + JSON.stringify(call.arguments))
+      + estimateTextTokens(call.result || '');
+  }
+
+  return tokens + (message.attachments?.length || 0) * IMAGE_TOKENS;
+}
+
+/**
+ * Split history into older messages that no longer fit and recent ones that
+ * do. The cut always falls on a user message, so a tool call is never
+ * separated from its result, and the latest turn is kept even when it alone
+ * is over budget.
+ * @param {ChatMessage[]} messages - History, oldest first
+ * @param {number} budget - Tokens available for the history
+ * @returns {{older: ChatMessage[], recent: ChatMessage[]}}
+ */
+export function splitContext(messages, budget) {
+  let used = 0;
+  let keepFrom = messages.length;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    used += estimateMessageTokens(messages[i]);
+    if (used > budget && keepFrom < messages.length) break;
+    if (i === 0 || messages[i].role === 'user') keepFrom = i;
+  }
+
+  return { older: messages.slice(0, keepFrom), recent: messages.slice(keepFrom) };
+}
+
+/**
+ * Group messages into chunks of at most `budget` tokens, for summarizing a
+ * long history a piece at a time
+ * @param {ChatMessage[]} messages
+ * @param {number} budget
+ * @returns {ChatMessage[][]}
+ */
+export function chunkMessages(messages, budget) {
+  /** @type {ChatMessage[][]} */
+  const chunks = [];
+  /** @type {ChatMessage[]} */
+  let chunk = [];
+  let used = 0;
+
+  for (const message of messages) {
+    const tokens = estimateMessageTokens(message);
+    if (chunk.length > 0 && used + tokens > budget) {
+      chunks.push(chunk);
+      chunk = [];
+      used = 0;
+    }
+    chunk.push(message);
+    used += tokens;
+  }
+  if (chunk.length > 0) chunks.push(chunk);
+
+  return chunks;
+}
+
+/**
+ * Plain-text transcript of messages, for the model to summarize. Images are
+ * listed by ID so later tool calls can still refer to them.
+ * @param {ChatMessage[]} messages
+ * @returns {string}
+ */
+export function formatTranscript(messages) {
+  return messages.map((message) => {
+    const lines = [`${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`];
+    for (const attachment of message.attachments || []) {
+      lines.push(`[attached image_id ${attachment.id}: ${attachment.name}]`);
+    }
+    for (const call of message.toolCalls || []) {
+      lines.push(`[called ${call.name} ${JSON.stringify(call.arguments)} -> ${call.result || 'no result'}]`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { estimateTextTokens, estimateMessageTokens, splitContext, chunkMessages, formatTranscript } from './chat-context.js';
+
+/** @typedef {import('./chat-manager.svelte.js').ChatMessage} ChatMessage */
+
+/**
+ * A message costing `tokens` tokens: 4 for the role overhead plus its text
+ * @param {string} id
+ * @param {'user' | 'assistant'} role
+ * @param {number} [tokens]
+ * @returns {ChatMessage}
+ */
+function message(id, role, tokens = 10) {
+  return { id, role, content: 'x'.repeat((tokens - 4) * 4), timestamp: 0 };
+}
+
+/**
+ * @param {{older: ChatMessage[], recent: ChatMessage[]}} split
+ */
+const ids = ({ older, recent }) => ({ older: older.map((m) => m.id), recent: recent.map((m) => m.id) });
+
+describe('estimateMessageTokens', () => {
+  it('counts about four characters per token', () => {
+    expect(estimateTextTokens('')).toBe(0);
+    expect(estimateTextTokens('abcde')).toBe(2);
+  });
+
+  it('adds tool calls, their results and attached images to the text', () => {
+    /** @type {ChatMessage} */
+    const withExtras = {
+      ...message('a', 'assistant'),
+      toolCalls: [{ name: 'seed', arguments: { n: 1 }, status: 'done', result: 'x'.repeat(40) }],
+      attachments: [{ source: 'upload', id: 'img', name: 'cat.png' }]
+    };
+
+    // 10 for the message, 8 + 3 ('seed{"n":1}') + 10 for the call, 768 for the image
+    expect(estimateMessageTokens(withExtras)).toBe(10 + 21 + 768);
+  });
+});
+
+describe('splitContext', () => {
+  const history = [message('u1', 'user'), message('a1', 'assistant'), message('u2', 'user'), message('a2', 'assistant')];
+
+  it('keeps everything that fits', () => {
+    expect(ids(splitContext(history, 40))).toEqual({ older: [], recent: ['u1', 'a1', 'u2', 'a2'] });
+  });
+
+  it('cuts before the oldest user message that still fits', () => {
+    expect(ids(splitContext(history, 25))).toEqual({ older: ['u1', 'a1'], recent: ['u2', 'a2'] });
+  });
+
+  it('never starts the recent messages on an assistant reply, even if it would fit', () => {
+    // a1 fits in 35 tokens, but keeping it without u1 would split the turn
+    expect(ids(splitContext(history, 35))).toEqual({ older: ['u1', 'a1'], recent: ['u2', 'a2'] });
+  });
+
+  it('keeps a tool-calling turn whole', () => {
+    /** @type {ChatMessage[]} */
+    const turns = [
+      message('u1', 'user'),
+      message('u2', 'user'),
+      { ...message('a2', 'assistant'), toolCalls: [{ name: 'generate', arguments: {}, status: 'done', result: 'ok' }] },
+      message('a3', 'assistant')
+    ];
+
+    expect(ids(splitContext(turns, 40))).toEqual({ older: ['u1'], recent: ['u2', 'a2', 'a3'] });
+  });
+
+  it('keeps the latest turn even when it alone is over budget', () => {
+    const longTurn = [...history.slice(0, 2), message('u2', 'user', 500), message('a2', 'assistant')];
+
+    expect(ids(splitContext(longTurn, 50))).toEqual({ older: ['u1', 'a1'], recent: ['u2', 'a2'] });
+  });
+
+  it('keeps a history that does not start with a user message when it fits', () => {
+    const history = [message('a0', 'assistant'), message('u1', 'user')];
+
+    expect(ids(splitContext(history, 100))).toEqual({ older: [], recent: ['a0', 'u1'] });
+  });
+});
+
+describe('chunkMessages', () => {
+  it('fills each chunk up to the budget, in order', () => {
+    const messages = ['1', '2', '3', '4', '5'].map((id) => message(id, 'user'));
+
+    expect(chunkMessages(messages, 25).map((chunk) => chunk.map((m) => m.id))).toEqual([['1', '2'], ['3', '4'], ['5']]);
+  });
+
+  it('gives a message over budget a chunk of its own', () => {
+    const messages = [message('1', 'user'), message('big', 'assistant', 100), message('2', 'user')];
+
+    expect(chunkMessages(messages, 25).map((chunk) => chunk.map((m) => m.id))).toEqual([['1'], ['big'], ['2']]);
+  });
+
+  it('returns no chunks for no messages', () => {
+    expect(chunkMessages([], 25)).toEqual([]);
+  });
+});
+
+describe('formatTranscript', () => {
+  it('labels speakers and lists attachments and tool calls', () => {
+    /** @type {ChatMessage[]} */
+    const messages = [
+      { id: '1', role: 'user', content: 'Make it blue', timestamp: 0, attachments: [{ source: 'gallery', id: 'img-1', name: 'Fox' }] },
+      { id: '2', role: 'assistant', content: 'Done', timestamp: 0, toolCalls: [{ name: 'edit', arguments: { color: 'blue' }, status: 'done' }] }
+    ];
+
+    expect(formatTranscript(messages)).toBe([
+      'User: Make it blue',
+      '[attached image_id img-1: Fox]',
+      '',
+      'Assistant: Done',
+      '[called edit {"color":"blue"} -> no result]'
+    ].join('\n'));
+  });
+});
@@ -1,18 +1,34 @@
-import { ollamaApi } from './ollama-api.svelte.js';
-import FluxorController from '$lib/windows/fluxor/FluxorController.svelte.js';
-import CinematOrController from '$lib/windows/cinemator/CinematOrController.svelte.js';
-import UpscalerController from '$lib/windows/upscaler/UpscalerController.svelte.js';
-import VideoUpscalerController from '$lib/windows/video-upscaler/VideoUpscalerController.svelte.js';
-import ImageGalleryController from '$lib/windows/image-gallery/ImageGalleryController.js';
-import VideoGalleryController from '$lib/windows/video-gallery/VideoGalleryController.js';
-import SettingsController from '$lib/windows/settings/SettingsController.svelte.js';
-import NotepadController from '$lib/windows/notepad/NotepadController.svelte.js';
-import LoRAStudioController from '$lib/windows/lora-studio/LoRAStudioController.svelte.js';
+import { llmApi } from './llm-api.svelte.js';
+import { getToolDeclarations, executeTool, parseToolArguments } from './chat-tools.js';
+import attachmentStorage from './chat-attachment-storage.js';
+import imageStorage from './image-storage.js';
+import { imageManager } from './image-manager.svelte.js';
+import { settingsManager } from './settings-manager.svelte.js';
+import { textToSpeech } from './text-to-speech.svelte.js';
+import { resizeImage, blobToDataUrl } from './image-utils.js';
+import { estimateTextTokens, splitContext, chunkMessages, formatTranscript } from './chat-context.js';
+import { sessionToJSON, sessionToMarkdown, parseSessionFile } from './chat-session-format.js';
 
 /** 
  * @typedef {'user' | 'assistant' | 'system'} ChatRole
  */
 
+/**
+ * @typedef {Object} ChatToolCall
+ * @property {string} name - Tool the assistant called
+ * @property {Record<string, *>} arguments - Arguments the assistant passed
+ * @property {'running' | 'done' | 'error'} status - Execution state
+ * @property {string} [result] - Result text fed back to the model
+ * @property {import('./chat-tools.js').ChatToolImage[]} [images] - Images the tool produced
+ */
+
+/**
+ * @typedef {Object} ChatAttachment
+ * @property {'gallery' | 'upload'} source - A saved gallery image, or an image stored with the chat
+ * @property {string} id - Saved image ID for 'gallery', attachment ID for 'upload'
+ * @property {string} name - Display name
+ */
+
 /**
  * @typedef {Object} ChatMessage
  * @property {string} id - Unique message identifier
@@ -21,6 +37,14 @@ import LoRAStudioController from '$lib/windows/lora-studio/LoRAStudioController.
  * @property {number} timestamp - Message timestamp
  * @property {boolean} [isStreaming] - Whether message is still being streamed
  * @property {string} [error] - Error message if failed
+ * @property {ChatToolCall[]} [toolCalls] - Tools the assistant called in this message
+ * @property {ChatAttachment[]} [attachments] - Images attached to this message
+ */
+
+/**
+ * @typedef {Object} ChatSummary
+ * @property {string} content - Summary of the messages that no longer fit the context
+ * @property {string} throughMessageId - Last message the summary covers
  */
 
 /**
@@ -30,130 +54,57 @@ import LoRAStudioController from '$lib/windows/lora-studio/LoRAStudioController.
  * @property {ChatMessage[]} messages - Session messages
  * @property {number} createdAt - Session creation timestamp
  * @property {number} updatedAt - Last update timestamp
+ * @property {ChatSummary} [summary] - Summary of older messages, sent in their place
+ */
+
+/**
+ * @typedef {Object} ChatSessionMatch
+ * @property {ChatSession} session - Matching session
+ * @property {string | null} snippet - Matching message text, or null if the name matched
  */
 
 const STORAGE_KEY = 'chat-sessions';
 
-// Define available tools for the AI assistant
-const availableTools = {
-  generate_image: {
-    name: 'generate_image',
-    description: 'Create, generate, make, or design an image or photo',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      FluxorController.openFluxorWindow();
-      return 'Opened image generator';
-    }
-  },
-  generate_video: {
-    name: 'generate_video',
-    description: 'Create, generate, make, or design a video or movie',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      CinematOrController.openCinematOrWindow();
-      return 'Opened video generator';
-    }
-  },
-  enhance_image: {
-    name: 'enhance_image',
-    description: 'Upscale, enhance, improve, or increase image quality or resolution',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      UpscalerController.openUpscalerWindow();
-      return 'Opened image enhancer';
-    }
-  },
-  enhance_video: {
-    name: 'enhance_video',
-    description: 'Upscale, enhance, improve, or increase video quality or resolution',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      VideoUpscalerController.openVideoUpscalerWindow();
-      return 'Opened video enhancer';
-    }
-  },
-  view_images: {
-    name: 'view_images',
-    description: 'View, show, browse, or open saved images or photos',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      ImageGalleryController.openImageGalleryWindow();
-      return 'Opened image gallery';
-    }
-  },
-  view_videos: {
-    name: 'view_videos',
-    description: 'View, show, browse, or open saved videos or movies',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      VideoGalleryController.openVideoGalleryWindow();
-      return 'Opened video gallery';
-    }
-  },
-  open_settings: {
-    name: 'open_settings',
-    description: 'Open settings, preferences, or configuration',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      SettingsController.openSettingsWindow();
-      return 'Opened settings';
-    }
-  },
-  open_notepad: {
-    name: 'open_notepad',
-    description: 'Open notepad, text editor, or write text',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      NotepadController.openNotepadWindow();
-      return 'Opened notepad';
-    }
-  },
-  open_lora_studio: {
-    name: 'open_lora_studio',
-    description: 'Open LoRA Studio for image editing with LoRA adaptations',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    },
-    execute: () => {
-      LoRAStudioController.openLoRAStudioWindow();
-      return 'Opened LoRA Studio';
-    }
+// Most times the assistant may call tools before it has to answer in text
+const MAX_TOOL_ROUNDS = 5;
+
+// Attached images are scaled down to this before they're sent to the model
+const MAX_ATTACHMENT_SIZE = 1024;
+
+const SYSTEM_PROMPT = `You are an AI assistant integrated into a Windows 95-style multimedia application. You can help users with image generation, video creation, upscaling, and other creative tasks. Be helpful, concise, and friendly.
+
+You have tools that act in the application. When the user asks for something a tool can do, call the tool instead of describing what you would do:
+- To create an image, call generate_image with a detailed English prompt. Pass aspect_ratio and num_images when the user mentions them (e.g. "portrait" or "phone wallpaper" means 9:16, "widescreen" means 16:9).
+- To open a window, call the matching open_ or view_ tool.
+- Images the user attaches are listed with their IDs. Pass an ID as image_id to edit_image_with_lora, relight_image or enhance_image when the user asks for an edit.
+
+After a tool runs you will see its result. Tell the user briefly what happened; don't repeat the full prompt back unless asked.`;
+
+const SUMMARY_PROMPT = `You condense chat history for an assistant that can no longer fit it in its context. Summarize the conversation you are given in a few short paragraphs. Keep what the assistant needs to continue: the user's goals and preferences, decisions made, prompts used, and every image_id mentioned with what it shows. Reply with the summary only.`;
+
+// Fewest tokens kept for history, however small the configured context
+const MIN_HISTORY_TOKENS = 512;
+
+/**
+ * Load an attachment as base64 for Ollama's `images` field, scaled down so
+ * large photos don't blow up the request
+ * @param {ChatAttachment} attachment
+ * @returns {Promise<string | null>}
+ */
+async function loadAttachmentBase64(attachment) {
+  const blob = attachment.source === 'gallery'
+    ? await imageStorage.getImageBlob(attachment.id)
+    : await attachmentStorage.getAttachmentBlob(attachment.id);
+  if (!blob) return null;
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const dataUrl = await resizeImage(url, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENT_SIZE);
+    return dataUrl.split(',')[1];
+  } finally {
+    URL.revokeObjectURL(url);
   }
-};
+}
 
 function createChatManager() {
   /** @type {ChatSession[]} */
@@ -206,11 +157,13 @@ function createChatManager() {
   }
 
   // Create a new chat session
-  function createNewSession() {
+  /** @param {string} [name] @param {ChatMessage[]} [messages] */
+  function createNewSession(name = `Chat ${sessions.length + 1}`, messages = []) {
+    /** @type {ChatSession} */
     const newSession = {
-      id: `session-${Date.now()}`,
-      name: `Chat ${sessions.length + 1}`,
-      messages: [],
+      id: `session-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+      name,
+      messages,
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
@@ -219,7 +172,8 @@ function createChatManager() {
     currentSessionId = newSession.id;
     saveSessions();
     
-    return newSession;
+    // The reactive copy, so later changes to it show up
+    return sessions[sessions.length - 1];
   }
 
   // Get current session
@@ -236,11 +190,14 @@ function createChatManager() {
     }
   }
 
-  /** @param {ChatRole} role @param {string} content  */
-  function addMessage(role, content, isStreaming = false) {
-    const session = getCurrentSession();
+  /**
+   * @param {ChatRole} role @param {string} content @param {ChatAttachment[]} [attachments]
+   * @param {ChatSession | null} [session] - Session to add to; replies pass theirs, as the user may switch meanwhile
+   */
+  function addMessage(role, content, isStreaming = false, attachments = undefined, session = getCurrentSession()) {
     if (!session) return null;
 
+    /** @type {ChatMessage} */
     const message = {
       id: `msg-${Date.now()}-${Math.random()}`,
       role,
@@ -248,6 +205,9 @@ function createChatManager() {
       timestamp: Date.now(),
       isStreaming
     };
+    if (attachments && attachments.length > 0) {
+      message.attachments = attachments;
+    }
 
     session.messages.push(message);
     session.updatedAt = Date.now();
@@ -256,9 +216,8 @@ function createChatManager() {
     return message;
   }
 
-  /** @param {string} messageId @param {*} updates */
-  function updateMessage(messageId, updates) {
-    const session = getCurrentSession();
+  /** @param {string} messageId @param {*} updates @param {ChatSession | null} [session] */
+  function updateMessage(messageId, updates, session = getCurrentSession()) {
     if (!session) return;
 
     const message = session.messages.find(m => m.id === messageId);
@@ -273,6 +232,7 @@ function createChatManager() {
   function deleteSession(sessionId) {
     const index = sessions.findIndex(s => s.id === sessionId);
     if (index !== -1) {
+      discardAttachments(getSessionAttachments(sessions[index]));
       sessions.splice(index, 1);
       
       // If deleted session was current, switch to another
@@ -288,97 +248,440 @@ function createChatManager() {
     }
   }
 
+  /** @param {string} sessionId @param {string} name */
+  function renameSession(sessionId, name) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (session && name.trim()) {
+      session.name = name.trim();
+      session.updatedAt = Date.now();
+      saveSessions();
+    }
+  }
+
+  /**
+   * Sessions whose name or messages contain the query, most recent first
+   * @param {string} query
+   * @returns {ChatSessionMatch[]}
+   */
+  function searchSessions(query) {
+    const needle = query.trim().toLowerCase();
+    const byRecent = [...sessions].sort((a, b) => b.updatedAt - a.updatedAt);
+    if (!needle) return byRecent.map((session) => ({ session, snippet: null }));
+
+    /** @type {ChatSessionMatch[]} */
+    const matches = [];
+    for (const session of byRecent) {
+      if (session.name.toLowerCase().includes(needle)) {
+        matches.push({ session, snippet: null });
+        continue;
+      }
+      for (const message of session.messages) {
+        const index = message.content.toLowerCase().indexOf(needle);
+        if (index !== -1) {
+          const start = Math.max(0, index - 30);
+          const snippet = message.content.slice(start, index + needle.length + 30).replace(/\s+/g, ' ');
+          matches.push({ session, snippet: `${start > 0 ? '…' : ''}${snippet}` });
+          break;
+        }
+      }
+    }
+    return matches;
+  }
+
   // Clear current session
   function clearCurrentSession() {
     const session = getCurrentSession();
     if (session) {
+      discardAttachments(getSessionAttachments(session));
       session.messages = [];
+      delete session.summary;
       session.updatedAt = Date.now();
       saveSessions();
     }
   }
 
-  /** @param {string} content */
-  async function sendMessage(content) {
-    if (!content.trim()) return;
+  /**
+   * Export a session as Markdown or JSON. JSON includes uploaded attachments
+   * so it can be imported back as it was.
+   * @param {string} sessionId
+   * @param {'markdown' | 'json'} format
+   * @returns {Promise<string>}
+   */
+  async function exportSession(sessionId, format) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) throw new Error('Chat session not found');
+
+    const snapshot = $state.snapshot(session);
+    if (format === 'markdown') return sessionToMarkdown(snapshot);
+
+    /** @type {Record<string, string>} */
+    const attachments = {};
+    for (const attachment of getSessionAttachments(snapshot)) {
+      if (attachment.source !== 'upload') continue;
+      const blob = await attachmentStorage.getAttachmentBlob(attachment.id);
+      if (blob) attachments[attachment.id] = await blobToDataUrl(blob);
+    }
+    return sessionToJSON(snapshot, attachments);
+  }
+
+  /**
+   * Import an exported session as a new session and switch to it
+   * @param {string} text - Contents of a Markdown or JSON export
+   * @returns {Promise<ChatSession>}
+   * @throws {Error} If the file isn't a chat export
+   */
+  async function importSession(text) {
+    const parsed = parseSessionFile(text);
+    const session = createNewSession(parsed.name);
+
+    /** @type {Record<string, string>} */
+    const newIds = {};
+    for (const [id, dataUrl] of Object.entries(parsed.attachments)) {
+      const blob = await (await fetch(dataUrl)).blob();
+      newIds[id] = await attachmentStorage.saveAttachment(blob, session.id);
+    }
+
+    // Uploads whose data wasn't in the file can't be shown or sent, so drop them
+    session.messages = parsed.messages.map((message) => {
+      if (!message.attachments) return message;
+      const attachments = message.attachments
+        .filter((a) => a.source === 'gallery' || newIds[a.id])
+        .map((a) => (a.source === 'upload' ? { ...a, id: newIds[a.id] } : a));
+      return { ...message, attachments };
+    });
+    saveSessions();
+
+    return session;
+  }
+
+  /**
+   * Copy attachments into another session, so deleting either session
+   * leaves the other's images in place
+   * @param {ChatAttachment[]} attachments
+   * @param {string} sessionId
+   * @returns {Promise<ChatAttachment[]>}
+   */
+  async function copyAttachments(attachments, sessionId) {
+    return await Promise.all(attachments.map(async (attachment) => {
+      if (attachment.source !== 'upload') return attachment;
+      const blob = await attachmentStorage.getAttachmentBlob(attachment.id);
+      return blob ? { ...attachment, id: await attachmentStorage.saveAttachment(blob, sessionId) } : attachment;
+    }));
+  }
+
+  /**
+   * Edit a user message and regenerate the reply. The current session is
+   * left as it was; the edit goes into a new session holding everything up
+   * to that message.
+   * @param {string} messageId - User message to edit
+   * @param {string} content - New message text
+   */
+  async function editAndRegenerate(messageId, content) {
+    const source = getCurrentSession();
+    if (!source || isLoading) return;
+
+    const index = source.messages.findIndex((m) => m.id === messageId);
+    const original = source.messages[index];
+    if (!original || original.role !== 'user') return;
+    if (!content.trim() && !original.attachments?.length) return;
+
+    const snapshot = $state.snapshot(source);
+    const session = createNewSession(`${source.name} (edited)`);
+
+    /** @type {ChatMessage[]} */
+    const messages = [];
+    for (const message of snapshot.messages.slice(0, index)) {
+      messages.push(message.attachments
+        ? { ...message, attachments: await copyAttachments(message.attachments, session.id) }
+        : message);
+    }
+    messages.push({
+      id: `msg-${Date.now()}-${Math.random()}`,
+      role: 'user',
+      content: content.trim(),
+      timestamp: Date.now(),
+      ...(original.attachments?.length ? { attachments: await copyAttachments(snapshot.messages[index].attachments || [], session.id) } : {})
+    });
+
+    session.messages = messages;
+    if (snapshot.summary && messages.some((m) => m.id === snapshot.summary?.throughMessageId)) {
+      session.summary = snapshot.summary;
+    }
+    saveSessions();
+
+    await respond(session);
+  }
+
+  /**
+   * Attach an image to the next message. Gallery images are referenced by ID;
+   * anything else is copied into attachment storage, keeping localStorage small.
+   * @param {File | string} input - A file, or an image URL (e.g. dragged from the gallery)
+   * @returns {Promise<ChatAttachment>}
+   */
+  async function attachImage(input) {
+    const session = getCurrentSession();
+    if (!session) throw new Error('No chat session');
+
+    const source = imageManager.identifyImageSource(input);
+    if (source.imageId) {
+      const savedImage = imageManager.savedImages.find((img) => img.id === source.imageId);
+      return { source: 'gallery', id: source.imageId, name: savedImage ? `gallery image "${savedImage.prompt}"` : 'gallery image' };
+    }
+
+    /** @type {Blob | string} */
+    let blob = input;
+    if (typeof input === 'string') {
+      const response = await fetch(input);
+      if (!response.ok) throw new Error(`Failed to fetch image: ${response.statusText}`);
+      blob = await response.blob();
+    }
+    if (!(blob instanceof Blob) || !blob.type.startsWith('image/')) {
+      throw new Error('Only images can be attached');
+    }
+
+    const id = await attachmentStorage.saveAttachment(blob, session.id);
+    return { source: 'upload', id, name: source.label || 'attached image' };
+  }
+
+  /**
+   * Delete stored copies of attachments that are no longer needed, e.g.
+   * removed before sending. Gallery images are left alone.
+   * @param {ChatAttachment[]} attachments
+   */
+  function discardAttachments(attachments) {
+    const uploadIds = attachments.filter((a) => a.source === 'upload').map((a) => a.id);
+    attachmentStorage.deleteAttachments(uploadIds);
+  }
+
+  /**
+   * All attachments in a session's messages
+   * @param {ChatSession} session
+   * @returns {ChatAttachment[]}
+   */
+  function getSessionAttachments(session) {
+    return session.messages.flatMap((msg) => msg.attachments || []);
+  }
+
+  /**
+   * @param {string} content
+   * @param {ChatAttachment[]} [attachments] - Images to send with the message
+   */
+  async function sendMessage(content, attachments = []) {
+    if (!content.trim() && attachments.length === 0) return;
 
     const session = getCurrentSession();
     if (!session) return;
 
     // Add user message
-    const userMessage = addMessage('user', content.trim());
+    const userMessage = addMessage('user', content.trim(), false, attachments, session);
     if (!userMessage) return;
 
-    // Add assistant message placeholder with streaming state immediately
-    const assistantMessage = addMessage('assistant', '', true);
+    await respond(session);
+  }
+
+  /**
+   * Run a tool directly for a command that didn't need the model, e.g. a
+   * recognized voice command. The command and the tool's result are kept in
+   * the conversation like any other turn.
+   * @param {string} content - What the user said
+   * @param {string} toolName - Tool to run
+   * @param {Record<string, *>} args - Tool arguments
+   */
+  async function runCommand(content, toolName, args) {
+    const session = getCurrentSession();
+    if (!session || isLoading) return;
+
+    textToSpeech.stop();
+    addMessage('user', content.trim(), false, undefined, session);
+    const assistantMessage = addMessage('assistant', '', false, undefined, session);
     if (!assistantMessage) return;
+
+    isLoading = true;
+    error = '';
+    try {
+      await runToolCalls(session, assistantMessage, [{ function: { name: toolName, arguments: args } }]);
+      if (textToSpeech.enabled) {
+        const message = session.messages.find((m) => m.id === assistantMessage.id);
+        textToSpeech.speak(message?.toolCalls?.[0]?.result || '');
+      }
+    } finally {
+      isLoading = false;
+    }
+  }
+
+  /**
+   * Get the assistant's reply to the latest message
+   * @param {ChatSession} session
+   */
+  async function respond(session) {
+    textToSpeech.stop();
     isLoading = true;
     error = '';
 
     try {
-      // Use real Ollama API
-      await sendToOllama(session, assistantMessage);
-    } catch (/** @type {*} */ err) {
-      console.error('Failed to send message:', err);
-      updateMessage(assistantMessage.id, {
-        error: err.message || 'Failed to get response',
-        isStreaming: false
-      });
-      error = 'Failed to get AI response';
+      // Keep going while the assistant calls tools, feeding each round's results back
+      for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+        // Add assistant message placeholder with streaming state immediately
+        const assistantMessage = addMessage('assistant', '', true, undefined, session);
+        if (!assistantMessage) return;
+
+        let toolCalls;
+        try {
+          toolCalls = await sendToLlm(session, assistantMessage);
+        } catch (/** @type {*} */ err) {
+          console.error('Failed to send message:', err);
+          updateMessage(assistantMessage.id, {
+            error: err.message || 'Failed to get response',
+            isStreaming: false
+          }, session);
+          error = 'Failed to get AI response';
+          return;
+        }
+
+        if (textToSpeech.enabled) {
+          textToSpeech.speak(session.messages.find((m) => m.id === assistantMessage.id)?.content || '');
+        }
+
+        if (toolCalls.length === 0) break;
+        await runToolCalls(session, assistantMessage, toolCalls);
+      }
     } finally {
       isLoading = false;
     }
   }
 
-  // Send conversation to Ollama and handle streaming response
+  /**
+   * Convert chat messages to Ollama format. Tool calls are replayed as
+   * an assistant turn followed by one 'tool' message per result; attachments
+   * go in `images`, with their IDs listed so tools can refer to them.
+   * @param {ChatMessage[]} history
+   * @returns {Promise<import('./ollama-api.svelte.js').OllamaMessage[]>}
+   */
+  async function toOllamaMessages(history) {
+    /** @type {import('./ollama-api.svelte.js').OllamaMessage[]} */
+    const messages = [];
+
+    for (const msg of history) {
+
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        messages.push({
+          role: 'assistant',
+          content: msg.content,
+          tool_calls: msg.toolCalls.map((call) => ({ function: { name: call.name, arguments: call.arguments } }))
+        });
+        for (const call of msg.toolCalls) {
+          messages.push({ role: 'tool', tool_name: call.name, content: call.result || '' });
+        }
+      } else if (msg.attachments && msg.attachments.length > 0) {
+        const images = await Promise.all(msg.attachments.map(loadAttachmentBase64));
+        const list = msg.attachments
+          .map((a, i) => `- image_id ${a.id}: ${a.name}${images[i] ? '' : ' (no longer available)'}`)
+          .join('\n');
+        messages.push({
+          role: msg.role,
+          content: `${msg.content}\n\nAttached images:\n${list}`.trim(),
+          images: images.filter((image) => image !== null)
+        });
+      } else if (msg.content.trim()) {
+        messages.push({ role: msg.role, content: msg.content });
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Run a one-off completion without tools and return its text
+   * @param {import('./ollama-api.svelte.js').OllamaMessage[]} messages
+   * @returns {Promise<string>}
+   */
+  function completeText(messages) {
+    return new Promise((resolve, reject) => {
+      let text = '';
+      llmApi.sendMessage(
+        messages,
+        (chunk) => { text += chunk; },
+        () => resolve(text.trim()),
+        reject
+      );
+    });
+  }
+
+  /**
+   * Bring the session summary up to date with the messages that no longer
+   * fit, summarizing only what the saved summary doesn't cover yet
+   * @param {ChatSession} session
+   * @param {ChatMessage[]} older - Messages left out of the context
+   * @param {number} budget - Tokens one summarization request may use
+   * @returns {Promise<string>}
+   */
+  async function summarizeOlderMessages(session, older, budget) {
+    const coveredUpTo = session.summary
+      ? older.findIndex((m) => m.id === session.summary?.throughMessageId)
+      : -1;
+    let summary = coveredUpTo === -1 ? '' : /** @type {ChatSummary} */ (session.summary).content;
+    const pending = older.slice(coveredUpTo + 1);
+    if (pending.length === 0) return summary;
+
+    console.log(`📝 Summarizing ${pending.length} older chat messages to fit the context`);
+    for (const chunk of chunkMessages(pending, budget)) {
+      const transcript = formatTranscript(chunk);
+      summary = await completeText([
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: summary ? `Summary so far:\n${summary}\n\nConversation since:\n${transcript}` : transcript }
+      ]);
+    }
+
+    session.summary = { content: summary, throughMessageId: older[older.length - 1].id };
+    saveSessions();
+    return summary;
+  }
+
+  /**
+   * Build the messages to send: the system prompt, then as much recent
+   * history as fits the configured context, with older turns summarized
+   * @param {ChatSession} session
+   * @param {import('./ollama-api.svelte.js').OllamaTool[]} tools
+   * @returns {Promise<import('./ollama-api.svelte.js').OllamaMessage[]>}
+   */
+  async function buildContext(session, tools) {
+    const history = session.messages.filter((m) => m.role !== 'system' && !m.error && !m.isStreaming);
+
+    const contextTokens = Number(settingsManager.getSetting('llmContextTokens')) || 8192;
+    const reserved = Number(settingsManager.getSetting('llmMaxTokens')) + estimateTextTokens(SYSTEM_PROMPT) + estimateTextTokens(JSON.stringify(tools));
+    const budget = Math.max(MIN_HISTORY_TOKENS, contextTokens - reserved);
+
+    const { older, recent } = splitContext(history, budget);
+    let systemPrompt = SYSTEM_PROMPT;
+
+    if (older.length > 0) {
+      try {
+        const summary = await summarizeOlderMessages(session, older, budget);
+        systemPrompt += `\n\nSummary of the earlier conversation, which is no longer shown:\n${summary}`;
+      } catch (err) {
+        console.warn('Failed to summarize older chat messages, leaving them out:', err);
+        systemPrompt += '\n\nEarlier messages of this conversation were left out to fit your context.';
+      }
+    }
+
+    return [{ role: 'system', content: systemPrompt }, ...(await toOllamaMessages(recent))];
+  }
+
+  // Send conversation to the LLM backend and handle streaming response
   /** 
    * @param {ChatSession} session 
    * @param {ChatMessage} assistantMessage 
+   * @returns {Promise<import('./ollama-api.svelte.js').OllamaToolCall[]>} Tools the model called
    */
-  async function sendToOllama(session, assistantMessage) {
-    // Convert session messages to Ollama format
-    const ollamaMessages = session.messages
-      .filter(/** @param {ChatMessage} msg */ (msg) => msg.role !== 'system' && msg.content.trim() && !msg.error)
-      .map(/** @param {ChatMessage} msg */ (msg) => (/** @type {import('./ollama-api.svelte.js').OllamaMessage} */ ({
-        role: /** @type {'user' | 'assistant' | 'system'} */ (msg.role),
-        content: msg.content
-      })));
-
-    // Add system message for context
-    const toolsList = Object.values(availableTools).map(tool => `- ${tool.name}: ${tool.description}`).join('\n');
-    /** @type {import('./ollama-api.svelte.js').OllamaMessage} */
-    const systemMessage = {
-      role: 'system',
-      content: `You are an AI assistant integrated into a Windows 95-style multimedia application. You can help users with image generation, video creation, upscaling, and other creative tasks. Be helpful, concise, and friendly.
-
-CRITICAL INSTRUCTION: You have access to tools that can open windows in the application. When users request features like image generation, video creation, or opening galleries, you MUST include the exact text "TOOL_CALL: tool_name" in your response.
-
-IMPORTANT: Use ONLY these exact tool names:
-- generate_image (for any image creation request)
-- generate_video (for any video creation request) 
-- enhance_image (for image upscaling/enhancement)
-- enhance_video (for video upscaling/enhancement)
-- view_images (for viewing saved images)
-- view_videos (for viewing saved videos)
-- open_settings (for settings/preferences)
-- open_notepad (for text editing)
-
-MANDATORY RULE: Your response MUST contain "TOOL_CALL: exact_tool_name" using only the names listed above.
-
-CORRECT examples:
-- User: "I want to make a video" → You: "TOOL_CALL: generate_video Let me open the video generator!"
-- User: "create an image" → You: "TOOL_CALL: generate_image Opening the image generator!"
-- User: "show my videos" → You: "TOOL_CALL: view_videos Opening your video gallery!"
-
-Use ONLY the exact tool names from the list above.`
-    };
+  async function sendToLlm(session, assistantMessage) {
+    const tools = getToolDeclarations();
+    const messages = await buildContext(session, tools);
+    const hasImages = messages.some((msg) => msg.images && msg.images.length > 0);
 
-    const messages = [systemMessage, ...ollamaMessages];
-
-    return new Promise(/** @param {(value?: any) => void} resolve @param {(reason?: any) => void} reject */ (resolve, reject) => {
+    return new Promise((resolve, reject) => {
       let responseContent = '';
 
-      ollamaApi.sendMessage(
+      llmApi.sendMessage(
         messages,
         // onChunk: Handle streaming content
         (chunk) => {
@@ -386,93 +689,66 @@ Use ONLY the exact tool names from the list above.`
           updateMessage(assistantMessage.id, {
             content: responseContent,
             isStreaming: true
-          });
+          }, session);
         },
         // onComplete: Response finished
-        async () => {
-          // Check for tool calls in the response
-          const toolCallResult = await handleToolCalls(responseContent);
-          
-          // Update the message with final content (may include tool results)
+        (toolCalls) => {
           updateMessage(assistantMessage.id, {
-            content: toolCallResult.content,
+            content: responseContent,
             isStreaming: false
-          });
-          
-          resolve();
+          }, session);
+          resolve(toolCalls);
         },
         // onError: Handle errors
         (error) => {
-          console.error('Ollama error:', error);
-          updateMessage(assistantMessage.id, {
-            error: error.message,
-            isStreaming: false
-          });
+          console.error('LLM error:', error);
           reject(error);
+        },
+        {
+          tools,
+          model: hasImages ? llmApi.visionModel : llmApi.defaultModel
         }
       );
     });
   }
 
   /**
-   * Handle tool calls in AI response
-   * @param {string} content - The AI response content
-   * @returns {Promise<{content: string}>} - Updated content with tool results
+   * Execute the tools the assistant called, recording each result on its message
+   * @param {ChatSession} session
+   * @param {ChatMessage} assistantMessage
+   * @param {import('./ollama-api.svelte.js').OllamaToolCall[]} toolCalls
    */
-  async function handleToolCalls(content) {
-    console.log('🔍 Checking for tool calls in response:', content);
-    
-    // Look for tool call pattern: TOOL_CALL: tool_name
-    const toolCallRegex = /TOOL_CALL:\s*(\w+)/g;
-    const matches = [...content.matchAll(toolCallRegex)];
-    
-    console.log(`🔍 Found ${matches.length} tool calls:`, matches.map(m => m[1]));
-    
-    if (matches.length === 0) {
-      console.log('⚠️ No tool calls found in AI response. Response was:', content);
-      return { content };
-    }
+  async function runToolCalls(session, assistantMessage, toolCalls) {
+    /** @type {ChatToolCall[]} */
+    const calls = toolCalls.map((call) => ({
+      name: call.function.name,
+      arguments: parseToolArguments(call.function.arguments),
+      status: 'running'
+    }));
+    updateMessage(assistantMessage.id, { toolCalls: calls }, session);
+
+    // Run in order; a later call may depend on an earlier one's result
+    for (let i = 0; i < calls.length; i++) {
+      const call = calls[i];
+      console.log(`🔧 Executing tool: ${call.name}`, call.arguments);
+
+      /** @type {Partial<ChatToolCall>} */
+      let update;
+      try {
+        const result = await executeTool(call.name, call.arguments);
+        update = { status: 'done', result: result.content, images: result.images };
+        console.log(`✅ Tool ${call.name} executed successfully: ${result.content}`);
+      } catch (/** @type {*} */ err) {
+        console.error(`❌ Tool execution failed for ${call.name}:`, err);
+        update = { status: 'error', result: `Error: ${err.message}` };
+      }
 
-    let updatedContent = content;
-    
-    for (const match of matches) {
-      const toolName = match[1];
-      /** @type {any} */
-      const tool = availableTools[/** @type {keyof typeof availableTools} */ (toolName)];
-      
-      if (tool) {
-        try {
-          console.log(`🔧 Executing tool: ${toolName}`);
-          
-          // Execute the tool
-          const toolResult = tool.execute();
-          
-          // Replace the TOOL_CALL with the result
-          const toolCallText = match[0];
-          const replacement = `✅ ${toolResult}`;
-          updatedContent = updatedContent.replace(toolCallText, replacement);
-          
-          console.log(`✅ Tool ${toolName} executed successfully: ${toolResult}`);
-          
-        } catch (/** @type {*} */ error) {
-          console.error(`❌ Tool execution failed for ${toolName}:`, error);
-          
-          // Replace with error message
-          const toolCallText = match[0];
-          const replacement = `❌ Failed to execute ${toolName}: ${error.message}`;
-          updatedContent = updatedContent.replace(toolCallText, replacement);
-        }
-      } else {
-        console.warn(`⚠️ Unknown tool: ${toolName}`);
-        
-        // Replace with unknown tool message
-        const toolCallText = match[0];
-        const replacement = `❌ Unknown tool: ${toolName}`;
-        updatedContent = updatedContent.replace(toolCallText, replacement);
+      const message = session.messages.find((m) => m.id === assistantMessage.id);
+      if (message?.toolCalls) {
+        Object.assign(message.toolCalls[i], update);
+        saveSessions();
       }
     }
-    
-    return { content: updatedContent };
   }
 
   // Initialize
@@ -488,8 +764,16 @@ Use ONLY the exact tool names from the list above.`
     createNewSession,
     switchToSession,
     deleteSession,
+    renameSession,
+    searchSessions,
     clearCurrentSession,
+    exportSession,
+    importSession,
+    editAndRegenerate,
     sendMessage,
+    runCommand,
+    attachImage,
+    discardAttachments,
     addMessage,
     updateMessage
   };
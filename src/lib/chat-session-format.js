@@ -0,0 +1,214 @@
+/**
+ * Chat Session Format
+ * Converts chat sessions to and from Markdown and JSON files.
+ *
+ * JSON keeps everything, including uploaded attachments as data URLs, and
+ * round-trips exactly. Markdown is meant for reading; importing it restores
+ * the text and tool calls, but not images.
+ */
+
+const SESSION_FORMAT = 'chat-session';
+const SESSION_VERSION = 1;
+
+const ROLE_HEADINGS = { user: 'You', assistant: 'AI Assistant' };
+
+/**
+ * @typedef {import('./chat-manager.svelte.js').ChatSession} ChatSession
+ * @typedef {import('./chat-manager.svelte.js').ChatMessage} ChatMessage
+ * @typedef {import('./chat-manager.svelte.js').ChatToolCall} ChatToolCall
+ */
+
+/**
+ * @typedef {Object} ChatSessionFile
+ * @property {string} format - Always 'chat-session'
+ * @property {number} version - File format version
+ * @property {string} exportedAt - ISO timestamp
+ * @property {ChatSession} session - The session, as stored
+ * @property {Record<string, string>} attachments - Data URLs of uploaded attachments, by attachment ID
+ */
+
+/**
+ * @typedef {Object} ParsedChatSession
+ * @property {string} name - Session name
+ * @property {ChatMessage[]} messages - Messages, with the IDs they were exported with
+ * @property {Record<string, string>} attachments - Data URLs of uploaded attachments, by attachment ID
+ */
+
+/**
+ * File name for an exported session
+ * @param {ChatSession} session
+ * @param {'markdown' | 'json'} format
+ * @returns {string}
+ */
+export function getExportFilename(session, format) {
+  const slug = session.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chat';
+  return `${slug}.${format === 'json' ? 'json' : 'md'}`;
+}
+
+/**
+ * Serialize a session to JSON
+ * @param {ChatSession} session
+ * @param {Record<string, string>} attachments - Data URLs of its uploaded attachments
+ * @returns {string}
+ */
+export function sessionToJSON(session, attachments) {
+  /** @type {ChatSessionFile} */
+  const file = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    session,
+    attachments
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Render a session as Markdown
+ * @param {ChatSession} session
+ * @returns {string}
+ */
+export function sessionToMarkdown(session) {
+  const parts = [`# ${session.name}`, `_Exported ${new Date().toISOString()}_`];
+
+  for (const message of session.messages) {
+    if (message.role === 'system' || message.error) continue;
+
+    const lines = [`## ${ROLE_HEADINGS[message.role]} (${new Date(message.timestamp).toISOString()})`];
+    if (message.content) lines.push('', message.content);
+
+    for (const attachment of message.attachments || []) {
+      lines.push('', `*Attached ${attachment.name} (image_id ${attachment.id})*`);
+    }
+    for (const call of message.toolCalls || []) {
+      lines.push('', `> 🔧 **${call.name}** \`${JSON.stringify(call.arguments)}\``);
+      if (call.result) {
+        lines.push(...call.result.split('\n').map((line) => `> ${line}`));
+      }
+    }
+
+    parts.push(lines.join('\n'));
+  }
+
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Parse an exported session file, JSON or Markdown
+ * @param {string} text - File contents
+ * @returns {ParsedChatSession}
+ * @throws {Error} If the file isn't a chat export
+ */
+export function parseSessionFile(text) {
+  return text.trimStart().startsWith('{') ? parseSessionJSON(text) : parseSessionMarkdown(text);
+}
+
+/**
+ * @param {string} text
+ * @returns {ParsedChatSession}
+ */
+function parseSessionJSON(text) {
+  /** @type {ChatSessionFile} */
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (file?.format !== SESSION_FORMAT || !Array.isArray(file.session?.messages)) {
+    throw new Error('File is not a chat session export');
+  }
+  if (file.version > SESSION_VERSION) {
+    throw new Error(`Chat export version ${file.version} is newer than this app supports`);
+  }
+
+  return {
+    name: String(file.session.name || 'Imported chat'),
+    messages: file.session.messages.map((message) => ({ ...message, isStreaming: false })),
+    attachments: file.attachments || {}
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {ParsedChatSession}
+ */
+function parseSessionMarkdown(text) {
+  const headingPattern = /^## (You|AI Assistant)(?: \(([^)]*)\))?\s*$/gm;
+  const headings = [...text.matchAll(headingPattern)];
+  if (headings.length === 0) {
+    throw new Error('File is not a chat session export');
+  }
+
+  const name = text.match(/^# (.+)$/m)?.[1].trim() || 'Imported chat';
+
+  /** @type {ChatMessage[]} */
+  const messages = headings.map((heading, i) => {
+    const start = /** @type {number} */ (heading.index) + heading[0].length;
+    const end = i + 1 < headings.length ? headings[i + 1].index : text.length;
+    const timestamp = Date.parse(heading[2] || '');
+
+    /** @type {ChatMessage} */
+    const message = {
+      id: `msg-${Date.now()}-${i}`,
+      role: heading[1] === 'You' ? 'user' : 'assistant',
+      content: '',
+      timestamp: Number.isNaN(timestamp) ? Date.now() : timestamp
+    };
+
+    const { content, toolCalls } = parseMessageBody(text.slice(start, end));
+    message.content = content;
+    if (toolCalls.length > 0) message.toolCalls = toolCalls;
+    return message;
+  });
+
+  return { name, messages, attachments: {} };
+}
+
+/**
+ * Separate a Markdown message body into its text and tool call quotes.
+ * Attachment lines are dropped; the images aren't in the file.
+ * @param {string} body
+ * @returns {{content: string, toolCalls: ChatToolCall[]}}
+ */
+function parseMessageBody(body) {
+  /** @type {string[]} */
+  const contentLines = [];
+  /** @type {ChatToolCall[]} */
+  const toolCalls = [];
+  /** @type {string[] | null} */
+  let resultLines = null;
+
+  const finishCall = () => {
+    // A call exported without a result has no quoted lines after it
+    if (resultLines && resultLines.length > 0 && toolCalls.length > 0) {
+      toolCalls[toolCalls.length - 1].result = resultLines.join('\n').trim();
+    }
+    resultLines = null;
+  };
+
+  for (const line of body.split('\n')) {
+    const call = line.match(/^> 🔧 \*\*(.+?)\*\* `(.*)`$/);
+    if (call) {
+      finishCall();
+      /** @type {Record<string, *>} */
+      let args = {};
+      try {
+        args = JSON.parse(call[2]);
+      } catch {
+        // Hand-edited arguments; keep the call without them
+      }
+      toolCalls.push({ name: call[1], arguments: args, status: 'done' });
+      resultLines = [];
+    } else if (resultLines && line.startsWith('>')) {
+      resultLines.push(line.replace(/^> ?/, ''));
+    } else {
+      finishCall();
+      if (!/^\*Attached .* \(image_id .*\)\*$/.test(line)) contentLines.push(line);
+    }
+  }
+  finishCall();
+
+  return { content: contentLines.join('\n').trim(), toolCalls };
+}
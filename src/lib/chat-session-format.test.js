@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { getExportFilename, sessionToJSON, sessionToMarkdown, parseSessionFile } from './chat-session-format.js';
+
+/** @type {import('./chat-manager.svelte.js').ChatSession} */
+const SESSION = {
+  id: 'session-1',
+  name: 'Fox portraits: take 2!',
+  createdAt: Date.parse('2026-01-02T10:00:00.000Z'),
+  updatedAt: Date.parse('2026-01-02T10:05:00.000Z'),
+  summary: { content: 'Earlier: picked a palette', throughMessageId: 'm0' },
+  messages: [
+    { id: 'm0', role: 'system', content: 'You are helpful', timestamp: Date.parse('2026-01-02T10:00:00.000Z') },
+    {
+      id: 'm1',
+      role: 'user',
+      content: 'Paint this fox\n\nin **oil**',
+      timestamp: Date.parse('2026-01-02T10:01:00.000Z'),
+      attachments: [{ source: 'upload', id: 'att-1', name: 'fox.png' }]
+    },
+    {
+      id: 'm2',
+      role: 'assistant',
+      content: 'Here are two takes.',
+      timestamp: Date.parse('2026-01-02T10:02:00.000Z'),
+      toolCalls: [
+        { name: 'generate_image', arguments: { prompt: 'a fox, oil', seed: 7 }, status: 'done', result: 'Generated 1 image\nimage_id: img-9' },
+        { name: 'list_images', arguments: {}, status: 'done' }
+      ]
+    },
+    { id: 'm3', role: 'assistant', content: '', timestamp: Date.parse('2026-01-02T10:03:00.000Z'), error: 'Network error' }
+  ]
+};
+
+describe('getExportFilename', () => {
+  it.each(/** @type {const} */ ([
+    ['json', 'fox-portraits-take-2.json'],
+    ['markdown', 'fox-portraits-take-2.md']
+  ]))('slugs the session name for %s', (format, expected) => {
+    expect(getExportFilename(SESSION, format)).toBe(expected);
+  });
+
+  it('falls back to "chat" for a name without letters or digits', () => {
+    expect(getExportFilename({ ...SESSION, name: '!!!' }, 'json')).toBe('chat.json');
+  });
+});
+
+describe('JSON export and import', () => {
+  it('round-trips the session and its attachments exactly', () => {
+    const attachments = { 'att-1': 'data:image/png;base64,AAAA' };
+
+    const parsed = parseSessionFile(sessionToJSON(SESSION, attachments));
+
+    expect(parsed.name).toBe(SESSION.name);
+    expect(parsed.messages).toEqual(SESSION.messages.map((message) => ({ ...message, isStreaming: false })));
+    expect(parsed.attachments).toEqual(attachments);
+  });
+
+  it('clears a streaming flag saved mid-reply', () => {
+    const streaming = { ...SESSION, messages: [{ ...SESSION.messages[2], isStreaming: true }] };
+
+    expect(parseSessionFile(sessionToJSON(streaming, {})).messages[0].isStreaming).toBe(false);
+  });
+
+  it.each([
+    ['{ not json', 'File is not valid JSON'],
+    ['{"format": "something-else", "session": {"messages": []}}', 'File is not a chat session export'],
+    ['{"format": "chat-session", "version": 99, "session": {"messages": []}}', 'Chat export version 99 is newer than this app supports']
+  ])('rejects %s', (text, message) => {
+    expect(() => parseSessionFile(text)).toThrow(message);
+  });
+});
+
+describe('Markdown export and import', () => {
+  const markdown = sessionToMarkdown(SESSION);
+
+  it('writes the conversation but not system or failed messages', () => {
+    expect(markdown).toContain('# Fox portraits: take 2!');
+    expect(markdown).toContain('## You (2026-01-02T10:01:00.000Z)');
+    expect(markdown).toContain('*Attached fox.png (image_id att-1)*');
+    expect(markdown).toContain('> 🔧 **generate_image** `{"prompt":"a fox, oil","seed":7}`\n> Generated 1 image\n> image_id: img-9');
+    expect(markdown).not.toContain('You are helpful');
+    expect((markdown.match(/^## /gm) || []).length).toBe(2);
+  });
+
+  it('reads back the text, timestamps and tool calls, but not images', () => {
+    const parsed = parseSessionFile(markdown);
+
+    expect(parsed.name).toBe(SESSION.name);
+    expect(parsed.attachments).toEqual({});
+    expect(parsed.messages.map(({ id, ...message }) => message)).toEqual([
+      { role: 'user', content: 'Paint this fox\n\nin **oil**', timestamp: SESSION.messages[1].timestamp },
+      {
+        role: 'assistant',
+        content: 'Here are two takes.',
+        timestamp: SESSION.messages[2].timestamp,
+        toolCalls: [
+          { name: 'generate_image', arguments: { prompt: 'a fox, oil', seed: 7 }, status: 'done', result: 'Generated 1 image\nimage_id: img-9' },
+          { name: 'list_images', arguments: {}, status: 'done' }
+        ]
+      }
+    ]);
+    expect(new Set(parsed.messages.map((message) => message.id)).size).toBe(2);
+  });
+
+  it('keeps a tool call whose arguments were edited into invalid JSON', () => {
+    const parsed = parseSessionFile('## AI Assistant\n\nOk\n\n> 🔧 **upscale** `{broken`\n> done');
+
+    expect(parsed.name).toBe('Imported chat');
+    expect(parsed.messages[0].toolCalls).toEqual([{ name: 'upscale', arguments: {}, status: 'done', result: 'done' }]);
+  });
+
+  it('rejects Markdown without message headings', () => {
+    expect(() => parseSessionFile('# Notes\n\nJust some text')).toThrow('File is not a chat session export');
+  });
+});
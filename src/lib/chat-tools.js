@@ -0,0 +1,293 @@
+/**
+ * Chat Tools
+ * Tools the chat assistant can call through Ollama's native tool calling.
+ * Each tool declares JSON-schema parameters; the model fills them in and the
+ * result is fed back into the conversation.
+ */
+
+import { fluxApiManager } from './flux-api-manager.svelte.js';
+import { imageManager } from './image-manager.svelte.js';
+import { models } from './fal-api.svelte.js';
+import attachmentStorage from './chat-attachment-storage.js';
+import { blobToDataUrl } from './image-utils.js';
+import FluxorController from '$lib/windows/fluxor/FluxorController.svelte.js';
+import CinematOrController from '$lib/windows/cinemator/CinematOrController.svelte.js';
+import UpscalerController from '$lib/windows/upscaler/UpscalerController.svelte.js';
+import VideoUpscalerController from '$lib/windows/video-upscaler/VideoUpscalerController.svelte.js';
+import ImageGalleryController from '$lib/windows/image-gallery/ImageGalleryController.js';
+import VideoGalleryController from '$lib/windows/video-gallery/VideoGalleryController.js';
+import SettingsController from '$lib/windows/settings/SettingsController.svelte.js';
+import NotepadController from '$lib/windows/notepad/NotepadController.svelte.js';
+import LoRAStudioController from '$lib/windows/lora-studio/LoRAStudioController.svelte.js';
+import LightingStudioController from '$lib/windows/lighting-studio/LightingStudioController.svelte.js';
+
+/**
+ * @typedef {Object} ChatToolImage
+ * @property {string | null} imageId - Saved image ID, if the image was saved
+ * @property {string} url - Image URL as returned by the provider
+ *
+ * @typedef {Object} ChatToolResult
+ * @property {string} content - Result text fed back to the model
+ * @property {ChatToolImage[]} [images] - Images the tool produced, shown in the chat
+ *
+ * @typedef {Object} ChatTool
+ * @property {string} name - Tool name the model calls
+ * @property {string} description - What the tool does, for the model
+ * @property {{type: 'object', properties: Record<string, *>, required: string[]}} parameters - JSON schema of the arguments
+ * @property {(args: Record<string, *>) => ChatToolResult | Promise<ChatToolResult>} execute
+ */
+
+/** @type {AspectRatio[]} */
+const ASPECT_RATIOS = ['21:9', '16:9', '4:3', '1:1', '3:4', '9:16'];
+
+/** Most images one generate_image call may ask for */
+const MAX_CHAT_IMAGES = 4;
+
+/** Model used for images generated from the chat */
+const CHAT_IMAGE_MODEL = models.flux_kontext_pro;
+
+/**
+ * Tool that opens a window and takes no arguments
+ * @param {string} name
+ * @param {string} description
+ * @param {() => void} open
+ * @param {string} result
+ * @returns {ChatTool}
+ */
+function windowTool(name, description, open, result) {
+  return {
+    name,
+    description,
+    parameters: { type: 'object', properties: {}, required: [] },
+    execute: () => {
+      open();
+      return { content: result };
+    }
+  };
+}
+
+/**
+ * URL for an image the model refers to by ID: a saved gallery image or an
+ * image attached in the chat. Gallery images keep their object URL so the
+ * studio can link its output back to them.
+ * @param {string} id
+ * @returns {Promise<string>}
+ */
+async function resolveImageUrl(id) {
+  if (imageManager.savedImages.some((img) => img.id === id)) {
+    const url = await imageManager.getImageUrl(id);
+    if (url) return url;
+  }
+
+  const blob = await attachmentStorage.getAttachmentBlob(id);
+  if (!blob) {
+    throw new Error(`No saved or attached image with ID ${id}`);
+  }
+  return await blobToDataUrl(blob);
+}
+
+/** JSON schema for an image_id argument */
+const IMAGE_ID_PARAMETER = {
+  type: 'string',
+  description: 'ID of a saved image (e.g. one returned by generate_image) or of an image attached in the chat'
+};
+
+/** @type {ChatTool} */
+const generateImageTool = {
+  name: 'generate_image',
+  description: 'Generate images from a text prompt and save them to the gallery. Use this whenever the user asks to create, draw, make or design an image.',
+  parameters: {
+    type: 'object',
+    properties: {
+      prompt: {
+        type: 'string',
+        description: 'Detailed description of the image, in English'
+      },
+      aspect_ratio: {
+        type: 'string',
+        enum: ASPECT_RATIOS,
+        description: 'Aspect ratio, e.g. 9:16 for portrait phone wallpapers or 16:9 for landscape. Defaults to 1:1.'
+      },
+      num_images: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_CHAT_IMAGES,
+        description: 'How many images to generate. Defaults to 1.'
+      },
+      seed: {
+        type: 'integer',
+        description: 'Seed for reproducible results. Only set it if the user asks for one.'
+      }
+    },
+    required: ['prompt']
+  },
+  execute: async (args) => {
+    const prompt = String(args.prompt || '').trim();
+    if (!prompt) {
+      throw new Error('A prompt is required');
+    }
+
+    const aspectRatio = ASPECT_RATIOS.includes(args.aspect_ratio) ? args.aspect_ratio : '1:1';
+    const numImages = Math.min(MAX_CHAT_IMAGES, Math.max(1, parseInt(args.num_images) || 1));
+    const seed = Number.isInteger(Number(args.seed)) && args.seed !== null && args.seed !== undefined
+      ? Number(args.seed)
+      : Math.floor(Math.random() * 1000000);
+
+    /** @type {ImageGenerationOptions} */
+    const options = {
+      prompt,
+      aspect_ratio: /** @type {AspectRatio} */ (aspectRatio),
+      num_images: numImages,
+      output_format: 'jpeg',
+      seed
+    };
+
+    const result = await fluxApiManager.generateImage(options, CHAT_IMAGE_MODEL);
+
+    /** @type {ChatToolImage[]} */
+    const images = [];
+    for (const image of result.images) {
+      const imageId = await imageManager.saveImage(image.url, prompt, {
+        model: CHAT_IMAGE_MODEL,
+        seed: image.seed ?? result.seed ?? seed,
+        aspectRatio: options.aspect_ratio,
+        outputFormat: 'jpeg',
+        numImages,
+        provider: result.provider,
+        batchIndex: image.batchIndex
+      });
+      images.push({ imageId, url: image.url });
+    }
+
+    const saved = images.filter((image) => image.imageId).length;
+    return {
+      content: `Generated ${images.length} image${images.length === 1 ? '' : 's'} at ${aspectRatio} (seed ${result.seed ?? seed}) for "${prompt}". ${saved} saved to the image gallery.`,
+      images
+    };
+  }
+};
+
+/** @type {ChatTool} */
+const enhanceImageTool = {
+  name: 'enhance_image',
+  description: 'Upscale, enhance, improve, or increase image quality or resolution. Opens the image enhancer, optionally with a saved image loaded.',
+  parameters: {
+    type: 'object',
+    properties: {
+      image_id: { ...IMAGE_ID_PARAMETER, description: `${IMAGE_ID_PARAMETER.description}. Omit to open the enhancer empty.` }
+    },
+    required: []
+  },
+  execute: async (args) => {
+    if (args.image_id) {
+      UpscalerController.openUpscalerWindow(await resolveImageUrl(args.image_id));
+      return { content: `Opened the image enhancer with image ${args.image_id}` };
+    }
+
+    UpscalerController.openUpscalerWindow();
+    return { content: 'Opened image enhancer' };
+  }
+};
+
+/** @type {ChatTool} */
+const editWithLoRATool = {
+  name: 'edit_image_with_lora',
+  description: 'Edit an image in LoRA Studio following an instruction, e.g. "make it a watercolor" or "put a hat on the dog". Opens LoRA Studio with the image and instruction filled in for the user to run.',
+  parameters: {
+    type: 'object',
+    properties: {
+      image_id: IMAGE_ID_PARAMETER,
+      prompt: {
+        type: 'string',
+        description: 'The edit instruction, in English'
+      }
+    },
+    required: ['image_id', 'prompt']
+  },
+  execute: async (args) => {
+    const prompt = String(args.prompt || '').trim();
+    LoRAStudioController.openLoRAStudioWindow({ imageUrl: await resolveImageUrl(args.image_id), prompt });
+    return { content: `Opened LoRA Studio with image ${args.image_id} and the edit "${prompt}". The user can adjust LoRAs and press Generate.` };
+  }
+};
+
+/** @type {ChatTool} */
+const relightImageTool = {
+  name: 'relight_image',
+  description: 'Relight an image: opens Lighting Studio with the image loaded, to render it under several lighting scenarios.',
+  parameters: {
+    type: 'object',
+    properties: {
+      image_id: IMAGE_ID_PARAMETER
+    },
+    required: ['image_id']
+  },
+  execute: async (args) => {
+    LightingStudioController.openLightingStudioWindow(await resolveImageUrl(args.image_id));
+    return { content: `Opened Lighting Studio with image ${args.image_id}. The user can pick scenarios and generate.` };
+  }
+};
+
+/** @type {Record<string, ChatTool>} */
+export const chatTools = Object.fromEntries(
+  [
+    generateImageTool,
+    enhanceImageTool,
+    editWithLoRATool,
+    relightImageTool,
+    windowTool('open_image_generator', 'Open the Fluxor image generator window for manual editing', () => FluxorController.openFluxorWindow(), 'Opened image generator'),
+    windowTool('generate_video', 'Create, generate, make, or design a video or movie', () => CinematOrController.openCinematOrWindow(), 'Opened video generator'),
+    windowTool('enhance_video', 'Upscale, enhance, improve, or increase video quality or resolution', () => VideoUpscalerController.openVideoUpscalerWindow(), 'Opened video enhancer'),
+    windowTool('view_images', 'View, show, browse, or open saved images or photos', () => ImageGalleryController.openImageGalleryWindow(), 'Opened image gallery'),
+    windowTool('view_videos', 'View, show, browse, or open saved videos or movies', () => VideoGalleryController.openVideoGalleryWindow(), 'Opened video gallery'),
+    windowTool('open_settings', 'Open settings, preferences, or configuration', () => SettingsController.openSettingsWindow(), 'Opened settings'),
+    windowTool('open_notepad', 'Open notepad, text editor, or write text', () => NotepadController.openNotepadWindow(), 'Opened notepad'),
+    windowTool('open_lora_studio', 'Open LoRA Studio for image editing with LoRA adaptations', () => LoRAStudioController.openLoRAStudioWindow(), 'Opened LoRA Studio')
+  ].map((tool) => [tool.name, tool])
+);
+
+/**
+ * Tool declarations in the format Ollama's `tools` field expects
+ * @returns {import('./ollama-api.svelte.js').OllamaTool[]}
+ */
+export function getToolDeclarations() {
+  return Object.values(chatTools).map((tool) => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Normalize tool call arguments; some models send them as a JSON string
+ * @param {*} args
+ * @returns {Record<string, *>}
+ */
+export function parseToolArguments(args) {
+  if (typeof args === 'string') {
+    try {
+      const parsed = JSON.parse(args);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return args && typeof args === 'object' ? args : {};
+}
+
+/**
+ * Run a tool the model called
+ * @param {string} name
+ * @param {Record<string, *>} args
+ * @returns {Promise<ChatToolResult>}
+ */
+export async function executeTool(name, args) {
+  const tool = chatTools[name];
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+  return await tool.execute(args);
+}
@@ -0,0 +1,176 @@
+/**
+ * ComfyUI Workflows
+ * Default API-format workflows for the local diffusion provider and the
+ * placeholder substitution used to fill them (or a user-supplied workflow)
+ * from Fluxor's options.
+ *
+ * Placeholders are written as "{{name}}". A string that is exactly one
+ * placeholder is replaced by the raw value, so "{{seed}}" becomes a number;
+ * placeholders inside longer strings are replaced as text.
+ */
+
+/** Placeholders filled from generation options */
+export const WORKFLOW_PLACEHOLDERS = [
+  'prompt',
+  'negative_prompt',
+  'seed',
+  'width',
+  'height',
+  'batch_size',
+  'steps',
+  'cfg',
+  'denoise',
+  'checkpoint',
+  'image'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+const EXACT_PLACEHOLDER_PATTERN = /^\{\{(\w+)\}\}$/;
+
+/** Text-to-image: checkpoint → empty latent → KSampler → SaveImage */
+export const DEFAULT_TEXT_TO_IMAGE_WORKFLOW = {
+  '3': {
+    class_type: 'KSampler',
+    inputs: {
+      seed: '{{seed}}',
+      steps: '{{steps}}',
+      cfg: '{{cfg}}',
+      sampler_name: 'euler',
+      scheduler: 'normal',
+      denoise: 1,
+      model: ['4', 0],
+      positive: ['6', 0],
+      negative: ['7', 0],
+      latent_image: ['5', 0]
+    }
+  },
+  '4': {
+    class_type: 'CheckpointLoaderSimple',
+    inputs: { ckpt_name: '{{checkpoint}}' }
+  },
+  '5': {
+    class_type: 'EmptyLatentImage',
+    inputs: { width: '{{width}}', height: '{{height}}', batch_size: '{{batch_size}}' }
+  },
+  '6': {
+    class_type: 'CLIPTextEncode',
+    inputs: { text: '{{prompt}}', clip: ['4', 1] }
+  },
+  '7': {
+    class_type: 'CLIPTextEncode',
+    inputs: { text: '{{negative_prompt}}', clip: ['4', 1] }
+  },
+  '8': {
+    class_type: 'VAEDecode',
+    inputs: { samples: ['3', 0], vae: ['4', 2] }
+  },
+  '9': {
+    class_type: 'SaveImage',
+    inputs: { filename_prefix: 'CeleryMan', images: ['8', 0] }
+  }
+};
+
+// Image-to-image swaps the empty latent (node 5) for the encoded reference image
+const { '5': emptyLatentNode, ...sharedNodes } = DEFAULT_TEXT_TO_IMAGE_WORKFLOW;
+
+/** Image-to-image: the uploaded reference image is encoded and partially denoised */
+export const DEFAULT_IMAGE_TO_IMAGE_WORKFLOW = {
+  ...sharedNodes,
+  '3': {
+    class_type: 'KSampler',
+    inputs: {
+      ...DEFAULT_TEXT_TO_IMAGE_WORKFLOW['3'].inputs,
+      denoise: '{{denoise}}',
+      latent_image: ['12', 0]
+    }
+  },
+  '10': {
+    class_type: 'LoadImage',
+    inputs: { image: '{{image}}' }
+  },
+  '11': {
+    class_type: 'VAEEncode',
+    inputs: { pixels: ['10', 0], vae: ['4', 2] }
+  },
+  '12': {
+    class_type: 'RepeatLatentBatch',
+    inputs: { samples: ['11', 0], amount: '{{batch_size}}' }
+  }
+};
+
+/**
+ * Fill a workflow's placeholders with values. Placeholders without a value
+ * are left in place so they can be reported by findUnresolvedPlaceholders.
+ * @param {any} template - Workflow object (not modified)
+ * @param {Record<string, string | number | undefined>} values
+ * @returns {any} A new workflow object
+ */
+export function applyWorkflowTemplate(template, values) {
+  if (typeof template === 'string') {
+    const exact = template.match(EXACT_PLACEHOLDER_PATTERN);
+    if (exact) {
+      return values[exact[1]] !== undefined ? values[exact[1]] : template;
+    }
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+      values[name] !== undefined ? String(values[name]) : placeholder
+    );
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => applyWorkflowTemplate(item, values));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, applyWorkflowTemplate(value, values)])
+    );
+  }
+
+  return template;
+}
+
+/**
+ * List placeholders still present in a workflow
+ * @param {any} workflow
+ * @returns {string[]} Placeholder names, without braces
+ */
+export function findUnresolvedPlaceholders(workflow) {
+  const json = JSON.stringify(workflow);
+  return [...new Set(Array.from(json.matchAll(PLACEHOLDER_PATTERN), match => match[1]))];
+}
+
+/**
+ * Whether a workflow uses a placeholder
+ * @param {any} workflow
+ * @param {string} name - Placeholder name without braces
+ * @returns {boolean}
+ */
+export function workflowUsesPlaceholder(workflow, name) {
+  return JSON.stringify(workflow).includes(`{{${name}}}`);
+}
+
+/**
+ * Parse a workflow exported with ComfyUI's "Save (API Format)"
+ * @param {string} json
+ * @returns {Record<string, {class_type: string, inputs: Record<string, any>}>}
+ * @throws {Error} If the JSON is invalid or is a UI-format workflow
+ */
+export function parseWorkflow(json) {
+  let workflow;
+  try {
+    workflow = JSON.parse(json);
+  } catch (err) {
+    throw new Error('Workflow is not valid JSON');
+  }
+
+  if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+    throw new Error('Workflow must be a JSON object');
+  }
+
+  // UI-format exports have a nodes array instead of node IDs mapped to class_type/inputs
+  if (Array.isArray(workflow.nodes)) {
+    throw new Error('Workflow is in UI format - export it with "Save (API Format)" in ComfyUI');
+  }
+
+  return workflow;
+}
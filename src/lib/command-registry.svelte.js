@@ -0,0 +1,127 @@
+/**
+ * Command Registry
+ * Commands shown in the command palette (Ctrl+Space). Window controllers
+ * register the commands they offer - opening their window, actions like
+ * "Clear chat" - and providers that turn a query into commands, such as
+ * saved prompts or gallery images matching the text typed.
+ */
+
+import { fuzzyScore } from './fuzzy-match.js';
+
+// Results shown at most; the rest are reached by typing more
+const MAX_RESULTS = 50;
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id - Unique command ID
+ * @property {string} title - Text shown and searched
+ * @property {string} [icon] - Emoji shown before the title
+ * @property {string} [group] - Category shown next to the title, e.g. 'App' or 'Action'
+ * @property {string} [keywords] - Extra words the command can be found by
+ * @property {function(): (void | Promise<void>)} run - Carry out the command
+ *
+ * @typedef {function(string): Command[]} CommandProvider - Commands for a non-empty query
+ */
+
+/**
+ * Score a command against a query; keyword matches rank below title matches
+ * @param {string} query
+ * @param {Command} command
+ * @returns {number | null} null if neither the title nor the keywords match
+ */
+function scoreCommand(query, command) {
+  const titleScore = fuzzyScore(query, command.title);
+  const keywordScore = command.keywords ? fuzzyScore(query, command.keywords) : null;
+  if (keywordScore === null) return titleScore;
+  return titleScore === null ? keywordScore / 2 : Math.max(titleScore, keywordScore / 2);
+}
+
+function createCommandRegistry() {
+  /** @type {Map<string, Command[]>} */
+  const commandsBySource = new Map();
+  /** @type {Map<string, CommandProvider>} */
+  const providers = new Map();
+
+  /** @type {boolean} */
+  let isOpen = $state(false);
+
+  /**
+   * Register commands, replacing any registered earlier by the same source
+   * @param {string} source - Who registers them, usually a window ID
+   * @param {Command[]} commands
+   * @returns {function(): void} Removes the commands again
+   */
+  function registerCommands(source, commands) {
+    commandsBySource.set(source, commands);
+    return () => {
+      if (commandsBySource.get(source) === commands) commandsBySource.delete(source);
+    };
+  }
+
+  /**
+   * Register a provider that returns commands for whatever the user types
+   * @param {string} source - Who registers it; one provider per source
+   * @param {CommandProvider} provider
+   * @returns {function(): void} Removes the provider again
+   */
+  function registerProvider(source, provider) {
+    providers.set(source, provider);
+    return () => {
+      if (providers.get(source) === provider) providers.delete(source);
+    };
+  }
+
+  /**
+   * Find commands matching a query, best first. With an empty query the
+   * registered commands are listed in order and providers aren't asked.
+   * @param {string} query
+   * @returns {Command[]}
+   */
+  function search(query) {
+    const commands = [...commandsBySource.values()].flat();
+    if (!query.trim()) return commands.slice(0, MAX_RESULTS);
+
+    for (const [source, provider] of providers) {
+      try {
+        commands.push(...provider(query));
+      } catch (error) {
+        console.error(`Command provider ${source} failed:`, error);
+      }
+    }
+
+    return commands
+      .flatMap((command) => {
+        const score = scoreCommand(query, command);
+        return score === null ? [] : [{ command, score }];
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map(({ command }) => command);
+  }
+
+  /**
+   * Run a command and close the palette
+   * @param {Command} command
+   */
+  async function run(command) {
+    isOpen = false;
+    try {
+      await command.run();
+    } catch (error) {
+      console.error(`Command ${command.id} failed:`, error);
+    }
+  }
+
+  return {
+    registerCommands,
+    registerProvider,
+    search,
+    run,
+    open: () => { isOpen = true; },
+    close: () => { isOpen = false; },
+    toggle: () => { isOpen = !isOpen; },
+    get isOpen() { return isOpen; }
+  };
+}
+
+export const commandRegistry = createCommandRegistry();
@@ -0,0 +1,39 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { commandRegistry } from './command-registry.svelte.js';
+
+/** @type {Array<function(): void>} */
+let unregister = [];
+
+afterEach(() => {
+  unregister.forEach((remove) => remove());
+  unregister = [];
+});
+
+/**
+ * @param {string} id
+ * @param {string} title
+ * @param {string} [keywords]
+ * @returns {import('./command-registry.svelte.js').Command}
+ */
+const command = (id, title, keywords) => ({ id, title, keywords, run: () => {} });
+
+describe('commandRegistry.search', () => {
+  it('finds a weak match in a long title', () => {
+    unregister.push(commandRegistry.registerCommands('test', [
+      command('long', `Rex${'o'.repeat(196)}ze`),
+      command('other', 'Open Gallery')
+    ]));
+
+    expect(commandRegistry.search('xz').map((c) => c.id)).toEqual(['long']);
+  });
+
+  it('finds commands by keywords, ranked below title matches', () => {
+    unregister.push(commandRegistry.registerCommands('test', [
+      command('keyword', 'Clear chat', 'delete messages'),
+      command('title', 'Delete image'),
+      command('none', 'Open Gallery', 'photos')
+    ]));
+
+    expect(commandRegistry.search('delete').map((c) => c.id)).toEqual(['title', 'keyword']);
+  });
+});
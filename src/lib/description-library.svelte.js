@@ -1,11 +1,11 @@
 /**
  * Description Library
  * Provides a unified interface for image descriptions that can be reused across components
- * Integrates with both the gemini-api for generation and analyzed-image-storage for persistence
+ * Integrates with both the gemini-api for generation and the server's analyzed image store for persistence
  */
 
 import { geminiApi } from './gemini-api.svelte.js';
-import { getAnalyzedImages, getImageAnalysis } from './analyzed-image-storage.js';
+import { listAnalyzedImages } from './analyzed-image-api.js';
 
 function createDescriptionLibrary() {
   /** @type {import('./types.js').AnalyzedImage[]} */
@@ -14,10 +14,18 @@ function createDescriptionLibrary() {
   let isLoading = $state(false);
 
   /**
-   * Load available descriptions from storage
+   * Load available descriptions from the server
+   * @returns {Promise<void>}
    */
-  function loadDescriptions() {
-    availableDescriptions = getAnalyzedImages();
+  async function loadDescriptions() {
+    isLoading = true;
+    try {
+      availableDescriptions = await listAnalyzedImages();
+    } catch (error) {
+      console.error('Error loading descriptions:', error);
+    } finally {
+      isLoading = false;
+    }
   }
 
   /**
@@ -28,7 +36,7 @@ function createDescriptionLibrary() {
   function getDescriptionsByStyle(style) {
     return availableDescriptions
       .map(image => {
-        const analysis = getImageAnalysis(image.id, style);
+        const analysis = image.analyses.find((/** @type {ImageAnalysis} */ a) => a.type === style);
         return analysis ? {
           id: image.id,
           name: image.name,
@@ -193,8 +201,10 @@ function createDescriptionLibrary() {
     return `${prefix}${cleaned}${suffix}`.trim();
   }
 
-  // Initialize
-  loadDescriptions();
+  // Initialize on browser
+  if (typeof window !== 'undefined') {
+    loadDescriptions();
+  }
 
   return {
     get availableDescriptions() {
@@ -1,4 +1,5 @@
 import { fal } from "@fal-ai/client";
+import { jobQueue } from "./job-queue.svelte.js";
 
 /**
  * @typedef {Object} VideoUpscalingOptions
@@ -11,9 +12,15 @@ import { fal } from "@fal-ai/client";
 
 /** @type {Record<string, Model>} */
 export const models = {
+  flux_pro_1_1: "fal-ai/flux-pro/v1.1",
   flux_pro_1_1_ultra: "fal-ai/flux-pro/v1.1-ultra",
   flux_kontext_pro: "fal-ai/flux-pro/kontext",
   flux_kontext_pro_text_to_image: "fal-ai/flux-pro/kontext/text-to-image",
+  flux_kontext_max: "fal-ai/flux-pro/kontext/max",
+  flux_kontext_max_text_to_image: "fal-ai/flux-pro/kontext/max/text-to-image",
+  flux_pro_fill: "fal-ai/flux-pro/v1/fill",
+  flux_pro_canny: "fal-ai/flux-pro/v1/canny",
+  flux_pro_depth: "fal-ai/flux-pro/v1/depth",
   flux_kontext_lora: "fal-ai/flux-kontext-lora",
   flux_kontext_lora_text_to_image: "fal-ai/flux-kontext-lora/text-to-image",
   seedance_pro_text_to_video: "fal-ai/bytedance/seedance/v1/pro/text-to-video",
@@ -28,6 +35,15 @@ export const models = {
   topaz_video_upscaler: "fal-ai/topaz/upscale/video",
 };
 
+/**
+ * Whether a model takes LoRA weights; generateFluxImages sends `loras` only to these
+ * @param {Model} model
+ * @returns {boolean}
+ */
+export function acceptsLoras(model) {
+  return model === models.flux_kontext_lora || model === models.flux_kontext_lora_text_to_image;
+}
+
 // Response examples
 // let IN_QUEUE_EXAMPLE = {status: 'IN_QUEUE', request_id: '734b9d70-86d2-4dfb-9eeb-d14c5c7c6ed9', response_url: 'https://queue.fal.run/fal-ai/flux-pro/requests/734b9d70-86d2-4dfb-9eeb-d14c5c7c6ed9', status_url: 'https://queue.fal.run/fal-ai/flux-pro/requests/734b9d70-86d2-4dfb-9eeb-d14c5c7c6ed9/status', cancel_url: 'https://queue.fal.run/fal-ai/flux-pro/requests/734b9d70-86d2-4dfb-9eeb-d14c5c7c6ed9/cancel', …}
 // let IN_PROGRESS_EXAMPLE = {status: 'IN_PROGRESS', request_id: '734b9d70-86d2-4dfb-9eeb-d14c5c7c6ed9', response_url: 'https://queue.fal.run/fal-ai/flux-pro/requests/734b9d70-86d2-4dfb-9eeb-d14c5c7c6ed9', status_url: 'https://queue.fal.run/fal-ai/flux-pro/requests/734b9d70-86d2-4dfb-9eeb-d14c5c7c6ed9/status', cancel_url: 'https://queue.fal.run/fal-ai/flux-pro/requests/734b9d70-86d2-4dfb-9eeb-d14c5c7c6ed9/cancel', …}
@@ -59,12 +75,12 @@ const createFalApi = () => {
   // }
 
   /**
-   * Generate an image using FLUX models from fal.ai
+   * Generate one or more images using FLUX models from fal.ai
    * @param {Model} model - The model to use
    * @param {ImageGenerationOptions} options - The options for image generation
-   * @returns {Promise<string | null>} - The URL of the generated image, or null on failure
+   * @returns {Promise<{images: GeneratedImage[], seed: number | null}>} - Every generated image with its seed
    */
-  async function generateFluxImage(model, options) {
+  async function generateFluxImages(model, options) {
     const { prompt, image_url, loras, ...otherOptions } = options;
     // For FLUX Kontext, choose the correct endpoint based on whether image_url is provided
     let actualModel = model;
@@ -76,15 +92,19 @@ const createFalApi = () => {
         // Text-to-image: use text-to-image endpoint
         actualModel = models.flux_kontext_pro_text_to_image;
       }
+    } else if (model === models.flux_kontext_max && !image_url) {
+      actualModel = models.flux_kontext_max_text_to_image;
     }
     // Prepare input parameters
     /** @type {Record<string, any>} */
     const inputParams = { prompt, ...otherOptions };
     if (image_url) {
-      inputParams.image_url = image_url;
+      // Canny and depth take the reference as a control image
+      const isControlModel = model === models.flux_pro_canny || model === models.flux_pro_depth;
+      inputParams[isControlModel ? "control_image_url" : "image_url"] = image_url;
     }
-    // Add loras parameter for flux-kontext-lora model
-    if (model === models.flux_kontext_lora && loras && loras.length > 0) {
+    // Add loras parameter for the flux-kontext-lora models
+    if (acceptsLoras(model) && loras && loras.length > 0) {
       inputParams.loras = loras;
     }
 
@@ -93,31 +113,39 @@ const createFalApi = () => {
     console.log("🔧 Debug: Actual Model:", actualModel);
     console.log("🔧 Debug: Input Params:", inputParams);
 
-    const result = await fal.subscribe(actualModel, {
-      input: inputParams,
-      logs: true,
-      onQueueUpdate: (update) => {
-        console.log("📡 Queue Update:", update);
-        if (update.status === "IN_PROGRESS") {
-          update.logs.map((log) => log.message).forEach(console.log);
-        }
-      },
-    });
+    const result = await jobQueue.runJob(actualModel, inputParams, { label: "Flux image" });
 
     // Debug the full result
     console.log("🎯 Final Result:", result);
 
-    // Could be multiple images
-    if (result.data && result.data.images) {
-      return result.data.images[0].url;
-    }
-
     // Check for errors in the response
     if (result.data && result.data.error) {
       throw new Error(`API Error: ${result.data.error}`);
     }
 
-    return null;
+    // fal reports a single seed for the whole batch
+    const seed = result.data?.seed ?? options.seed ?? null;
+    /** @type {GeneratedImage[]} */
+    const images = (result.data?.images || []).map((/** @type {any} */ image, /** @type {number} */ index) => ({
+      url: image.url,
+      seed,
+      batchIndex: index,
+      width: image.width,
+      height: image.height,
+    }));
+
+    return { images, seed };
+  }
+
+  /**
+   * Generate an image using FLUX models from fal.ai
+   * @param {Model} model - The model to use
+   * @param {ImageGenerationOptions} options - The options for image generation
+   * @returns {Promise<string | null>} - The URL of the first generated image, or null on failure
+   */
+  async function generateFluxImage(model, options) {
+    const { images } = await generateFluxImages(model, options);
+    return images.length > 0 ? images[0].url : null;
   }
 
   /**
@@ -127,19 +155,14 @@ const createFalApi = () => {
    * @returns {Promise<string>} - The URL of the generated video
    */
   async function generateSeedanceImageToVideo(prompt, imageBase64) {
-    const result = await fal.subscribe("fal-ai/bytedance/seedance/v1/pro/image-to-video", {
-      input: {
+    const result = await jobQueue.runJob(
+      "fal-ai/bytedance/seedance/v1/pro/image-to-video",
+      {
         prompt,
         image_url: imageBase64,
       },
-      logs: true,
-      onQueueUpdate: (update) => {
-        console.log(update);
-        if (update.status === "IN_PROGRESS") {
-          update.logs.map((log) => log.message).forEach(console.log);
-        }
-      },
-    });
+      { label: "Seedance video" }
+    );
     if (result.data.video) {
       lastVideoUrl = result.data.video.url;
     }
@@ -192,16 +215,7 @@ const createFalApi = () => {
       // Get headers with API key (for future use)
       // const headers = getRequestHeaders();
 
-      const result = await fal.subscribe(model, {
-        input: inputParams,
-        logs: true,
-        onQueueUpdate: (update) => {
-          console.log("🎬 Video Queue Update:", update);
-          if (update.status === "IN_PROGRESS" && update.logs) {
-            update.logs.map((log) => log.message).forEach(console.log);
-          }
-        },
-      });
+      const result = await jobQueue.runJob(model, inputParams, { label: "Seedance video" });
 
       // Debug the full result
       console.log("🎬 Video Final Result:", result);
@@ -288,6 +302,33 @@ const createFalApi = () => {
 
   }
 
+  /**
+   * Check that the configured API key is accepted by fal.ai
+   * Looks up the status of a non-existent request: an auth error means the key
+   * was rejected, while "not found" means fal accepted it. Nothing is generated.
+   * @returns {Promise<TestResult>}
+   */
+  async function testApiKey() {
+    try {
+      await fal.queue.status(models.flux_pro_1_1_ultra, {
+        requestId: "00000000-0000-0000-0000-000000000000",
+      });
+      return { success: true, message: "FAL.AI connection successful" };
+    } catch (/** @type {*} */ error) {
+      if (error?.status === 401 || error?.status === 403) {
+        return { success: false, message: "Invalid FAL.AI API key", error };
+      }
+      if (error?.status === 404 || error?.status === 422) {
+        return { success: true, message: "FAL.AI connection successful" };
+      }
+      return {
+        success: false,
+        message: `FAL.AI connection failed: ${error?.message || error}`,
+        error,
+      };
+    }
+  }
+
   /**
    * Upload a file (video or image) to FAL.AI storage
    * @param {File | Blob} file - The file to upload
@@ -350,16 +391,7 @@ const createFalApi = () => {
     console.log("🔍 Debug: Upscaling Input Params:", inputParams);
 
     try {
-      const result = await fal.subscribe(model, {
-        input: inputParams,
-        logs: true,
-        onQueueUpdate: (update) => {
-          console.log("🔍 Upscaling Queue Update:", update);
-          if (update.status === "IN_PROGRESS" && update.logs) {
-            update.logs.map((log) => log.message).forEach(console.log);
-          }
-        },
-      });
+      const result = await jobQueue.runJob(model, inputParams, { label: "Image upscale" });
 
       // Debug the full result
       console.log("🔍 Upscaling Final Result:", result);
@@ -427,16 +459,7 @@ const createFalApi = () => {
     console.log("🎬 Debug: Video Upscaling Input Params:", inputParams);
 
     try {
-      const result = await fal.subscribe(model, {
-        input: inputParams,
-        logs: true,
-        onQueueUpdate: (update) => {
-          console.log("🎬 Video Upscaling Queue Update:", update);
-          if (update.status === "IN_PROGRESS" && update.logs) {
-            update.logs.map((log) => log.message).forEach(console.log);
-          }
-        },
-      });
+      const result = await jobQueue.runJob(model, inputParams, { label: "Video upscale" });
 
       // Debug the full result
       console.log("🎬 Video Upscaling Final Result:", result);
@@ -517,16 +540,7 @@ const createFalApi = () => {
     console.log("🎭 Debug: WAN Input Params:", inputParams);
 
     try {
-      const result = await fal.subscribe(model, {
-        input: inputParams,
-        logs: true,
-        onQueueUpdate: (update) => {
-          console.log("🎭 WAN Queue Update:", update);
-          if (update.status === "IN_PROGRESS" && update.logs) {
-            update.logs.map((log) => log.message).forEach(console.log);
-          }
-        },
-      });
+      const result = await jobQueue.runJob(model, inputParams, { label: "WAN video" });
 
       // Debug the full result
       console.log("🎭 WAN Final Result:", result);
@@ -551,12 +565,14 @@ const createFalApi = () => {
 
   return {
     generateFluxImage,
+    generateFluxImages,
     generateSeedanceImageToVideo,
     generateSeedanceVideo,
     generateWanVideo,
     generateUpscaledImage,
     generateUpscaledVideo,
     uploadFile,
+    testApiKey,
     testRealTime,
   };
 };
@@ -1,23 +1,55 @@
 /**
  * Flux API Manager
- * Unified interface for Flux image generation with multiple providers
+ * Unified interface for Flux image generation with multiple providers.
+ * Providers live in a registry; requests are routed to the providers whose
+ * capabilities match, preferred provider first, the rest as fallbacks.
  */
 
 import falApi from './fal-api.svelte.js';
 import { blackforestApi } from './blackforest-api.svelte.js';
 import { settingsManager } from './settings-manager.svelte.js';
+import { falProvider, blackforestProvider, localDiffusionProvider } from './flux-providers.js';
+import { JobCancelledError } from './job-queue.svelte.js';
 
 function createFluxApiManager() {
   /** @type {string} */
   let error = $state('');
   /** @type {boolean} */
   let isGenerating = $state(false);
-  /** @type {'fal' | 'blackforest' | null} */
+  /** @type {string | null} */
   let currentProvider = $state(null);
 
+  /** @type {Map<string, FluxProvider>} */
+  const providers = new Map();
+
+  /**
+   * Register a provider, replacing any existing provider with the same ID
+   * @param {FluxProvider} provider
+   */
+  function registerProvider(provider) {
+    providers.set(provider.id, provider);
+  }
+
+  /**
+   * Remove a provider from the registry
+   * @param {string} providerId
+   */
+  function unregisterProvider(providerId) {
+    providers.delete(providerId);
+  }
+
+  /**
+   * Get a registered provider
+   * @param {string} providerId
+   * @returns {FluxProvider | undefined}
+   */
+  function getProvider(providerId) {
+    return providers.get(providerId);
+  }
+
   /**
    * Get the preferred provider from settings
-   * @returns {'fal' | 'blackforest'}
+   * @returns {string}
    */
   function getPreferredProvider() {
     return settingsManager.getSetting('preferredFluxProvider') || 'fal';
@@ -25,49 +57,67 @@ function createFluxApiManager() {
 
   /**
    * Get available providers
-   * @returns {Array<{id: string, name: string, available: boolean}>}
+   * @returns {Array<{id: string, name: string, available: boolean, capabilities: ProviderCapabilities}>}
    */
   function getAvailableProviders() {
+    return Array.from(providers.values()).map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      available: provider.isAvailable(),
+      capabilities: provider.capabilities
+    }));
+  }
+
+  /**
+   * Check whether a provider can handle a request
+   * @param {FluxProvider} provider
+   * @param {ImageGenerationOptions} [options]
+   * @returns {boolean}
+   */
+  function supportsRequest(provider, options) {
+    if (!options) return true;
+
+    const { capabilities } = provider;
+    if (options.image_url ? !capabilities.imageEdit : !capabilities.textToImage) return false;
+    if (options.loras && options.loras.length > 0 && !capabilities.lora) return false;
+    if (options.aspect_ratio && !capabilities.aspectRatios.includes(options.aspect_ratio)) return false;
+    if (options.num_images && options.num_images > capabilities.maxImages) return false;
+    return true;
+  }
+
+  /**
+   * Providers that can handle a request, in the order they should be tried:
+   * the preferred provider first, then the rest in registration order
+   * @param {ImageGenerationOptions} [options]
+   * @returns {FluxProvider[]}
+   */
+  function getProviderOrder(options) {
+    const preferred = getPreferredProvider();
+    const candidates = Array.from(providers.values())
+      .filter(provider => provider.isAvailable() && supportsRequest(provider, options));
+
     return [
-      {
-        id: 'fal',
-        name: 'FAL.AI',
-        available: settingsManager.hasApiKey()
-      },
-      {
-        id: 'blackforest',
-        name: 'BlackForest Labs',
-        available: blackforestApi.isAvailable()
-      }
+      ...candidates.filter(provider => provider.id === preferred),
+      ...candidates.filter(provider => provider.id !== preferred)
     ];
   }
 
   /**
    * Get the best available provider
-   * @returns {'fal' | 'blackforest' | null}
+   * @param {ImageGenerationOptions} [options] - Request to match capabilities against
+   * @returns {string | null}
    */
-  function getBestProvider() {
-    const preferred = getPreferredProvider();
-    const providers = getAvailableProviders();
-    
-    
-    // First try preferred provider if available
-    const preferredProvider = providers.find(p => p.id === preferred && p.available);
-    if (preferredProvider) {
-      return preferredProvider.id;
-    }
-    
-    // Fallback to any available provider
-    const availableProvider = providers.find(p => p.available);
-    const result = availableProvider ? availableProvider.id : null;
-    return result;
+  function getBestProvider(options) {
+    const [best] = getProviderOrder(options);
+    return best ? best.id : null;
   }
 
   /**
-   * Generate image using the best available provider
-   * @param {import('./types.js').ImageGenerationOptions} options
-   * @param {import('./types.js').Model} [model] - The model to use (for FAL API)
-   * @returns {Promise<{images: Array<{url: string}>, provider: string}>}
+   * Generate image using the best available provider, falling back to the
+   * next capable provider if one fails
+   * @param {ImageGenerationOptions} options
+   * @param {Model} [model] - The model to use
+   * @returns {Promise<{images: GeneratedImage[], seed: number | null, provider: string, ignoredOptions: string[]}>}
    */
   async function generateImage(options, model) {
     isGenerating = true;
@@ -75,73 +125,55 @@ function createFluxApiManager() {
     currentProvider = null;
 
     try {
-      const provider = getBestProvider();
-      
-      if (!provider) {
-        throw new Error('No API providers available. Please configure FAL.AI or BlackForest Labs API key in Settings.');
-      }
+      const candidates = getProviderOrder(options);
 
-      currentProvider = provider;
-      let result;
+      if (candidates.length === 0) {
+        const anyAvailable = Array.from(providers.values()).some(provider => provider.isAvailable());
+        throw new Error(anyAvailable
+          ? 'No configured provider supports this request. Try a different aspect ratio, image count or model.'
+          : 'No API providers available. Please configure FAL.AI or BlackForest Labs API key, or a local server, in Settings.');
+      }
 
-      console.log(`Using ${provider} for image generation`, options.image_url ? 'with image' : 'text-only');
+      console.log(`Generating image`, options.image_url ? 'with image' : 'text-only', 'providers:', candidates.map(p => p.id));
       if (options.image_url) {
         console.log('🖼️ Image data type:', options.image_url.startsWith('data:') ? 'base64' : 'URL');
         console.log('🖼️ Image data preview:', options.image_url.substring(0, 100) + '...');
       }
 
-      if (provider === 'fal') {
-        // Use FAL API - using generateFluxImage method
-        // Default to flux-pro-1.1-ultra if no model specified
-        const modelToUse = model || 'fal-ai/flux-pro/v1.1-ultra';
-        const imageUrl = await falApi.generateFluxImage(modelToUse, options);
-        if (!imageUrl) {
-          throw new Error('FAL API returned no image URL');
-        }
-        return { 
-          images: [{ url: imageUrl }],
-          provider: 'fal'
-        };
-      } else if (provider === 'blackforest') {
-        // Use BlackForest API
-        result = await blackforestApi.generateImage(options, model);
-        return { 
-          images: result.images,
-          provider: 'blackforest'
-        };
-      } else {
-        throw new Error(`Unknown provider: ${provider}`);
-      }
+      /** @type {string[]} */
+      const failures = [];
 
-    } catch (err) {
-      error = err.message || 'Failed to generate image';
-      currentProvider = null;
-      
-      // If the preferred provider fails, try fallback
-      const preferred = getPreferredProvider();
-      const providers = getAvailableProviders();
-      const fallbackProvider = providers.find(p => p.id !== preferred && p.available);
-      
-      if (fallbackProvider && !error.includes('No API providers available')) {
-        console.log(`Primary provider failed, trying fallback: ${fallbackProvider.id}`);
+      for (const provider of candidates) {
         try {
-          currentProvider = fallbackProvider.id;
-          
-          let result;
-          if (fallbackProvider.id === 'fal') {
-            const modelToUse = model || 'fal-ai/flux-pro/v1.1-ultra';
-            const imageUrl = await falApi.generateFluxImage(modelToUse, options);
-            return { images: [{ url: imageUrl }], provider: 'fal' };
-          } else if (fallbackProvider.id === 'blackforest') {
-            result = await blackforestApi.generateImage(options, model);
-            return { images: result.images, provider: 'blackforest' };
+          currentProvider = provider.id;
+          console.log(`Using ${provider.id} for image generation`);
+
+          const result = await provider.generate(options, model);
+          if (!result.images || result.images.length === 0) {
+            throw new Error(`${provider.name} returned no image URL`);
           }
-        } catch (fallbackErr) {
-          console.error('Fallback provider also failed:', fallbackErr);
-          error = `Both providers failed. Primary: ${err.message}. Fallback: ${fallbackErr.message}`;
+
+          return {
+            images: result.images,
+            seed: result.seed,
+            provider: provider.id,
+            ignoredOptions: result.ignoredOptions || []
+          };
+        } catch (/** @type {*} */ err) {
+          // A cancelled job must not be sent to the next (possibly paid) provider
+          if (err instanceof JobCancelledError) throw err;
+          console.error(`${provider.id} failed:`, err);
+          failures.push(`${provider.name}: ${err.message || err}`);
         }
       }
-      
+
+      throw new Error(failures.length > 1
+        ? `All providers failed. ${failures.join('. ')}`
+        : failures[0]);
+    } catch (/** @type {*} */ err) {
+      currentProvider = null;
+      if (err instanceof JobCancelledError) throw err;
+      error = err.message || 'Failed to generate image';
       throw new Error(error);
     } finally {
       isGenerating = false;
@@ -150,28 +182,25 @@ function createFluxApiManager() {
 
   /**
    * Test connection for a specific provider
-   * @param {'fal' | 'blackforest'} provider
+   * @param {string} providerId
    * @returns {Promise<{success: boolean, message: string}>}
    */
-  async function testProvider(provider) {
-    if (provider === 'fal') {
-      return await falApi.testApiKey();
-    } else if (provider === 'blackforest') {
-      return await blackforestApi.testConnection();
-    } else {
+  async function testProvider(providerId) {
+    const provider = providers.get(providerId);
+    if (!provider) {
       return { success: false, message: 'Unknown provider' };
     }
+    return await provider.test();
   }
 
   /**
    * Test all available providers
-   * @returns {Promise<Array<{provider: string, success: boolean, message: string}>>}
+   * @returns {Promise<Array<{provider: string, providerId: string, success: boolean, message: string}>>}
    */
   async function testAllProviders() {
-    const providers = getAvailableProviders();
     const results = [];
 
-    for (const provider of providers) {
+    for (const provider of getAvailableProviders()) {
       if (provider.available) {
         const result = await testProvider(provider.id);
         results.push({
@@ -185,7 +214,7 @@ function createFluxApiManager() {
           provider: provider.name,
           providerId: provider.id,
           success: false,
-          message: 'API key not configured'
+          message: 'Not configured'
         });
       }
     }
@@ -210,6 +239,10 @@ function createFluxApiManager() {
     };
   }
 
+  registerProvider(falProvider);
+  registerProvider(blackforestProvider);
+  registerProvider(localDiffusionProvider);
+
   return {
     // State
     get error() {
@@ -224,9 +257,13 @@ function createFluxApiManager() {
 
     // Methods
     generateImage,
+    registerProvider,
+    unregisterProvider,
+    getProvider,
     getPreferredProvider,
     getAvailableProviders,
     getBestProvider,
+    getProviderOrder,
     testProvider,
     testAllProviders,
     getProviderStatus,
@@ -241,4 +278,4 @@ function createFluxApiManager() {
   };
 }
 
-export const fluxApiManager = createFluxApiManager();
\ No newline at end of file
+export const fluxApiManager = createFluxApiManager();
@@ -0,0 +1,139 @@
+/**
+ * Flux Providers
+ * Built-in image generation backends for the Flux API manager.
+ * New backends only need to export a FluxProvider and register it with fluxApiManager.
+ */
+
+import falApi, { models, acceptsLoras } from './fal-api.svelte.js';
+import { blackforestApi } from './blackforest-api.svelte.js';
+import { resolveBlackForestEndpoint, getSupportedOptions } from './blackforest-endpoints.js';
+import { settingsManager } from './settings-manager.svelte.js';
+import { localDiffusionApi } from './local-diffusion-api.svelte.js';
+import { jobQueue } from './job-queue.svelte.js';
+
+/** @type {AspectRatio[]} */
+const ALL_ASPECT_RATIOS = ['21:9', '16:9', '4:3', '1:1', '3:4', '9:16'];
+
+/** Options the local backends map onto their workflows */
+const LOCAL_SUPPORTED_OPTIONS = ['prompt', 'image_url', 'num_images', 'seed', 'aspect_ratio', 'guidance_scale', 'num_inference_steps'];
+
+/**
+ * List options that were set but that a provider doesn't send. Unset and
+ * false values don't count, so switched-off toggles aren't reported.
+ * @param {ImageGenerationOptions} options
+ * @param {string[]} supportedOptions
+ * @returns {string[]}
+ */
+export function getIgnoredOptions(options, supportedOptions) {
+  return Object.entries(options)
+    .filter(([key]) => !supportedOptions.includes(key))
+    .filter(([, value]) => value !== undefined && value !== null && value !== false && value !== ''
+      && !(Array.isArray(value) && value.length === 0))
+    .map(([key]) => key);
+}
+
+/** @type {FluxProvider} */
+export const falProvider = {
+  id: 'fal',
+  name: 'FAL.AI',
+  capabilities: {
+    textToImage: true,
+    imageEdit: true,
+    lora: true,
+    aspectRatios: ALL_ASPECT_RATIOS,
+    maxImages: 4
+  },
+
+  isAvailable() {
+    return settingsManager.hasApiKey();
+  },
+
+  async generate(options, model) {
+    // Default to flux-pro-1.1-ultra if no model specified
+    const modelToUse = model || models.flux_pro_1_1_ultra;
+    const result = await falApi.generateFluxImages(modelToUse, options);
+
+    // fal forwards everything except LoRAs, which only the LoRA models accept
+    return {
+      ...result,
+      ignoredOptions: !acceptsLoras(modelToUse) && options.loras && options.loras.length > 0 ? ['loras'] : []
+    };
+  },
+
+  async test() {
+    return falApi.testApiKey();
+  }
+};
+
+/** @type {FluxProvider} */
+export const blackforestProvider = {
+  id: 'blackforest',
+  name: 'BlackForest Labs',
+  capabilities: {
+    textToImage: true,
+    imageEdit: true,
+    lora: false,
+    aspectRatios: ALL_ASPECT_RATIOS,
+    maxImages: 4
+  },
+
+  isAvailable() {
+    return blackforestApi.isAvailable();
+  },
+
+  async generate(options, model) {
+    const endpointId = resolveBlackForestEndpoint(model);
+    if (!endpointId) {
+      throw new Error(`BlackForest Labs has no endpoint for model ${model}`);
+    }
+
+    // Run through the job queue so BlackForest requests share its concurrency limits
+    const { data } = await jobQueue.runJob(endpointId, options, {
+      provider: 'blackforest',
+      label: 'Flux image',
+      execute: () => blackforestApi.generateImage(options, endpointId)
+    });
+    return {
+      ...data,
+      ignoredOptions: getIgnoredOptions(options, getSupportedOptions(endpointId))
+    };
+  },
+
+  async test() {
+    return blackforestApi.testConnection();
+  }
+};
+
+/** @type {FluxProvider} */
+export const localDiffusionProvider = {
+  id: 'local',
+  name: 'Local (ComfyUI / A1111)',
+  capabilities: {
+    textToImage: true,
+    imageEdit: true,
+    lora: false,
+    aspectRatios: ALL_ASPECT_RATIOS,
+    maxImages: 4
+  },
+
+  isAvailable() {
+    return localDiffusionApi.isAvailable();
+  },
+
+  async generate(options) {
+    // Local servers ignore the Flux model; the checkpoint/workflow comes from settings
+    const { data } = await jobQueue.runJob(`local/${localDiffusionApi.getBackend()}`, options, {
+      provider: 'local',
+      label: 'Local image',
+      execute: (job, log) => localDiffusionApi.generateImage(options, job, log)
+    });
+    return {
+      ...data,
+      ignoredOptions: getIgnoredOptions(options, LOCAL_SUPPORTED_OPTIONS)
+    };
+  },
+
+  async test() {
+    return localDiffusionApi.testConnection();
+  }
+};
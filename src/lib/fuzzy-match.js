@@ -0,0 +1,69 @@
+/**
+ * Fuzzy Match
+ * Scores how well a typed query matches a piece of text. Every word of the
+ * query has to appear in the text as a subsequence ("upsc img" matches
+ * "Upscale last image"); matches at word starts and runs of consecutive
+ * characters score higher, so the most natural reading ranks first.
+ */
+
+/**
+ * Score one query word against text
+ * @param {string} word - Lowercase query word
+ * @param {string} text - Lowercase text
+ * @returns {number | null} Score, or null if the word isn't a subsequence of the text
+ */
+function scoreWord(word, text) {
+  // A plain substring is the best kind of match, especially at a word start
+  const index = text.indexOf(word);
+  if (index !== -1) {
+    const atWordStart = index === 0 || /\W/.test(text[index - 1]);
+    return word.length * 3 + (atWordStart ? 4 : 0) + (index === 0 ? 2 : 0);
+  }
+
+  let score = 0;
+  let textIndex = 0;
+  let previousMatch = -2;
+
+  for (const char of word) {
+    const found = text.indexOf(char, textIndex);
+    if (found === -1) return null;
+
+    if (found === previousMatch + 1) {
+      score += 2;
+    } else if (found === 0 || /\W/.test(text[found - 1])) {
+      score += 1.5;
+    } else {
+      score += 0.5;
+    }
+
+    previousMatch = found;
+    textIndex = found + 1;
+  }
+
+  return score;
+}
+
+/**
+ * Score a query against text
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to search in
+ * @returns {number | null} Score, higher is better and never negative; null
+ *   if it doesn't match. An empty query matches everything with a score of 0.
+ */
+export function fuzzyScore(query, text) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return 0;
+
+  const haystack = text.toLowerCase();
+  let total = 0;
+
+  for (const word of words) {
+    const score = scoreWord(word, haystack);
+    if (score === null) return null;
+    total += score;
+  }
+
+  // Prefer short texts where the query covers more of what's there, but
+  // never so much that a real match scores like no match
+  return Math.max(0, total - Math.min(haystack.length, 200) / 100);
+}
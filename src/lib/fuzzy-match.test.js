@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { fuzzyScore } from './fuzzy-match.js';
+
+describe('fuzzyScore', () => {
+  it('matches every query word as a subsequence, ignoring case', () => {
+    expect(fuzzyScore('upsc img', 'Upscale last image')).toEqual(expect.any(Number));
+    expect(fuzzyScore('UPSCALE', 'upscale last image')).toEqual(expect.any(Number));
+  });
+
+  it.each([
+    ['a missing letter', 'upsq', 'Upscale last image'],
+    ['letters out of order', 'elacs', 'Upscale'],
+    ['one word not matching', 'upscale video', 'Upscale last image'],
+    ['an empty text', 'gallery', '']
+  ])('returns null for %s', (_name, query, text) => {
+    expect(fuzzyScore(query, text)).toBeNull();
+  });
+
+  it('matches anything with a score of 0 for an empty query', () => {
+    expect(fuzzyScore('', 'Open Gallery')).toBe(0);
+    expect(fuzzyScore('   ', '')).toBe(0);
+  });
+
+  it('never scores a real match below zero, however long the text', () => {
+    // Two letters far apart inside words: a weak match, in the longest text penalized
+    const text = `ax${'b'.repeat(196)}az`;
+
+    expect(fuzzyScore('xz', text)).toBe(0);
+    expect(fuzzyScore('xz', text + 'c'.repeat(500))).toBe(0);
+  });
+
+  it.each([
+    ['a substring over scattered letters', 'gal', 'Open Gallery', 'Go to all libraries'],
+    ['a word start over the middle of a word', 'cat', 'Catalog', 'Duplicate'],
+    ['the start of the text over a later word', 'open', 'Open chat', 'Reopen chat'],
+    ['a shorter text for the same match', 'chat', 'Chat', 'Chat with the assistant about anything']
+  ])('ranks %s higher', (_name, query, better, worse) => {
+    expect(/** @type {number} */ (fuzzyScore(query, better))).toBeGreaterThan(/** @type {number} */ (fuzzyScore(query, worse)));
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Image Lineage
+ * Display helpers for parent/child links between saved images.
+ */
+
+/**
+ * Icon and label for each way an image can be derived from another
+ * @type {Record<ImageRelation, {icon: string, label: string}>}
+ */
+export const RELATION_LABELS = {
+  remix: { icon: "🔁", label: "Remix" },
+  variation: { icon: "🎲", label: "Variation" },
+  edit: { icon: "✏️", label: "Edit" },
+  lora: { icon: "🧩", label: "LoRA Edit" },
+  relight: { icon: "💡", label: "Relight" },
+  upscale: { icon: "🔍", label: "Upscale" },
+};
+
+/**
+ * Icon and label for how an image was made
+ * @param {SavedImage} image
+ * @returns {{icon: string, label: string}}
+ */
+export function describeRelation(image) {
+  if (image.relation && RELATION_LABELS[image.relation]) {
+    return RELATION_LABELS[image.relation];
+  }
+  return { icon: "🎨", label: "Generated" };
+}
+
+/**
+ * One-line summary of operation parameters, e.g. "scaleFactor: 4, model: esrgan"
+ * @param {Record<string, any> | undefined} params
+ * @returns {string}
+ */
+export function summarizeOperationParams(params) {
+  if (!params) return "";
+
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => {
+      if (Array.isArray(value)) {
+        // LoRA lists and extra parent IDs
+        const items = value.map((item) => (typeof item === "object" ? item.path || JSON.stringify(item) : item));
+        return `${key}: ${items.join(", ") || "none"}`;
+      }
+      if (typeof value === "string") {
+        return `${key}: ${value.replace(/^fal-ai\//, "")}`;
+      }
+      return `${key}: ${value}`;
+    })
+    .join(", ");
+}
@@ -1,5 +1,8 @@
-import { dev } from "$app/environment";
 import imageStorage from "$lib/image-storage.js";
+import { embedImageMetadata, getImageExtension } from "$lib/image-metadata.js";
+import { fluxApiManager } from "$lib/flux-api-manager.svelte.js";
+import { planVariations, generationParamsToOptions, modelRequiresImage } from "$lib/image-variations.js";
+import { settingsManager } from "$lib/settings-manager.svelte.js";
 
 function createImageManager() {
   /** @type {SavedImage[]} */
@@ -14,6 +17,24 @@ function createImageManager() {
   /** @type {boolean} */
   let isSaving = $state(false);
 
+  /** @type {boolean} */
+  let isExporting = $state(false);
+
+  /** @type {boolean} */
+  let isImporting = $state(false);
+
+  /**
+   * Number of variation generations still running, per parent image ID
+   * @type {Record<string, number>}
+   */
+  let pendingVariations = $state({});
+
+  /** @type {StorageQuotaStatus | null} */
+  let quotaStatus = $state(null);
+
+  /** @type {boolean} */
+  let quotaWarningDismissed = $state(false);
+
   /** @type {Record<string, string>} */
   let imageUrls = $state({});
 
@@ -31,7 +52,8 @@ function createImageManager() {
   async function loadSavedImages() {
     try {
       isLoading = true;
-      savedImages.splice(0, savedImages.length, ...imageStorage.getSavedImagesMetadata());
+      savedImages.splice(0, savedImages.length, ...(await imageStorage.getSavedImagesMetadata()));
+      await checkQuota();
       error = "";
     } catch (/** @type {any} */ err) {
       error = `Failed to load saved images: ${err.message}`;
@@ -41,36 +63,134 @@ function createImageManager() {
   }
 
   /**
-   * Auto-save image to filesystem (local development only)
+   * Current quota policy from settings
+   * @returns {StorageQuotaPolicy}
+   */
+  function getQuotaPolicy() {
+    return {
+      maxImages: Number(settingsManager.getSetting("imageQuotaMaxImages")) || 0,
+      maxBytes: (Number(settingsManager.getSetting("imageQuotaMaxMB")) || 0) * 1024 * 1024,
+    };
+  }
+
+  /**
+   * Re-measure storage against the quota policy. A new warning is shown
+   * whenever the set of images that would be evicted changes.
+   */
+  async function checkQuota() {
+    const previous = quotaStatus;
+    quotaStatus = await imageStorage.getQuotaStatus(getQuotaPolicy());
+
+    if (previous && previous.evictionCandidates.length !== quotaStatus.evictionCandidates.length) {
+      quotaWarningDismissed = false;
+    }
+    if (quotaStatus.overQuota) {
+      console.warn(`⚠️ Saved images are over quota: ${quotaStatus.evictionCandidates.length} image(s) would be evicted`);
+    }
+  }
+
+  /**
+   * Delete the images the quota policy selected for eviction.
+   * Only called after the user has seen the warning and confirmed.
+   */
+  async function evictOverQuota() {
+    if (!quotaStatus?.evictionCandidates.length) return;
+
+    try {
+      const imageIds = quotaStatus.evictionCandidates.map((image) => image.id);
+      for (const imageId of imageIds) {
+        await imageStorage.deleteSavedImage(imageId);
+      }
+      cleanupSpecificUrls(imageIds);
+      console.log(`🗑️ Evicted ${imageIds.length} saved image(s) to get back under quota`);
+
+      await loadSavedImages();
+      error = "";
+    } catch (/** @type {any} */ err) {
+      error = `Failed to evict images: ${err.message}`;
+    }
+  }
+
+  /**
+   * Hide the quota warning until the eviction set changes
+   */
+  function dismissQuotaWarning() {
+    quotaWarningDismissed = true;
+  }
+
+  /**
+   * Toggle whether a saved image is a favorite (favorites are never evicted)
+   * @param {string} imageId - The ID of the image
+   */
+  async function toggleFavorite(imageId) {
+    const image = savedImages.find((img) => img.id === imageId);
+    if (!image) return;
+
+    try {
+      await imageStorage.setFavorite(imageId, !image.favorite);
+      await loadSavedImages();
+      error = "";
+    } catch (/** @type {any} */ err) {
+      error = `Failed to update favorite: ${err.message}`;
+    }
+  }
+
+  /**
+   * Whether the server refused a media library save because the library is disabled.
+   * Checked so we only ask once per session.
+   * @type {boolean}
+   */
+  let mediaLibraryDisabled = false;
+
+  /**
+   * Save image to the server-side media library
+   * Browser-only URLs (blob:, data:) are uploaded as bytes; http(s) URLs are
+   * fetched by the server.
    * @param {string} imageUrl - The URL of the image to save
    * @param {string} prompt - The prompt used to generate the image
    * @param {GenerationParams} [generationParams] - All generation parameters used
    */
-  async function autoSaveToFilesystem(imageUrl, prompt, generationParams = null) {
+  async function saveToMediaLibrary(imageUrl, prompt, generationParams = null) {
+    if (mediaLibraryDisabled) return;
+
     try {
-      const response = await fetch("/api/auto-save", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          imageUrl,
-          prompt,
-          metadata: generationParams || {},
-        }),
-      });
+      let response;
+
+      if (imageUrl.startsWith("blob:") || imageUrl.startsWith("data:")) {
+        const blob = await (await fetch(imageUrl)).blob();
+        const formData = new FormData();
+        formData.append("file", blob);
+        formData.append("prompt", prompt);
+        formData.append("metadata", JSON.stringify(generationParams || {}));
+        response = await fetch("/api/media", { method: "POST", body: formData });
+      } else {
+        response = await fetch("/api/media", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            imageUrl,
+            prompt,
+            metadata: generationParams || {},
+          }),
+        });
+      }
 
       const result = await response.json();
 
       if (result.success) {
-        console.log("📁 Auto-saved:", result.filename);
+        console.log(result.data.duplicate ? "📁 Already in media library:" : "📁 Saved to media library:", result.data.filename);
       } else {
-        // Don't treat auto-save failures as errors - just log them
-        console.log("Auto-save skipped:", result.message);
+        if (response.status === 403) {
+          mediaLibraryDisabled = true;
+        }
+        // Don't treat media library failures as errors - just log them
+        console.log("Media library save skipped:", result.error);
       }
-    } catch (error) {
-      // Silently fail auto-save - don't impact user experience
-      console.log("Auto-save failed:", error.message);
+    } catch (/** @type {any} */ error) {
+      // Silently fail - don't impact user experience
+      console.log("Media library save failed:", error.message);
     }
   }
 
@@ -79,24 +199,28 @@ function createImageManager() {
    * @param {string} imageUrl - The URL of the image to save
    * @param {string} prompt - The prompt used to generate the image
    * @param {GenerationParams} [generationParams] - All generation parameters used
+   * @param {ImageLineage} [lineage] - Input this image was derived from, and how
+   * @returns {Promise<string | null>} The saved image ID, or null if it wasn't saved
    */
-  async function saveImage(imageUrl, prompt, generationParams = null) {
-    if (!imageUrl || !prompt.trim()) return;
+  async function saveImage(imageUrl, prompt, generationParams = null, lineage = undefined) {
+    if (!imageUrl || !prompt.trim()) return null;
 
     try {
       isSaving = true;
-      await imageStorage.saveImage(imageUrl, prompt, generationParams);
+      const imageId = await imageStorage.saveImage(imageUrl, prompt, generationParams, lineage);
       await loadSavedImages();
       await generateAllImageUrls();
 
-      // Auto-save to filesystem (local development only)
-      if (dev) {
-        autoSaveToFilesystem(imageUrl, prompt, generationParams);
+      // Also keep a copy on the server (no-op unless the media library is enabled)
+      if (settingsManager.getSetting("autoSave")) {
+        saveToMediaLibrary(imageUrl, prompt, generationParams);
       }
 
       error = "";
+      return imageId;
     } catch (/** @type {any} */ err) {
       error = `Failed to save image: ${err.message}`;
+      return null;
     } finally {
       isSaving = false;
     }
@@ -130,7 +254,12 @@ function createImageManager() {
    */
   async function downloadImage(imageId, filename) {
     try {
-      await imageStorage.downloadSavedImage(imageId, filename);
+      const savedImage = savedImages.find((img) => img.id === imageId);
+      if (savedImage) {
+        await downloadTaggedSavedImage(savedImage, filename);
+      } else {
+        await imageStorage.downloadSavedImage(imageId, filename);
+      }
       error = "";
     } catch (/** @type {any} */ err) {
       error = `Failed to download image: ${err.message}`;
@@ -346,6 +475,37 @@ function createImageManager() {
     }
   }
 
+  /**
+   * Download an image with its generation metadata embedded in the file
+   * @param {string} imageUrl - The URL of the image to download
+   * @param {{prompt: string, generationParams?: GenerationParams | null}} metadata - Metadata to embed
+   * @param {string} [filename] - The filename for the download (extension follows the image format)
+   */
+  async function downloadImageWithMetadata(imageUrl, metadata, filename) {
+    try {
+      const blob = await (await fetch(imageUrl)).blob();
+      const tagged = await embedImageMetadata(blob, metadata);
+      const name = (filename || generateBetterFilename(metadata.prompt, Date.now())).replace(/\.(png|jpe?g|webp)$/i, "");
+      downloadBlob(tagged, `${name}.${getImageExtension(tagged)}`);
+      error = "";
+    } catch (/** @type {any} */ err) {
+      error = `Failed to download image: ${err.message}`;
+    }
+  }
+
+  /**
+   * Download a saved image with its metadata embedded
+   * @param {SavedImage} savedImage - The saved image
+   * @param {string} filename - Filename; the extension is corrected to match the image format
+   */
+  async function downloadTaggedSavedImage(savedImage, filename) {
+    const blob = await imageStorage.getImageBlob(savedImage.id);
+    if (!blob) throw new Error("Image not found");
+
+    const tagged = await embedImageMetadata(blob, savedImage);
+    downloadBlob(tagged, `${filename.replace(/\.(png|jpe?g|webp)$/i, "")}.${getImageExtension(tagged)}`);
+  }
+
   /**
    * Generate a better filename from prompt
    * @param {string} prompt - The full prompt
@@ -364,26 +524,6 @@ function createImageManager() {
     return sanitized ? `${sanitized}_${timestamp}.png` : `image_${timestamp}.png`;
   }
 
-  /**
-   * Create metadata JSON content
-   * @param {SavedImage} savedImage - The saved image data
-   * @returns {string} - JSON string for metadata file
-   */
-  function createMetadataJson(savedImage) {
-    const metadata = {
-      prompt: savedImage.prompt,
-      generationParams: savedImage.generationParams || {},
-      metadata: {
-        timestamp: savedImage.timestamp,
-        imageId: savedImage.id,
-        originalUrl: savedImage.url,
-        filename: savedImage.filename,
-      },
-    };
-
-    return JSON.stringify(metadata, null, 2);
-  }
-
   /**
    * Download metadata as JSON file
    * @param {string} content - JSON content
@@ -416,13 +556,13 @@ function createImageManager() {
       const filename = generateBetterFilename(savedImage.prompt, savedImage.timestamp);
 
       if (downloadType === "image" || downloadType === "both") {
-        // Download the image
-        await imageStorage.downloadSavedImage(imageId, filename);
+        // Download the image with prompt and settings embedded
+        await downloadTaggedSavedImage(savedImage, filename);
       }
 
       if (downloadType === "metadata" || downloadType === "both") {
         // Download metadata JSON
-        const metadataContent = createMetadataJson(savedImage);
+        const metadataContent = imageStorage.createMetadataJson(savedImage);
         downloadMetadata(metadataContent, filename);
       }
 
@@ -433,26 +573,33 @@ function createImageManager() {
   }
 
   /**
-   * Batch download multiple images
+   * Save a blob as a browser download
+   * @param {Blob} blob
+   * @param {string} filename
+   */
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  }
+
+  /**
+   * Batch download multiple images as a single .zip
    * @param {string[]} imageIds - Array of image IDs to download
-   * @param {'image' | 'metadata' | 'both'} downloadType - What to download
+   * @param {'image' | 'metadata' | 'both'} downloadType - Whether to include metadata sidecars
    */
   async function batchDownload(imageIds, downloadType = "image") {
     if (!imageIds.length) return;
 
     try {
-      console.log(`📥 Starting batch download of ${imageIds.length} images...`);
-      
-      for (let i = 0; i < imageIds.length; i++) {
-        const imageId = imageIds[i];
-        console.log(`📥 Downloading ${i + 1}/${imageIds.length}: ${imageId}`);
-        
-        await downloadWithMetadata(imageId, downloadType);
-        
-        // Small delay to prevent overwhelming browser
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-      
+      console.log(`📥 Zipping ${imageIds.length} images...`);
+      const { exportLibrary } = await import("$lib/library-archive.js");
+      const archive = await exportLibrary({ imageIds, includeSidecars: downloadType !== "image" });
+      downloadBlob(archive, `fluxor-images-${Date.now()}.zip`);
+
       console.log('✅ Batch download complete!');
       error = "";
     } catch (/** @type {any} */ err) {
@@ -460,6 +607,188 @@ function createImageManager() {
     }
   }
 
+  /**
+   * Export every saved image and video to a single .zip download
+   */
+  async function exportLibrary() {
+    try {
+      isExporting = true;
+      const { exportLibrary: buildArchive, getArchiveFilename } = await import("$lib/library-archive.js");
+      const archive = await buildArchive();
+      downloadBlob(archive, getArchiveFilename());
+      error = "";
+    } catch (/** @type {any} */ err) {
+      error = `Failed to export library: ${err.message}`;
+    } finally {
+      isExporting = false;
+    }
+  }
+
+  /**
+   * Restore images and videos from a library .zip, skipping duplicates
+   * @param {File} file - Archive chosen by the user
+   * @returns {Promise<import('$lib/library-archive.js').ArchiveImportResult | null>}
+   */
+  async function importLibrary(file) {
+    try {
+      isImporting = true;
+      const { importLibrary: restoreArchive } = await import("$lib/library-archive.js");
+      const result = await restoreArchive(file);
+      await loadSavedImages();
+      error = result.errors.length ? `Some files could not be imported: ${result.errors.join(", ")}` : "";
+      return result;
+    } catch (/** @type {any} */ err) {
+      error = `Failed to import library: ${err.message}`;
+      return null;
+    } finally {
+      isImporting = false;
+    }
+  }
+
+  /**
+   * Work out which saved image, if any, an input came from so derived outputs
+   * can be linked to it. Gallery drags carry our object URLs; outputs dragged
+   * straight from a studio still carry the URL they were saved from.
+   * @param {string | File | null | undefined} input - Dropped or loaded URL, or an uploaded file
+   * @returns {ImageSource}
+   */
+  function identifyImageSource(input) {
+    if (!input) return { imageId: null, label: "" };
+    if (typeof input !== "string") return { imageId: null, label: input.name };
+
+    const byObjectUrl = Object.entries(imageUrls).find(([, url]) => url === input);
+    if (byObjectUrl) return { imageId: byObjectUrl[0], label: "" };
+
+    const bySourceUrl = savedImages.find((img) => img.url === input);
+    if (bySourceUrl) return { imageId: bySourceUrl.id, label: "" };
+
+    if (input.startsWith("data:")) return { imageId: null, label: "pasted image" };
+    if (input.startsWith("blob:")) return { imageId: null, label: "dragged image" };
+    return { imageId: null, label: input.split("?")[0].split("/").pop() || input };
+  }
+
+  /**
+   * Lineage record for an output derived from an input
+   * @param {ImageSource | null} source - Where the input came from
+   * @param {ImageRelation} relation - Operation that produced the output
+   * @param {Record<string, any>} [operationParams] - Parameters of the operation
+   * @returns {ImageLineage}
+   */
+  function createLineage(source, relation, operationParams) {
+    return {
+      parentId: source?.imageId || null,
+      parentSource: source?.imageId ? undefined : source?.label || undefined,
+      relation,
+      operationParams,
+    };
+  }
+
+  /**
+   * Load the lineage tree an image belongs to
+   * @param {string} imageId - Any image in the chain
+   * @returns {Promise<LineageNode | null>}
+   */
+  async function getLineage(imageId) {
+    return imageStorage.getLineage(imageId);
+  }
+
+  /**
+   * Reopen Fluxor populated with a saved image's prompt and settings.
+   * Images generated from there are linked back to this one.
+   * @param {string} imageId - The ID of the image to remix
+   */
+  async function remixImage(imageId) {
+    const savedImage = savedImages.find((img) => img.id === imageId);
+    if (!savedImage) {
+      error = "Image not found";
+      return;
+    }
+
+    const { default: FluxorController } = await import("$lib/windows/fluxor/FluxorController.svelte.js");
+    FluxorController.openFluxorWindow({
+      parentId: savedImage.id,
+      prompt: savedImage.prompt,
+      generationParams: savedImage.generationParams || {},
+    });
+  }
+
+  /**
+   * Generate N variations of a saved image with nearby seeds or lightly
+   * perturbed prompts, saving each one linked to the parent
+   * @param {string} imageId - The ID of the parent image
+   * @param {{count?: number, mode?: import('$lib/image-variations.js').VariationMode}} [options]
+   * @returns {Promise<number>} Number of variations saved
+   */
+  async function varyImage(imageId, options = {}) {
+    const { count = 4, mode = "seed" } = options;
+    const savedImage = savedImages.find((img) => img.id === imageId);
+    if (!savedImage) {
+      error = "Image not found";
+      return 0;
+    }
+
+    const params = savedImage.generationParams || /** @type {GenerationParams} */ ({});
+    const model = params.model;
+    const variations = planVariations(savedImage, count, mode);
+
+    /** @type {string | undefined} */
+    let referenceImage;
+    if (params.hasReferenceImage || modelRequiresImage(model)) {
+      // The original reference isn't stored, so the parent itself stands in for it
+      const blob = await imageStorage.getImageBlob(imageId);
+      if (blob) {
+        referenceImage = await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(/** @type {string} */ (reader.result));
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        });
+      }
+    }
+
+    pendingVariations[imageId] = (pendingVariations[imageId] || 0) + variations.length;
+    console.log(`🎲 Generating ${variations.length} ${mode} variations of ${imageId}`);
+
+    const results = await Promise.allSettled(
+      variations.map(async (variation) => {
+        try {
+          const generationOptions = generationParamsToOptions(variation.prompt, { ...params, seed: variation.seed });
+          if (referenceImage) generationOptions.image_url = referenceImage;
+
+          const result = await fluxApiManager.generateImage(generationOptions, model);
+          const image = result.images[0];
+
+          const savedId = await saveImage(
+            image.url,
+            variation.prompt,
+            {
+              ...params,
+              seed: image.seed ?? result.seed ?? variation.seed,
+              numImages: 1,
+              provider: result.provider,
+            },
+            { parentId: imageId, relation: "variation", operationParams: { mode, seed: variation.seed } },
+          );
+          if (!savedId) throw new Error("the image could not be saved");
+        } finally {
+          pendingVariations[imageId]--;
+          if (pendingVariations[imageId] <= 0) delete pendingVariations[imageId];
+        }
+      }),
+    );
+
+    // Each save resets the error, so report the outcome once all of them are done
+    const failures = results.filter((result) => result.status === "rejected");
+    if (failures.length > 0) {
+      const reason = /** @type {PromiseRejectedResult} */ (failures[0]).reason;
+      error = `${failures.length} of ${variations.length} variations failed: ${reason?.message || reason}`;
+    } else {
+      error = "";
+    }
+
+    return variations.length - failures.length;
+  }
+
   // Auto-load saved images on initialization
   loadSavedImages();
 
@@ -500,9 +829,35 @@ function createImageManager() {
     get imageUrls() {
       return imageUrls;
     },
+    get isExporting() {
+      return isExporting;
+    },
+    get isImporting() {
+      return isImporting;
+    },
+    get pendingVariations() {
+      return pendingVariations;
+    },
+    get quotaStatus() {
+      return quotaStatus;
+    },
+    get showQuotaWarning() {
+      return Boolean(quotaStatus && (quotaStatus.overQuota || quotaStatus.nearQuota) && !quotaWarningDismissed);
+    },
     saveImage,
     deleteImage,
+    toggleFavorite,
+    remixImage,
+    varyImage,
+    identifyImageSource,
+    createLineage,
+    getLineage,
+    checkQuota,
+    evictOverQuota,
+    dismissQuotaWarning,
     batchDownload,
+    exportLibrary,
+    importLibrary,
     downloadImage,
     getImageUrl,
     generateAllImageUrls,
@@ -511,6 +866,7 @@ function createImageManager() {
     forceCleanupUnreferenced,
     releaseImageUrl,
     downloadImageFromUrl,
+    downloadImageWithMetadata,
     downloadWithMetadata,
     previewImage,
   };
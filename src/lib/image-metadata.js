@@ -0,0 +1,679 @@
+/**
+ * Image Metadata
+ * Embeds generation metadata into PNG (tEXt/iTXt) and JPEG (XMP + EXIF)
+ * files, and reads it back so a dropped image can restore its settings.
+ *
+ * Fluxor writes the full record as JSON (PNG keyword "fluxor", XMP
+ * attribute fluxor:metadata). For images from other tools the reader falls
+ * back to an A1111-style "parameters" chunk, the XMP dc:description or the
+ * EXIF ImageDescription, which usually carry at least the prompt.
+ */
+
+import { unzlibSync } from "fflate";
+
+const SOFTWARE = "Fluxor";
+const METADATA_VERSION = 1;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_KEYWORD = "fluxor";
+/** Text chunk keywords we write; stale copies are removed before re-embedding */
+const PNG_KEYWORDS = [PNG_KEYWORD, "parameters", "Description", "Software"];
+
+const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+const EXIF_HEADER = "Exif\0\0";
+const XMP_NAMESPACE = "urn:fluxor:metadata:1.0";
+/** Largest payload a JPEG APP segment can hold */
+const MAX_SEGMENT_PAYLOAD = 65533;
+
+const EXIF_IMAGE_DESCRIPTION = 0x010e;
+const EXIF_SOFTWARE = 0x0131;
+
+const encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder("utf-8");
+const latin1Decoder = new TextDecoder("latin1");
+
+/**
+ * @typedef {Object} EmbeddedImageMetadata
+ * @property {string} prompt - Generation prompt
+ * @property {Partial<GenerationParams>} generationParams - Whatever parameters could be recovered
+ * @property {'fluxor' | 'parameters' | 'description'} source - Where the metadata was found
+ */
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+/**
+ * Encode a string as Latin-1 (callers check it is representable)
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function latin1Bytes(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {'png' | 'jpeg' | null}
+ */
+function detectFormat(bytes) {
+  if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) return "png";
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return "jpeg";
+  return null;
+}
+
+/**
+ * Human-readable A1111-style parameters line, understood by many image tools
+ * @param {string} prompt
+ * @param {Partial<GenerationParams>} params
+ * @returns {string}
+ */
+function formatParametersText(prompt, params) {
+  const fields = [];
+  if (params.numInferenceSteps) fields.push(`Steps: ${params.numInferenceSteps}`);
+  if (params.guidanceScale) fields.push(`CFG scale: ${params.guidanceScale}`);
+  if (params.seed !== undefined && params.seed !== null) fields.push(`Seed: ${params.seed}`);
+  if (params.aspectRatio) fields.push(`Aspect ratio: ${params.aspectRatio}`);
+  if (params.model) fields.push(`Model: ${params.model}`);
+  if (params.provider) fields.push(`Provider: ${params.provider}`);
+  return fields.length ? `${prompt}\n${fields.join(", ")}` : prompt;
+}
+
+/**
+ * Parse an A1111-style parameters string
+ * @param {string} text
+ * @returns {EmbeddedImageMetadata}
+ */
+function parseParametersText(text) {
+  const lines = text.split("\n");
+  const settingsIndex = lines.findLastIndex((line) => /^\s*Steps:|^\s*Seed:|^\s*Model:/.test(line));
+  const promptLines = settingsIndex === -1 ? lines : lines.slice(0, settingsIndex);
+  const negativeIndex = promptLines.findIndex((line) => line.startsWith("Negative prompt:"));
+  const prompt = (negativeIndex === -1 ? promptLines : promptLines.slice(0, negativeIndex)).join("\n").trim();
+
+  /** @type {Record<string, string>} */
+  const fields = {};
+  if (settingsIndex !== -1) {
+    for (const match of lines[settingsIndex].matchAll(/([A-Za-z][A-Za-z ]*):\s*("[^"]*"|[^,]+)/g)) {
+      fields[match[1].trim().toLowerCase()] = match[2].trim();
+    }
+  }
+
+  /** @type {Partial<GenerationParams>} */
+  const generationParams = {};
+  if (fields.seed && !isNaN(Number(fields.seed))) generationParams.seed = Number(fields.seed);
+  if (fields.steps && !isNaN(Number(fields.steps))) generationParams.numInferenceSteps = Number(fields.steps);
+  if (fields["cfg scale"] && !isNaN(Number(fields["cfg scale"]))) generationParams.guidanceScale = Number(fields["cfg scale"]);
+  if (fields["aspect ratio"]) generationParams.aspectRatio = /** @type {AspectRatio} */ (fields["aspect ratio"]);
+  if (fields.model) generationParams.model = /** @type {Model} */ (fields.model);
+  if (fields.provider) generationParams.provider = fields.provider;
+
+  return { prompt, generationParams, source: "parameters" };
+}
+
+/**
+ * Turn the stored JSON record back into metadata
+ * @param {string} json
+ * @returns {EmbeddedImageMetadata | null}
+ */
+function parseFluxorJson(json) {
+  try {
+    const record = JSON.parse(json);
+    if (!record || typeof record.prompt !== "string") return null;
+    return {
+      prompt: record.prompt,
+      generationParams: record.parameters || {},
+      source: "fluxor",
+    };
+  } catch (error) {
+    console.warn("Failed to parse embedded image metadata:", error);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function pngChunk(type, data) {
+  const typeAndData = concatBytes([latin1Bytes(type), data]);
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(typeAndData, 4);
+  view.setUint32(8 + data.length, crc32(typeAndData));
+  return chunk;
+}
+
+/**
+ * Text chunk for a keyword: tEXt when the text is Latin-1, otherwise iTXt (UTF-8)
+ * @param {string} keyword
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function pngTextChunk(keyword, text) {
+  if (/^[\u0000-\u00ff]*$/.test(text)) {
+    return pngChunk("tEXt", concatBytes([latin1Bytes(keyword), new Uint8Array([0]), latin1Bytes(text)]));
+  }
+  // keyword\0, compression flag 0, method 0, empty language tag\0, empty translated keyword\0, text
+  return pngChunk("iTXt", concatBytes([latin1Bytes(keyword), new Uint8Array([0, 0, 0, 0, 0]), encoder.encode(text)]));
+}
+
+/**
+ * Walk the chunks of a PNG
+ * @param {Uint8Array} bytes
+ * @returns {{type: string, start: number, end: number, data: Uint8Array}[]}
+ */
+function readPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1Decoder.decode(bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (end > bytes.length) break;
+
+    chunks.push({ type, start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset = end;
+    if (type === "IEND") break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Decode a tEXt, zTXt or iTXt chunk
+ * @param {string} type
+ * @param {Uint8Array} data
+ * @returns {{keyword: string, text: string} | null}
+ */
+function decodePngText(type, data) {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd === -1) return null;
+  const keyword = latin1Decoder.decode(data.subarray(0, keywordEnd));
+
+  try {
+    if (type === "tEXt") {
+      return { keyword, text: latin1Decoder.decode(data.subarray(keywordEnd + 1)) };
+    }
+
+    if (type === "zTXt") {
+      return { keyword, text: latin1Decoder.decode(unzlibSync(data.subarray(keywordEnd + 2))) };
+    }
+
+    if (type === "iTXt") {
+      const compressed = data[keywordEnd + 1] === 1;
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedEnd = data.indexOf(0, languageEnd + 1);
+      const textBytes = data.subarray(translatedEnd + 1);
+      return { keyword, text: utf8Decoder.decode(compressed ? unzlibSync(textBytes) : textBytes) };
+    }
+  } catch (error) {
+    console.warn(`Skipping unreadable PNG ${type} chunk:`, error);
+  }
+
+  return null;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} json
+ * @param {string} prompt
+ * @param {Partial<GenerationParams>} params
+ * @returns {Uint8Array}
+ */
+function embedPng(bytes, json, prompt, params) {
+  const chunks = readPngChunks(bytes);
+  const ihdr = chunks.find((chunk) => chunk.type === "IHDR");
+  if (!ihdr) throw new Error("Invalid PNG: missing IHDR");
+
+  const parts = [bytes.subarray(0, ihdr.end)];
+
+  // Text chunks go straight after IHDR so readers find them without scanning image data
+  parts.push(pngTextChunk(PNG_KEYWORD, json));
+  parts.push(pngTextChunk("parameters", formatParametersText(prompt, params)));
+  parts.push(pngTextChunk("Description", prompt));
+  parts.push(pngTextChunk("Software", SOFTWARE));
+
+  for (const chunk of chunks) {
+    if (chunk.type === "IHDR") continue;
+    if (["tEXt", "zTXt", "iTXt"].includes(chunk.type)) {
+      const decoded = decodePngText(chunk.type, chunk.data);
+      if (decoded && PNG_KEYWORDS.includes(decoded.keyword)) continue;
+    }
+    parts.push(bytes.subarray(chunk.start, chunk.end));
+  }
+
+  return concatBytes(parts);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {EmbeddedImageMetadata | null}
+ */
+function readPng(bytes) {
+  /** @type {Record<string, string>} */
+  const texts = {};
+  for (const chunk of readPngChunks(bytes)) {
+    if (chunk.type === "IDAT" && texts[PNG_KEYWORD]) break;
+    if (!["tEXt", "zTXt", "iTXt"].includes(chunk.type)) continue;
+    const decoded = decodePngText(chunk.type, chunk.data);
+    if (decoded) texts[decoded.keyword] = decoded.text;
+  }
+
+  if (texts[PNG_KEYWORD]) {
+    const metadata = parseFluxorJson(texts[PNG_KEYWORD]);
+    if (metadata) return metadata;
+  }
+  if (texts.parameters) return parseParametersText(texts.parameters);
+  if (texts.Description) return { prompt: texts.Description, generationParams: {}, source: "description" };
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// JPEG
+
+/**
+ * Walk the header segments of a JPEG up to the start of scan
+ * @param {Uint8Array} bytes
+ * @returns {{marker: number, start: number, end: number, data: Uint8Array}[]}
+ */
+function readJpegSegments(bytes) {
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    // Start of scan: entropy-coded data follows
+    if (marker === 0xda) break;
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+    if (end > bytes.length) break;
+
+    segments.push({ marker, start: offset, end, data: bytes.subarray(offset + 4, end) });
+    offset = end;
+  }
+
+  return segments;
+}
+
+/**
+ * Whether a segment payload starts with a header string
+ * @param {Uint8Array} data
+ * @param {string} header
+ * @returns {boolean}
+ */
+function startsWith(data, header) {
+  if (data.length < header.length) return false;
+  for (let i = 0; i < header.length; i++) {
+    if (data[i] !== header.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Build an APPn segment
+ * @param {number} marker
+ * @param {Uint8Array} payload
+ * @returns {Uint8Array}
+ */
+function jpegSegment(marker, payload) {
+  // The length field is 16 bits; anything larger would corrupt the file
+  if (payload.length > MAX_SEGMENT_PAYLOAD) {
+    throw new Error(`JPEG segment payload of ${payload.length} bytes exceeds ${MAX_SEGMENT_PAYLOAD}`);
+  }
+  const segment = new Uint8Array(4 + payload.length);
+  segment[0] = 0xff;
+  segment[1] = marker;
+  segment[2] = ((payload.length + 2) >> 8) & 0xff;
+  segment[3] = (payload.length + 2) & 0xff;
+  segment.set(payload, 4);
+  return segment;
+}
+
+/**
+ * Shorten text to at most maxBytes of UTF-8 without splitting a character
+ * @param {string} text
+ * @param {number} maxBytes
+ * @returns {string}
+ */
+function truncateUtf8(text, maxBytes) {
+  const bytes = encoder.encode(text);
+  if (bytes.length <= maxBytes) return text;
+  let end = maxBytes;
+  // Back up past continuation bytes (10xxxxxx) to a character start
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+  return utf8Decoder.decode(bytes.subarray(0, end));
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\r/g, "&#13;")
+    .replace(/\n/g, "&#10;");
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * XMP packet carrying the prompt as dc:description and the full record as fluxor:metadata
+ * @param {string} json
+ * @param {string} prompt
+ * @returns {string}
+ */
+function buildXmp(json, prompt) {
+  return (
+    `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>` +
+    `<x:xmpmeta xmlns:x="adobe:ns:meta/">` +
+    `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">` +
+    `<rdf:Description rdf:about=""` +
+    ` xmlns:dc="http://purl.org/dc/elements/1.1/"` +
+    ` xmlns:xmp="http://ns.adobe.com/xap/1.0/"` +
+    ` xmlns:fluxor="${XMP_NAMESPACE}"` +
+    ` xmp:CreatorTool="${SOFTWARE}"` +
+    (json ? ` fluxor:metadata="${escapeXml(json)}"` : "") +
+    `>` +
+    `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(prompt)}</rdf:li></rdf:Alt></dc:description>` +
+    `</rdf:Description>` +
+    `</rdf:RDF>` +
+    `</x:xmpmeta>` +
+    `<?xpacket end="w"?>`
+  );
+}
+
+/**
+ * XMP packet with its APP1 header
+ * @param {string} json
+ * @param {string} prompt
+ * @returns {Uint8Array}
+ */
+function xmpPayload(json, prompt) {
+  return concatBytes([latin1Bytes(XMP_HEADER), encoder.encode(buildXmp(json, prompt))]);
+}
+
+/**
+ * Minimal big-endian EXIF block with ImageDescription and Software in IFD0
+ * @param {string} prompt
+ * @returns {Uint8Array}
+ */
+function buildExif(prompt) {
+  // Keep the description inside one segment alongside the headers
+  const description = concatBytes([encoder.encode(truncateUtf8(prompt, 60000)), new Uint8Array([0])]);
+  const software = concatBytes([encoder.encode(SOFTWARE), new Uint8Array([0])]);
+
+  const entries = [
+    { tag: EXIF_IMAGE_DESCRIPTION, value: description },
+    { tag: EXIF_SOFTWARE, value: software },
+  ];
+
+  const ifdSize = 2 + entries.length * 12 + 4;
+  let dataOffset = 8 + ifdSize;
+
+  const tiff = new Uint8Array(dataOffset + description.length + software.length);
+  const view = new DataView(tiff.buffer);
+  tiff.set([0x4d, 0x4d, 0x00, 0x2a]); // "MM" big-endian, magic 42
+  view.setUint32(4, 8); // IFD0 offset
+  view.setUint16(8, entries.length);
+
+  entries.forEach((entry, i) => {
+    const entryOffset = 10 + i * 12;
+    view.setUint16(entryOffset, entry.tag);
+    view.setUint16(entryOffset + 2, 2); // ASCII
+    view.setUint32(entryOffset + 4, entry.value.length);
+    view.setUint32(entryOffset + 8, dataOffset);
+    tiff.set(entry.value, dataOffset);
+    dataOffset += entry.value.length;
+  });
+  view.setUint32(10 + entries.length * 12, 0); // no IFD1
+
+  return concatBytes([latin1Bytes(EXIF_HEADER), tiff]);
+}
+
+/**
+ * Read ImageDescription from an EXIF block
+ * @param {Uint8Array} data - APP1 payload starting with the Exif header
+ * @returns {string | null}
+ */
+function readExifDescription(data) {
+  const tiff = data.subarray(EXIF_HEADER.length);
+  if (tiff.length < 8) return null;
+
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const littleEndian = tiff[0] === 0x49;
+  const ifdOffset = view.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > tiff.length) return null;
+
+  const count = view.getUint16(ifdOffset, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entryOffset = ifdOffset + 2 + i * 12;
+    if (entryOffset + 12 > tiff.length) break;
+    if (view.getUint16(entryOffset, littleEndian) !== EXIF_IMAGE_DESCRIPTION) continue;
+
+    const length = view.getUint32(entryOffset + 4, littleEndian);
+    const valueOffset = length <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian);
+    if (valueOffset + length > tiff.length) return null;
+
+    const text = utf8Decoder.decode(tiff.subarray(valueOffset, valueOffset + length)).replace(/\0+$/, "").trim();
+    return text || null;
+  }
+
+  return null;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} json
+ * @param {string} prompt
+ * @returns {Uint8Array}
+ */
+function embedJpeg(bytes, json, prompt) {
+  const segments = readJpegSegments(bytes);
+  const hasExif = segments.some((segment) => segment.marker === 0xe1 && startsWith(segment.data, EXIF_HEADER));
+
+  let xmp = xmpPayload(json, prompt);
+  if (xmp.length > MAX_SEGMENT_PAYLOAD) {
+    // Too large for one segment: keep as much of the prompt as fits. Escaping
+    // and multi-byte characters make the size uneven, so measure the output.
+    const chars = Array.from(prompt);
+    let low = 0;
+    let high = chars.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (xmpPayload("", chars.slice(0, mid).join("")).length <= MAX_SEGMENT_PAYLOAD) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    xmp = xmpPayload("", chars.slice(0, low).join(""));
+  }
+
+  // New segments go after SOI and any JFIF APP0, which must come first
+  let insertAt = 2;
+  const firstSegment = segments[0];
+  if (firstSegment && firstSegment.marker === 0xe0) {
+    insertAt = firstSegment.end;
+  }
+
+  const parts = [bytes.subarray(0, insertAt)];
+  // Leave existing EXIF alone (it may hold orientation); XMP carries everything we need
+  if (!hasExif) parts.push(jpegSegment(0xe1, buildExif(prompt)));
+  parts.push(jpegSegment(0xe1, xmp));
+
+  let offset = insertAt;
+  for (const segment of segments) {
+    if (segment.end <= insertAt) continue;
+    if (segment.marker === 0xe1 && startsWith(segment.data, XMP_HEADER)) {
+      parts.push(bytes.subarray(offset, segment.start));
+      offset = segment.end;
+    }
+  }
+  parts.push(bytes.subarray(offset));
+
+  return concatBytes(parts);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {EmbeddedImageMetadata | null}
+ */
+function readJpeg(bytes) {
+  /** @type {string | null} */
+  let exifDescription = null;
+
+  for (const segment of readJpegSegments(bytes)) {
+    if (segment.marker !== 0xe1) continue;
+
+    if (startsWith(segment.data, XMP_HEADER)) {
+      const xmp = utf8Decoder.decode(segment.data.subarray(XMP_HEADER.length));
+
+      const record = xmp.match(/fluxor:metadata="([^"]*)"/);
+      if (record) {
+        const metadata = parseFluxorJson(unescapeXml(record[1]));
+        if (metadata) return metadata;
+      }
+
+      const description = xmp.match(/<dc:description>[\s\S]*?<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/);
+      if (description && description[1].trim()) {
+        return { prompt: unescapeXml(description[1]).trim(), generationParams: {}, source: "description" };
+      }
+    } else if (startsWith(segment.data, EXIF_HEADER)) {
+      exifDescription = readExifDescription(segment.data);
+    }
+  }
+
+  return exifDescription ? { prompt: exifDescription, generationParams: {}, source: "description" } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+
+/**
+ * Write generation metadata into a PNG or JPEG. Other formats are returned unchanged.
+ * @param {Blob} blob - Image data
+ * @param {{prompt: string, generationParams?: Partial<GenerationParams> | null, timestamp?: number}} metadata
+ * @returns {Promise<Blob>}
+ */
+export async function embedImageMetadata(blob, metadata) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const format = detectFormat(bytes);
+  if (!format) return blob;
+
+  const params = metadata.generationParams || {};
+  const json = JSON.stringify({
+    version: METADATA_VERSION,
+    software: SOFTWARE,
+    prompt: metadata.prompt,
+    model: params.model,
+    seed: params.seed,
+    provider: params.provider,
+    parameters: params,
+    createdAt: new Date(metadata.timestamp || Date.now()).toISOString(),
+  });
+
+  try {
+    const output = format === "png" ? embedPng(bytes, json, metadata.prompt, params) : embedJpeg(bytes, json, metadata.prompt);
+    return new Blob([/** @type {BlobPart} */ (output)], { type: format === "png" ? "image/png" : "image/jpeg" });
+  } catch (error) {
+    // A malformed file is still worth downloading without metadata
+    console.warn("Failed to embed image metadata:", error);
+    return blob;
+  }
+}
+
+/**
+ * Read generation metadata from a PNG or JPEG
+ * @param {Blob | string} source - Image data or any fetchable URL (http, blob, data)
+ * @returns {Promise<EmbeddedImageMetadata | null>} null if the image carries no metadata
+ */
+export async function readImageMetadata(source) {
+  try {
+    const blob = typeof source === "string" ? await (await fetch(source)).blob() : source;
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    const format = detectFormat(bytes);
+    if (format === "png") return readPng(bytes);
+    if (format === "jpeg") return readJpeg(bytes);
+    return null;
+  } catch (error) {
+    console.warn("Failed to read image metadata:", error);
+    return null;
+  }
+}
+
+/**
+ * File extension matching an image's actual format
+ * @param {Blob} blob
+ * @returns {string}
+ */
+export function getImageExtension(blob) {
+  if (blob.type === "image/jpeg") return "jpg";
+  if (blob.type === "image/webp") return "webp";
+  return "png";
+}
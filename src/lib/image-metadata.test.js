@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { embedImageMetadata, readImageMetadata } from './image-metadata.js';
+
+// SOI, a JFIF APP0, start of scan with one byte of data, EOI
+const JPEG = new Uint8Array([
+  0xff, 0xd8,
+  0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+  0xff, 0xda, 0x00, 0x02, 0x00,
+  0xff, 0xd9
+]);
+
+/**
+ * Follow the segment lengths from SOI and return where they lead
+ * @param {Uint8Array} bytes
+ * @returns {number} Offset of the start-of-scan marker, or -1 if the chain breaks
+ */
+function startOfScan(bytes) {
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    if (bytes[offset + 1] === 0xda) return offset;
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+  }
+  return -1;
+}
+
+describe('embedImageMetadata (JPEG)', () => {
+  it('round-trips a short prompt', async () => {
+    const tagged = await embedImageMetadata(new Blob([JPEG], { type: 'image/jpeg' }), { prompt: 'a red fox & a hare' });
+    const bytes = new Uint8Array(await tagged.arrayBuffer());
+
+    expect(startOfScan(bytes)).toBeGreaterThan(0);
+    expect((await readImageMetadata(tagged))?.prompt).toBe('a red fox & a hare');
+  });
+
+  it('keeps segments valid for prompts that grow when encoded and escaped', async () => {
+    // 3 UTF-8 bytes per "€", 5 per escaped "&": far past one segment
+    const prompt = '€&'.repeat(20000);
+    const tagged = await embedImageMetadata(new Blob([JPEG], { type: 'image/jpeg' }), { prompt });
+    const bytes = new Uint8Array(await tagged.arrayBuffer());
+
+    expect(bytes.length).toBeGreaterThan(JPEG.length);
+    expect(startOfScan(bytes)).toBeGreaterThan(0);
+
+    const metadata = await readImageMetadata(tagged);
+    expect(metadata?.prompt.length).toBeGreaterThan(0);
+    expect(prompt.startsWith(metadata?.prompt ?? '')).toBe(true);
+  });
+});
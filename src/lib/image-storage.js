@@ -1,7 +1,12 @@
 const DB_NAME = "FluxorImageDB";
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORE_NAME = "images";
-const METADATA_KEY = "saved_images";
+const METADATA_STORE = "metadata";
+/** Legacy localStorage key, migrated into METADATA_STORE on upgrade */
+const LEGACY_METADATA_KEY = "saved_images";
+
+/** Fraction of the quota at which we start warning */
+const QUOTA_WARNING_THRESHOLD = 0.9;
 
 /** @type {IDBDatabase | null} */
 let db = null;
@@ -15,10 +20,15 @@ async function initDB() {
 
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let migratedLegacyMetadata = false;
 
     request.onerror = () => reject(request.error);
     request.onsuccess = () => {
       db = request.result;
+      // The upgrade transaction has committed, so the legacy copy is safe to drop
+      if (migratedLegacyMetadata && typeof localStorage !== "undefined") {
+        localStorage.removeItem(LEGACY_METADATA_KEY);
+      }
       resolve(db);
     };
 
@@ -29,10 +39,98 @@ async function initDB() {
       if (!database.objectStoreNames.contains(STORE_NAME)) {
         database.createObjectStore(STORE_NAME, { keyPath: "id" });
       }
+
+      if (event.oldVersion < 2) {
+        const metadataStore = database.createObjectStore(METADATA_STORE, { keyPath: "id" });
+        metadataStore.createIndex("timestamp", "timestamp");
+        metadataStore.createIndex("model", "model");
+        metadataStore.createIndex("favorite", "favorite");
+
+        const transaction = /** @type {IDBTransaction} */ (request.transaction);
+        migratedLegacyMetadata = migrateLegacyMetadata(transaction);
+      }
+
+      if (event.oldVersion < 3) {
+        const transaction = /** @type {IDBTransaction} */ (request.transaction);
+        transaction.objectStore(METADATA_STORE).createIndex("parentId", "parentId");
+      }
     };
   });
 }
 
+/**
+ * Copy metadata from localStorage into the metadata store during the v2 upgrade.
+ * Blob sizes are read from the images store so quota accounting covers migrated images.
+ * @param {IDBTransaction} transaction - The version change transaction
+ * @returns {boolean} Whether there was legacy metadata to migrate
+ */
+function migrateLegacyMetadata(transaction) {
+  if (typeof localStorage === "undefined") return false;
+
+  /** @type {SavedImage[]} */
+  let legacyImages;
+  try {
+    const saved = localStorage.getItem(LEGACY_METADATA_KEY);
+    if (!saved) return false;
+    legacyImages = JSON.parse(saved);
+  } catch (error) {
+    console.error("Failed to read legacy saved images metadata:", error);
+    return false;
+  }
+
+  const imageStore = transaction.objectStore(STORE_NAME);
+  const metadataStore = transaction.objectStore(METADATA_STORE);
+
+  for (const image of legacyImages) {
+    const blobRequest = imageStore.get(image.id);
+    blobRequest.onsuccess = () => {
+      // Skip metadata whose blob was already evicted
+      if (!blobRequest.result) return;
+      metadataStore.put(toRecord({ ...image, size: blobRequest.result.blob.size }));
+    };
+  }
+
+  console.log(`📦 Migrating ${legacyImages.length} saved images from localStorage to IndexedDB`);
+  return true;
+}
+
+/**
+ * Convert saved image metadata to a metadata store record.
+ * IndexedDB cannot index booleans, so favorite is stored as 0/1.
+ * @param {SavedImage} image
+ * @returns {Record<string, any>}
+ */
+function toRecord(image) {
+  return {
+    ...image,
+    model: image.generationParams?.model || "",
+    favorite: image.favorite ? 1 : 0,
+  };
+}
+
+/**
+ * Convert a metadata store record back to saved image metadata
+ * @param {Record<string, any>} record
+ * @returns {SavedImage}
+ */
+function fromRecord(record) {
+  const { model, ...image } = record;
+  return /** @type {SavedImage} */ ({ ...image, favorite: Boolean(record.favorite) });
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Convert image URL to blob
  * @param {string} imageUrl - Image URL to fetch
@@ -47,13 +145,14 @@ async function urlToBlob(imageUrl) {
 }
 
 /**
- * Save image to IndexedDB and metadata to localStorage
+ * Save image blob and metadata to IndexedDB
  * @param {string} imageUrl - Image URL to save
  * @param {string} prompt - The prompt used to generate this image
  * @param {GenerationParams} [generationParams] - All generation parameters used
+ * @param {ImageLineage} [lineage] - Input this image was derived from, and how
  * @returns {Promise<string>} - Returns the saved image ID
  */
-async function saveImage(imageUrl, prompt, generationParams = undefined) {
+async function saveImage(imageUrl, prompt, generationParams = undefined, lineage = undefined) {
   try {
     await initDB();
 
@@ -65,18 +164,6 @@ async function saveImage(imageUrl, prompt, generationParams = undefined) {
     // Convert URL to blob
     const blob = await urlToBlob(imageUrl);
 
-    // Save blob to IndexedDB
-    if (!db) throw new Error("Database not initialized");
-    const transaction = db.transaction([STORE_NAME], "readwrite");
-    const store = transaction.objectStore(STORE_NAME);
-
-    await new Promise((resolve, reject) => {
-      const request = store.put({ id, blob });
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
-    // Save metadata to localStorage
     /** @type {SavedImage} */
     const metadata = {
       id,
@@ -84,9 +171,18 @@ async function saveImage(imageUrl, prompt, generationParams = undefined) {
       url: imageUrl,
       timestamp,
       filename,
+      size: blob.size,
+      favorite: false,
       generationParams
     };
 
+    if (lineage) {
+      if (lineage.parentId) metadata.parentId = lineage.parentId;
+      if (lineage.parentSource) metadata.parentSource = lineage.parentSource;
+      if (lineage.operationParams) metadata.operationParams = lineage.operationParams;
+      metadata.relation = lineage.relation;
+    }
+
     // Safety check: if generationParams contains large data, remove it
     if (generationParams && typeof generationParams === 'object') {
       // Remove any properties that might contain large data URLs
@@ -98,21 +194,17 @@ async function saveImage(imageUrl, prompt, generationParams = undefined) {
       metadata.generationParams = safeParams;
     }
 
-    const savedImages = getSavedImagesMetadata();
-    savedImages.unshift(metadata); // Add to beginning of array
-
-    // Keep only last 50 images
-    if (savedImages.length > 50) {
-      const removed = savedImages.splice(50);
-      // Clean up old blobs from IndexedDB
-      for (const oldImage of removed) {
-        await deleteImageBlob(oldImage.id);
-      }
-    }
+    // Save blob and metadata together so neither can exist without the other
+    if (!db) throw new Error("Database not initialized");
+    const transaction = db.transaction([STORE_NAME, METADATA_STORE], "readwrite");
+    transaction.objectStore(STORE_NAME).put({ id, blob });
+    transaction.objectStore(METADATA_STORE).put(toRecord(metadata));
 
-    if (typeof localStorage !== 'undefined') {
-      localStorage.setItem(METADATA_KEY, JSON.stringify(savedImages));
-    }
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
 
     return id;
   } catch (error) {
@@ -122,22 +214,188 @@ async function saveImage(imageUrl, prompt, generationParams = undefined) {
 }
 
 /**
- * Get saved images metadata from localStorage
- * @returns {SavedImage[]}
+ * Restore an image from an archive, keeping its original metadata.
+ * A new ID is assigned if the original ID is already taken.
+ * @param {Blob} blob - Image data
+ * @param {SavedImage} image - Metadata from the archive
+ * @returns {Promise<string>} - The ID the image was stored under
+ */
+async function importImage(blob, image) {
+  await initDB();
+  if (!db) throw new Error("Database not initialized");
+
+  const existing = await promisifyRequest(
+    db.transaction([METADATA_STORE], "readonly").objectStore(METADATA_STORE).get(image.id)
+  );
+  const id = existing ? `img_${Date.now()}_${Math.random().toString(36).substring(2, 11)}` : image.id;
+
+  const transaction = db.transaction([STORE_NAME, METADATA_STORE], "readwrite");
+  transaction.objectStore(STORE_NAME).put({ id, blob });
+  transaction.objectStore(METADATA_STORE).put(toRecord({ ...image, id, size: blob.size }));
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  return id;
+}
+
+/**
+ * Get saved images metadata from IndexedDB, newest first
+ * @param {{model?: string, favoritesOnly?: boolean}} [filter] - Optional index filter
+ * @returns {Promise<SavedImage[]>}
  */
-function getSavedImagesMetadata() {
+async function getSavedImagesMetadata(filter = {}) {
   try {
-    if (typeof localStorage === 'undefined') {
+    if (typeof indexedDB === 'undefined') {
       return [];
     }
-    const saved = localStorage.getItem(METADATA_KEY);
-    return saved ? JSON.parse(saved) : [];
+    await initDB();
+    if (!db) throw new Error("Database not initialized");
+
+    const store = db.transaction([METADATA_STORE], "readonly").objectStore(METADATA_STORE);
+
+    /** @type {Record<string, any>[]} */
+    let records;
+    if (filter.favoritesOnly) {
+      records = await promisifyRequest(store.index("favorite").getAll(1));
+    } else if (filter.model) {
+      records = await promisifyRequest(store.index("model").getAll(filter.model));
+    } else {
+      records = await promisifyRequest(store.index("timestamp").getAll());
+    }
+
+    if (filter.favoritesOnly && filter.model) {
+      records = records.filter((record) => record.model === filter.model);
+    }
+
+    return records
+      .map(fromRecord)
+      .sort((a, b) => b.timestamp - a.timestamp);
   } catch (error) {
     console.error("Failed to get saved images metadata:", error);
     return [];
   }
 }
 
+/**
+ * Mark or unmark an image as a favorite. Favorites are never evicted.
+ * @param {string} imageId - Image ID to update
+ * @param {boolean} favorite - New favorite state
+ * @returns {Promise<boolean>}
+ */
+async function setFavorite(imageId, favorite) {
+  try {
+    await initDB();
+    if (!db) throw new Error("Database not initialized");
+
+    const store = db.transaction([METADATA_STORE], "readwrite").objectStore(METADATA_STORE);
+    const record = await promisifyRequest(store.get(imageId));
+    if (!record) return false;
+
+    await promisifyRequest(store.put({ ...record, favorite: favorite ? 1 : 0 }));
+    return true;
+  } catch (error) {
+    console.error("Failed to update favorite:", error);
+    return false;
+  }
+}
+
+/**
+ * Measure storage use against a quota policy. Nothing is deleted here; the
+ * returned candidates are what would need to go to get back under quota,
+ * oldest first and never including favorites.
+ * @param {StorageQuotaPolicy} policy - Limits to check against (0 = unlimited)
+ * @returns {Promise<StorageQuotaStatus>}
+ */
+async function getQuotaStatus(policy) {
+  const images = (await getSavedImagesMetadata()).reverse();
+  const imageCount = images.length;
+  const totalBytes = images.reduce((sum, image) => sum + (image.size || 0), 0);
+
+  const overCount = policy.maxImages > 0 ? imageCount - policy.maxImages : 0;
+  const overBytes = policy.maxBytes > 0 ? totalBytes - policy.maxBytes : 0;
+
+  /** @type {SavedImage[]} */
+  const evictionCandidates = [];
+  let remainingCount = overCount;
+  let remainingBytes = overBytes;
+  for (const image of images) {
+    if (remainingCount <= 0 && remainingBytes <= 0) break;
+    if (image.favorite) continue;
+    evictionCandidates.push(image);
+    remainingCount--;
+    remainingBytes -= image.size || 0;
+  }
+
+  const usage = Math.max(
+    policy.maxImages > 0 ? imageCount / policy.maxImages : 0,
+    policy.maxBytes > 0 ? totalBytes / policy.maxBytes : 0
+  );
+
+  return {
+    imageCount,
+    totalBytes,
+    maxImages: policy.maxImages,
+    maxBytes: policy.maxBytes,
+    usage,
+    nearQuota: usage >= QUOTA_WARNING_THRESHOLD,
+    overQuota: overCount > 0 || overBytes > 0,
+    evictionCandidates,
+  };
+}
+
+/**
+ * Build the lineage tree an image belongs to: walks parentId links up to the
+ * oldest ancestor still in the library, then collects every descendant of it.
+ * @param {string} imageId - Any image in the chain
+ * @returns {Promise<LineageNode | null>} The root node, or null if the image is missing
+ */
+async function getLineage(imageId) {
+  try {
+    await initDB();
+    if (!db) throw new Error("Database not initialized");
+
+    const store = db.transaction([METADATA_STORE], "readonly").objectStore(METADATA_STORE);
+
+    let record = await promisifyRequest(store.get(imageId));
+    if (!record) return null;
+
+    // Walk up; a deleted parent ends the chain, and the seen set guards against cycles
+    const seen = new Set([record.id]);
+    while (record.parentId && !seen.has(record.parentId)) {
+      const parent = await promisifyRequest(store.get(record.parentId));
+      if (!parent) break;
+      seen.add(parent.id);
+      record = parent;
+    }
+
+    const parentIndex = store.index("parentId");
+
+    /**
+     * @param {Record<string, any>} nodeRecord
+     * @param {Set<string>} visited
+     * @returns {Promise<LineageNode>}
+     */
+    async function buildNode(nodeRecord, visited) {
+      visited.add(nodeRecord.id);
+      const childRecords = await promisifyRequest(parentIndex.getAll(nodeRecord.id));
+      const children = [];
+      for (const child of childRecords.sort((a, b) => a.timestamp - b.timestamp)) {
+        if (!visited.has(child.id)) children.push(await buildNode(child, visited));
+      }
+      return { image: fromRecord(nodeRecord), children };
+    }
+
+    return await buildNode(record, new Set());
+  } catch (error) {
+    console.error("Failed to load image lineage:", error);
+    return null;
+  }
+}
+
 /**
  * Get image blob from IndexedDB
  * @param {string} imageId - Image ID to retrieve
@@ -176,47 +434,23 @@ async function getImageObjectURL(imageId) {
 }
 
 /**
- * Delete image blob from IndexedDB
+ * Delete saved image (both metadata and blob)
  * @param {string} imageId - Image ID to delete
  * @returns {Promise<boolean>}
  */
-async function deleteImageBlob(imageId) {
+async function deleteSavedImage(imageId) {
   try {
     await initDB();
     if (!db) throw new Error("Database not initialized");
 
-    const transaction = db.transaction([STORE_NAME], "readwrite");
-    const store = transaction.objectStore(STORE_NAME);
+    const transaction = db.transaction([STORE_NAME, METADATA_STORE], "readwrite");
+    transaction.objectStore(METADATA_STORE).delete(imageId);
+    transaction.objectStore(STORE_NAME).delete(imageId);
 
     return new Promise((resolve, reject) => {
-      const request = store.delete(imageId);
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve(true);
+      transaction.onerror = () => reject(transaction.error);
     });
-  } catch (error) {
-    console.error("Failed to delete image blob:", error);
-    return false;
-  }
-}
-
-/**
- * Delete saved image (both metadata and blob)
- * @param {string} imageId - Image ID to delete
- * @returns {Promise<boolean>}
- */
-async function deleteSavedImage(imageId) {
-  try {
-    // Remove from localStorage metadata
-    const savedImages = getSavedImagesMetadata();
-    const updatedImages = savedImages.filter((img) => img.id !== imageId);
-    if (typeof localStorage !== 'undefined') {
-      localStorage.setItem(METADATA_KEY, JSON.stringify(updatedImages));
-    }
-
-    // Remove blob from IndexedDB
-    await deleteImageBlob(imageId);
-
-    return true;
   } catch (error) {
     console.error("Failed to delete saved image:", error);
     return false;
@@ -261,22 +495,16 @@ async function downloadSavedImage(imageId, filename) {
  */
 async function clearAllSavedImages() {
   try {
-    // Clear localStorage metadata
-    if (typeof localStorage !== 'undefined') {
-      localStorage.removeItem(METADATA_KEY);
-    }
-
-    // Clear IndexedDB
     await initDB();
     if (!db) throw new Error("Database not initialized");
 
-    const transaction = db.transaction([STORE_NAME], "readwrite");
-    const store = transaction.objectStore(STORE_NAME);
+    const transaction = db.transaction([STORE_NAME, METADATA_STORE], "readwrite");
+    transaction.objectStore(STORE_NAME).clear();
+    transaction.objectStore(METADATA_STORE).clear();
 
     return new Promise((resolve, reject) => {
-      const request = store.clear();
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve(true);
+      transaction.onerror = () => reject(transaction.error);
     });
   } catch (error) {
     console.error("Failed to clear all saved images:", error);
@@ -284,12 +512,37 @@ async function clearAllSavedImages() {
   }
 }
 
+/**
+ * Create the metadata JSON sidecar for a saved image
+ * @param {SavedImage} savedImage - The saved image data
+ * @returns {string} - JSON string for metadata file
+ */
+function createMetadataJson(savedImage) {
+  const metadata = {
+    prompt: savedImage.prompt,
+    generationParams: savedImage.generationParams || {},
+    metadata: {
+      timestamp: savedImage.timestamp,
+      imageId: savedImage.id,
+      originalUrl: savedImage.url,
+      filename: savedImage.filename,
+    },
+  };
+
+  return JSON.stringify(metadata, null, 2);
+}
+
 export default {
   saveImage,
+  importImage,
   getSavedImagesMetadata,
+  setFavorite,
+  getQuotaStatus,
+  getLineage,
   getImageBlob,
   getImageObjectURL,
   deleteSavedImage,
   downloadSavedImage,
   clearAllSavedImages,
+  createMetadataJson,
 };
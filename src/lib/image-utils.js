@@ -71,6 +71,20 @@ export async function fileToReferenceImage(file) {
   });
 }
 
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(/** @type {string} */ (reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
 /**
  * Create a composite image by stitching multiple images horizontally
  * @param {ReferenceImage[]} images - Array of reference images
@@ -254,6 +268,100 @@ export async function stitchImages(images, mode, padding = 10) {
   }
 }
 
+/**
+ * Fit text into a width, cutting it with an ellipsis if needed
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Label text
+ * @param {number} maxWidth - Available width
+ * @returns {string}
+ */
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+
+  let fitted = text;
+  while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+/**
+ * Draw images into a labeled grid for comparing settings: column labels
+ * along the top and, if given, row labels down the left side
+ * @param {Array<{url: string | null, row: number, col: number}>} cells - Cells without an image are drawn as failed
+ * @param {string[]} columnLabels - One label per column
+ * @param {string[]} [rowLabels] - One label per row; leave empty for a single unlabeled row
+ * @param {{cellSize?: number, padding?: number}} [options]
+ * @returns {Promise<string>} Data URL of the grid image
+ */
+export async function createLabeledGrid(cells, columnLabels, rowLabels = [], options = {}) {
+  const { cellSize = 384, padding = 8 } = options;
+  const headerHeight = 40;
+  const labelWidth = rowLabels.length > 0 ? 200 : 0;
+
+  const cols = columnLabels.length;
+  const rows = Math.max(1, rowLabels.length);
+
+  // Load all images; a cell that fails to load is drawn as failed
+  const loadedImages = await Promise.all(
+    cells.map(cell => (cell.url ? loadImageFromUrl(cell.url).catch(() => null) : Promise.resolve(null)))
+  );
+
+  // Create canvas
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas is not supported');
+  canvas.width = labelWidth + cols * (cellSize + padding) + padding;
+  canvas.height = headerHeight + rows * (cellSize + padding) + padding;
+
+  // Fill with white background
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.fillStyle = 'black';
+  ctx.font = 'bold 18px sans-serif';
+  ctx.textBaseline = 'middle';
+
+  // Column labels
+  ctx.textAlign = 'center';
+  columnLabels.forEach((label, col) => {
+    const x = labelWidth + padding + col * (cellSize + padding) + cellSize / 2;
+    ctx.fillText(fitText(ctx, label, cellSize - 8), x, headerHeight / 2);
+  });
+
+  // Row labels
+  ctx.textAlign = 'left';
+  rowLabels.forEach((label, row) => {
+    const y = headerHeight + row * (cellSize + padding) + cellSize / 2;
+    ctx.fillText(fitText(ctx, label, labelWidth - 16), 8, y);
+  });
+
+  // Cells
+  ctx.textAlign = 'center';
+  cells.forEach((cell, i) => {
+    const x = labelWidth + padding + cell.col * (cellSize + padding);
+    const y = headerHeight + cell.row * (cellSize + padding);
+    const img = loadedImages[i];
+
+    if (!img) {
+      ctx.fillStyle = '#e5e7eb';
+      ctx.fillRect(x, y, cellSize, cellSize);
+      ctx.fillStyle = '#b91c1c';
+      ctx.fillText('failed', x + cellSize / 2, y + cellSize / 2);
+      ctx.fillStyle = 'black';
+      return;
+    }
+
+    // Scale to fit the cell while maintaining aspect ratio, centered
+    const scale = Math.min(cellSize / img.naturalWidth, cellSize / img.naturalHeight);
+    const scaledWidth = img.naturalWidth * scale;
+    const scaledHeight = img.naturalHeight * scale;
+    ctx.drawImage(img, x + (cellSize - scaledWidth) / 2, y + (cellSize - scaledHeight) / 2, scaledWidth, scaledHeight);
+  });
+
+  return canvas.toDataURL('image/jpeg', 0.9);
+}
+
 /**
  * Resize an image while maintaining aspect ratio
  * @param {string} imageUrl - Source image URL
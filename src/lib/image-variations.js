@@ -0,0 +1,105 @@
+/**
+ * Image Variations
+ * Plans seed-locked remixes and variations of saved images: turns stored
+ * GenerationParams back into generation options and derives N nearby
+ * prompts or seeds.
+ */
+
+import { resolveBlackForestEndpoint, BLACKFOREST_ENDPOINTS } from "$lib/blackforest-endpoints.js";
+
+/**
+ * @typedef {'seed' | 'prompt'} VariationMode
+ *
+ * @typedef {Object} PlannedVariation
+ * @property {string} prompt - Prompt for this variation
+ * @property {number} seed - Seed for this variation
+ */
+
+/** Small, style-neutral nudges appended to the prompt in 'prompt' mode */
+const PROMPT_PERTURBATIONS = [
+  "slightly different angle",
+  "alternate composition",
+  "subtle variation in lighting",
+  "different moment",
+  "slight change in color palette",
+  "closer framing",
+  "wider framing",
+  "different background details",
+];
+
+/** Largest seed the providers accept */
+const MAX_SEED = 2147483647;
+
+/**
+ * Seeds next to a base seed: base+1, base-1, base+2, base-2, ...
+ * @param {number} baseSeed
+ * @param {number} count
+ * @returns {number[]}
+ */
+export function getNeighborSeeds(baseSeed, count) {
+  const seeds = [];
+  for (let i = 0; seeds.length < count; i++) {
+    const offset = Math.floor(i / 2) + 1;
+    const seed = i % 2 === 0 ? baseSeed + offset : baseSeed - offset;
+    if (seed >= 0 && seed <= MAX_SEED) seeds.push(seed);
+    // Guard against a base seed at both ends of the range
+    if (i > count * 4) break;
+  }
+  return seeds;
+}
+
+/**
+ * Plan N variations of a saved image.
+ * 'seed' keeps the prompt and walks neighboring seeds; 'prompt' keeps the seed
+ * and appends a small perturbation to the prompt.
+ * @param {SavedImage} savedImage
+ * @param {number} count
+ * @param {VariationMode} mode
+ * @returns {PlannedVariation[]}
+ */
+export function planVariations(savedImage, count, mode) {
+  const baseSeed = savedImage.generationParams?.seed ?? Math.floor(Math.random() * 1000000);
+
+  if (mode === "seed") {
+    return getNeighborSeeds(baseSeed, count).map((seed) => ({ prompt: savedImage.prompt, seed }));
+  }
+
+  // Start at a different phrase per image so repeated varies don't all look alike
+  const start = Math.abs(baseSeed) % PROMPT_PERTURBATIONS.length;
+  return Array.from({ length: count }, (_, i) => ({
+    prompt: `${savedImage.prompt.trim().replace(/[.,;]+$/, "")}, ${PROMPT_PERTURBATIONS[(start + i) % PROMPT_PERTURBATIONS.length]}`,
+    seed: baseSeed,
+  }));
+}
+
+/**
+ * Whether a model can only run with a reference image
+ * @param {Model | undefined} model
+ * @returns {boolean}
+ */
+export function modelRequiresImage(model) {
+  const endpointId = resolveBlackForestEndpoint(model);
+  return Boolean(endpointId && BLACKFOREST_ENDPOINTS[endpointId]?.requiresImage);
+}
+
+/**
+ * Turn stored generation parameters back into generation options
+ * @param {string} prompt
+ * @param {Partial<GenerationParams>} params
+ * @returns {ImageGenerationOptions}
+ */
+export function generationParamsToOptions(prompt, params) {
+  /** @type {ImageGenerationOptions} */
+  const options = { prompt, num_images: 1 };
+
+  if (params.seed !== undefined && params.seed !== null) options.seed = params.seed;
+  if (params.aspectRatio) options.aspect_ratio = params.aspectRatio;
+  if (params.outputFormat) options.output_format = params.outputFormat;
+  if (typeof params.enableSafetyChecker === "boolean") options.enable_safety_checker = params.enableSafetyChecker;
+  if (params.safetyTolerance) options.safety_tolerance = params.safetyTolerance;
+  if (typeof params.raw === "boolean") options.raw = params.raw;
+  if (params.guidanceScale) options.guidance_scale = params.guidanceScale;
+  if (params.numInferenceSteps) options.num_inference_steps = params.numInferenceSteps;
+
+  return options;
+}
@@ -0,0 +1,635 @@
+/**
+ * Job Queue
+ * Central queue for generation requests. fal jobs are submitted through the fal
+ * queue API, persisted to IndexedDB and polled until they finish, so a request
+ * survives its window closing or the page reloading.
+ */
+
+import { fal } from "@fal-ai/client";
+
+const DB_NAME = 'CeleryManJobs';
+const DB_VERSION = 1;
+const STORE_NAME = 'jobs';
+const POLL_INTERVAL = 1000;
+const MAX_LOG_LINES = 200;
+
+/** @type {Record<string, number>} */
+const DEFAULT_CONCURRENCY_LIMITS = {
+  fal: 4,
+  blackforest: 2,
+  local: 1
+};
+const FALLBACK_CONCURRENCY_LIMIT = 2;
+
+/** @type {JobStatus[]} */
+const ACTIVE_STATUSES = ['queued', 'running'];
+/** @type {JobStatus[]} */
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Rejection for a job the user cancelled. Callers check for it so a cancel
+ * isn't treated as a failure and retried with another provider.
+ */
+export class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Connection shared by every read and write; jobs are persisted on each poll
+ * @type {Promise<IDBDatabase> | null}
+ */
+let jobDatabase = null;
+
+/**
+ * Open the IndexedDB connection, or reuse the one already open
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openJobDatabase() {
+  if (jobDatabase) return jobDatabase;
+
+  jobDatabase = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      jobDatabase = null;
+      reject(request.error);
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version in another tab upgrade; the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        jobDatabase = null;
+      };
+      resolve(db);
+    };
+
+    /** @param {IDBVersionChangeEvent} event */
+    request.onupgradeneeded = (event) => {
+      /** @type {IDBDatabase} */
+      const db = /** @type {IDBRequest} */ (event.target).result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+    };
+  });
+  return jobDatabase;
+}
+
+/**
+ * Write a job record to IndexedDB
+ * @param {GenerationJob} job
+ * @returns {Promise<void>}
+ */
+async function persistJob(job) {
+  try {
+    const db = await openJobDatabase();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    transaction.objectStore(STORE_NAME).put($state.snapshot(job));
+  } catch (error) {
+    console.error('Failed to persist job:', error);
+  }
+}
+
+/**
+ * Remove a job record from IndexedDB
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function deleteJobRecord(jobId) {
+  try {
+    const db = await openJobDatabase();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    transaction.objectStore(STORE_NAME).delete(jobId);
+  } catch (error) {
+    console.error('Failed to delete job:', error);
+  }
+}
+
+/**
+ * Load all job records from IndexedDB
+ * @returns {Promise<GenerationJob[]>}
+ */
+async function loadJobRecords() {
+  const db = await openJobDatabase();
+  const transaction = db.transaction([STORE_NAME], 'readonly');
+  const store = transaction.objectStore(STORE_NAME);
+
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Generate unique ID for a job
+ * @returns {string}
+ */
+function generateJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+}
+
+/**
+ * Pull the primary media URL out of a provider result
+ * @param {any} data - Result payload
+ * @returns {string | null}
+ */
+export function getResultUrl(data) {
+  return data?.images?.[0]?.url || data?.image?.url || data?.video?.url || data?.videos?.[0]?.url || null;
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createJobQueue() {
+  /** @type {GenerationJob[]} */
+  let jobs = $state([]);
+  /** @type {Record<string, number>} */
+  let concurrencyLimits = $state({ ...DEFAULT_CONCURRENCY_LIMITS });
+  let hasResumed = false;
+
+  /**
+   * Custom executors for non-fal providers, keyed by job ID.
+   * These can't be serialized, so such jobs don't survive a reload.
+   * @type {Map<string, JobExecutor>}
+   */
+  const executors = new Map();
+
+  /**
+   * Promises waiting on a job to finish, keyed by job ID
+   * @type {Map<string, Array<{resolve: (value: JobResult) => void, reject: (reason: Error) => void}>>}
+   */
+  const waiters = new Map();
+
+  /**
+   * @param {string} jobId
+   * @returns {GenerationJob | undefined}
+   */
+  function getJob(jobId) {
+    return jobs.find(job => job.id === jobId);
+  }
+
+  /**
+   * Apply changes to a job and persist it
+   * @param {GenerationJob} job
+   * @param {Partial<GenerationJob>} changes
+   */
+  function updateJob(job, changes) {
+    Object.assign(job, changes);
+    persistJob(job);
+  }
+
+  /**
+   * @param {GenerationJob} job
+   * @param {Array<{message: string}>} [logs]
+   */
+  function appendLogs(job, logs) {
+    if (!logs || logs.length === 0) return;
+    // fal returns the full log on every status call, so only keep lines we haven't seen
+    const newLines = logs.map(log => log.message).slice(job.logCursor || 0);
+    if (newLines.length === 0) return;
+    job.logs = [...job.logs, ...newLines].slice(-MAX_LOG_LINES);
+    job.logCursor = logs.length;
+  }
+
+  /**
+   * @param {string} jobId
+   * @param {(waiter: {resolve: (value: JobResult) => void, reject: (reason: Error) => void}) => void} callback
+   */
+  function settleWaiters(jobId, callback) {
+    const jobWaiters = waiters.get(jobId) || [];
+    waiters.delete(jobId);
+    jobWaiters.forEach(callback);
+  }
+
+  /**
+   * @param {GenerationJob} job
+   * @param {any} data
+   */
+  function completeJob(job, data) {
+    if (job.status === 'cancelled') return;
+
+    updateJob(job, {
+      status: 'completed',
+      result: data,
+      resultUrl: getResultUrl(data),
+      queuePosition: null,
+      completedAt: Date.now()
+    });
+    console.log(`✅ Job completed: ${job.id}`, job.resultUrl);
+
+    settleWaiters(job.id, waiter => waiter.resolve({ data, requestId: job.requestId, jobId: job.id }));
+    processQueue();
+  }
+
+  /**
+   * @param {GenerationJob} job
+   * @param {*} error
+   */
+  function failJob(job, error) {
+    if (job.status === 'cancelled') return;
+
+    const message = error?.body?.detail || error?.message || String(error);
+    updateJob(job, {
+      status: 'failed',
+      error: typeof message === 'string' ? message : JSON.stringify(message),
+      queuePosition: null,
+      completedAt: Date.now()
+    });
+    console.error(`❌ Job failed: ${job.id}`, error);
+
+    settleWaiters(job.id, waiter => waiter.reject(new Error(job.error || 'Job failed')));
+    processQueue();
+  }
+
+  /**
+   * Count jobs currently holding a slot for a provider
+   * @param {string} provider
+   * @returns {number}
+   */
+  function getActiveCount(provider) {
+    return jobs.filter(job => job.provider === provider && ACTIVE_STATUSES.includes(job.status)).length;
+  }
+
+  /**
+   * @param {string} provider
+   * @returns {number}
+   */
+  function getConcurrencyLimit(provider) {
+    return concurrencyLimits[provider] ?? FALLBACK_CONCURRENCY_LIMIT;
+  }
+
+  /**
+   * Start pending jobs, oldest first, while their provider has free slots
+   */
+  function processQueue() {
+    const pending = jobs
+      .filter(job => job.status === 'pending')
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const job of pending) {
+      if (getActiveCount(job.provider) < getConcurrencyLimit(job.provider)) {
+        startJob(job);
+      }
+    }
+  }
+
+  /**
+   * @param {GenerationJob} job
+   */
+  function startJob(job) {
+    updateJob(job, { status: 'queued', submittedAt: Date.now() });
+
+    const execute = executors.get(job.id);
+    if (execute) {
+      runCustomJob(job, execute);
+    } else {
+      submitFalJob(job);
+    }
+  }
+
+  /**
+   * Run a job through a provider-supplied executor
+   * @param {GenerationJob} job
+   * @param {JobExecutor} execute
+   */
+  async function runCustomJob(job, execute) {
+    /** @param {string} message */
+    const log = (message) => {
+      if (job.status !== 'running') return;
+      job.logs = [...job.logs, message].slice(-MAX_LOG_LINES);
+      persistJob(job);
+    };
+
+    try {
+      updateJob(job, { status: 'running', startedAt: Date.now() });
+      const data = await execute(job, log);
+      completeJob(job, data);
+    } catch (error) {
+      failJob(job, error);
+    }
+  }
+
+  /**
+   * Submit a job to the fal queue and poll it to completion
+   * @param {GenerationJob} job
+   */
+  async function submitFalJob(job) {
+    try {
+      const queued = await fal.queue.submit(job.model, { input: job.input });
+      updateJob(job, {
+        requestId: queued.request_id,
+        statusUrl: queued.status_url,
+        responseUrl: queued.response_url,
+        cancelUrl: queued.cancel_url,
+        queuePosition: queued.queue_position ?? null
+      });
+      console.log(`📡 Job submitted: ${job.id} (${queued.request_id})`);
+
+      // Cancelled while the submit was in flight
+      if (job.status === 'cancelled') {
+        await cancelFalRequest(job);
+        return;
+      }
+
+      await pollFalJob(job);
+    } catch (error) {
+      failJob(job, error);
+    }
+  }
+
+  /**
+   * Poll the fal queue status API until the job finishes
+   * @param {GenerationJob} job
+   */
+  async function pollFalJob(job) {
+    if (!job.requestId) {
+      throw new Error('Job has no fal request ID');
+    }
+
+    while (ACTIVE_STATUSES.includes(job.status)) {
+      const update = await fal.queue.status(job.model, { requestId: job.requestId, logs: true });
+      if (!ACTIVE_STATUSES.includes(job.status)) return;
+
+      if (update.status === 'IN_QUEUE') {
+        updateJob(job, { queuePosition: update.queue_position ?? null });
+      } else if (update.status === 'IN_PROGRESS') {
+        appendLogs(job, update.logs);
+        updateJob(job, {
+          status: 'running',
+          queuePosition: null,
+          startedAt: job.startedAt || Date.now()
+        });
+      } else if (update.status === 'COMPLETED') {
+        appendLogs(job, update.logs);
+        const result = await fal.queue.result(job.model, { requestId: job.requestId });
+        if (result?.data?.error) {
+          throw new Error(`API Error: ${result.data.error}`);
+        }
+        completeJob(job, result.data);
+        return;
+      }
+
+      await sleep(POLL_INTERVAL);
+    }
+  }
+
+  /**
+   * Ask fal to cancel a submitted request (PUT to the request's cancel_url)
+   * @param {GenerationJob} job
+   * @returns {Promise<boolean>} Whether fal accepted the cancellation
+   */
+  async function cancelFalRequest(job) {
+    if (!job.requestId) return false;
+    try {
+      await fal.queue.cancel(job.model, { requestId: job.requestId });
+      return true;
+    } catch (error) {
+      console.warn(`Failed to cancel fal request ${job.requestId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} model - Model endpoint ID
+   * @param {Record<string, any>} input - Model input
+   * @param {JobOptions} [options]
+   * @returns {string} The job ID
+   */
+  function submitJob(model, input, options = {}) {
+    /** @type {GenerationJob} */
+    const job = {
+      id: generateJobId(),
+      provider: options.provider || 'fal',
+      model,
+      input,
+      label: options.label || null,
+      status: 'pending',
+      resumable: !options.execute,
+      requestId: null,
+      statusUrl: null,
+      responseUrl: null,
+      cancelUrl: null,
+      queuePosition: null,
+      logs: [],
+      logCursor: 0,
+      result: null,
+      resultUrl: null,
+      error: null,
+      createdAt: Date.now(),
+      submittedAt: null,
+      startedAt: null,
+      completedAt: null
+    };
+
+    if (options.execute) {
+      executors.set(job.id, options.execute);
+    }
+
+    jobs.unshift(job);
+    persistJob(job);
+    processQueue();
+    return job.id;
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {string} jobId
+   * @returns {Promise<JobResult>}
+   */
+  function waitForJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) {
+      return Promise.reject(new Error(`Job not found: ${jobId}`));
+    }
+
+    if (job.status === 'completed') {
+      return Promise.resolve({ data: job.result, requestId: job.requestId, jobId });
+    }
+    if (job.status === 'cancelled') {
+      return Promise.reject(new JobCancelledError());
+    }
+    if (job.status === 'failed') {
+      return Promise.reject(new Error(job.error || 'Job failed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const jobWaiters = waiters.get(jobId) || [];
+      jobWaiters.push({ resolve, reject });
+      waiters.set(jobId, jobWaiters);
+    });
+  }
+
+  /**
+   * Submit a job and wait for its result
+   * @param {string} model - Model endpoint ID
+   * @param {Record<string, any>} input - Model input
+   * @param {JobOptions} [options]
+   * @returns {Promise<JobResult>}
+   */
+  async function runJob(model, input, options = {}) {
+    const jobId = submitJob(model, input, options);
+    return waitForJob(jobId);
+  }
+
+  /**
+   * Cancel a pending or running job
+   * @param {string} jobId
+   * @returns {Promise<boolean>} Whether the job was cancelled
+   */
+  async function cancelJob(jobId) {
+    const job = getJob(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return false;
+
+    const wasSubmitted = ACTIVE_STATUSES.includes(job.status);
+    updateJob(job, {
+      status: 'cancelled',
+      error: 'Cancelled by user',
+      queuePosition: null,
+      completedAt: Date.now()
+    });
+
+    if (wasSubmitted && job.provider === 'fal') {
+      await cancelFalRequest(job);
+    }
+
+    settleWaiters(jobId, waiter => waiter.reject(new JobCancelledError()));
+    processQueue();
+    return true;
+  }
+
+  /**
+   * Whether a finished job can be submitted again
+   * @param {string} jobId
+   * @returns {boolean}
+   */
+  function canRetryJob(jobId) {
+    const job = getJob(jobId);
+    if (!job || !FINISHED_STATUSES.includes(job.status)) return false;
+    return job.resumable || executors.has(jobId);
+  }
+
+  /**
+   * Submit a copy of a finished job
+   * @param {string} jobId
+   * @returns {string | null} The new job ID, or null if the job can't be retried
+   */
+  function retryJob(jobId) {
+    const job = getJob(jobId);
+    if (!job || !canRetryJob(jobId)) return null;
+
+    return submitJob(job.model, $state.snapshot(job.input), {
+      provider: job.provider,
+      label: job.label || undefined,
+      execute: executors.get(jobId)
+    });
+  }
+
+  /**
+   * Remove a finished job from the queue
+   * @param {string} jobId
+   */
+  function removeJob(jobId) {
+    const job = getJob(jobId);
+    if (!job || !FINISHED_STATUSES.includes(job.status)) return;
+
+    jobs = jobs.filter(j => j.id !== jobId);
+    executors.delete(jobId);
+    deleteJobRecord(jobId);
+  }
+
+  /**
+   * Remove all finished jobs
+   */
+  function clearFinishedJobs() {
+    jobs
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .forEach(job => {
+        executors.delete(job.id);
+        deleteJobRecord(job.id);
+      });
+    jobs = jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+  }
+
+  /**
+   * Set the number of jobs a provider may run at once
+   * @param {string} provider
+   * @param {number} limit
+   */
+  function setConcurrencyLimit(provider, limit) {
+    concurrencyLimits[provider] = Math.max(1, Math.floor(limit));
+    processQueue();
+  }
+
+  /**
+   * Restore jobs from IndexedDB and resume polling any that were in flight
+   * @returns {Promise<void>}
+   */
+  async function resumeJobs() {
+    if (hasResumed) return;
+    hasResumed = true;
+
+    try {
+      const records = await loadJobRecords();
+      const knownIds = new Set(jobs.map(job => job.id));
+      const restored = records.filter(record => !knownIds.has(record.id));
+
+      jobs = [...jobs, ...restored].sort((a, b) => b.createdAt - a.createdAt);
+
+      for (const record of restored) {
+        const job = /** @type {GenerationJob} */ (getJob(record.id));
+        if (FINISHED_STATUSES.includes(job.status)) continue;
+
+        if (!job.resumable) {
+          failJob(job, new Error('Interrupted by page reload'));
+        } else if (job.requestId && ACTIVE_STATUSES.includes(job.status)) {
+          console.log(`🔄 Resuming job: ${job.id} (${job.requestId})`);
+          pollFalJob(job).catch(error => failJob(job, error));
+        } else {
+          // Never reached fal; submit it again
+          updateJob(job, { status: 'pending' });
+        }
+      }
+
+      processQueue();
+    } catch (error) {
+      console.error('Failed to resume jobs:', error);
+    }
+  }
+
+  return {
+    // State
+    get jobs() {
+      return jobs;
+    },
+    get concurrencyLimits() {
+      return concurrencyLimits;
+    },
+
+    // Methods
+    submitJob,
+    waitForJob,
+    runJob,
+    cancelJob,
+    retryJob,
+    canRetryJob,
+    removeJob,
+    clearFinishedJobs,
+    getJob,
+    setConcurrencyLimit,
+    resumeJobs
+  };
+}
+
+export const jobQueue = createJobQueue();
@@ -0,0 +1,329 @@
+/**
+ * Library Archive
+ * Exports the browser image and video libraries (FluxorImageDB and
+ * CeleryManVideos) to a single .zip and restores them from one.
+ *
+ * Archive layout:
+ *   manifest.json           - format/version plus one entry per file
+ *   images/<id>.<ext>       - image blobs
+ *   images/<id>.json        - createMetadataJson sidecars
+ *   videos/<id>.<ext>       - video blobs
+ */
+
+import { zip, unzip, strToU8, strFromU8 } from "fflate";
+import imageStorage from "$lib/image-storage.js";
+import { videoStorage } from "$lib/video-storage.svelte.js";
+
+const ARCHIVE_FORMAT = "fluxor-library";
+const ARCHIVE_VERSION = 1;
+
+/**
+ * @typedef {Object} ArchiveImageEntry
+ * @property {string} file - Path of the blob inside the archive
+ * @property {string} [sidecar] - Path of the metadata sidecar
+ * @property {string} sha256 - Hex digest of the blob, used to skip duplicates
+ * @property {string} type - MIME type
+ * @property {SavedImage} metadata
+ *
+ * @typedef {Object} ArchiveVideoEntry
+ * @property {string} file - Path of the blob inside the archive
+ * @property {string} sha256 - Hex digest of the blob, used to skip duplicates
+ * @property {string} type - MIME type
+ * @property {import('$lib/video-storage.svelte.js').SavedVideo} metadata
+ *
+ * @typedef {Object} ArchiveManifest
+ * @property {string} format
+ * @property {number} version
+ * @property {string} exportedAt - ISO timestamp
+ * @property {ArchiveImageEntry[]} images
+ * @property {ArchiveVideoEntry[]} videos
+ *
+ * @typedef {Object} ArchiveImportResult
+ * @property {{images: number, videos: number}} imported
+ * @property {{images: number, videos: number}} skipped - Already in the library
+ * @property {string[]} errors - Entries that could not be restored
+ */
+
+/** @type {Record<string, string>} */
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/avif": "avif",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov",
+};
+
+/**
+ * File extension for a MIME type
+ * @param {string} type
+ * @param {string} fallback
+ * @returns {string}
+ */
+function extensionFor(type, fallback) {
+  return EXTENSIONS[type] || fallback;
+}
+
+/**
+ * Hex SHA-256 digest of some bytes
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function sha256(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", /** @type {BufferSource} */ (bytes));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Read a blob as bytes
+ * @param {Blob} blob
+ * @returns {Promise<Uint8Array>}
+ */
+async function blobToBytes(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Build a .zip from saved images and videos.
+ * Media is already compressed, so entries are stored rather than deflated.
+ * @param {{imageIds?: string[], includeVideos?: boolean, includeSidecars?: boolean}} [options] - Limit to some images; videos are included unless imageIds is given
+ * @returns {Promise<Blob>}
+ */
+export async function exportLibrary(options = {}) {
+  const { imageIds, includeVideos = !imageIds, includeSidecars = true } = options;
+
+  /** @type {Record<string, Uint8Array | [Uint8Array, {level: 0 | 6}]>} */
+  const files = {};
+
+  /** @type {ArchiveManifest} */
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    images: [],
+    videos: [],
+  };
+
+  let savedImages = await imageStorage.getSavedImagesMetadata();
+  if (imageIds) {
+    savedImages = savedImages.filter((image) => imageIds.includes(image.id));
+  }
+
+  for (const image of savedImages) {
+    const blob = await imageStorage.getImageBlob(image.id);
+    if (!blob) {
+      console.warn(`Skipping image ${image.id}: blob missing`);
+      continue;
+    }
+
+    const bytes = await blobToBytes(blob);
+    const type = blob.type || "image/png";
+    const file = `images/${image.id}.${extensionFor(type, "png")}`;
+    const sidecar = includeSidecars ? `images/${image.id}.json` : undefined;
+
+    files[file] = [bytes, { level: 0 }];
+    if (sidecar) {
+      files[sidecar] = strToU8(imageStorage.createMetadataJson(image));
+    }
+    manifest.images.push({ file, sidecar, sha256: await sha256(bytes), type, metadata: image });
+  }
+
+  if (includeVideos) {
+    for (const video of videoStorage.getSavedVideosMetadata()) {
+      const blob = await videoStorage.getVideoBlob(video.id);
+      if (!blob) {
+        console.warn(`Skipping video ${video.id}: blob missing`);
+        continue;
+      }
+
+      const bytes = await blobToBytes(blob);
+      const type = blob.type || video.type || "video/mp4";
+      const file = `videos/${video.id}.${extensionFor(type, "mp4")}`;
+
+      files[file] = [bytes, { level: 0 }];
+      manifest.videos.push({ file, sha256: await sha256(bytes), type, metadata: video });
+    }
+  }
+
+  files["manifest.json"] = strToU8(JSON.stringify(manifest, null, 2));
+
+  const archive = await new Promise((resolve, reject) => {
+    zip(files, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+
+  console.log(`📦 Exported ${manifest.images.length} images and ${manifest.videos.length} videos`);
+  return new Blob([archive], { type: "application/zip" });
+}
+
+/**
+ * Hashes of everything already in the browser library; image hashes map to
+ * the ID of the image with that content
+ * @returns {Promise<{images: Map<string, string>, videos: Set<string>}>}
+ */
+async function getExistingHashes() {
+  /** @type {Map<string, string>} */
+  const images = new Map();
+  for (const image of await imageStorage.getSavedImagesMetadata()) {
+    const blob = await imageStorage.getImageBlob(image.id);
+    if (blob) images.set(await sha256(await blobToBytes(blob)), image.id);
+  }
+
+  const videos = new Set();
+  for (const video of videoStorage.getSavedVideosMetadata()) {
+    const blob = await videoStorage.getVideoBlob(video.id);
+    if (blob) videos.add(await sha256(await blobToBytes(blob)));
+  }
+
+  return { images, videos };
+}
+
+/**
+ * Order image entries so each parent in the archive comes before the images
+ * derived from it, and its library ID is known when they are imported
+ * @param {ArchiveImageEntry[]} entries
+ * @returns {ArchiveImageEntry[]}
+ */
+function parentsFirst(entries) {
+  const byId = new Map(entries.map((entry) => [entry.metadata.id, entry]));
+  /** @type {Set<ArchiveImageEntry>} */
+  const ordered = new Set();
+  /** @type {Set<ArchiveImageEntry>} */
+  const visiting = new Set();
+
+  /** @param {ArchiveImageEntry} entry */
+  const visit = (entry) => {
+    if (ordered.has(entry) || visiting.has(entry)) return;
+    visiting.add(entry);
+    const parent = entry.metadata.parentId ? byId.get(entry.metadata.parentId) : undefined;
+    if (parent) visit(parent);
+    ordered.add(entry);
+  };
+  entries.forEach(visit);
+
+  return [...ordered];
+}
+
+/**
+ * Restore images and videos from an archive made by exportLibrary.
+ * Files whose content is already in the library are skipped. Images may be
+ * stored under new IDs, so parentId links are pointed at the IDs their
+ * parents ended up with; a link to a parent that is in neither the archive
+ * nor the library is dropped.
+ * @param {Blob} file - The .zip archive
+ * @returns {Promise<ArchiveImportResult>}
+ * @throws {Error} If the file is not a library archive
+ */
+export async function importLibrary(file) {
+  const archiveBytes = await blobToBytes(file);
+
+  /** @type {Record<string, Uint8Array>} */
+  const files = await new Promise((resolve, reject) => {
+    unzip(archiveBytes, (err, data) => (err ? reject(new Error(`Could not read archive: ${err.message}`)) : resolve(data)));
+  });
+
+  if (!files["manifest.json"]) {
+    throw new Error("Not a library archive: manifest.json is missing");
+  }
+
+  /** @type {ArchiveManifest} */
+  const manifest = JSON.parse(strFromU8(files["manifest.json"]));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error("Not a library archive: unknown format");
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than this app supports`);
+  }
+
+  /** @type {ArchiveImportResult} */
+  const result = {
+    imported: { images: 0, videos: 0 },
+    skipped: { images: 0, videos: 0 },
+    errors: [],
+  };
+
+  const existing = await getExistingHashes();
+  const libraryImageIds = new Set(existing.images.values());
+  const imageEntries = parentsFirst(manifest.images || []);
+  const archivedImageIds = new Set(imageEntries.map((entry) => entry.metadata.id));
+
+  /**
+   * Library ID of each archived image that was imported or already there, by its ID in the archive
+   * @type {Map<string, string>}
+   */
+  const importedIds = new Map();
+
+  /**
+   * Library ID for a parentId from the archive
+   * @param {string} [parentId]
+   * @returns {string | undefined}
+   */
+  const resolveParentId = (parentId) => {
+    if (!parentId) return undefined;
+    if (archivedImageIds.has(parentId)) return importedIds.get(parentId);
+    return libraryImageIds.has(parentId) ? parentId : undefined;
+  };
+
+  for (const entry of imageEntries) {
+    try {
+      const bytes = files[entry.file];
+      if (!bytes) throw new Error("file missing from archive");
+
+      const hash = await sha256(bytes);
+      const existingId = existing.images.get(hash);
+      if (existingId) {
+        importedIds.set(entry.metadata.id, existingId);
+        result.skipped.images++;
+        continue;
+      }
+
+      const { parentId, ...metadata } = entry.metadata;
+      const libraryParentId = resolveParentId(parentId);
+      const id = await imageStorage.importImage(
+        new Blob([/** @type {BlobPart} */ (bytes)], { type: entry.type }),
+        libraryParentId ? { ...metadata, parentId: libraryParentId } : metadata
+      );
+      existing.images.set(hash, id);
+      importedIds.set(entry.metadata.id, id);
+      result.imported.images++;
+    } catch (/** @type {any} */ err) {
+      result.errors.push(`${entry.file}: ${err.message}`);
+    }
+  }
+
+  for (const entry of manifest.videos || []) {
+    try {
+      const bytes = files[entry.file];
+      if (!bytes) throw new Error("file missing from archive");
+
+      const hash = await sha256(bytes);
+      if (existing.videos.has(hash)) {
+        result.skipped.videos++;
+        continue;
+      }
+
+      await videoStorage.importVideo(new Blob([/** @type {BlobPart} */ (bytes)], { type: entry.type }), entry.metadata);
+      existing.videos.add(hash);
+      result.imported.videos++;
+    } catch (/** @type {any} */ err) {
+      result.errors.push(`${entry.file}: ${err.message}`);
+    }
+  }
+
+  console.log(
+    `📦 Imported ${result.imported.images} images and ${result.imported.videos} videos ` +
+      `(${result.skipped.images + result.skipped.videos} duplicates skipped)`
+  );
+  return result;
+}
+
+/**
+ * Default filename for an export
+ * @returns {string}
+ */
+export function getArchiveFilename() {
+  return `fluxor-library-${new Date().toISOString().slice(0, 10)}.zip`;
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { exportLibrary, importLibrary } from './library-archive.js';
+
+// Both libraries in memory, with the same ID rules as IndexedDB storage
+const library = vi.hoisted(() => ({
+  /** @type {Map<string, {image: SavedImage, blob: Blob}>} */
+  images: new Map(),
+  /** @type {Map<string, {video: any, blob: Blob}>} */
+  videos: new Map(),
+  nextId: 1
+}));
+
+vi.mock('$lib/image-storage.js', () => ({
+  default: {
+    getSavedImagesMetadata: async () => [...library.images.values()].map(({ image }) => image).reverse(),
+    getImageBlob: async (/** @type {string} */ id) => library.images.get(id)?.blob ?? null,
+    createMetadataJson: (/** @type {SavedImage} */ image) => JSON.stringify(image),
+    importImage: async (/** @type {Blob} */ blob, /** @type {SavedImage} */ image) => {
+      const id = library.images.has(image.id) ? `img_new_${library.nextId++}` : image.id;
+      library.images.set(id, { image: { ...image, id }, blob });
+      return id;
+    }
+  }
+}));
+
+vi.mock('$lib/video-storage.svelte.js', () => ({
+  videoStorage: {
+    getSavedVideosMetadata: () => [...library.videos.values()].map(({ video }) => video),
+    getVideoBlob: async (/** @type {string} */ id) => library.videos.get(id)?.blob ?? null,
+    importVideo: async (/** @type {Blob} */ blob, /** @type {any} */ video) => {
+      library.videos.set(video.id, { video, blob });
+      return video.id;
+    }
+  }
+}));
+
+/**
+ * Put an image in the library
+ * @param {string} id
+ * @param {string} content - Stands in for the image bytes
+ * @param {string} [parentId]
+ */
+function addImage(id, content, parentId) {
+  /** @type {SavedImage} */
+  const image = { id, prompt: content, url: '', timestamp: 0, filename: `${id}.png`, ...(parentId ? { parentId, relation: 'variation' } : {}) };
+  library.images.set(id, { image, blob: new Blob([content], { type: 'image/png' }) });
+}
+
+/**
+ * Library ID of the image holding some content
+ * @param {string} content
+ */
+const idOf = (content) => [...library.images.values()].find(({ image }) => image.prompt === content)?.image.id;
+
+/**
+ * parentId of the image holding some content
+ * @param {string} content
+ */
+const parentOf = (content) => [...library.images.values()].find(({ image }) => image.prompt === content)?.image.parentId;
+
+/** Archive of a root image, a variation of it and a variation of that, newest first */
+async function exportLineage() {
+  addImage('img_1', 'root');
+  addImage('img_2', 'child', 'img_1');
+  addImage('img_3', 'grandchild', 'img_2');
+  const archive = await exportLibrary();
+  library.images.clear();
+  return archive;
+}
+
+beforeEach(() => {
+  library.images.clear();
+  library.videos.clear();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('importLibrary lineage', () => {
+  it('points parentId at the new ID of a parent whose ID was taken', async () => {
+    const archive = await exportLineage();
+    addImage('img_1', 'something else');
+
+    const result = await importLibrary(archive);
+
+    expect(result.imported.images).toBe(3);
+    expect(idOf('root')).not.toBe('img_1');
+    expect(parentOf('child')).toBe(idOf('root'));
+    expect(parentOf('grandchild')).toBe(idOf('child'));
+  });
+
+  it('points parentId at a parent that was already in the library', async () => {
+    const archive = await exportLineage();
+    addImage('lib_root', 'root');
+
+    const result = await importLibrary(archive);
+
+    expect(result.skipped.images).toBe(1);
+    expect(parentOf('child')).toBe('lib_root');
+    expect(parentOf('grandchild')).toBe('img_2');
+  });
+
+  it('drops a link to a parent that is in neither the archive nor the library', async () => {
+    addImage('img_1', 'root');
+    addImage('img_2', 'child', 'img_1');
+    const archive = await exportLibrary({ imageIds: ['img_2'] });
+    library.images.clear();
+
+    await importLibrary(archive);
+
+    expect(library.images.get('img_2')?.image).not.toHaveProperty('parentId');
+    expect(library.images.get('img_2')?.image.relation).toBe('variation');
+  });
+});
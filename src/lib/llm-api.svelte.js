@@ -0,0 +1,62 @@
+/**
+ * LLM API
+ * Routes Chat to the backend chosen in settings: Ollama's native API or an
+ * OpenAI-compatible server. Both adapters share one interface.
+ */
+
+import { settingsManager } from './settings-manager.svelte.js';
+import { ollamaApi, DEFAULT_OLLAMA_URL } from './ollama-api.svelte.js';
+import { openaiChatApi, DEFAULT_OPENAI_URL } from './openai-chat-api.svelte.js';
+
+/**
+ * @typedef {'ollama' | 'openai'} LlmBackend
+ */
+
+/**
+ * Backends the user can pick from
+ * @type {Record<LlmBackend, {label: string, defaultUrl: string}>}
+ */
+export const LLM_BACKENDS = {
+  ollama: { label: 'Ollama', defaultUrl: DEFAULT_OLLAMA_URL },
+  openai: { label: 'OpenAI-compatible (llama.cpp, vLLM)', defaultUrl: DEFAULT_OPENAI_URL }
+};
+
+function createLlmApi() {
+  /**
+   * Backend selected in settings
+   * @returns {LlmBackend}
+   */
+  function getBackend() {
+    return settingsManager.getSetting('llmBackend') === 'openai' ? 'openai' : 'ollama';
+  }
+
+  /**
+   * Adapter for the selected backend
+   * @returns {typeof ollamaApi}
+   */
+  function getAdapter() {
+    return getBackend() === 'openai' ? openaiChatApi : ollamaApi;
+  }
+
+  /**
+   * Send a chat message with streaming support
+   * @param {Parameters<typeof ollamaApi.sendMessage>} args
+   * @returns {Promise<void>}
+   */
+  function sendMessage(...args) {
+    return getAdapter().sendMessage(...args);
+  }
+
+  return {
+    sendMessage,
+    isAvailable: () => getAdapter().isAvailable(),
+    getAvailableModels: () => getAdapter().getAvailableModels(),
+    get backend() { return getBackend(); },
+    get backendLabel() { return LLM_BACKENDS[getBackend()].label; },
+    get baseUrl() { return getAdapter().baseUrl; },
+    get defaultModel() { return getAdapter().defaultModel; },
+    get visionModel() { return getAdapter().visionModel; }
+  };
+}
+
+export const llmApi = createLlmApi();
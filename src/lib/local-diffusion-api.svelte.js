@@ -0,0 +1,516 @@
+/**
+ * Local Diffusion API Integration
+ * Generates images with a locally running ComfyUI or AUTOMATIC1111 server,
+ * reached through the /api/local-diffusion/proxy route.
+ */
+
+import { settingsManager } from './settings-manager.svelte.js';
+import { JobCancelledError } from './job-queue.svelte.js';
+import {
+  DEFAULT_TEXT_TO_IMAGE_WORKFLOW,
+  DEFAULT_IMAGE_TO_IMAGE_WORKFLOW,
+  applyWorkflowTemplate,
+  findUnresolvedPlaceholders,
+  workflowUsesPlaceholder,
+  parseWorkflow
+} from './comfyui-workflows.js';
+import { blobToDataUrl } from './image-utils.js';
+
+const PROXY_URL = '/api/local-diffusion/proxy';
+const POLL_INTERVAL_MS = 1000;
+const MAX_POLL_ATTEMPTS = 900; // 15 minutes - local GPUs can be slow
+
+/** SDXL-friendly sizes (multiples of 64, ~1 megapixel) */
+const ASPECT_RATIO_SIZES = {
+  '21:9': { width: 1536, height: 640 },
+  '16:9': { width: 1344, height: 768 },
+  '4:3': { width: 1152, height: 896 },
+  '1:1': { width: 1024, height: 1024 },
+  '3:4': { width: 896, height: 1152 },
+  '9:16': { width: 768, height: 1344 }
+};
+
+const DEFAULT_STEPS = 25;
+const DEFAULT_CFG = 7;
+const DEFAULT_DENOISE = 0.75;
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createLocalDiffusionApi() {
+  /** @type {string} */
+  let error = $state('');
+  /** @type {boolean} */
+  let isGenerating = $state(false);
+
+  /**
+   * Get the configured backend
+   * @returns {'comfyui' | 'a1111'}
+   */
+  function getBackend() {
+    return settingsManager.getSetting('localDiffusionBackend') === 'a1111' ? 'a1111' : 'comfyui';
+  }
+
+  /**
+   * Get the server URL from settings, without a trailing slash
+   * @returns {string | null}
+   */
+  function getBaseUrl() {
+    const url = settingsManager.getSetting('localDiffusionUrl');
+    return url && url.trim() ? url.trim().replace(/\/+$/, '') : null;
+  }
+
+  /**
+   * Check if a local server is configured
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    return !!getBaseUrl();
+  }
+
+  /**
+   * Make a request to the local server via proxy
+   * @param {string} path - Path on the local server, including any query string
+   * @param {RequestInit} [options]
+   * @returns {Promise<Response>}
+   */
+  async function makeRequest(path, options = {}) {
+    const baseUrl = getBaseUrl();
+    if (!baseUrl) {
+      throw new Error('Local diffusion server URL not configured');
+    }
+
+    return fetch(PROXY_URL, {
+      ...options,
+      headers: {
+        ...(typeof options.body === 'string' ? { 'Content-Type': 'application/json' } : {}),
+        'x-local-diffusion-target-url': `${baseUrl}${path}`,
+        ...options.headers
+      }
+    });
+  }
+
+  /**
+   * Make a request and parse the JSON response, throwing on HTTP errors
+   * @param {string} path
+   * @param {RequestInit} [options]
+   * @returns {Promise<any>}
+   */
+  async function requestJson(path, options) {
+    const response = await makeRequest(path, options);
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new Error(data?.error?.message || data?.error || data?.detail || data?.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return data;
+  }
+
+  /**
+   * Fetch a reference image as a blob. Remote URLs go through the image proxy
+   * to avoid CORS issues.
+   * @param {string} imageUrl
+   * @returns {Promise<Blob>}
+   */
+  async function loadImageBlob(imageUrl) {
+    const response = imageUrl.startsWith('data:') || imageUrl.startsWith('blob:')
+      ? await fetch(imageUrl)
+      : await fetch('/api/proxy-image', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ url: imageUrl })
+        });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load reference image: ${response.status}`);
+    }
+    return response.blob();
+  }
+
+  /**
+   * Map generation options to the values shared by both backends
+   * @param {ImageGenerationOptions} options
+   */
+  function getGenerationValues(options) {
+    const size = ASPECT_RATIO_SIZES[options.aspect_ratio || '1:1'] || ASPECT_RATIO_SIZES['1:1'];
+    const seed = options.seed !== undefined && options.seed !== null && String(options.seed) !== ''
+      ? parseInt(String(options.seed))
+      : Math.floor(Math.random() * 2 ** 32);
+
+    return {
+      prompt: options.prompt,
+      negative_prompt: settingsManager.getSetting('localDiffusionNegativePrompt') || '',
+      seed,
+      width: size.width,
+      height: size.height,
+      batch_size: Math.max(1, Math.min(4, options.num_images || 1)),
+      steps: options.num_inference_steps || DEFAULT_STEPS,
+      cfg: options.guidance_scale || DEFAULT_CFG,
+      denoise: DEFAULT_DENOISE,
+      checkpoint: settingsManager.getSetting('localDiffusionCheckpoint') || undefined
+    };
+  }
+
+  /**
+   * Generate images with the configured local backend
+   * @param {ImageGenerationOptions} options
+   * @param {GenerationJob} [job] - Job running this generation; polling stops if it is cancelled
+   * @param {(message: string) => void} [log] - Progress reporter
+   * @returns {Promise<{images: GeneratedImage[], seed: number | null}>}
+   */
+  async function generateImage(options, job, log = () => {}) {
+    if (!isAvailable()) {
+      throw new Error('Local diffusion server URL not configured');
+    }
+
+    isGenerating = true;
+    error = '';
+
+    try {
+      const values = getGenerationValues(options);
+      return getBackend() === 'a1111'
+        ? await generateWithA1111(options, values, job, log)
+        : await generateWithComfyUI(options, values, job, log);
+    } catch (/** @type {*} */ err) {
+      error = err.message || 'Failed to generate image with local server';
+      console.error('Local diffusion error:', err);
+      throw err;
+    } finally {
+      isGenerating = false;
+    }
+  }
+
+  /**
+   * Build the ComfyUI workflow for a request from the configured template
+   * @param {ImageGenerationOptions} options
+   * @returns {any}
+   */
+  function getWorkflowTemplate(options) {
+    const customWorkflow = settingsManager.getSetting('localDiffusionWorkflow');
+    if (customWorkflow && customWorkflow.trim()) {
+      const workflow = parseWorkflow(customWorkflow);
+      if (options.image_url && !workflowUsesPlaceholder(workflow, 'image')) {
+        throw new Error('Custom ComfyUI workflow has no {{image}} placeholder for the reference image');
+      }
+      return workflow;
+    }
+    return options.image_url ? DEFAULT_IMAGE_TO_IMAGE_WORKFLOW : DEFAULT_TEXT_TO_IMAGE_WORKFLOW;
+  }
+
+  /**
+   * Upload a reference image to ComfyUI's input folder
+   * @param {string} imageUrl
+   * @returns {Promise<string>} Name to use in a LoadImage node
+   */
+  async function uploadComfyImage(imageUrl) {
+    const blob = await loadImageBlob(imageUrl);
+    const formData = new FormData();
+    formData.append('image', blob, `celery-man-reference-${Date.now()}.png`);
+    formData.append('overwrite', 'true');
+
+    const data = await requestJson('/upload/image', { method: 'POST', body: formData });
+    return data.subfolder ? `${data.subfolder}/${data.name}` : data.name;
+  }
+
+  /**
+   * Queue a workflow on ComfyUI and wait for its images
+   * @param {ImageGenerationOptions} options
+   * @param {ReturnType<typeof getGenerationValues>} values
+   * @param {GenerationJob | undefined} job
+   * @param {(message: string) => void} log
+   * @returns {Promise<{images: GeneratedImage[], seed: number | null}>}
+   */
+  async function generateWithComfyUI(options, values, job, log) {
+    const template = getWorkflowTemplate(options);
+
+    /** @type {Record<string, string | number | undefined>} */
+    const templateValues = { ...values };
+    if (options.image_url) {
+      log('Uploading reference image');
+      templateValues.image = await uploadComfyImage(options.image_url);
+    }
+
+    const workflow = applyWorkflowTemplate(template, templateValues);
+    const unresolved = findUnresolvedPlaceholders(workflow);
+    if (unresolved.length > 0) {
+      throw new Error(unresolved.includes('checkpoint')
+        ? 'Set a checkpoint name in Settings to use the default ComfyUI workflow'
+        : `Workflow placeholders without a value: ${unresolved.join(', ')}`);
+    }
+
+    const queued = await requestJson('/prompt', {
+      method: 'POST',
+      body: JSON.stringify({ prompt: workflow, client_id: 'celery-man' })
+    });
+    const promptId = queued.prompt_id;
+    console.log('🖥️ ComfyUI prompt queued:', promptId);
+    log(`Queued ComfyUI prompt ${promptId}`);
+
+    const outputs = await pollComfyHistory(promptId, job, log);
+
+    /** @type {GeneratedImage[]} */
+    const images = [];
+    for (const output of Object.values(outputs)) {
+      for (const file of output.images || []) {
+        // Skip previews and other temp files; SaveImage writes to "output"
+        if (file.type && file.type !== 'output') continue;
+        const url = await fetchComfyImage(file);
+        images.push({
+          url,
+          seed: values.seed,
+          batchIndex: images.length,
+          width: values.width,
+          height: values.height
+        });
+      }
+    }
+
+    return { images, seed: values.seed };
+  }
+
+  /**
+   * Poll ComfyUI's history until the prompt finishes
+   * @param {string} promptId
+   * @param {GenerationJob | undefined} job
+   * @param {(message: string) => void} log
+   * @returns {Promise<Record<string, {images?: Array<{filename: string, subfolder: string, type: string}>}>>}
+   */
+  async function pollComfyHistory(promptId, job, log) {
+    let lastStatus = '';
+
+    for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+      if (job?.status === 'cancelled') {
+        await interruptComfyPrompt(promptId);
+        throw new JobCancelledError();
+      }
+
+      const history = await requestJson(`/history/${encodeURIComponent(promptId)}`);
+      const entry = history?.[promptId];
+
+      if (entry) {
+        if (entry.status?.status_str === 'error') {
+          const errorMessage = (entry.status.messages || [])
+            .filter((/** @type {[string, any]} */ [type]) => type === 'execution_error')
+            .map((/** @type {[string, any]} */ [, data]) => data.exception_message)
+            .join('; ');
+          throw new Error(`ComfyUI execution failed${errorMessage ? `: ${errorMessage}` : ''}`);
+        }
+        if (entry.status?.completed !== false) {
+          log('ComfyUI prompt finished');
+          return entry.outputs || {};
+        }
+      }
+
+      // Report queue position while waiting
+      const queue = await requestJson('/queue').catch(() => null);
+      if (queue) {
+        const running = (queue.queue_running || []).some((/** @type {any[]} */ item) => item[1] === promptId);
+        const pendingIndex = (queue.queue_pending || [])
+          .sort((/** @type {any[]} */ a, /** @type {any[]} */ b) => a[0] - b[0])
+          .findIndex((/** @type {any[]} */ item) => item[1] === promptId);
+        const status = running
+          ? 'Running'
+          : pendingIndex >= 0 ? `Queued (position ${pendingIndex + 1})` : '';
+        if (status && status !== lastStatus) {
+          log(status);
+          lastStatus = status;
+        }
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+
+    throw new Error('Generation timed out');
+  }
+
+  /**
+   * Stop a ComfyUI prompt: drop it from the queue, or interrupt it if running
+   * @param {string} promptId
+   */
+  async function interruptComfyPrompt(promptId) {
+    try {
+      await makeRequest('/queue', {
+        method: 'POST',
+        body: JSON.stringify({ delete: [promptId] })
+      });
+      const queue = await requestJson('/queue');
+      if ((queue.queue_running || []).some((/** @type {any[]} */ item) => item[1] === promptId)) {
+        await makeRequest('/interrupt', { method: 'POST', body: JSON.stringify({}) });
+      }
+    } catch (err) {
+      console.warn('Failed to interrupt ComfyUI prompt:', err);
+    }
+  }
+
+  /**
+   * Download a ComfyUI output image as a blob URL
+   * @param {{filename: string, subfolder: string, type: string}} file
+   * @returns {Promise<string>}
+   */
+  async function fetchComfyImage(file) {
+    const params = new URLSearchParams({
+      filename: file.filename,
+      subfolder: file.subfolder || '',
+      type: file.type || 'output'
+    });
+    const response = await makeRequest(`/view?${params}`);
+    if (!response.ok) {
+      throw new Error(`Failed to download ComfyUI image: ${response.status}`);
+    }
+    return URL.createObjectURL(await response.blob());
+  }
+
+  /**
+   * Generate with AUTOMATIC1111's txt2img/img2img API, polling its progress endpoint
+   * @param {ImageGenerationOptions} options
+   * @param {ReturnType<typeof getGenerationValues>} values
+   * @param {GenerationJob | undefined} job
+   * @param {(message: string) => void} log
+   * @returns {Promise<{images: GeneratedImage[], seed: number | null}>}
+   */
+  async function generateWithA1111(options, values, job, log) {
+    /** @type {Record<string, any>} */
+    const requestBody = {
+      prompt: values.prompt,
+      negative_prompt: values.negative_prompt,
+      seed: values.seed,
+      width: values.width,
+      height: values.height,
+      batch_size: values.batch_size,
+      steps: values.steps,
+      cfg_scale: values.cfg
+    };
+
+    if (values.checkpoint) {
+      requestBody.override_settings = { sd_model_checkpoint: values.checkpoint };
+    }
+
+    let endpoint = '/sdapi/v1/txt2img';
+    if (options.image_url) {
+      log('Loading reference image');
+      requestBody.init_images = [await blobToDataUrl(await loadImageBlob(options.image_url))];
+      requestBody.denoising_strength = values.denoise;
+      endpoint = '/sdapi/v1/img2img';
+    }
+
+    // A1111 answers when generation is done, so poll progress alongside the request
+    let finished = false;
+    const progressPolling = pollA1111Progress(() => finished, job, log);
+
+    let data;
+    try {
+      data = await requestJson(endpoint, {
+        method: 'POST',
+        body: JSON.stringify(requestBody)
+      });
+    } finally {
+      finished = true;
+      await progressPolling;
+    }
+
+    if (job?.status === 'cancelled') {
+      throw new JobCancelledError();
+    }
+
+    /** @type {{seed?: number, all_seeds?: number[]}} */
+    let info = {};
+    try {
+      info = typeof data.info === 'string' ? JSON.parse(data.info) : data.info || {};
+    } catch (err) {
+      console.warn('Could not parse A1111 generation info:', err);
+    }
+
+    // A1111 appends ControlNet maps etc. after the batch, so keep only the batch
+    const images = (data.images || []).slice(0, values.batch_size).map((/** @type {string} */ base64, /** @type {number} */ index) => ({
+      url: base64.startsWith('data:') ? base64 : `data:image/png;base64,${base64}`,
+      seed: info.all_seeds?.[index] ?? (values.seed + index),
+      batchIndex: index,
+      width: values.width,
+      height: values.height
+    }));
+
+    return { images, seed: info.seed ?? values.seed };
+  }
+
+  /**
+   * Report A1111 sampling progress until the generation request settles
+   * @param {() => boolean} isFinished
+   * @param {GenerationJob | undefined} job
+   * @param {(message: string) => void} log
+   */
+  async function pollA1111Progress(isFinished, job, log) {
+    let lastPercent = -1;
+    let interrupted = false;
+
+    while (!isFinished()) {
+      await sleep(POLL_INTERVAL_MS);
+      if (isFinished()) break;
+
+      if (job?.status === 'cancelled' && !interrupted) {
+        interrupted = true;
+        await makeRequest('/sdapi/v1/interrupt', { method: 'POST', body: JSON.stringify({}) })
+          .catch(err => console.warn('Failed to interrupt A1111 generation:', err));
+        continue;
+      }
+
+      try {
+        const progress = await requestJson('/sdapi/v1/progress?skip_current_image=true');
+        const percent = Math.round((progress.progress || 0) * 100);
+        if (percent !== lastPercent && percent > 0) {
+          const { sampling_step, sampling_steps } = progress.state || {};
+          const eta = progress.eta_relative ? `, ~${Math.ceil(progress.eta_relative)}s left` : '';
+          log(`Step ${sampling_step ?? '?'}/${sampling_steps ?? '?'} (${percent}%${eta})`);
+          lastPercent = percent;
+        }
+      } catch (err) {
+        console.warn('A1111 progress poll failed:', err);
+      }
+    }
+  }
+
+  /**
+   * Test the connection to the local server
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async function testConnection() {
+    if (!isAvailable()) {
+      return { success: false, message: 'No local server URL configured' };
+    }
+
+    try {
+      if (getBackend() === 'a1111') {
+        const models = await requestJson('/sdapi/v1/sd-models');
+        return { success: true, message: `AUTOMATIC1111 connected (${models.length} checkpoints)` };
+      }
+
+      const stats = await requestJson('/system_stats');
+      const version = stats?.system?.comfyui_version;
+      return { success: true, message: `ComfyUI connected${version ? ` (v${version})` : ''}` };
+    } catch (/** @type {*} */ err) {
+      return { success: false, message: err.message || 'Connection test failed' };
+    }
+  }
+
+  return {
+    // State
+    get error() {
+      return error;
+    },
+    get isGenerating() {
+      return isGenerating;
+    },
+
+    // Methods
+    getBackend,
+    isAvailable,
+    generateImage,
+    testConnection
+  };
+}
+
+export const localDiffusionApi = createLocalDiffusionApi();
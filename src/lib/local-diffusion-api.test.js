@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { localDiffusionApi } from './local-diffusion-api.svelte.js';
+import { settingsManager } from './settings-manager.svelte.js';
+import { JobCancelledError } from './job-queue.svelte.js';
+import { GET, POST } from '../routes/api/local-diffusion/proxy/+server.js';
+
+vi.mock('$env/dynamic/private', () => ({ env: {} }));
+
+// Settings are loaded on import, so storage has to exist before the imports run
+const storage = vi.hoisted(() => {
+  /** @type {Map<string, string>} */
+  const items = new Map();
+  const storage = {
+    getItem: (/** @type {string} */ key) => items.get(key) ?? null,
+    setItem: (/** @type {string} */ key, /** @type {string} */ value) => items.set(key, String(value)),
+    removeItem: (/** @type {string} */ key) => items.delete(key)
+  };
+  vi.stubGlobal('localStorage', storage);
+  return storage;
+});
+
+const SERVER_URL = 'http://127.0.0.1:8188';
+const PROMPT_ID = 'prompt-1';
+
+/**
+ * A ComfyUI server as far as the client uses it: the history entry it
+ * reports on each poll is scripted by the test
+ */
+function createComfyStub() {
+  const stub = {
+    /** @type {any[]} History entry returned by each poll; the last one repeats */
+    history: /** @type {any[]} */ ([]),
+    historyPolls: 0,
+    /** @type {any} */
+    queuedWorkflow: null,
+    /** @type {string[]} */
+    deleted: [],
+    interrupted: false,
+    /** @type {function(): void} Runs on every poll, e.g. to cancel the job */
+    onPoll: () => {},
+
+    /**
+     * @param {URL} url
+     * @param {RequestInit} init
+     * @returns {Promise<Response>}
+     */
+    async handle(url, init) {
+      const method = init.method || 'GET';
+      const body = init.body ? JSON.parse(new TextDecoder().decode(/** @type {ArrayBuffer} */ (init.body))) : null;
+
+      if (method === 'POST' && url.pathname === '/prompt') {
+        stub.queuedWorkflow = body.prompt;
+        return Response.json({ prompt_id: PROMPT_ID });
+      }
+      if (url.pathname === `/history/${PROMPT_ID}`) {
+        const entry = stub.history[Math.min(stub.historyPolls, stub.history.length - 1)];
+        stub.historyPolls++;
+        stub.onPoll();
+        return Response.json(entry ? { [PROMPT_ID]: entry } : {});
+      }
+      if (method === 'GET' && url.pathname === '/queue') {
+        return Response.json(stub.historyPolls < 2
+          ? { queue_running: [[0, 'other']], queue_pending: [[1, PROMPT_ID]] }
+          : { queue_running: [[1, PROMPT_ID]], queue_pending: [] });
+      }
+      if (method === 'POST' && url.pathname === '/queue') {
+        stub.deleted.push(...body.delete);
+        return Response.json({});
+      }
+      if (method === 'POST' && url.pathname === '/interrupt') {
+        stub.interrupted = true;
+        return Response.json({});
+      }
+      if (url.pathname === '/view') {
+        return new Response(new Uint8Array([0x89, 0x50, 0x4e, 0x47]), { headers: { 'content-type': 'image/png' } });
+      }
+      return new Response('Not found', { status: 404 });
+    }
+  };
+  return stub;
+}
+
+/** @type {ReturnType<typeof createComfyStub>} */
+let comfy;
+
+/**
+ * Run a generation to the end, moving the poll interval along
+ * @template T
+ * @param {Promise<T>} promise
+ * @returns {Promise<T>}
+ */
+async function settle(promise) {
+  let done = false;
+  promise.then(() => { done = true; }, () => { done = true; });
+  while (!done) await vi.advanceTimersByTimeAsync(1000);
+  return promise;
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['setTimeout'] });
+  vi.stubGlobal('localStorage', storage);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+
+  settingsManager.setSetting('localDiffusionBackend', 'comfyui');
+  settingsManager.setSetting('localDiffusionUrl', `${SERVER_URL}/`);
+  settingsManager.setSetting('localDiffusionCheckpoint', 'sdxl.safetensors');
+
+  // Requests from the client go through the real proxy route to the stub server
+  comfy = createComfyStub();
+  vi.stubGlobal('fetch', vi.fn(async (/** @type {string | URL} */ input, /** @type {RequestInit} */ init = {}) => {
+    if (input === '/api/local-diffusion/proxy') {
+      const request = new Request(`http://app.test${input}`, init);
+      const handler = init.method === 'POST' ? POST : GET;
+      return handler(/** @type {any} */ ({ request, url: new URL(request.url) }));
+    }
+    return comfy.handle(new URL(input), init);
+  }));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('localDiffusionApi (ComfyUI)', () => {
+  it('polls the history until the prompt finishes and downloads its output images', async () => {
+    comfy.history = [
+      null,
+      { status: { completed: false } },
+      {
+        status: { status_str: 'success', completed: true },
+        outputs: {
+          9: { images: [{ filename: 'out_00001_.png', subfolder: '', type: 'output' }] },
+          12: { images: [{ filename: 'preview.png', subfolder: '', type: 'temp' }] }
+        }
+      }
+    ];
+    /** @type {string[]} */
+    const log = [];
+
+    const result = await settle(localDiffusionApi.generateImage(
+      { prompt: 'a red fox', aspect_ratio: '16:9', seed: 42 },
+      undefined,
+      (message) => log.push(message)
+    ));
+
+    expect(comfy.historyPolls).toBe(3);
+    expect(JSON.stringify(comfy.queuedWorkflow)).toContain('a red fox');
+    expect(result.seed).toBe(42);
+    expect(result.images).toHaveLength(1);
+    expect(result.images[0]).toMatchObject({ seed: 42, width: 1344, height: 768 });
+    expect(result.images[0].url).toMatch(/^blob:/);
+    expect(log).toEqual([
+      `Queued ComfyUI prompt ${PROMPT_ID}`,
+      'Queued (position 1)',
+      'Running',
+      'ComfyUI prompt finished'
+    ]);
+  });
+
+  it('reports the execution error ComfyUI recorded', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    comfy.history = [{
+      status: {
+        status_str: 'error',
+        completed: false,
+        messages: [['execution_start', {}], ['execution_error', { exception_message: 'CUDA out of memory' }]]
+      }
+    }];
+
+    await expect(settle(localDiffusionApi.generateImage({ prompt: 'a red fox' })))
+      .rejects.toThrow('ComfyUI execution failed: CUDA out of memory');
+    expect(localDiffusionApi.error).toBe('ComfyUI execution failed: CUDA out of memory');
+  });
+
+  it('stops polling and removes the prompt when the job is cancelled', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const job = /** @type {GenerationJob} */ (/** @type {unknown} */ ({ status: 'running' }));
+    comfy.history = [null];
+    comfy.onPoll = () => {
+      if (comfy.historyPolls === 2) job.status = 'cancelled';
+    };
+
+    await expect(settle(localDiffusionApi.generateImage({ prompt: 'a red fox' }, job)))
+      .rejects.toBeInstanceOf(JobCancelledError);
+    expect(comfy.historyPolls).toBe(2);
+    expect(comfy.deleted).toEqual([PROMPT_ID]);
+    expect(comfy.interrupted).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Media Library API
+ * Browser client for the server-side media library (/api/media).
+ */
+
+/**
+ * @typedef {Object} MediaItem
+ * @property {string} id - Content hash
+ * @property {string} filename - Stored filename
+ * @property {string} contentType - Image MIME type
+ * @property {number} size - Size in bytes
+ * @property {string} prompt - Generation prompt
+ * @property {Record<string, any>} metadata - Generation parameters
+ * @property {string | null} sourceUrl - Original remote URL
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} url - Full-size image URL
+ * @property {string} thumbnailUrl - Thumbnail URL
+ *
+ * @typedef {Object} MediaListResult
+ * @property {MediaItem[]} items
+ * @property {number} total
+ * @property {number} page
+ * @property {number} pageSize
+ * @property {number} totalPages
+ * @property {{models: string[], providers: string[]}} [facets]
+ */
+
+/**
+ * List media on the server
+ * @param {{search?: string, model?: string, provider?: string, from?: string, to?: string, sort?: 'newest' | 'oldest', page?: number, pageSize?: number, facets?: boolean}} [query]
+ * @returns {Promise<MediaListResult>}
+ * @throws {Error} If the library is disabled or the request fails
+ */
+export async function listMedia(query = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '' && value !== false) {
+      params.set(key, String(value));
+    }
+  }
+
+  const response = await fetch(`/api/media?${params}`);
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to load media library');
+  }
+  return result.data;
+}
+
+/**
+ * Delete media from the server
+ * @param {string} id
+ * @returns {Promise<void>}
+ * @throws {Error} If the delete fails
+ */
+export async function deleteMedia(id) {
+  const response = await fetch(`/api/media/${id}`, { method: 'DELETE' });
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to delete media');
+  }
+}
+
+/**
+ * Thumbnail URL for a media item at a given size
+ * @param {MediaItem} item
+ * @param {number} [size]
+ * @returns {string}
+ */
+export function getThumbnailUrl(item, size = 256) {
+  return `${item.thumbnailUrl}?size=${size}`;
+}
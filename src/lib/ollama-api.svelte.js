@@ -1,7 +1,29 @@
+/**
+ * Ollama Chat API
+ * Streams chat completions from an Ollama server. Endpoint, models and
+ * sampling options come from the LLM settings.
+ */
+
+import { settingsManager } from './settings-manager.svelte.js';
+
 /**
  * @typedef {Object} OllamaMessage
- * @property {'user' | 'assistant' | 'system'} role - Message role
+ * @property {'user' | 'assistant' | 'system' | 'tool'} role - Message role
  * @property {string} content - Message content
+ * @property {OllamaToolCall[]} [tool_calls] - Tools the assistant called
+ * @property {string} [tool_name] - Tool a 'tool' message is the result of
+ * @property {string[]} [images] - Base64-encoded images, for vision models such as llava
+ */
+
+/**
+ * @typedef {Object} OllamaToolCall
+ * @property {{name: string, arguments: Record<string, *>}} function - Tool name and its arguments
+ */
+
+/**
+ * @typedef {Object} OllamaTool
+ * @property {'function'} type - Always 'function'
+ * @property {{name: string, description: string, parameters: Object}} function - Tool declaration with a JSON-schema for its parameters
  */
 
 /**
@@ -9,6 +31,7 @@
  * @property {string} model - Model name (e.g., "llama3.2")
  * @property {OllamaMessage[]} messages - Conversation history
  * @property {boolean} [stream] - Enable streaming responses
+ * @property {OllamaTool[]} [tools] - Tools the model may call
  * @property {Object} [options] - Additional model options
  */
 
@@ -18,20 +41,41 @@
  * @property {string} created_at - Response timestamp
  * @property {OllamaMessage} message - Response message
  * @property {boolean} done - Whether response is complete
+ * @property {string} [error] - Error reported mid-stream
  */
 
-const OLLAMA_BASE_URL = 'http://localhost:11434';
+export const DEFAULT_OLLAMA_URL = 'http://localhost:11434';
 const DEFAULT_MODEL = 'llama3.2';
+// Used instead of the default model when the conversation contains images
+const DEFAULT_VISION_MODEL = 'llava';
 
 function createOllamaApi() {
-  
+  /**
+   * Server URL from settings, without a trailing slash
+   * @returns {string}
+   */
+  function getBaseUrl() {
+    const url = settingsManager.getSetting('llmUrl');
+    return url && url.trim() ? url.trim().replace(/\/+$/, '') : DEFAULT_OLLAMA_URL;
+  }
+
+  /** @returns {string} */
+  function getDefaultModel() {
+    return settingsManager.getSetting('llmModel') || DEFAULT_MODEL;
+  }
+
+  /** @returns {string} */
+  function getVisionModel() {
+    return settingsManager.getSetting('llmVisionModel') || DEFAULT_VISION_MODEL;
+  }
+
   /**
    * Check if Ollama is available
    * @returns {Promise<boolean>} Whether Ollama is running
    */
   async function isAvailable() {
     try {
-      const response = await fetch(`${OLLAMA_BASE_URL}/api/tags`, {
+      const response = await fetch(`${getBaseUrl()}/api/tags`, {
         method: 'GET',
         signal: AbortSignal.timeout(3000) // 3 second timeout
       });
@@ -46,43 +90,54 @@ function createOllamaApi() {
    * Send a chat message to Ollama with streaming support
    * @param {OllamaMessage[]} messages - Conversation history
    * @param {function(string): void} onChunk - Callback for streaming chunks
-   * @param {function(): void} onComplete - Callback when response is complete
+   * @param {function(OllamaToolCall[]): void} onComplete - Callback when response is complete, with any tools the model called
    * @param {function(Error): void} onError - Callback for errors
+   * @param {{tools?: OllamaTool[], model?: string}} [options] - Tools the model may call, and a model other than the default
    * @returns {Promise<void>}
    */
-  async function sendMessage(messages, onChunk, onComplete, onError) {
+  async function sendMessage(messages, onChunk, onComplete, onError, options = {}) {
+    const { tools, model = getDefaultModel() } = options;
+
     try {
       // Check if Ollama is available first
       const available = await isAvailable();
       if (!available) {
-        throw new Error('Ollama is not running. Please start Ollama and ensure llama3.2 is installed.');
+        throw new Error(`Ollama is not running. Please start Ollama and ensure ${model} is installed.`);
       }
 
       /** @type {OllamaRequest} */
       const requestBody = {
-        model: DEFAULT_MODEL,
+        model,
         messages: messages,
         stream: true,
+        ...(tools && tools.length > 0 ? { tools } : {}),
         options: {
-          temperature: 0.7,
-          top_p: 0.9,
-          max_tokens: 2048
+          temperature: Number(settingsManager.getSetting('llmTemperature')),
+          top_p: Number(settingsManager.getSetting('llmTopP')),
+          num_predict: Number(settingsManager.getSetting('llmMaxTokens')),
+          num_ctx: Number(settingsManager.getSetting('llmContextTokens'))
         }
       };
 
       console.log('🦙 Sending request to Ollama:', requestBody);
 
-      const response = await fetch(`${OLLAMA_BASE_URL}/api/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-        signal: AbortSignal.timeout(60000) // 60 second timeout
-      });
+      let response = await postChat(requestBody);
 
       if (!response.ok) {
-        throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+        // Ollama explains failures such as "model does not support tools" in the body
+        let details = await response.json().then((data) => data.error).catch(() => '');
+
+        // Many vision models can't call tools; answer without them rather than fail
+        if (requestBody.tools && /does not support tools/i.test(details)) {
+          console.warn(`🦙 ${model} does not support tools, retrying without them`);
+          delete requestBody.tools;
+          response = await postChat(requestBody);
+          details = response.ok ? '' : await response.json().then((data) => data.error).catch(() => '');
+        }
+
+        if (!response.ok) {
+          throw new Error(`Ollama API error: ${response.status} ${details || response.statusText}`);
+        }
       }
 
       if (!response.body) {
@@ -93,6 +148,8 @@ function createOllamaApi() {
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
       let buffer = '';
+      /** @type {OllamaToolCall[]} */
+      const toolCalls = [];
 
       try {
         while (true) {
@@ -101,7 +158,7 @@ function createOllamaApi() {
           if (done) {
             // Process any remaining data in buffer
             if (buffer.trim()) {
-              processChunk(buffer, onChunk, onError);
+              processChunk(buffer, onChunk, onError, toolCalls);
             }
             break;
           }
@@ -115,13 +172,13 @@ function createOllamaApi() {
           
           for (const line of lines) {
             if (line.trim()) {
-              processChunk(line, onChunk, onError);
+              processChunk(line, onChunk, onError, toolCalls);
             }
           }
         }
         
         console.log('✅ Ollama response completed');
-        onComplete();
+        onComplete(toolCalls);
         
       } finally {
         reader.releaseLock();
@@ -133,13 +190,30 @@ function createOllamaApi() {
     }
   }
 
+  /**
+   * POST a chat request to Ollama
+   * @param {OllamaRequest} requestBody
+   * @returns {Promise<Response>}
+   */
+  function postChat(requestBody) {
+    return fetch(`${getBaseUrl()}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(requestBody),
+      signal: AbortSignal.timeout(60000) // 60 second timeout
+    });
+  }
+
   /**
    * Process a single response chunk from Ollama
    * @param {string} chunk - Raw chunk data
    * @param {function(string): void} onChunk - Callback for content chunks
    * @param {function(Error): void} onError - Callback for errors
+   * @param {OllamaToolCall[]} toolCalls - Collects tool calls as they arrive
    */
-  function processChunk(chunk, onChunk, onError) {
+  function processChunk(chunk, onChunk, onError, toolCalls) {
     try {
       /** @type {OllamaResponse} */
       const data = JSON.parse(chunk);
@@ -154,6 +228,11 @@ function createOllamaApi() {
       if (data.message && data.message.content) {
         onChunk(data.message.content);
       }
+
+      // Tool calls arrive whole, usually in a single chunk
+      if (data.message?.tool_calls) {
+        toolCalls.push(...data.message.tool_calls);
+      }
       
       // Log completion
       if (data.done) {
@@ -172,13 +251,13 @@ function createOllamaApi() {
    */
   async function getAvailableModels() {
     try {
-      const response = await fetch(`${OLLAMA_BASE_URL}/api/tags`);
+      const response = await fetch(`${getBaseUrl()}/api/tags`);
       if (!response.ok) {
         throw new Error(`Failed to get models: ${response.statusText}`);
       }
       
       const data = await response.json();
-      return data.models?.map(model => model.name) || [];
+      return data.models?.map((/** @type {{name: string}} */ model) => model.name) || [];
     } catch (error) {
       console.error('Failed to get Ollama models:', error);
       return [];
@@ -189,8 +268,9 @@ function createOllamaApi() {
     sendMessage,
     isAvailable,
     getAvailableModels,
-    get baseUrl() { return OLLAMA_BASE_URL; },
-    get defaultModel() { return DEFAULT_MODEL; }
+    get baseUrl() { return getBaseUrl(); },
+    get defaultModel() { return getDefaultModel(); },
+    get visionModel() { return getVisionModel(); }
   };
 }
 
@@ -0,0 +1,343 @@
+/**
+ * OpenAI-compatible Chat API
+ * Streams chat completions from servers that speak `/v1/chat/completions`
+ * (llama.cpp server, vLLM, LM Studio, ...). Takes and returns the same
+ * message shapes as the Ollama adapter so Chat can use either.
+ */
+
+import { settingsManager } from './settings-manager.svelte.js';
+
+/**
+ * @typedef {import('./ollama-api.svelte.js').OllamaMessage} OllamaMessage
+ * @typedef {import('./ollama-api.svelte.js').OllamaToolCall} OllamaToolCall
+ * @typedef {import('./ollama-api.svelte.js').OllamaTool} OllamaTool
+ */
+
+/**
+ * @typedef {Object} OpenAIToolCall
+ * @property {string} id - Call ID, echoed back by the tool result
+ * @property {'function'} type - Always 'function'
+ * @property {{name: string, arguments: string}} function - Tool name and JSON-encoded arguments
+ */
+
+/**
+ * @typedef {Object} OpenAIMessage
+ * @property {'user' | 'assistant' | 'system' | 'tool'} role - Message role
+ * @property {string | Array<Object>} content - Text, or text and image parts
+ * @property {OpenAIToolCall[]} [tool_calls] - Tools the assistant called
+ * @property {string} [tool_call_id] - Call a 'tool' message answers
+ */
+
+export const DEFAULT_OPENAI_URL = 'http://localhost:8080';
+
+function createOpenAIChatApi() {
+  /** Model the server reported, used when none is configured */
+  let discoveredModel = '';
+
+  /**
+   * Server URL from settings, without a trailing slash or /v1 suffix
+   * @returns {string}
+   */
+  function getBaseUrl() {
+    const url = settingsManager.getSetting('llmUrl');
+    return url && url.trim() ? url.trim().replace(/\/+$/, '').replace(/\/v1$/, '') : DEFAULT_OPENAI_URL;
+  }
+
+  /**
+   * Request headers, with the API key if one is set
+   * @returns {Record<string, string>}
+   */
+  function getHeaders() {
+    /** @type {Record<string, string>} */
+    const headers = { 'Content-Type': 'application/json' };
+    const apiKey = settingsManager.getSetting('llmApiKey');
+    if (apiKey && apiKey.trim()) {
+      headers.Authorization = `Bearer ${apiKey.trim()}`;
+    }
+    return headers;
+  }
+
+  /** @returns {string} */
+  function getDefaultModel() {
+    return settingsManager.getSetting('llmModel') || discoveredModel;
+  }
+
+  /** @returns {string} */
+  function getVisionModel() {
+    // Servers like llama.cpp host one multimodal model for everything
+    return settingsManager.getSetting('llmVisionModel') || getDefaultModel();
+  }
+
+  /**
+   * Check if the server is reachable
+   * @returns {Promise<boolean>}
+   */
+  async function isAvailable() {
+    try {
+      const response = await fetch(`${getBaseUrl()}/v1/models`, {
+        method: 'GET',
+        headers: getHeaders(),
+        signal: AbortSignal.timeout(3000) // 3 second timeout
+      });
+      return response.ok;
+    } catch (/** @type {*} */ error) {
+      console.warn('OpenAI-compatible server not available:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the models the server hosts
+   * @returns {Promise<string[]>}
+   */
+  async function getAvailableModels() {
+    try {
+      const response = await fetch(`${getBaseUrl()}/v1/models`, { headers: getHeaders() });
+      if (!response.ok) {
+        throw new Error(`Failed to get models: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      /** @type {string[]} */
+      const models = data.data?.map((/** @type {{id: string}} */ model) => model.id) || [];
+      if (models.length > 0) discoveredModel = models[0];
+      return models;
+    } catch (error) {
+      console.error('Failed to get OpenAI-compatible models:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Convert Ollama-shaped messages to the OpenAI format. Ollama has no tool
+   * call IDs, so IDs are assigned here and matched to the 'tool' messages
+   * that follow, in order.
+   * @param {OllamaMessage[]} messages
+   * @returns {OpenAIMessage[]}
+   */
+  function toOpenAIMessages(messages) {
+    /** @type {string[]} */
+    let pendingCallIds = [];
+
+    return messages.map((msg, index) => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: pendingCallIds.shift() || `call_${index}`, content: msg.content };
+      }
+
+      /** @type {OpenAIMessage} */
+      const converted = { role: msg.role, content: msg.content };
+
+      if (msg.images && msg.images.length > 0) {
+        converted.content = [
+          { type: 'text', text: msg.content },
+          ...msg.images.map((image) => ({ type: 'image_url', image_url: { url: `data:image/jpeg;base64,${image}` } }))
+        ];
+      }
+
+      if (msg.tool_calls && msg.tool_calls.length > 0) {
+        pendingCallIds = msg.tool_calls.map((_, i) => `call_${index}_${i}`);
+        converted.tool_calls = msg.tool_calls.map((call, i) => ({
+          id: pendingCallIds[i],
+          type: 'function',
+          function: { name: call.function.name, arguments: JSON.stringify(call.function.arguments) }
+        }));
+      }
+
+      return converted;
+    });
+  }
+
+  /**
+   * POST a chat completion request
+   * @param {Object} requestBody
+   * @returns {Promise<Response>}
+   */
+  function postChat(requestBody) {
+    return fetch(`${getBaseUrl()}/v1/chat/completions`, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(requestBody),
+      signal: AbortSignal.timeout(60000) // 60 second timeout
+    });
+  }
+
+  /**
+   * Error text from a failed response
+   * @param {Response} response
+   * @returns {Promise<string>}
+   */
+  async function readError(response) {
+    const text = await response.text().catch(() => '');
+    try {
+      const data = JSON.parse(text);
+      return data.error?.message || data.error || data.message || text;
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Send a chat message with streaming support. Same contract as the
+   * Ollama adapter's sendMessage.
+   * @param {OllamaMessage[]} messages - Conversation history
+   * @param {function(string): void} onChunk - Callback for streaming chunks
+   * @param {function(OllamaToolCall[]): void} onComplete - Callback when response is complete, with any tools the model called
+   * @param {function(Error): void} onError - Callback for errors
+   * @param {{tools?: OllamaTool[], model?: string}} [options] - Tools the model may call, and a model other than the default
+   * @returns {Promise<void>}
+   */
+  async function sendMessage(messages, onChunk, onComplete, onError, options = {}) {
+    try {
+      if (!getDefaultModel()) {
+        await getAvailableModels();
+      }
+      const { tools, model = getDefaultModel() } = options;
+
+      /** @type {Record<string, *>} */
+      const requestBody = {
+        model,
+        messages: toOpenAIMessages(messages),
+        stream: true,
+        temperature: Number(settingsManager.getSetting('llmTemperature')),
+        top_p: Number(settingsManager.getSetting('llmTopP')),
+        max_tokens: Number(settingsManager.getSetting('llmMaxTokens'))
+      };
+      if (tools && tools.length > 0) {
+        requestBody.tools = tools;
+      }
+
+      console.log('🤖 Sending request to OpenAI-compatible server:', requestBody);
+
+      let response = await postChat(requestBody);
+
+      if (!response.ok) {
+        let details = await readError(response);
+
+        // Servers without tool support (e.g. llama.cpp without --jinja) reject the field
+        if (requestBody.tools && /tool/i.test(details)) {
+          console.warn(`🤖 Server rejected tools (${details}), retrying without them`);
+          delete requestBody.tools;
+          response = await postChat(requestBody);
+          details = response.ok ? '' : await readError(response);
+        }
+
+        if (!response.ok) {
+          throw new Error(`LLM server error: ${response.status} ${details || response.statusText}`);
+        }
+      }
+
+      if (!response.body) {
+        throw new Error('No response body from LLM server');
+      }
+
+      // Handle streaming response (server-sent events)
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      /**
+       * Tool calls stream in fragments, keyed by their index
+       * @type {Array<{name: string, arguments: string}>}
+       */
+      const partialCalls = [];
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+          for (const line of lines) {
+            processLine(line, onChunk, onError, partialCalls);
+          }
+        }
+        if (buffer.trim()) {
+          processLine(buffer, onChunk, onError, partialCalls);
+        }
+
+        /** @type {OllamaToolCall[]} */
+        const toolCalls = partialCalls.filter(Boolean).map((call) => ({
+          function: { name: call.name, arguments: parseArguments(call.arguments) }
+        }));
+
+        console.log('✅ OpenAI-compatible response completed');
+        onComplete(toolCalls);
+      } finally {
+        reader.releaseLock();
+      }
+    } catch (/** @type {*} */ error) {
+      console.error('❌ OpenAI-compatible API error:', error);
+      onError(error);
+    }
+  }
+
+  /**
+   * Process one server-sent event line
+   * @param {string} line - Raw line
+   * @param {function(string): void} onChunk - Callback for content chunks
+   * @param {function(Error): void} onError - Callback for errors
+   * @param {Array<{name: string, arguments: string}>} partialCalls - Collects tool call fragments
+   */
+  function processLine(line, onChunk, onError, partialCalls) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') return;
+
+    try {
+      const data = JSON.parse(payload);
+
+      if (data.error) {
+        onError(new Error(data.error.message || data.error));
+        return;
+      }
+
+      const delta = data.choices?.[0]?.delta;
+      if (!delta) return;
+
+      if (delta.content) {
+        onChunk(delta.content);
+      }
+
+      for (const fragment of delta.tool_calls || []) {
+        const index = fragment.index ?? partialCalls.length;
+        partialCalls[index] ??= { name: '', arguments: '' };
+        if (fragment.function?.name) partialCalls[index].name += fragment.function.name;
+        if (fragment.function?.arguments) partialCalls[index].arguments += fragment.function.arguments;
+      }
+    } catch (error) {
+      console.error('Failed to parse server-sent event:', payload, error);
+      // Don't call onError for parse failures - might be incomplete JSON
+    }
+  }
+
+  /**
+   * Parse streamed tool arguments, which arrive as a JSON string
+   * @param {string} text
+   * @returns {Record<string, *>}
+   */
+  function parseArguments(text) {
+    if (!text.trim()) return {};
+    try {
+      return JSON.parse(text);
+    } catch {
+      console.warn('Tool call arguments are not valid JSON:', text);
+      return {};
+    }
+  }
+
+  return {
+    sendMessage,
+    isAvailable,
+    getAvailableModels,
+    get baseUrl() { return getBaseUrl(); },
+    get defaultModel() { return getDefaultModel(); },
+    get visionModel() { return getVisionModel(); }
+  };
+}
+
+export const openaiChatApi = createOpenAIChatApi();
@@ -0,0 +1,167 @@
+/**
+ * Parameter Sweep
+ * Plans XY grids for Fluxor: one or two axes of values, each cell a
+ * generation with the base settings plus that cell's values applied.
+ */
+
+import { models } from "$lib/fal-api.svelte.js";
+
+/** Upper bound on cells in one sweep, to keep the queue sane */
+export const MAX_SWEEP_CELLS = 64;
+
+/**
+ * @typedef {'seed' | 'guidance' | 'model' | 'aspectRatio' | 'promptFragment' | 'loraScale'} SweepAxisType
+ *
+ * @typedef {Object} SweepAxis
+ * @property {SweepAxisType} type
+ * @property {Array<string | number>} values
+ * @property {string} [loraPath] - LoRA to scale, for 'loraScale' axes
+ *
+ * @typedef {Object} SweepCell
+ * @property {number} row - Index into the Y axis values (0 without a Y axis)
+ * @property {number} col - Index into the X axis values
+ * @property {string | number} x - X axis value
+ * @property {string | number | null} y - Y axis value, or null without a Y axis
+ *
+ * @typedef {Object} SweepRequest
+ * @property {ImageGenerationOptions} options
+ * @property {Model} model
+ *
+ * @typedef {Object} SweepCellResult
+ * @property {number} row
+ * @property {number} col
+ * @property {string | number} x
+ * @property {string | number | null} y
+ * @property {string | null} imageId - Saved image ID once generated
+ * @property {string | null} url - Generated image URL
+ * @property {string} [error] - Why the cell failed
+ *
+ * @typedef {Object} SweepResult
+ * @property {SweepAxis} xAxis
+ * @property {SweepAxis | null} yAxis
+ * @property {SweepCellResult[]} cells
+ * @property {string | null} gridUrl - Labeled grid image, once assembled
+ */
+
+/**
+ * What each axis is called and how its values are entered
+ * @type {Record<SweepAxisType, {label: string, input: 'numbers' | 'text' | 'choice'}>}
+ */
+export const SWEEP_AXES = {
+  seed: { label: "Seed", input: "numbers" },
+  guidance: { label: "Guidance", input: "numbers" },
+  model: { label: "Model", input: "choice" },
+  aspectRatio: { label: "Aspect Ratio", input: "choice" },
+  promptFragment: { label: "Prompt Fragment", input: "text" },
+  loraScale: { label: "LoRA Scale", input: "numbers" },
+};
+
+/**
+ * Parse axis values typed by the user. Numbers are separated by commas or
+ * spaces; prompt fragments go one per line, and a "-" line means no fragment.
+ * @param {SweepAxisType} type
+ * @param {string} text
+ * @returns {Array<string | number>}
+ */
+export function parseAxisValues(type, text) {
+  if (SWEEP_AXES[type].input === "numbers") {
+    return text
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(Number)
+      .filter((value) => Number.isFinite(value));
+  }
+
+  return text
+    .split("\n")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map((value) => (value === "-" ? "" : value));
+}
+
+/**
+ * Every cell of a sweep, row by row
+ * @param {SweepAxis} xAxis
+ * @param {SweepAxis | null} [yAxis]
+ * @returns {SweepCell[]}
+ */
+export function planSweep(xAxis, yAxis = null) {
+  const yValues = yAxis && yAxis.values.length > 0 ? yAxis.values : [null];
+
+  /** @type {SweepCell[]} */
+  const cells = [];
+  yValues.forEach((y, row) => {
+    xAxis.values.forEach((x, col) => {
+      cells.push({ row, col, x, y });
+    });
+  });
+  return cells;
+}
+
+/**
+ * Apply one axis value to a request
+ * @param {SweepRequest} request
+ * @param {SweepAxis} axis
+ * @param {string | number} value
+ * @returns {SweepRequest}
+ */
+function applyAxisValue(request, axis, value) {
+  const options = { ...request.options };
+  let model = request.model;
+
+  switch (axis.type) {
+    case "seed":
+      options.seed = Number(value);
+      break;
+    case "guidance":
+      options.guidance_scale = Number(value);
+      break;
+    case "model":
+      model = /** @type {Model} */ (value);
+      break;
+    case "aspectRatio":
+      options.aspect_ratio = /** @type {AspectRatio} */ (value);
+      break;
+    case "promptFragment":
+      if (value) {
+        options.prompt = `${options.prompt.replace(/[\s.,;]+$/, "")}, ${value}`;
+      }
+      break;
+    case "loraScale":
+      options.loras = [{ path: axis.loraPath || "", scale: Number(value) }];
+      // Only the LoRA endpoints accept LoRA weights
+      model = /** @type {Model} */ (options.image_url ? models.flux_kontext_lora : models.flux_kontext_lora_text_to_image);
+      break;
+  }
+
+  return { options, model };
+}
+
+/**
+ * The request for one cell: the base request with both axis values applied
+ * @param {SweepRequest} base
+ * @param {SweepCell} cell
+ * @param {SweepAxis} xAxis
+ * @param {SweepAxis | null} [yAxis]
+ * @returns {SweepRequest}
+ */
+export function buildCellRequest(base, cell, xAxis, yAxis = null) {
+  let request = applyAxisValue(base, xAxis, cell.x);
+  if (yAxis && cell.y !== null) {
+    request = applyAxisValue(request, yAxis, cell.y);
+  }
+  return request;
+}
+
+/**
+ * Short label for an axis value, e.g. "Guidance 3.5" or "Model kontext/max"
+ * @param {SweepAxis} axis
+ * @param {string | number | null} value
+ * @returns {string}
+ */
+export function formatAxisValue(axis, value) {
+  if (value === null) return "";
+  if (axis.type === "model") return String(value).replace(/^fal-ai\//, "");
+  if (axis.type === "promptFragment") return value ? `+ ${value}` : "(no fragment)";
+  return `${SWEEP_AXES[axis.type].label} ${value}`;
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest';
+import falApi, { models } from './fal-api.svelte.js';
+import { parseAxisValues, planSweep, buildCellRequest, formatAxisValue } from './parameter-sweep.js';
+
+const runJob = vi.hoisted(() => vi.fn(async () => ({ data: { images: [{ url: 'https://fal.test/out.png' }], seed: 7 } })));
+vi.mock('./job-queue.svelte.js', () => ({ jobQueue: { runJob } }));
+
+/** @type {import('./parameter-sweep.js').SweepRequest} */
+const BASE = {
+  options: { prompt: 'a lighthouse at dusk.', aspect_ratio: '16:9', seed: 1, guidance_scale: 3.5 },
+  model: models.flux_pro_1_1
+};
+
+describe('parseAxisValues', () => {
+  it('reads numbers separated by commas or spaces, skipping anything else', () => {
+    expect(parseAxisValues('guidance', '2.5, 3.5 5,,abc\n7')).toEqual([2.5, 3.5, 5, 7]);
+  });
+
+  it('reads one prompt fragment per line, with "-" for none', () => {
+    expect(parseAxisValues('promptFragment', 'oil painting\n\n  -  \n watercolor ')).toEqual(['oil painting', '', 'watercolor']);
+  });
+});
+
+describe('planSweep', () => {
+  it('makes one cell per X value without a Y axis', () => {
+    expect(planSweep({ type: 'seed', values: [1, 2] })).toEqual([
+      { row: 0, col: 0, x: 1, y: null },
+      { row: 0, col: 1, x: 2, y: null }
+    ]);
+  });
+
+  it('goes row by row through the Y values', () => {
+    const cells = planSweep({ type: 'seed', values: [1, 2] }, { type: 'guidance', values: [3, 5] });
+    expect(cells.map(({ row, col, x, y }) => [row, col, x, y])).toEqual([
+      [0, 0, 1, 3],
+      [0, 1, 2, 3],
+      [1, 0, 1, 5],
+      [1, 1, 2, 5]
+    ]);
+  });
+
+  it('treats an empty Y axis as none', () => {
+    expect(planSweep({ type: 'seed', values: [1] }, { type: 'guidance', values: [] })).toEqual([{ row: 0, col: 0, x: 1, y: null }]);
+  });
+});
+
+describe('buildCellRequest', () => {
+  /**
+   * @param {import('./parameter-sweep.js').SweepAxis} axis
+   * @param {string | number} value
+   */
+  const cellRequest = (axis, value) => buildCellRequest(BASE, { row: 0, col: 0, x: value, y: null }, axis);
+
+  it.each(/** @type {Array<[string, import('./parameter-sweep.js').SweepAxis, string | number, Partial<ImageGenerationOptions>]>} */ ([
+    ['seed', { type: 'seed', values: [] }, 42, { seed: 42 }],
+    ['guidance', { type: 'guidance', values: [] }, 7, { guidance_scale: 7 }],
+    ['aspectRatio', { type: 'aspectRatio', values: [] }, '1:1', { aspect_ratio: '1:1' }],
+    ['promptFragment', { type: 'promptFragment', values: [] }, 'oil painting', { prompt: 'a lighthouse at dusk, oil painting' }],
+    ['empty promptFragment', { type: 'promptFragment', values: [] }, '', { prompt: 'a lighthouse at dusk.' }]
+  ]))('applies a %s value to the options', (_name, axis, value, expected) => {
+    const request = cellRequest(axis, value);
+    expect(request.options).toEqual({ ...BASE.options, ...expected });
+    expect(request.model).toBe(BASE.model);
+  });
+
+  it('switches the model on a model axis', () => {
+    const request = cellRequest({ type: 'model', values: [] }, models.flux_kontext_max);
+    expect(request).toEqual({ options: BASE.options, model: models.flux_kontext_max });
+  });
+
+  it('uses the text-to-image LoRA model for a LoRA scale without a reference image', () => {
+    const request = cellRequest({ type: 'loraScale', values: [], loraPath: 'https://example.com/style.safetensors' }, 0.8);
+    expect(request.model).toBe(models.flux_kontext_lora_text_to_image);
+    expect(request.options.loras).toEqual([{ path: 'https://example.com/style.safetensors', scale: 0.8 }]);
+  });
+
+  it('uses the image LoRA model for a LoRA scale with a reference image', () => {
+    const base = { ...BASE, options: { ...BASE.options, image_url: 'https://example.com/in.png' } };
+    const request = buildCellRequest(base, { row: 0, col: 0, x: 1.2, y: null }, { type: 'loraScale', values: [], loraPath: 'style' });
+    expect(request.model).toBe(models.flux_kontext_lora);
+    expect(request.options.loras).toEqual([{ path: 'style', scale: 1.2 }]);
+  });
+
+  it('applies both axes and leaves the base request alone', () => {
+    const xAxis = /** @type {import('./parameter-sweep.js').SweepAxis} */ ({ type: 'seed', values: [5] });
+    const yAxis = /** @type {import('./parameter-sweep.js').SweepAxis} */ ({ type: 'model', values: [models.flux_kontext_pro] });
+    const request = buildCellRequest(BASE, planSweep(xAxis, yAxis)[0], xAxis, yAxis);
+
+    expect(request).toEqual({ options: { ...BASE.options, seed: 5 }, model: models.flux_kontext_pro });
+    expect(BASE.options.seed).toBe(1);
+  });
+
+  it('sends each cell of a LoRA scale sweep with its own scale', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const axis = /** @type {import('./parameter-sweep.js').SweepAxis} */ ({ type: 'loraScale', values: [0, 0.5, 1], loraPath: 'style' });
+
+    for (const cell of planSweep(axis)) {
+      const { options, model } = buildCellRequest(BASE, cell, axis);
+      await falApi.generateFluxImages(model, options);
+    }
+
+    expect(runJob.mock.calls.map((/** @type {any[]} */ [endpoint, input]) => [endpoint, input.loras])).toEqual([
+      [models.flux_kontext_lora_text_to_image, [{ path: 'style', scale: 0 }]],
+      [models.flux_kontext_lora_text_to_image, [{ path: 'style', scale: 0.5 }]],
+      [models.flux_kontext_lora_text_to_image, [{ path: 'style', scale: 1 }]]
+    ]);
+    vi.restoreAllMocks();
+  });
+});
+
+describe('formatAxisValue', () => {
+  it.each(/** @type {Array<[import('./parameter-sweep.js').SweepAxis, string | number | null, string]>} */ ([
+    [{ type: 'seed', values: [] }, 42, 'Seed 42'],
+    [{ type: 'guidance', values: [] }, 3.5, 'Guidance 3.5'],
+    [{ type: 'aspectRatio', values: [] }, '9:16', 'Aspect Ratio 9:16'],
+    [{ type: 'loraScale', values: [] }, 0.8, 'LoRA Scale 0.8'],
+    [{ type: 'model', values: [] }, 'fal-ai/flux-pro/kontext/max', 'flux-pro/kontext/max'],
+    [{ type: 'promptFragment', values: [] }, 'oil painting', '+ oil painting'],
+    [{ type: 'promptFragment', values: [] }, '', '(no fragment)'],
+    [{ type: 'seed', values: [] }, null, '']
+  ]))('labels %o %s as "%s"', (axis, value, expected) => {
+    expect(formatAxisValue(axis, value)).toBe(expected);
+  });
+});
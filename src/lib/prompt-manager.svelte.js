@@ -1,69 +1,84 @@
 /**
  * Prompt Manager
- * Reactive manager for handling saved prompts with proper SSR support
+ * Reactive manager for saved prompts and prompt templates, kept in the
+ * server store (/api/prompts) with proper SSR support
  */
 
-// Check if we're in browser environment
+import { migrateLocalStorageToServer } from './storage-migration.js';
 
-const SAVED_PROMPTS_KEY = 'saved_prompts';
+/**
+ * Call a prompt API route
+ * @param {string} url
+ * @param {RequestInit & {json?: any}} [init] - `json` is sent as the request body
+ * @returns {Promise<any>} The `data` of the response
+ * @throws {Error} If the request fails
+ */
+async function request(url, { json, ...init } = {}) {
+  const response = await fetch(url, json === undefined ? init : {
+    ...init,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(json)
+  });
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Prompt request failed');
+  }
+  return result.data;
+}
 
 function createPromptManager() {
   /** @type {import('./types.js').SavedPrompt[]} */
   let prompts = $state([]);
+  /** @type {PromptTemplate[]} */
+  let templates = $state([]);
+  /**
+   * User word lists for __wildcard__ slots, keyed by wildcard name
+   * @type {Record<string, string[]>}
+   */
+  let wordLists = $state({});
   /** @type {boolean} */
   let isLoaded = $state(false);
 
   /**
-   * Load prompts from localStorage
+   * Load prompts, templates and word lists from the server, after any
+   * prompts left in this browser's localStorage have been migrated there
+   * @returns {Promise<void>}
    */
-  function loadPrompts() {
-    
+  async function loadPrompts() {
     try {
-      if (typeof localStorage === 'undefined') {
-        prompts = [];
-        isLoaded = true;
-        return;
-      }
-      const stored = localStorage.getItem(SAVED_PROMPTS_KEY);
-      prompts = stored ? JSON.parse(stored) : [];
-      isLoaded = true;
+      await migrateLocalStorageToServer();
+      const [savedPrompts, library] = await Promise.all([
+        request('/api/prompts'),
+        request('/api/prompts/templates')
+      ]);
+      prompts = savedPrompts;
+      templates = library.templates;
+      wordLists = library.wordLists;
     } catch (error) {
       console.error('Error loading saved prompts:', error);
-      prompts = [];
+    } finally {
       isLoaded = true;
     }
   }
 
   /**
-   * Save prompts to localStorage
+   * Replace a prompt with the server's copy of it
+   * @param {SavedPrompt} saved
    */
-  function saveToStorage() {
-    try {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
-      }
-    } catch (error) {
-      console.error('Error saving prompts:', error);
-    }
+  function replacePrompt(saved) {
+    prompts = prompts.map(p => (p.id === saved.id ? saved : p));
   }
 
   /**
    * Add a new prompt
-   * @param {import('./types.js').SavedPrompt} prompt
-   * @returns {boolean} Success status
+   * @param {Partial<SavedPrompt>} prompt
+   * @returns {Promise<boolean>} Success status
    */
-  function addPrompt(prompt) {
+  async function addPrompt(prompt) {
     try {
-      const newPrompt = {
-        ...prompt,
-        id: prompt.id || `prompt_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
-        createdAt: prompt.createdAt || Date.now(),
-        savedAt: Date.now(),
-        usageCount: prompt.usageCount || 0
-      };
-      
-      prompts = [...prompts, newPrompt];
-      saveToStorage();
+      /** @type {SavedPrompt} */
+      const saved = await request('/api/prompts', { method: 'POST', json: prompt });
+      prompts = [...prompts, saved];
       return true;
     } catch (error) {
       console.error('Error adding prompt:', error);
@@ -74,21 +89,22 @@ function createPromptManager() {
   /**
    * Update an existing prompt
    * @param {string} id
-   * @param {Partial<import('./types.js').SavedPrompt>} updates
-   * @returns {boolean} Success status
+   * @param {Partial<SavedPrompt> & {action?: string}} updates - Fields to merge, or a server `action`
+   * @param {Partial<SavedPrompt>} [preview] - Applied locally until the server answers
+   * @returns {Promise<boolean>} Success status
    */
-  function updatePrompt(id, updates) {
+  async function updatePrompt(id, updates, preview = updates) {
+    const index = prompts.findIndex(p => p.id === id);
+    if (index < 0) return false;
+
+    const previous = prompts[index];
+    replacePrompt({ ...previous, ...preview });
     try {
-      const index = prompts.findIndex(p => p.id === id);
-      if (index >= 0) {
-        prompts[index] = { ...prompts[index], ...updates };
-        prompts = [...prompts]; // Trigger reactivity
-        saveToStorage();
-        return true;
-      }
-      return false;
+      replacePrompt(await request(`/api/prompts?id=${encodeURIComponent(id)}`, { method: 'PUT', json: updates }));
+      return true;
     } catch (error) {
       console.error('Error updating prompt:', error);
+      replacePrompt(previous);
       return false;
     }
   }
@@ -96,12 +112,12 @@ function createPromptManager() {
   /**
    * Delete a prompt
    * @param {string} id
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  function deletePrompt(id) {
+  async function deletePrompt(id) {
     try {
+      await request(`/api/prompts?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
       prompts = prompts.filter(p => p.id !== id);
-      saveToStorage();
       return true;
     } catch (error) {
       console.error('Error deleting prompt:', error);
@@ -113,39 +129,40 @@ function createPromptManager() {
    * Update prompt rating
    * @param {string} id
    * @param {number} rating
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   function updateRating(id, rating) {
-    return updatePrompt(id, { rating: Math.max(1, Math.min(5, rating)) });
+    const clamped = Math.max(1, Math.min(5, rating));
+    return updatePrompt(id, { action: 'rating', rating: clamped }, { rating: clamped });
   }
 
   /**
    * Toggle favorite status
    * @param {string} id
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   function toggleFavorite(id) {
     const prompt = prompts.find(p => p.id === id);
     if (prompt) {
-      return updatePrompt(id, { isFavorite: !prompt.isFavorite });
+      return updatePrompt(id, { action: 'favorite' }, { isFavorite: !prompt.isFavorite });
     }
-    return false;
+    return Promise.resolve(false);
   }
 
   /**
    * Record prompt usage
    * @param {string} id
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   function recordUsage(id) {
     const prompt = prompts.find(p => p.id === id);
     if (prompt) {
-      return updatePrompt(id, {
+      return updatePrompt(id, { action: 'usage' }, {
         usageCount: (prompt.usageCount || 0) + 1,
         lastUsed: Date.now()
       });
     }
-    return false;
+    return Promise.resolve(false);
   }
 
   /**
@@ -218,20 +235,14 @@ function createPromptManager() {
   }
 
   /**
-   * Import prompts from JSON
+   * Import prompts from JSON. Prompts whose ID is already saved are skipped.
    * @param {string} jsonString
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  function importPrompts(jsonString) {
+  async function importPrompts(jsonString) {
     try {
-      const importedPrompts = JSON.parse(jsonString);
-      
-      // Merge imported prompts, avoiding duplicates by ID
-      const existingIds = new Set(prompts.map(p => p.id));
-      const newPrompts = importedPrompts.filter(p => !existingIds.has(p.id));
-      
-      prompts = [...prompts, ...newPrompts];
-      saveToStorage();
+      await request('/api/prompts/export', { method: 'POST', json: { prompts: JSON.parse(jsonString) } });
+      prompts = await request('/api/prompts');
       return true;
     } catch (error) {
       console.error('Error importing prompts:', error);
@@ -241,12 +252,12 @@ function createPromptManager() {
 
   /**
    * Clear all prompts
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  function clearAllPrompts() {
+  async function clearAllPrompts() {
     try {
+      await request('/api/prompts?all=true', { method: 'DELETE' });
       prompts = [];
-      saveToStorage();
       return true;
     } catch (error) {
       console.error('Error clearing prompts:', error);
@@ -254,6 +265,89 @@ function createPromptManager() {
     }
   }
 
+  /**
+   * Saves of the template library, chained so they reach the server in order
+   * @type {Promise<void>}
+   */
+  let templateSave = Promise.resolve();
+
+  /**
+   * Save template and word list state to the server
+   */
+  function saveTemplatesToServer() {
+    const library = $state.snapshot({ templates, wordLists });
+    templateSave = templateSave
+      .then(() => request('/api/prompts/templates', { method: 'PUT', json: library }))
+      .catch((error) => console.error('Error saving prompt templates:', error));
+  }
+
+  /**
+   * Save a prompt template. A template with the same name is overwritten.
+   * @param {string} name
+   * @param {string} template
+   * @param {Record<string, string[]>} [variables] - Values for its {variable} slots
+   * @returns {PromptTemplate}
+   */
+  function saveTemplate(name, template, variables = {}) {
+    const existing = templates.find(t => t.name === name);
+    const now = Date.now();
+
+    /** @type {PromptTemplate} */
+    const saved = {
+      id: existing?.id || `template_${now}_${Math.random().toString(36).substring(2, 11)}`,
+      name,
+      template,
+      variables,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    templates = existing
+      ? templates.map(t => (t.id === existing.id ? saved : t))
+      : [...templates, saved];
+    saveTemplatesToServer();
+    return saved;
+  }
+
+  /**
+   * Delete a prompt template
+   * @param {string} id
+   */
+  function deleteTemplate(id) {
+    templates = templates.filter(t => t.id !== id);
+    saveTemplatesToServer();
+  }
+
+  /**
+   * Create, replace or (with an empty list) remove a wildcard word list
+   * @param {string} name - Wildcard name, without underscores
+   * @param {string[]} words
+   */
+  function setWordList(name, words) {
+    const { [name]: _, ...rest } = wordLists;
+    wordLists = words.length > 0 ? { ...rest, [name]: words } : rest;
+    saveTemplatesToServer();
+  }
+
+  /**
+   * Values for a __wildcard__: the user's word list of that name if there is
+   * one, otherwise the text of saved prompts tagged with that name
+   * @param {string} name
+   * @returns {{values: string[], source: 'list' | 'tag' | null}}
+   */
+  function getWildcardValues(name) {
+    if (wordLists[name]?.length) {
+      return { values: wordLists[name], source: 'list' };
+    }
+
+    const tag = name.toLowerCase();
+    const tagged = prompts
+      .filter(p => p.tags?.some((/** @type {string} */ t) => t.toLowerCase() === tag))
+      .map(p => p.prompt.trim())
+      .filter(Boolean);
+    return tagged.length > 0 ? { values: tagged, source: 'tag' } : { values: [], source: null };
+  }
+
   /**
    * Get prompt statistics
    * @returns {Object}
@@ -288,13 +382,21 @@ function createPromptManager() {
   }
 
   // Initialize on browser
+  if (typeof window !== 'undefined') {
     loadPrompts();
+  }
 
   return {
     // State
     get prompts() {
       return prompts;
     },
+    get templates() {
+      return templates;
+    },
+    get wordLists() {
+      return wordLists;
+    },
     get isLoaded() {
       return isLoaded;
     },
@@ -315,6 +417,12 @@ function createPromptManager() {
     getFavoritePrompts,
     getAllTags,
     getStats,
+
+    // Templates
+    saveTemplate,
+    deleteTemplate,
+    setWordList,
+    getWildcardValues,
     
     // Import/Export
     exportPrompts,
@@ -4,305 +4,422 @@
  */
 
 const SAVED_PROMPTS_KEY = 'saved_prompts';
+const PROMPT_TEMPLATES_KEY = 'prompt_templates';
+const WORD_LISTS_KEY = 'prompt_word_lists';
 
 /**
- * Get all saved prompts from localStorage
- * @returns {import('./types.js').SavedPrompt[]}
+ * Create prompt storage bound to a storage backend
+ * @param {KeyValueStorage} storage - Anything with getItem/setItem/removeItem (localStorage, file storage)
  */
-export function getSavedPrompts() {
-  try {
-    const stored = localStorage.getItem(SAVED_PROMPTS_KEY);
-    return stored ? JSON.parse(stored) : [];
-  } catch (error) {
-    console.error('Error loading saved prompts:', error);
-    return [];
+export function createPromptStorage(storage) {
+  /**
+   * Get all saved prompts from storage
+   * @returns {import('./types.js').SavedPrompt[]}
+   */
+  function getSavedPrompts() {
+    try {
+      const stored = storage.getItem(SAVED_PROMPTS_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading saved prompts:', error);
+      return [];
+    }
   }
-}
 
-/**
- * Save prompt to storage
- * @param {import('./types.js').SavedPrompt} savedPrompt
- * @returns {boolean} Success status
- */
-export function savePrompt(savedPrompt) {
-  try {
-    const prompts = getSavedPrompts();
-    const existingIndex = prompts.findIndex(p => p.id === savedPrompt.id);
+  /**
+   * Save prompt to storage
+   * @param {import('./types.js').SavedPrompt} savedPrompt
+   * @returns {boolean} Success status
+   */
+  function savePrompt(savedPrompt) {
+    try {
+      const prompts = getSavedPrompts();
+      const existingIndex = prompts.findIndex(p => p.id === savedPrompt.id);
     
-    if (existingIndex >= 0) {
-      // Update existing prompt
-      prompts[existingIndex] = savedPrompt;
-    } else {
-      // Add new prompt
-      prompts.push(savedPrompt);
-    }
+      if (existingIndex >= 0) {
+        // Update existing prompt
+        prompts[existingIndex] = savedPrompt;
+      } else {
+        // Add new prompt
+        prompts.push(savedPrompt);
+      }
     
-    localStorage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
-    return true;
-  } catch (error) {
-    console.error('Error saving prompt:', error);
-    return false;
+      storage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
+      return true;
+    } catch (error) {
+      console.error('Error saving prompt:', error);
+      return false;
+    }
   }
-}
 
-/**
- * Get saved prompt by ID
- * @param {string} id
- * @returns {import('./types.js').SavedPrompt | null}
- */
-export function getPromptById(id) {
-  const prompts = getSavedPrompts();
-  return prompts.find(p => p.id === id) || null;
-}
-
-/**
- * Delete prompt by ID
- * @param {string} id
- * @returns {boolean} Success status
- */
-export function deletePrompt(id) {
-  try {
+  /**
+   * Get saved prompt by ID
+   * @param {string} id
+   * @returns {import('./types.js').SavedPrompt | null}
+   */
+  function getPromptById(id) {
     const prompts = getSavedPrompts();
-    const filteredPrompts = prompts.filter(p => p.id !== id);
-    localStorage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(filteredPrompts));
-    return true;
-  } catch (error) {
-    console.error('Error deleting prompt:', error);
-    return false;
+    return prompts.find(p => p.id === id) || null;
   }
-}
 
-/**
- * Update prompt rating
- * @param {string} id
- * @param {number} rating - Rating from 1-5
- * @returns {boolean} Success status
- */
-export function updatePromptRating(id, rating) {
-  try {
-    const prompts = getSavedPrompts();
-    const promptIndex = prompts.findIndex(p => p.id === id);
-    
-    if (promptIndex >= 0) {
-      prompts[promptIndex].rating = Math.max(1, Math.min(5, rating));
-      localStorage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
+  /**
+   * Delete prompt by ID
+   * @param {string} id
+   * @returns {boolean} Success status
+   */
+  function deletePrompt(id) {
+    try {
+      const prompts = getSavedPrompts();
+      const filteredPrompts = prompts.filter(p => p.id !== id);
+      storage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(filteredPrompts));
       return true;
+    } catch (error) {
+      console.error('Error deleting prompt:', error);
+      return false;
     }
-    
-    return false;
-  } catch (error) {
-    console.error('Error updating prompt rating:', error);
-    return false;
   }
-}
 
-/**
- * Toggle prompt favorite status
- * @param {string} id
- * @returns {boolean} Success status
- */
-export function togglePromptFavorite(id) {
-  try {
-    const prompts = getSavedPrompts();
-    const promptIndex = prompts.findIndex(p => p.id === id);
+  /**
+   * Update prompt rating
+   * @param {string} id
+   * @param {number} rating - Rating from 1-5
+   * @returns {boolean} Success status
+   */
+  function updatePromptRating(id, rating) {
+    try {
+      const prompts = getSavedPrompts();
+      const promptIndex = prompts.findIndex(p => p.id === id);
     
-    if (promptIndex >= 0) {
-      prompts[promptIndex].isFavorite = !prompts[promptIndex].isFavorite;
-      localStorage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
-      return true;
-    }
+      if (promptIndex >= 0) {
+        prompts[promptIndex].rating = Math.max(1, Math.min(5, rating));
+        storage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
+        return true;
+      }
     
-    return false;
-  } catch (error) {
-    console.error('Error toggling prompt favorite:', error);
-    return false;
+      return false;
+    } catch (error) {
+      console.error('Error updating prompt rating:', error);
+      return false;
+    }
   }
-}
 
-/**
- * Record prompt usage
- * @param {string} id
- * @returns {boolean} Success status
- */
-export function recordPromptUsage(id) {
-  try {
-    const prompts = getSavedPrompts();
-    const promptIndex = prompts.findIndex(p => p.id === id);
+  /**
+   * Toggle prompt favorite status
+   * @param {string} id
+   * @returns {boolean} Success status
+   */
+  function togglePromptFavorite(id) {
+    try {
+      const prompts = getSavedPrompts();
+      const promptIndex = prompts.findIndex(p => p.id === id);
     
-    if (promptIndex >= 0) {
-      const prompt = prompts[promptIndex];
-      prompt.usageCount = (prompt.usageCount || 0) + 1;
-      prompt.lastUsed = Date.now();
-      localStorage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
-      return true;
+      if (promptIndex >= 0) {
+        prompts[promptIndex].isFavorite = !prompts[promptIndex].isFavorite;
+        storage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
+        return true;
+      }
+    
+      return false;
+    } catch (error) {
+      console.error('Error toggling prompt favorite:', error);
+      return false;
     }
+  }
+
+  /**
+   * Record prompt usage
+   * @param {string} id
+   * @returns {boolean} Success status
+   */
+  function recordPromptUsage(id) {
+    try {
+      const prompts = getSavedPrompts();
+      const promptIndex = prompts.findIndex(p => p.id === id);
     
-    return false;
-  } catch (error) {
-    console.error('Error recording prompt usage:', error);
-    return false;
+      if (promptIndex >= 0) {
+        const prompt = prompts[promptIndex];
+        prompt.usageCount = (prompt.usageCount || 0) + 1;
+        prompt.lastUsed = Date.now();
+        storage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(prompts));
+        return true;
+      }
+    
+      return false;
+    } catch (error) {
+      console.error('Error recording prompt usage:', error);
+      return false;
+    }
   }
-}
 
-/**
- * Search prompts by text, tags, or scene premise
- * @param {string} query
- * @returns {import('./types.js').SavedPrompt[]}
- */
-export function searchPrompts(query) {
-  const prompts = getSavedPrompts();
-  const searchTerm = query.toLowerCase().trim();
+  /**
+   * Search prompts by text, tags, or scene premise
+   * @param {string} query
+   * @returns {import('./types.js').SavedPrompt[]}
+   */
+  function searchPrompts(query) {
+    const prompts = getSavedPrompts();
+    const searchTerm = query.toLowerCase().trim();
   
-  if (!searchTerm) return prompts;
+    if (!searchTerm) return prompts;
   
-  return prompts.filter(prompt => {
-    return (
-      prompt.prompt.toLowerCase().includes(searchTerm) ||
-      prompt.scenePremise.toLowerCase().includes(searchTerm) ||
-      (prompt.tags && prompt.tags.some(tag => tag.toLowerCase().includes(searchTerm))) ||
-      (prompt.notes && prompt.notes.toLowerCase().includes(searchTerm))
-    );
-  });
-}
+    return prompts.filter(prompt => {
+      return (
+        prompt.prompt.toLowerCase().includes(searchTerm) ||
+        prompt.scenePremise.toLowerCase().includes(searchTerm) ||
+        (prompt.tags && prompt.tags.some(tag => tag.toLowerCase().includes(searchTerm))) ||
+        (prompt.notes && prompt.notes.toLowerCase().includes(searchTerm))
+      );
+    });
+  }
 
-/**
- * Get prompts by style
- * @param {string} style
- * @returns {import('./types.js').SavedPrompt[]}
- */
-export function getPromptsByStyle(style) {
-  const prompts = getSavedPrompts();
-  return prompts.filter(prompt => prompt.style === style);
-}
+  /**
+   * Get prompts by style
+   * @param {string} style
+   * @returns {import('./types.js').SavedPrompt[]}
+   */
+  function getPromptsByStyle(style) {
+    const prompts = getSavedPrompts();
+    return prompts.filter(prompt => prompt.style === style);
+  }
 
-/**
- * Get prompts by rating
- * @param {number} minRating - Minimum rating (1-5)
- * @returns {import('./types.js').SavedPrompt[]}
- */
-export function getPromptsByRating(minRating) {
-  const prompts = getSavedPrompts();
-  return prompts.filter(prompt => prompt.rating >= minRating);
-}
+  /**
+   * Get prompts by rating
+   * @param {number} minRating - Minimum rating (1-5)
+   * @returns {import('./types.js').SavedPrompt[]}
+   */
+  function getPromptsByRating(minRating) {
+    const prompts = getSavedPrompts();
+    return prompts.filter(prompt => prompt.rating >= minRating);
+  }
 
-/**
- * Get favorite prompts
- * @returns {import('./types.js').SavedPrompt[]}
- */
-export function getFavoritePrompts() {
-  const prompts = getSavedPrompts();
-  return prompts.filter(prompt => prompt.isFavorite);
-}
+  /**
+   * Get favorite prompts
+   * @returns {import('./types.js').SavedPrompt[]}
+   */
+  function getFavoritePrompts() {
+    const prompts = getSavedPrompts();
+    return prompts.filter(prompt => prompt.isFavorite);
+  }
 
-/**
- * Get prompts by tags
- * @param {string[]} tags
- * @returns {import('./types.js').SavedPrompt[]}
- */
-export function getPromptsByTags(tags) {
-  const prompts = getSavedPrompts();
-  return prompts.filter(prompt => 
-    prompt.tags && tags.some(tag => prompt.tags.includes(tag))
-  );
-}
+  /**
+   * Get prompts by tags
+   * @param {string[]} tags
+   * @returns {import('./types.js').SavedPrompt[]}
+   */
+  function getPromptsByTags(tags) {
+    const prompts = getSavedPrompts();
+    return prompts.filter(prompt => 
+      prompt.tags && tags.some(tag => prompt.tags.includes(tag))
+    );
+  }
 
-/**
- * Get all unique tags from prompts
- * @returns {string[]}
- */
-export function getAllPromptTags() {
-  const prompts = getSavedPrompts();
-  const tagSet = new Set();
+  /**
+   * Get all unique tags from prompts
+   * @returns {string[]}
+   */
+  function getAllPromptTags() {
+    const prompts = getSavedPrompts();
+    const tagSet = new Set();
   
-  prompts.forEach(prompt => {
-    if (prompt.tags) {
-      prompt.tags.forEach(tag => tagSet.add(tag));
-    }
-  });
+    prompts.forEach(prompt => {
+      if (prompt.tags) {
+        prompt.tags.forEach(tag => tagSet.add(tag));
+      }
+    });
   
-  return Array.from(tagSet).sort();
-}
+    return Array.from(tagSet).sort();
+  }
 
-/**
- * Get prompt statistics
- * @returns {Object}
- */
-export function getPromptStats() {
-  const prompts = getSavedPrompts();
+  /**
+   * Get prompt statistics
+   * @returns {Object}
+   */
+  function getPromptStats() {
+    const prompts = getSavedPrompts();
   
-  const stats = {
-    total: prompts.length,
-    favorites: prompts.filter(p => p.isFavorite).length,
-    byStyle: {},
-    byRating: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
-    totalUsage: 0,
-    mostUsed: null
-  };
+    const stats = {
+      total: prompts.length,
+      favorites: prompts.filter(p => p.isFavorite).length,
+      byStyle: {},
+      byRating: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      totalUsage: 0,
+      mostUsed: null
+    };
   
-  prompts.forEach(prompt => {
-    // Count by style
-    stats.byStyle[prompt.style] = (stats.byStyle[prompt.style] || 0) + 1;
+    prompts.forEach(prompt => {
+      // Count by style
+      stats.byStyle[prompt.style] = (stats.byStyle[prompt.style] || 0) + 1;
     
-    // Count by rating
-    stats.byRating[prompt.rating] = (stats.byRating[prompt.rating] || 0) + 1;
+      // Count by rating
+      stats.byRating[prompt.rating] = (stats.byRating[prompt.rating] || 0) + 1;
     
-    // Total usage
-    stats.totalUsage += prompt.usageCount || 0;
+      // Total usage
+      stats.totalUsage += prompt.usageCount || 0;
     
-    // Most used prompt
-    if (!stats.mostUsed || (prompt.usageCount || 0) > (stats.mostUsed.usageCount || 0)) {
-      stats.mostUsed = prompt;
-    }
-  });
+      // Most used prompt
+      if (!stats.mostUsed || (prompt.usageCount || 0) > (stats.mostUsed.usageCount || 0)) {
+        stats.mostUsed = prompt;
+      }
+    });
   
-  return stats;
-}
+    return stats;
+  }
 
-/**
- * Export prompts as JSON
- * @param {string[]} [ids] - Optional array of prompt IDs to export. If not provided, exports all prompts
- * @returns {string} JSON string
- */
-export function exportPrompts(ids) {
-  const prompts = getSavedPrompts();
-  const toExport = ids ? prompts.filter(p => ids.includes(p.id)) : prompts;
-  return JSON.stringify(toExport, null, 2);
-}
+  /**
+   * Export prompts as JSON
+   * @param {string[]} [ids] - Optional array of prompt IDs to export. If not provided, exports all prompts
+   * @returns {string} JSON string
+   */
+  function exportPrompts(ids) {
+    const prompts = getSavedPrompts();
+    const toExport = ids ? prompts.filter(p => ids.includes(p.id)) : prompts;
+    return JSON.stringify(toExport, null, 2);
+  }
 
-/**
- * Import prompts from JSON
- * @param {string} jsonString
- * @returns {boolean} Success status
- */
-export function importPrompts(jsonString) {
-  try {
-    const importedPrompts = JSON.parse(jsonString);
-    const existingPrompts = getSavedPrompts();
+  /**
+   * Import prompts from JSON
+   * @param {string} jsonString
+   * @returns {{imported: number, skipped: number} | null} Counts, or null if the JSON could not be imported
+   */
+  function importPrompts(jsonString) {
+    try {
+      const importedPrompts = JSON.parse(jsonString);
+      const existingPrompts = getSavedPrompts();
     
-    // Merge imported prompts, avoiding duplicates by ID
-    const existingIds = new Set(existingPrompts.map(p => p.id));
-    const newPrompts = importedPrompts.filter(p => !existingIds.has(p.id));
+      // Merge imported prompts, avoiding duplicates by ID
+      const existingIds = new Set(existingPrompts.map(p => p.id));
+      const newPrompts = importedPrompts.filter(p => !existingIds.has(p.id));
     
-    const mergedPrompts = [...existingPrompts, ...newPrompts];
-    localStorage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(mergedPrompts));
+      const mergedPrompts = [...existingPrompts, ...newPrompts];
+      storage.setItem(SAVED_PROMPTS_KEY, JSON.stringify(mergedPrompts));
     
-    return true;
-  } catch (error) {
-    console.error('Error importing prompts:', error);
-    return false;
+      return { imported: newPrompts.length, skipped: importedPrompts.length - newPrompts.length };
+    } catch (error) {
+      console.error('Error importing prompts:', error);
+      return null;
+    }
   }
-}
 
-/**
- * Clear all prompts (for testing/cleanup)
- * @returns {boolean} Success status
- */
-export function clearAllPrompts() {
-  try {
-    localStorage.removeItem(SAVED_PROMPTS_KEY);
-    return true;
-  } catch (error) {
-    console.error('Error clearing prompts:', error);
-    return false;
+  /**
+   * Clear all prompts (for testing/cleanup)
+   * @returns {boolean} Success status
+   */
+  function clearAllPrompts() {
+    try {
+      storage.removeItem(SAVED_PROMPTS_KEY);
+      return true;
+    } catch (error) {
+      console.error('Error clearing prompts:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get prompt templates and wildcard word lists
+   * @returns {{templates: PromptTemplate[], wordLists: Record<string, string[]>}}
+   */
+  function getTemplateLibrary() {
+    try {
+      const templates = storage.getItem(PROMPT_TEMPLATES_KEY);
+      const wordLists = storage.getItem(WORD_LISTS_KEY);
+      return {
+        templates: templates ? JSON.parse(templates) : [],
+        wordLists: wordLists ? JSON.parse(wordLists) : {}
+      };
+    } catch (error) {
+      console.error('Error loading prompt templates:', error);
+      return { templates: [], wordLists: {} };
+    }
   }
-}
\ No newline at end of file
+
+  /**
+   * Replace prompt templates and wildcard word lists
+   * @param {{templates: PromptTemplate[], wordLists: Record<string, string[]>}} library
+   * @returns {boolean} Success status
+   */
+  function saveTemplateLibrary({ templates, wordLists }) {
+    try {
+      storage.setItem(PROMPT_TEMPLATES_KEY, JSON.stringify(templates));
+      storage.setItem(WORD_LISTS_KEY, JSON.stringify(wordLists));
+      return true;
+    } catch (error) {
+      console.error('Error saving prompt templates:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add templates and word lists that are not stored yet. Templates are
+   * matched by ID and word lists by name; existing ones are kept.
+   * @param {{templates?: PromptTemplate[], wordLists?: Record<string, string[]>}} library
+   * @returns {{imported: number, skipped: number} | null} Counts over templates and word lists, or null on failure
+   */
+  function importTemplateLibrary({ templates = [], wordLists = {} }) {
+    const existing = getTemplateLibrary();
+    const existingIds = new Set(existing.templates.map(t => t.id));
+    const newTemplates = templates.filter(t => !existingIds.has(t.id));
+    const newWordLists = Object.fromEntries(Object.entries(wordLists).filter(([name]) => !(name in existing.wordLists)));
+
+    const saved = saveTemplateLibrary({
+      templates: [...existing.templates, ...newTemplates],
+      wordLists: { ...existing.wordLists, ...newWordLists }
+    });
+    if (!saved) return null;
+
+    const imported = newTemplates.length + Object.keys(newWordLists).length;
+    return { imported, skipped: templates.length + Object.keys(wordLists).length - imported };
+  }
+
+  return {
+    getSavedPrompts,
+    savePrompt,
+    getPromptById,
+    deletePrompt,
+    updatePromptRating,
+    togglePromptFavorite,
+    recordPromptUsage,
+    searchPrompts,
+    getPromptsByStyle,
+    getPromptsByRating,
+    getFavoritePrompts,
+    getPromptsByTags,
+    getAllPromptTags,
+    getPromptStats,
+    exportPrompts,
+    importPrompts,
+    clearAllPrompts,
+    getTemplateLibrary,
+    saveTemplateLibrary,
+    importTemplateLibrary
+  };
+}
+
+/** @type {KeyValueStorage} */
+const browserStorage = {
+  getItem: (key) => localStorage.getItem(key),
+  setItem: (key, value) => localStorage.setItem(key, value),
+  removeItem: (key) => localStorage.removeItem(key)
+};
+
+export const {
+  getSavedPrompts,
+  savePrompt,
+  getPromptById,
+  deletePrompt,
+  updatePromptRating,
+  togglePromptFavorite,
+  recordPromptUsage,
+  searchPrompts,
+  getPromptsByStyle,
+  getPromptsByRating,
+  getFavoritePrompts,
+  getPromptsByTags,
+  getAllPromptTags,
+  getPromptStats,
+  exportPrompts,
+  importPrompts,
+  clearAllPrompts,
+  getTemplateLibrary,
+  saveTemplateLibrary,
+  importTemplateLibrary
+} = createPromptStorage(browserStorage);
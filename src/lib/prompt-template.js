@@ -0,0 +1,184 @@
+/**
+ * Prompt Templates
+ * Expands prompt templates with {variable} slots and __wildcard__ lists.
+ * Expansion is deterministic: the same template, values and seed always give
+ * the same prompts, with the same generation seeds, in the same order.
+ */
+
+/** Matches {variable} and __wildcard__ slots */
+const SLOT_PATTERN = /\{([a-zA-Z][\w-]*)\}|__([a-zA-Z][\w-]*)__/g;
+
+/** Upper bound on expansions from one template, to keep batches sane */
+export const MAX_EXPANSIONS = 100;
+
+/**
+ * @typedef {'all' | 'random'} ExpansionMode
+ *
+ * @typedef {Object} TemplateSlots
+ * @property {string[]} variables - {variable} names, in order of first appearance
+ * @property {string[]} wildcards - __wildcard__ names, in order of first appearance
+ *
+ * @typedef {Object} TemplateValues
+ * @property {Record<string, string[]>} variables - Values for each {variable}
+ * @property {Record<string, string[]>} wildcards - Values for each __wildcard__
+ *
+ * @typedef {Object} ExpansionOptions
+ * @property {ExpansionMode} [mode] - 'all' walks every combination; 'random' draws from the seed
+ * @property {number} [count] - Expansions to draw in 'random' mode
+ * @property {number} [seed] - Seed for random draws; expansion i generates with seed + i
+ * @property {number} [limit] - Maximum expansions to return
+ *
+ * @typedef {Object} PromptExpansion
+ * @property {string} prompt - The expanded prompt
+ * @property {number} seed - Generation seed for this prompt
+ * @property {Record<string, string>} bindings - Value chosen for each slot, keyed by its token
+ */
+
+/**
+ * Slot token as written in the template
+ * @param {'variable' | 'wildcard'} kind
+ * @param {string} name
+ * @returns {string}
+ */
+function slotToken(kind, name) {
+  return kind === "variable" ? `{${name}}` : `__${name}__`;
+}
+
+/**
+ * Find the variables and wildcards used in a template
+ * @param {string} template
+ * @returns {TemplateSlots}
+ */
+export function parseTemplate(template) {
+  /** @type {TemplateSlots} */
+  const slots = { variables: [], wildcards: [] };
+
+  for (const match of template.matchAll(SLOT_PATTERN)) {
+    const [, variable, wildcard] = match;
+    if (variable && !slots.variables.includes(variable)) slots.variables.push(variable);
+    if (wildcard && !slots.wildcards.includes(wildcard)) slots.wildcards.push(wildcard);
+  }
+
+  return slots;
+}
+
+/**
+ * Whether text contains any template slots
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isTemplate(text) {
+  const slots = parseTemplate(text);
+  return slots.variables.length > 0 || slots.wildcards.length > 0;
+}
+
+/**
+ * Split a user-entered value list into values: one per line, blanks dropped
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseValueList(text) {
+  return text
+    .split("\n")
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Small seeded PRNG (mulberry32), so random expansions repeat for a given seed
+ * @param {number} seed
+ * @returns {() => number} Returns floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Slots of a template paired with their values. Slots without values are
+ * left out and stay in the prompt as written.
+ * @param {string} template
+ * @param {TemplateValues} values
+ * @returns {{token: string, values: string[]}[]}
+ */
+function getFilledSlots(template, values) {
+  const { variables, wildcards } = parseTemplate(template);
+  return [
+    ...variables.map((name) => ({ token: slotToken("variable", name), values: values.variables[name] || [] })),
+    ...wildcards.map((name) => ({ token: slotToken("wildcard", name), values: values.wildcards[name] || [] })),
+  ].filter((slot) => slot.values.length > 0);
+}
+
+/**
+ * Number of distinct combinations a template can produce
+ * @param {string} template
+ * @param {TemplateValues} values
+ * @returns {number}
+ */
+export function countCombinations(template, values) {
+  return getFilledSlots(template, values).reduce((total, slot) => total * slot.values.length, 1);
+}
+
+/**
+ * Substitute slot values into a template
+ * @param {string} template
+ * @param {Record<string, string>} bindings - Values keyed by slot token
+ * @returns {string}
+ */
+function fillTemplate(template, bindings) {
+  return template.replace(SLOT_PATTERN, (token) => bindings[token] ?? token);
+}
+
+/**
+ * Expand a template into concrete prompts.
+ * 'all' walks every combination in order (last slot varies fastest);
+ * 'random' draws `count` combinations from a PRNG seeded with `seed`.
+ * @param {string} template
+ * @param {TemplateValues} values
+ * @param {ExpansionOptions} [options]
+ * @returns {PromptExpansion[]}
+ */
+export function expandTemplate(template, values, options = {}) {
+  const { mode = "all", count = 4, seed = 0, limit = MAX_EXPANSIONS } = options;
+  const slots = getFilledSlots(template, values);
+
+  /** @type {Record<string, string>[]} */
+  const combinations = [];
+
+  if (mode === "random") {
+    const random = createSeededRandom(seed);
+    for (let i = 0; i < Math.min(count, limit); i++) {
+      /** @type {Record<string, string>} */
+      const bindings = {};
+      for (const slot of slots) {
+        bindings[slot.token] = slot.values[Math.floor(random() * slot.values.length)];
+      }
+      combinations.push(bindings);
+    }
+  } else {
+    const total = Math.min(countCombinations(template, values), limit);
+    for (let index = 0; index < total; index++) {
+      /** @type {Record<string, string>} */
+      const bindings = {};
+      let remainder = index;
+      for (let s = slots.length - 1; s >= 0; s--) {
+        const slot = slots[s];
+        bindings[slot.token] = slot.values[remainder % slot.values.length];
+        remainder = Math.floor(remainder / slot.values.length);
+      }
+      combinations.push(bindings);
+    }
+  }
+
+  return combinations.map((bindings, index) => ({
+    prompt: fillTemplate(template, bindings),
+    seed: seed + index,
+    bindings,
+  }));
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseTemplate,
+  isTemplate,
+  parseValueList,
+  countCombinations,
+  expandTemplate,
+  MAX_EXPANSIONS
+} from './prompt-template.js';
+
+const TEMPLATE = 'a {animal} in a __place__ at {time}';
+
+/** @type {import('./prompt-template.js').TemplateValues} */
+const VALUES = {
+  variables: { animal: ['fox', 'owl', 'cat'], time: ['dawn', 'dusk'] },
+  wildcards: { place: ['forest', 'city', 'desert', 'harbor'] }
+};
+
+describe('parseTemplate', () => {
+  it('lists each variable and wildcard once, in order of first appearance', () => {
+    expect(parseTemplate('{b} __x__ {a} {b} __y__ __x__')).toEqual({ variables: ['b', 'a'], wildcards: ['x', 'y'] });
+  });
+
+  it.each([
+    ['a plain prompt', false],
+    ['{ spaced } and {1digit} and ____', false],
+    ['a {subject}', true],
+    ['a __style__ painting', true]
+  ])('isTemplate(%j) is %s', (text, expected) => {
+    expect(isTemplate(text)).toBe(expected);
+  });
+});
+
+describe('parseValueList', () => {
+  it('takes one trimmed value per line and drops blank lines', () => {
+    expect(parseValueList(' red \n\n  \nblue\n')).toEqual(['red', 'blue']);
+  });
+});
+
+describe('expandTemplate', () => {
+  it('walks every combination in order, last slot fastest, with consecutive seeds', () => {
+    const expansions = expandTemplate('{a} {b}', { variables: { a: ['1', '2'], b: ['x', 'y'] }, wildcards: {} }, { seed: 10 });
+
+    expect(expansions.map(({ prompt, seed }) => [prompt, seed])).toEqual([
+      ['1 x', 10],
+      ['1 y', 11],
+      ['2 x', 12],
+      ['2 y', 13]
+    ]);
+    expect(expansions[1].bindings).toEqual({ '{a}': '1', '{b}': 'y' });
+  });
+
+  it('gives the same batch for the same seed', () => {
+    const options = /** @type {const} */ ({ mode: 'random', count: 8, seed: 1234 });
+    const first = expandTemplate(TEMPLATE, VALUES, options);
+
+    expect(expandTemplate(TEMPLATE, VALUES, options)).toEqual(first);
+    expect(first.map((expansion) => expansion.seed)).toEqual([1234, 1235, 1236, 1237, 1238, 1239, 1240, 1241]);
+    expect(expandTemplate(TEMPLATE, VALUES, { ...options, seed: 4321 }).map((e) => e.prompt))
+      .not.toEqual(first.map((e) => e.prompt));
+  });
+
+  it('only draws values from the lists it was given', () => {
+    for (const { bindings } of expandTemplate(TEMPLATE, VALUES, { mode: 'random', count: 20, seed: 5 })) {
+      expect(VALUES.variables.animal).toContain(bindings['{animal}']);
+      expect(VALUES.variables.time).toContain(bindings['{time}']);
+      expect(VALUES.wildcards.place).toContain(bindings['__place__']);
+    }
+  });
+
+  it('leaves variables without values in the prompt as written', () => {
+    const values = { variables: { animal: ['fox'] }, wildcards: {} };
+
+    expect(countCombinations(TEMPLATE, values)).toBe(1);
+    expect(expandTemplate(TEMPLATE, values)).toEqual([
+      { prompt: 'a fox in a __place__ at {time}', seed: 0, bindings: { '{animal}': 'fox' } }
+    ]);
+  });
+
+  it('treats an empty wildcard list like a missing one', () => {
+    const values = { variables: { animal: ['fox', 'cat'], time: ['noon'] }, wildcards: { place: [] } };
+
+    expect(countCombinations(TEMPLATE, values)).toBe(2);
+    expect(expandTemplate(TEMPLATE, values).map((e) => e.prompt)).toEqual([
+      'a fox in a __place__ at noon',
+      'a cat in a __place__ at noon'
+    ]);
+    expect(expandTemplate(TEMPLATE, values, { mode: 'random', count: 3, seed: 9 }).every((e) => e.prompt.includes('__place__')))
+      .toBe(true);
+  });
+
+  it('returns the template once when no slot has values', () => {
+    expect(expandTemplate(TEMPLATE, { variables: {}, wildcards: { place: [] } }, { seed: 3 })).toEqual([
+      { prompt: TEMPLATE, seed: 3, bindings: {} }
+    ]);
+  });
+
+  it('caps a batch at the limit', () => {
+    const values = { variables: { a: Array.from({ length: 20 }, (_, i) => `a${i}`), b: Array.from({ length: 20 }, (_, i) => `b${i}`) }, wildcards: {} };
+
+    expect(countCombinations('{a} {b}', values)).toBe(400);
+    expect(expandTemplate('{a} {b}', values)).toHaveLength(MAX_EXPANSIONS);
+    expect(expandTemplate('{a} {b}', values, { limit: 5 })).toHaveLength(5);
+    expect(expandTemplate('{a} {b}', values, { mode: 'random', count: 50, limit: 5 })).toHaveLength(5);
+  });
+});
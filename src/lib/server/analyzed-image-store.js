@@ -0,0 +1,23 @@
+/**
+ * Server Analyzed Image Store
+ * Analyzed image storage persisted to the server data directory
+ */
+
+import { createAnalyzedImageStorage } from "$lib/analyzed-image-storage.js";
+import { fileStorage } from "./file-storage.js";
+
+export const {
+  getAnalyzedImages,
+  saveAnalyzedImage,
+  getAnalyzedImage,
+  deleteAnalyzedImage,
+  addAnalysisToImage,
+  getImageAnalysis,
+  searchAnalyzedImages,
+  getAnalyzedImagesByTag,
+  getAllTags,
+  updateAnalyzedImageMetadata,
+  exportAnalyzedImageMetadata,
+  importAnalyzedImages,
+  clearAnalyzedImages
+} = createAnalyzedImageStorage(fileStorage);
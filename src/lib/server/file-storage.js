@@ -0,0 +1,66 @@
+/**
+ * File Storage
+ * Server-side key/value storage backed by JSON files in a data directory.
+ * Mirrors the localStorage getItem/setItem/removeItem interface so the shared
+ * storage modules can run unchanged on the server.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { env } from "$env/dynamic/private";
+
+/**
+ * Resolve the data directory, defaulting to ./data in the project root
+ * @returns {string}
+ */
+export function getDataDir() {
+  return env.DATA_DIR || join(process.cwd(), "data");
+}
+
+/**
+ * Map a storage key to its JSON file path
+ * @param {string} dir
+ * @param {string} key
+ * @returns {string}
+ */
+function keyToPath(dir, key) {
+  const safeKey = key.replace(/[^a-zA-Z0-9_-]/g, "_");
+  return join(dir, `${safeKey}.json`);
+}
+
+/**
+ * Create a file-backed storage
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated JSON file behind.
+ * @param {string} [dir] - Directory to store files in
+ * @returns {KeyValueStorage}
+ */
+export function createFileStorage(dir = getDataDir()) {
+  function ensureDir() {
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  return {
+    getItem(key) {
+      const filePath = keyToPath(dir, key);
+      if (!existsSync(filePath)) return null;
+      return readFileSync(filePath, "utf-8");
+    },
+
+    setItem(key, value) {
+      ensureDir();
+      const filePath = keyToPath(dir, key);
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+      writeFileSync(tempPath, value, "utf-8");
+      renameSync(tempPath, filePath);
+    },
+
+    removeItem(key) {
+      rmSync(keyToPath(dir, key), { force: true });
+    }
+  };
+}
+
+export const fileStorage = createFileStorage();
@@ -0,0 +1,511 @@
+/**
+ * Media Library
+ * Server-side store for generated images. Files are content-addressed by
+ * their SHA-256 hash, so saving the same image twice is a no-op, and each
+ * image gets a JSON sidecar with its prompt and generation metadata.
+ *
+ *   <MEDIA_DIR>/<hash>.<ext>   image bytes
+ *   <MEDIA_DIR>/<hash>.json    sidecar
+ *   <MEDIA_DIR>/thumbnails/    cached WebP thumbnails, regenerated on demand
+ *
+ * Sidecars are indexed in memory for listing and search; the index reloads
+ * whenever the directory changes on disk.
+ */
+
+import { createHash } from "crypto";
+import { lookup } from "dns/promises";
+import { existsSync } from "fs";
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from "fs/promises";
+import { BlockList, isIP } from "net";
+import { join } from "path";
+import { env } from "$env/dynamic/private";
+import { getDataDir } from "./file-storage.js";
+
+export const MAX_MEDIA_BYTES = 25 * 1024 * 1024;
+const REMOTE_FETCH_TIMEOUT_MS = 30000;
+const MAX_REMOTE_REDIRECTS = 3;
+export const THUMBNAIL_SIZES = [128, 256, 512];
+export const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * @typedef {Object} MediaEntry
+ * @property {string} id - SHA-256 hash of the image bytes
+ * @property {string} filename - Image filename in the media directory
+ * @property {string} contentType - Image MIME type
+ * @property {number} size - Size in bytes
+ * @property {string} prompt - Prompt used to generate the image
+ * @property {Record<string, any>} metadata - Generation parameters
+ * @property {string | null} sourceUrl - Remote URL the image was fetched from
+ * @property {string} createdAt - ISO timestamp of the first save
+ *
+ * @typedef {Object} MediaQuery
+ * @property {string} [search] - Text to find in the prompt (all words must match)
+ * @property {string} [model] - Exact model ID from the generation metadata
+ * @property {string} [provider] - Exact provider ID from the generation metadata
+ * @property {string} [from] - Only entries created on or after this date (ISO)
+ * @property {string} [to] - Only entries created on or before this date (ISO)
+ * @property {'newest' | 'oldest'} [sort] - Sort order by creation date
+ * @property {number} [page] - 1-based page number
+ * @property {number} [pageSize] - Entries per page
+ *
+ * @typedef {Object} MediaPage
+ * @property {MediaEntry[]} items - Entries on this page
+ * @property {number} total - Entries matching the query
+ * @property {number} page - Current page
+ * @property {number} pageSize - Entries per page
+ * @property {number} totalPages - Number of pages
+ */
+
+/** @type {{dir: string, mtimeMs: number, entries: Map<string, MediaEntry>} | null} */
+let index = null;
+
+/** Magic-byte signatures for the image types we accept */
+const IMAGE_SIGNATURES = [
+  { contentType: "image/png", extension: "png", test: (/** @type {Uint8Array} */ b) => b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 },
+  { contentType: "image/jpeg", extension: "jpg", test: (/** @type {Uint8Array} */ b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: "image/gif", extension: "gif", test: (/** @type {Uint8Array} */ b) => b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46 },
+  { contentType: "image/webp", extension: "webp", test: (/** @type {Uint8Array} */ b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP" },
+  { contentType: "image/avif", extension: "avif", test: (/** @type {Uint8Array} */ b) => ascii(b, 4, 8) === "ftyp" && ["avif", "avis"].includes(ascii(b, 8, 12)) }
+];
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+function ascii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+/**
+ * Whether the media library is switched on (MEDIA_LIBRARY_ENABLED=true)
+ * @returns {boolean}
+ */
+export function isMediaLibraryEnabled() {
+  return ["true", "1", "yes"].includes((env.MEDIA_LIBRARY_ENABLED || "").toLowerCase());
+}
+
+/**
+ * Resolve the media directory, defaulting to <DATA_DIR>/media
+ * @returns {string}
+ */
+export function getMediaDir() {
+  return env.MEDIA_DIR || join(getDataDir(), "media");
+}
+
+/**
+ * Detect an image type from its leading bytes
+ * @param {Uint8Array} bytes
+ * @returns {{contentType: string, extension: string} | null}
+ */
+export function detectImageType(bytes) {
+  const signature = IMAGE_SIGNATURES.find(({ test }) => bytes.length >= 12 && test(bytes));
+  return signature ? { contentType: signature.contentType, extension: signature.extension } : null;
+}
+
+/**
+ * Whether a string is a media ID (lowercase hex SHA-256)
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isMediaId(id) {
+  return /^[a-f0-9]{64}$/.test(id);
+}
+
+/**
+ * Read an entry's sidecar
+ * @param {string} id
+ * @returns {Promise<MediaEntry | null>}
+ */
+export async function getMediaEntry(id) {
+  if (!isMediaId(id)) return null;
+  const sidecarPath = join(getMediaDir(), `${id}.json`);
+  if (!existsSync(sidecarPath)) return null;
+  return JSON.parse(await readFile(sidecarPath, "utf-8"));
+}
+
+/**
+ * Read an entry's image bytes
+ * @param {MediaEntry} entry
+ * @returns {Promise<Uint8Array | null>} null if the image file is gone but its sidecar isn't
+ */
+export async function readMediaFile(entry) {
+  try {
+    return await readFile(join(getMediaDir(), entry.filename));
+  } catch (err) {
+    if (/** @type {{code?: string}} */ (err).code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Write a file atomically (temp file, then rename)
+ * @param {string} filePath
+ * @param {string | Uint8Array} data
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(tempPath, data);
+  await rename(tempPath, filePath);
+}
+
+/**
+ * Save image bytes to the library. If the same bytes were saved before, the
+ * existing entry is returned untouched.
+ * @param {Uint8Array} bytes - Image data
+ * @param {{prompt?: string, metadata?: Record<string, any>, sourceUrl?: string | null}} [details]
+ * @returns {Promise<{entry: MediaEntry, duplicate: boolean}>}
+ * @throws {Error} If the data is not a supported image or is too large
+ */
+export async function saveMedia(bytes, details = {}) {
+  if (bytes.length === 0) {
+    throw new Error("Image is empty");
+  }
+  if (bytes.length > MAX_MEDIA_BYTES) {
+    throw new Error(`Image exceeds ${MAX_MEDIA_BYTES / 1024 / 1024}MB limit`);
+  }
+
+  const imageType = detectImageType(bytes);
+  if (!imageType) {
+    throw new Error("Unsupported image format - expected PNG, JPEG, WebP, GIF or AVIF");
+  }
+
+  const id = createHash("sha256").update(bytes).digest("hex");
+  const existing = await getMediaEntry(id);
+  if (existing) {
+    return { entry: existing, duplicate: true };
+  }
+
+  const dir = getMediaDir();
+  await mkdir(dir, { recursive: true });
+
+  /** @type {MediaEntry} */
+  const entry = {
+    id,
+    filename: `${id}.${imageType.extension}`,
+    contentType: imageType.contentType,
+    size: bytes.length,
+    prompt: details.prompt || "",
+    metadata: details.metadata || {},
+    sourceUrl: details.sourceUrl || null,
+    createdAt: new Date().toISOString()
+  };
+
+  // Image first, sidecar last: an entry only exists once both are on disk
+  await writeFileAtomic(join(dir, entry.filename), bytes);
+  await writeFileAtomic(join(dir, `${id}.json`), JSON.stringify(entry, null, 2));
+  await refreshIndexAfterWrite(entry);
+
+  return { entry, duplicate: false };
+}
+
+// Addresses the server must not be made to fetch from: loopback, private
+// networks, link-local (cloud metadata services) and other non-public ranges
+/** @type {Array<[string, number]>} */
+const BLOCKED_IPV4_SUBNETS = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3]
+];
+/** @type {Array<[string, number]>} */
+const BLOCKED_IPV6_SUBNETS = [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+];
+
+const BLOCKED_ADDRESSES = new BlockList();
+BLOCKED_IPV4_SUBNETS.forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+BLOCKED_IPV6_SUBNETS.forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+/**
+ * Whether an IP address is on a private or otherwise non-public network
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it maps to
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Check that a URL is http(s) and that its host only resolves to public
+ * addresses, so clients can't use the server to reach internal services
+ * @param {URL} url
+ * @throws {Error} If the URL may not be fetched
+ */
+async function assertPublicUrl(url) {
+  // blob: and data: URLs only exist in the browser; the client uploads those as bytes
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error(`Cannot fetch ${url.protocol} URLs on the server - upload the image bytes instead`);
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  /** @type {Array<{address: string}>} */
+  const addresses = isIP(host) ? [{ address: host }] : await lookup(host, { all: true }).catch(() => []);
+  if (addresses.length === 0) {
+    throw new Error(`Cannot resolve image host ${host}`);
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error("Image URLs on private or local networks cannot be fetched - upload the image bytes instead");
+  }
+}
+
+/**
+ * Read a response body, stopping as soon as it grows past the size limit
+ * @param {Response} response
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If the body is larger than MAX_MEDIA_BYTES
+ */
+async function readLimitedBody(response) {
+  if (!response.body) return new Uint8Array(0);
+
+  const reader = response.body.getReader();
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  let size = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    size += value.length;
+    if (size > MAX_MEDIA_BYTES) {
+      await reader.cancel();
+      throw new Error(`Image exceeds ${MAX_MEDIA_BYTES / 1024 / 1024}MB limit`);
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Download an image from a remote URL on the public internet. Redirects
+ * are followed by hand so every hop is checked the same way.
+ * @param {string} url - http(s) URL
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If the URL is invalid or not public, the request fails or the image is too large
+ */
+export async function fetchRemoteImage(url) {
+  /** @type {URL} */
+  let currentUrl;
+  try {
+    currentUrl = new URL(url);
+  } catch (err) {
+    throw new Error("Invalid image URL");
+  }
+
+  const signal = AbortSignal.timeout(REMOTE_FETCH_TIMEOUT_MS);
+
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(currentUrl);
+
+    const response = await fetch(currentUrl, { signal, redirect: "manual" });
+
+    const location = response.headers.get("location");
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= MAX_REMOTE_REDIRECTS) {
+        throw new Error("Too many redirects fetching image");
+      }
+      currentUrl = new URL(location, currentUrl);
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch image: ${response.status}`);
+    }
+
+    const contentLength = Number(response.headers.get("content-length") || 0);
+    if (contentLength > MAX_MEDIA_BYTES) {
+      throw new Error(`Image exceeds ${MAX_MEDIA_BYTES / 1024 / 1024}MB limit`);
+    }
+
+    return await readLimitedBody(response);
+  }
+}
+
+/**
+ * Load all sidecars, reusing the cached index while the directory is unchanged
+ * @returns {Promise<Map<string, MediaEntry>>}
+ */
+async function loadIndex() {
+  const dir = getMediaDir();
+  if (!existsSync(dir)) {
+    return new Map();
+  }
+
+  const { mtimeMs } = await stat(dir);
+  if (index && index.dir === dir && index.mtimeMs === mtimeMs) {
+    return index.entries;
+  }
+
+  /** @type {Map<string, MediaEntry>} */
+  const entries = new Map();
+  const files = await readdir(dir);
+  for (const file of files) {
+    if (!file.endsWith(".json") || !isMediaId(file.slice(0, -5))) continue;
+    try {
+      const entry = JSON.parse(await readFile(join(dir, file), "utf-8"));
+      entries.set(entry.id, entry);
+    } catch (err) {
+      console.warn(`Skipping unreadable media sidecar ${file}:`, err);
+    }
+  }
+
+  index = { dir, mtimeMs, entries };
+  return entries;
+}
+
+/**
+ * Keep the cached index in step with our own writes so they don't force a full reload
+ * @param {MediaEntry} entry
+ */
+async function refreshIndexAfterWrite(entry) {
+  const dir = getMediaDir();
+  if (!index || index.dir !== dir) return;
+  index.entries.set(entry.id, entry);
+  index.mtimeMs = (await stat(dir)).mtimeMs;
+}
+
+/**
+ * Filter, sort and page media entries
+ * @param {MediaEntry[]} entries
+ * @param {MediaQuery} [query]
+ * @returns {MediaPage}
+ */
+export function queryMediaEntries(entries, query = {}) {
+  const terms = (query.search || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const from = query.from ? Date.parse(query.from) : null;
+  // A bare date means the whole day
+  const to = query.to ? Date.parse(query.to) + (/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? 86400000 - 1 : 0) : null;
+
+  const matches = entries.filter((entry) => {
+    if (terms.length > 0) {
+      const prompt = (entry.prompt || "").toLowerCase();
+      if (!terms.every((term) => prompt.includes(term))) return false;
+    }
+    if (query.model && entry.metadata?.model !== query.model) return false;
+    if (query.provider && entry.metadata?.provider !== query.provider) return false;
+
+    const createdAt = Date.parse(entry.createdAt);
+    if (from !== null && !isNaN(from) && createdAt < from) return false;
+    if (to !== null && !isNaN(to) && createdAt > to) return false;
+    return true;
+  });
+
+  const direction = query.sort === "oldest" ? 1 : -1;
+  matches.sort((a, b) => direction * (Date.parse(a.createdAt) - Date.parse(b.createdAt)));
+
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, query.pageSize || DEFAULT_PAGE_SIZE));
+  const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+  const page = Math.min(totalPages, Math.max(1, query.page || 1));
+
+  return {
+    items: matches.slice((page - 1) * pageSize, page * pageSize),
+    total: matches.length,
+    page,
+    pageSize,
+    totalPages
+  };
+}
+
+/**
+ * List media in the library
+ * @param {MediaQuery} [query]
+ * @returns {Promise<MediaPage>}
+ */
+export async function listMedia(query) {
+  const entries = await loadIndex();
+  return queryMediaEntries(Array.from(entries.values()), query);
+}
+
+/**
+ * Distinct models and providers in the library, for filter menus
+ * @returns {Promise<{models: string[], providers: string[]}>}
+ */
+export async function getMediaFacets() {
+  const entries = Array.from((await loadIndex()).values());
+  const distinct = (/** @type {string} */ key) =>
+    [...new Set(entries.map((entry) => entry.metadata?.[key]).filter(Boolean))].sort();
+  return { models: distinct("model"), providers: distinct("provider") };
+}
+
+/**
+ * Delete an entry, its image and any cached thumbnails
+ * @param {string} id
+ * @returns {Promise<boolean>} False if the entry doesn't exist
+ */
+export async function deleteMedia(id) {
+  const entry = await getMediaEntry(id);
+  if (!entry) return false;
+
+  const dir = getMediaDir();
+  // Sidecar first so a half-finished delete never leaves an entry without its image
+  await rm(join(dir, `${id}.json`), { force: true });
+  await rm(join(dir, entry.filename), { force: true });
+  await Promise.all(
+    THUMBNAIL_SIZES.map((size) => rm(getThumbnailPath(id, size), { force: true }))
+  );
+
+  if (index && index.dir === dir) {
+    index.entries.delete(id);
+    index.mtimeMs = (await stat(dir)).mtimeMs;
+  }
+  return true;
+}
+
+/**
+ * @param {string} id
+ * @param {number} size
+ * @returns {string}
+ */
+function getThumbnailPath(id, size) {
+  return join(getMediaDir(), "thumbnails", `${id}-${size}.webp`);
+}
+
+/**
+ * Get a WebP thumbnail for an entry, generating and caching it on first use
+ * @param {MediaEntry} entry
+ * @param {number} size - Longest edge in pixels, one of THUMBNAIL_SIZES
+ * @returns {Promise<Uint8Array | null>} null if the image file is missing
+ */
+export async function getThumbnail(entry, size) {
+  const thumbnailPath = getThumbnailPath(entry.id, size);
+  if (existsSync(thumbnailPath)) {
+    return readFile(thumbnailPath);
+  }
+
+  const bytes = await readMediaFile(entry);
+  if (!bytes) return null;
+
+  // Loaded lazily so routes that don't need thumbnails don't pay for the native module
+  const { default: sharp } = await import("sharp");
+  const thumbnail = await sharp(bytes, { animated: false })
+    .rotate()
+    .resize(size, size, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  await mkdir(join(getMediaDir(), "thumbnails"), { recursive: true });
+  await writeFileAtomic(thumbnailPath, thumbnail);
+  return thumbnail;
+}
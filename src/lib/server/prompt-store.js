@@ -0,0 +1,30 @@
+/**
+ * Server Prompt Store
+ * Prompt storage persisted to the server data directory
+ */
+
+import { createPromptStorage } from "$lib/prompt-storage.js";
+import { fileStorage } from "./file-storage.js";
+
+export const {
+  getSavedPrompts,
+  savePrompt,
+  getPromptById,
+  deletePrompt,
+  updatePromptRating,
+  togglePromptFavorite,
+  recordPromptUsage,
+  searchPrompts,
+  getPromptsByStyle,
+  getPromptsByRating,
+  getFavoritePrompts,
+  getPromptsByTags,
+  getAllPromptTags,
+  getPromptStats,
+  exportPrompts,
+  importPrompts,
+  clearAllPrompts,
+  getTemplateLibrary,
+  saveTemplateLibrary,
+  importTemplateLibrary
+} = createPromptStorage(fileStorage);
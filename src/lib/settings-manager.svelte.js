@@ -10,8 +10,33 @@ const DEFAULT_SETTINGS = {
   geminiApiKey: '',
   blackforestApiKey: '',
   preferredFluxProvider: 'fal',
+  localDiffusionBackend: 'comfyui',
+  localDiffusionUrl: '',
+  localDiffusionCheckpoint: '',
+  localDiffusionNegativePrompt: '',
+  localDiffusionWorkflow: '',
   theme: 'windows95',
   autoSave: true,
+  imageQuotaMaxImages: 500,
+  imageQuotaMaxMB: 1024,
+  llmBackend: 'ollama',
+  llmUrl: '',
+  llmApiKey: '',
+  llmModel: '',
+  llmVisionModel: '',
+  llmTemperature: 0.7,
+  llmTopP: 0.9,
+  llmMaxTokens: 2048,
+  llmContextTokens: 8192,
+  speechBackend: 'browser',
+  voiceLocale: 'en-US',
+  voiceWakeWord: '',
+  voiceEndWord: '',
+  voiceDirectCommands: true,
+  ttsEnabled: false,
+  ttsBackend: 'browser',
+  ttsVoice: '',
+  ttsRate: 1,
   debugMode: false
 };
 
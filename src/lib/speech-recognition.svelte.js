@@ -1,20 +1,48 @@
+import { settingsManager } from './settings-manager.svelte.js';
+import { getVoiceLocale, containsWord, extractCommand, removeDuplicatePhrases } from './voice-commands.js';
+import { browserSpeechBackend } from './browser-speech-backend.js';
+import { whisperSpeechBackend } from './whisper-speech-backend.js';
+
 /**
  * @typedef {'idle' | 'listening' | 'capturing' | 'processing' | 'error'} SpeechState
  * 
  * @typedef {Object} SpeechRecognitionResult
  * @property {string} command - The captured command text
- * @property {boolean} isComplete - Whether the command is complete (ended with "please")
+ * @property {boolean} isComplete - Whether the command is complete (ended with the end word)
  * 
  * @typedef {Object} SpeechRecognitionCallbacks
  * @property {function(SpeechState): void} onStateChange - Called when recognition state changes
  * @property {function(string): void} onCommand - Called when a complete command is captured
  * @property {function(string): void} onInterimResult - Called with partial transcription
  * @property {function(string): void} onError - Called when an error occurs
- * @property {function(): void} onWakeWord - Called when "computer" wake word is detected
+ * @property {function(): void} onWakeWord - Called when the wake word is detected
  */
 
+/**
+ * @typedef {Object} SpeechBackendCallbacks
+ * @property {function(): void} onStart - Called once the backend is listening
+ * @property {function(string, boolean): void} onResult - Called with a transcript and whether it is final
+ * @property {function(string, string=): void} onError - Called with an error code ('no-speech', 'audio-capture', 'not-allowed', 'network', ...) and optional message
+ * @property {function(): void} onEnd - Called when the backend stops listening, on its own or after stop()
+ *
+ * @typedef {Object} SpeechBackend
+ * @property {string} label - Name shown in Settings
+ * @property {function(): boolean} isSupported - Whether this browser can run the backend
+ * @property {function(MediaStream, string, SpeechBackendCallbacks): void} start - Start listening on the microphone stream in the given language
+ * @property {function(): void} stop - Stop listening
+ */
+
+/**
+ * Speech-to-text backends, selected with the speechBackend setting
+ * @type {Record<'browser' | 'whisper', SpeechBackend>}
+ */
+export const SPEECH_BACKENDS = {
+  browser: browserSpeechBackend,
+  whisper: whisperSpeechBackend
+};
+
 function createSpeechRecognition() {
-  /** @type {any | null} */
+  /** @type {SpeechBackend | null} */
   let recognition = null;
   /** @type {SpeechState} */
   let currentState = $state('idle');
@@ -40,21 +68,48 @@ function createSpeechRecognition() {
   let lastWakeWordTime = 0;
   /** @type {number} */
   let lastCommandTime = 0;
+  /** Bumped whenever a backend starts or stops, so a stopped one's late events are ignored */
+  let backendSession = 0;
 
-  const WAKE_WORD = 'computer';
-  const END_WORD = 'please';
   const RESTART_INTERVAL = 45000; // Restart every 45 seconds to prevent memory leaks
   const MAX_CONSECUTIVE_ERRORS = 3; // Stop after too many errors
   const WAKE_WORD_COOLDOWN = 2000; // 2 seconds between wake word detections
   const COMMAND_COOLDOWN = 3000; // 3 seconds between command completions
 
+  /**
+   * Recognition language from settings
+   * @returns {string}
+   */
+  function getLocale() {
+    return settingsManager.getSetting('voiceLocale') || 'en-US';
+  }
+
+  /**
+   * Wake and end words from settings, or the language's defaults
+   * @returns {import('./voice-commands.js').VoiceWords}
+   */
+  function getWords() {
+    const locale = getVoiceLocale(getLocale());
+    return {
+      wakeWord: settingsManager.getSetting('voiceWakeWord')?.trim() || locale.wakeWord,
+      endWord: settingsManager.getSetting('voiceEndWord')?.trim() || locale.endWord
+    };
+  }
+
+  /**
+   * Backend selected in settings
+   * @returns {SpeechBackend}
+   */
+  function getBackend() {
+    return settingsManager.getSetting('speechBackend') === 'whisper' ? SPEECH_BACKENDS.whisper : SPEECH_BACKENDS.browser;
+  }
+
   /**
    * Check if speech recognition is supported
    * @returns {boolean}
    */
   function isSupported() {
-    return typeof window !== 'undefined' && 
-           ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window);
+    return getBackend().isSupported();
   }
 
   /**
@@ -90,110 +145,82 @@ function createSpeechRecognition() {
   }
 
   /**
-   * Create and configure speech recognition instance
+   * Callbacks connecting the backend to the command state machine
+   * @returns {SpeechBackendCallbacks}
    */
-  function createRecognitionInstance() {
-    if (!isSupported()) return null;
-
-    // @ts-ignore - WebKit prefix handling
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    const instance = new SpeechRecognition();
+  function createBackendCallbacks() {
+    const session = ++backendSession;
+    const isCurrent = () => session === backendSession;
+
+    return {
+      onStart: () => {
+        if (!isCurrent()) return;
+        console.log('🎤 Speech recognition started');
+        currentState = 'listening';
+        isRestarting = false;
+        consecutiveErrors = 0;
+        callbacks?.onStateChange(currentState);
+      },
 
-    instance.continuous = true;
-    instance.interimResults = true;
-    instance.lang = 'en-US';
-    instance.maxAlternatives = 1;
+      onResult: (transcript, isFinal) => {
+        if (!isCurrent()) return;
+        processTranscript(transcript, isFinal);
+      },
 
-    instance.onstart = () => {
-      console.log('🎤 Speech recognition started');
-      currentState = 'listening';
-      isRestarting = false;
-      consecutiveErrors = 0;
-      callbacks?.onStateChange(currentState);
-    };
-
-    instance.onresult = (/** @type {any} */ event) => {
-      handleSpeechResult(event);
-    };
+      onError: (code, message) => {
+        if (!isCurrent()) return;
+        console.error('Speech recognition error:', code, message || '');
+        consecutiveErrors++;
+        
+        // Handle specific errors
+        switch (code) {
+          case 'no-speech':
+            // Ignore no-speech errors in continuous mode
+            consecutiveErrors--; // Don't count this as a real error
+            break;
+          case 'audio-capture':
+            callbacks?.onError('Microphone not available. Please check your microphone settings.');
+            forceStop();
+            break;
+          case 'not-allowed':
+            callbacks?.onError('Microphone permission denied. Please allow microphone access.');
+            forceStop();
+            break;
+          case 'network':
+            // Network errors are temporary, allow restart
+            break;
+          default:
+            callbacks?.onError(message || `Speech recognition error: ${code}`);
+        }
 
-    instance.onerror = (/** @type {any} */ event) => {
-      console.error('Speech recognition error:', event.error);
-      consecutiveErrors++;
-      
-      // Handle specific errors
-      switch (event.error) {
-        case 'no-speech':
-          // Ignore no-speech errors in continuous mode
-          consecutiveErrors--; // Don't count this as a real error
-          break;
-        case 'audio-capture':
-          callbacks?.onError('Microphone not available. Please check your microphone settings.');
-          forceStop();
-          break;
-        case 'not-allowed':
-          callbacks?.onError('Microphone permission denied. Please allow microphone access.');
+        // Stop if too many consecutive errors
+        if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+          console.error('❌ Too many consecutive errors, stopping speech recognition');
+          callbacks?.onError('Speech recognition encountered too many errors. Please try again.');
           forceStop();
-          break;
-        case 'network':
-          // Network errors are temporary, allow restart
-          break;
-        default:
-          callbacks?.onError(`Speech recognition error: ${event.error}`);
-      }
-
-      // Stop if too many consecutive errors
-      if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
-        console.error('❌ Too many consecutive errors, stopping speech recognition');
-        callbacks?.onError('Speech recognition encountered too many errors. Please try again.');
-        forceStop();
-      }
-    };
+        }
+      },
 
-    instance.onend = () => {
-      console.log('🔇 Speech recognition ended');
-      
-      // Only restart if we should be running and we're not already restarting
-      if (shouldBeRunning && !isRestarting && currentState !== 'idle' && consecutiveErrors < MAX_CONSECUTIVE_ERRORS) {
-        console.log('🔄 Auto-restarting speech recognition');
-        isRestarting = true;
-        setTimeout(() => {
-          if (shouldBeRunning && currentState !== 'idle') {
-            isRestarting = false;
-            startRecognition();
-          }
-        }, 1000); // Longer delay to prevent rapid restarts
-      } else {
-        console.log('🛑 Not restarting speech recognition');
-        isRestarting = false;
+      onEnd: () => {
+        if (!isCurrent()) return;
+        console.log('🔇 Speech recognition ended');
+        
+        // Only restart if we should be running and we're not already restarting
+        if (shouldBeRunning && !isRestarting && currentState !== 'idle' && consecutiveErrors < MAX_CONSECUTIVE_ERRORS) {
+          console.log('🔄 Auto-restarting speech recognition');
+          isRestarting = true;
+          setTimeout(() => {
+            if (shouldBeRunning && currentState !== 'idle') {
+              isRestarting = false;
+              startRecognition();
+            }
+          }, 1000); // Longer delay to prevent rapid restarts
+        } else {
+          console.log('🛑 Not restarting speech recognition');
+          isRestarting = false;
+        }
       }
     };
-
-    return instance;
-  }
-
-  /**
-   * Handle speech recognition results
-   * @param {any} event
-   */
-  function handleSpeechResult(event) {
-    let interimTranscript = '';
-    let finalTranscript = '';
-
-    for (let i = event.resultIndex; i < event.results.length; i++) {
-      const transcript = event.results[i][0].transcript.toLowerCase().trim();
-      
-      if (event.results[i].isFinal) {
-        finalTranscript += transcript + ' ';
-      } else {
-        interimTranscript += transcript + ' ';
-      }
-    }
-
-    const fullTranscript = (finalTranscript + interimTranscript).trim();
-    
-    if (fullTranscript) {
-      processTranscript(fullTranscript, event.results[event.results.length - 1].isFinal);
-    }
   }
 
   /**
@@ -211,8 +238,10 @@ function createSpeechRecognition() {
       return;
     }
 
+    const words = getWords();
+
     // Check for wake word if not currently capturing
-    if (!isCapturing && transcript.includes(WAKE_WORD)) {
+    if (!isCapturing && containsWord(transcript, words.wakeWord)) {
       // Apply wake word cooldown to prevent multiple detections
       if (now - lastWakeWordTime < WAKE_WORD_COOLDOWN) {
         console.log('🔇 Wake word cooldown active, ignoring');
@@ -227,14 +256,10 @@ function createSpeechRecognition() {
       callbacks?.onStateChange(currentState);
       callbacks?.onWakeWord();
       
-      // Extract text after wake word, but only if it doesn't already contain the end word
-      const wakeIndex = transcript.indexOf(WAKE_WORD);
-      const afterWake = transcript.substring(wakeIndex + WAKE_WORD.length).trim();
+      const { command, isComplete } = extractCommand(transcript, words);
       
       // If the entire command is in one go (wake word + command + end word), handle it immediately
-      if (afterWake.includes(END_WORD)) {
-        const endIndex = afterWake.indexOf(END_WORD);
-        const command = afterWake.substring(0, endIndex).trim();
+      if (isComplete) {
         if (command) {
           console.log(`📨 Complete command in one go: "${command}"`);
           completeCommand(command);
@@ -243,8 +268,8 @@ function createSpeechRecognition() {
       }
       
       // Otherwise, start capturing
-      if (afterWake && afterWake.length > 0) {
-        commandBuffer = afterWake;
+      if (command) {
+        commandBuffer = command;
         callbacks?.onInterimResult(commandBuffer);
       }
       return;
@@ -252,25 +277,15 @@ function createSpeechRecognition() {
 
     // If capturing, accumulate command text
     if (isCapturing) {
+      const { command, isComplete } = extractCommand(transcript, words);
+
       // Check for end word
-      if (transcript.includes(END_WORD)) {
+      if (isComplete) {
         console.log('✋ End word detected: completing command');
         
-        // Extract text before end word
-        const endIndex = transcript.lastIndexOf(END_WORD);
-        let finalCommand = transcript.substring(0, endIndex).trim();
-        
-        // Remove wake word if it's still in the command
-        if (finalCommand.startsWith(WAKE_WORD)) {
-          finalCommand = finalCommand.substring(WAKE_WORD.length).trim();
-        }
-        
         // Use the more complete version
-        if (commandBuffer && commandBuffer.length > finalCommand.length && commandBuffer.includes(finalCommand)) {
-          finalCommand = commandBuffer;
-        } else if (finalCommand && finalCommand.length > commandBuffer.length) {
-          finalCommand = finalCommand;
-        } else if (commandBuffer) {
+        let finalCommand = command;
+        if (commandBuffer && commandBuffer.length >= finalCommand.length) {
           finalCommand = commandBuffer;
         }
         
@@ -288,28 +303,14 @@ function createSpeechRecognition() {
       
       // Update command buffer for ongoing capture (only for final results to avoid noise)
       if (isFinal) {
-        // Remove wake word if present
-        let cleanTranscript = transcript;
-        if (cleanTranscript.startsWith(WAKE_WORD)) {
-          cleanTranscript = cleanTranscript.substring(WAKE_WORD.length).trim();
-        }
-        
         // Only update buffer if new transcript is meaningfully different
-        if (cleanTranscript && (cleanTranscript.length > commandBuffer.length || !commandBuffer)) {
-          commandBuffer = cleanTranscript;
+        if (command && (command.length > commandBuffer.length || !commandBuffer)) {
+          commandBuffer = command;
           callbacks?.onInterimResult(commandBuffer);
         }
-      } else {
+      } else if (command.length > 2) {
         // Show interim results without modifying the buffer
-        let interimCommand = transcript;
-        if (interimCommand.startsWith(WAKE_WORD)) {
-          interimCommand = interimCommand.substring(WAKE_WORD.length).trim();
-        }
-        
-        // Only show interim if it's meaningful and doesn't include end word
-        if (interimCommand && !interimCommand.includes(END_WORD) && interimCommand.length > 2) {
-          callbacks?.onInterimResult(interimCommand);
-        }
+        callbacks?.onInterimResult(command);
       }
     }
   }
@@ -355,37 +356,6 @@ function createSpeechRecognition() {
     commandBuffer = '';
   }
 
-  /**
-   * Remove duplicate phrases that might have been concatenated
-   * @param {string} text
-   * @returns {string}
-   */
-  function removeDuplicatePhrases(text) {
-    const words = text.split(' ');
-    if (words.length <= 3) return text;
-    
-    // Look for patterns where the same sequence of words is repeated
-    const halfLength = Math.floor(words.length / 2);
-    const firstHalf = words.slice(0, halfLength).join(' ');
-    const secondHalf = words.slice(halfLength).join(' ');
-    
-    // If the two halves are similar, return just the first half
-    if (firstHalf === secondHalf) {
-      return firstHalf;
-    }
-    
-    // Check for partial duplicates at the end
-    for (let i = 1; i <= halfLength; i++) {
-      const ending = words.slice(-i).join(' ');
-      const beforeEnding = words.slice(-(i * 2), -i).join(' ');
-      if (ending === beforeEnding) {
-        return words.slice(0, -i).join(' ');
-      }
-    }
-    
-    return text;
-  }
-
   /**
    * Force stop speech recognition (emergency stop)
    */
@@ -405,14 +375,7 @@ function createSpeechRecognition() {
       restartTimeout = null;
     }
 
-    if (recognition) {
-      try {
-        recognition.stop();
-      } catch (error) {
-        console.warn('Error stopping recognition:', error);
-      }
-      recognition = null;
-    }
+    stopBackend();
 
     // Clean up media stream
     if (currentStream) {
@@ -447,33 +410,45 @@ function createSpeechRecognition() {
     shouldBeRunning = true;
 
     // Clean up existing recognition
-    if (recognition) {
-      try {
-        recognition.stop();
-      } catch (error) {
-        console.warn('Error stopping existing recognition:', error);
+    stopBackend();
+
+    if (!currentStream) {
+      console.warn('Cannot start speech recognition: no microphone stream');
+      return;
+    }
+
+    recognition = getBackend();
+    try {
+      recognition.start(currentStream, getLocale(), createBackendCallbacks());
+      
+      // Clear any existing restart timeout since we're starting fresh
+      if (restartTimeout) {
+        clearTimeout(restartTimeout);
+        restartTimeout = null;
       }
+      
+    } catch (error) {
+      console.error('Failed to start speech recognition:', error);
+      consecutiveErrors++;
+      if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+        forceStop();
+      }
+      callbacks?.onError('Failed to start speech recognition');
     }
+  }
 
-    recognition = createRecognitionInstance();
+  /**
+   * Stop the running backend, if any
+   */
+  function stopBackend() {
+    backendSession++;
     if (recognition) {
       try {
-        recognition.start();
-        
-        // Clear any existing restart timeout since we're starting fresh
-        if (restartTimeout) {
-          clearTimeout(restartTimeout);
-          restartTimeout = null;
-        }
-        
+        recognition.stop();
       } catch (error) {
-        console.error('Failed to start speech recognition:', error);
-        consecutiveErrors++;
-        if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
-          forceStop();
-        }
-        callbacks?.onError('Failed to start speech recognition');
+        console.warn('Error stopping recognition:', error);
       }
+      recognition = null;
     }
   }
 
@@ -496,14 +471,7 @@ function createSpeechRecognition() {
       restartTimeout = null;
     }
     
-    if (recognition) {
-      try {
-        recognition.stop();
-      } catch (error) {
-        console.warn('Error stopping recognition:', error);
-      }
-      recognition = null;
-    }
+    stopBackend();
     
     // Clean up media stream
     if (currentStream) {
@@ -544,13 +512,7 @@ function createSpeechRecognition() {
     consecutiveErrors = 0; // Reset error count on manual restart
     
     // Stop current recognition
-    if (recognition) {
-      try {
-        recognition.stop();
-      } catch (error) {
-        console.warn('Error stopping recognition during restart:', error);
-      }
-    }
+    stopBackend();
     
     // Start fresh after a brief delay
     setTimeout(() => {
@@ -571,6 +533,10 @@ function createSpeechRecognition() {
     getState,
     getCommandBuffer,
     get state() { return currentState; },
+    get backendLabel() { return getBackend().label; },
+    get locale() { return getLocale(); },
+    get wakeWord() { return getWords().wakeWord; },
+    get endWord() { return getWords().endWord; },
     get isCapturing() { return isCapturing; },
     get commandBuffer() { return commandBuffer; },
     get shouldBeRunning() { return shouldBeRunning; },
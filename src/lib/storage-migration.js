@@ -0,0 +1,66 @@
+/**
+ * Storage Migration
+ * One-time push of prompts, prompt templates and analyzed images from this
+ * browser's localStorage into the server-side store. The server is the only
+ * store after that; localStorage is read here and nowhere else.
+ */
+
+import { getSavedPrompts, getTemplateLibrary } from './prompt-storage.js';
+import { getAnalyzedImages } from './analyzed-image-storage.js';
+
+const MIGRATION_FLAG_KEY = 'server_storage_migrated';
+
+/** @type {Promise<boolean> | null} */
+let migration = null;
+
+/**
+ * Upload local prompts, templates and analyzed images to the server store.
+ * Runs once per browser; callers that read from the server await it first so
+ * they never see the store before the local data has been merged in.
+ * @returns {Promise<boolean>} Whether a migration was performed
+ */
+export function migrateLocalStorageToServer() {
+  if (!migration) migration = runMigration();
+  return migration;
+}
+
+/**
+ * @returns {Promise<boolean>}
+ */
+async function runMigration() {
+  if (typeof localStorage === 'undefined' || localStorage.getItem(MIGRATION_FLAG_KEY)) return false;
+
+  const prompts = getSavedPrompts();
+  const analyzedImages = getAnalyzedImages();
+  const { templates, wordLists } = getTemplateLibrary();
+
+  if (prompts.length === 0 && analyzedImages.length === 0 && templates.length === 0 && Object.keys(wordLists).length === 0) {
+    localStorage.setItem(MIGRATION_FLAG_KEY, Date.now().toString());
+    return false;
+  }
+
+  try {
+    const response = await fetch('/api/storage/migrate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompts, analyzedImages, templates, wordLists })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      console.error('❌ Storage migration failed:', result.error);
+      // Let the next caller try again
+      migration = null;
+      return false;
+    }
+
+    localStorage.setItem(MIGRATION_FLAG_KEY, Date.now().toString());
+    console.log('📦 Migrated local data to server:', result.data);
+    return true;
+  } catch (error) {
+    console.error('❌ Storage migration failed:', error);
+    // Let the next caller try again
+    migration = null;
+    return false;
+  }
+}
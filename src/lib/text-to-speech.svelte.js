@@ -0,0 +1,304 @@
+/**
+ * Text-to-Speech
+ * Speaks chat replies aloud, through the browser's speechSynthesis or a
+ * local TTS server (e.g. Piper) behind the /api/tts route. Replies are
+ * cleaned of markdown and tool-call markup and spoken a sentence at a time,
+ * so speech starts quickly and can be cut off between sentences.
+ */
+
+import { settingsManager } from './settings-manager.svelte.js';
+
+const TTS_URL = '/api/tts';
+
+// Sentences are grouped into utterances up to about this many characters
+const MAX_UTTERANCE_LENGTH = 200;
+
+/**
+ * @typedef {Object} TtsVoice
+ * @property {string} id - Value stored in the ttsVoice setting
+ * @property {string} label - Name shown in Settings
+ *
+ * @typedef {Object} TtsOptions
+ * @property {string} voice - Voice ID, or '' for the default
+ * @property {number} rate - Speaking rate, 1 is normal
+ *
+ * @typedef {Object} TtsBackend
+ * @property {string} label - Name shown in Settings
+ * @property {function(): boolean} isSupported - Whether this browser can use the backend
+ * @property {function(): Promise<TtsVoice[]>} getVoices - Voices to choose from
+ * @property {function(string, TtsOptions): Promise<void>} speak - Speak text; resolves when done or stopped
+ * @property {function(): void} stop - Stop speaking now
+ */
+
+/**
+ * Turn a chat reply into text worth reading aloud: drop tool-call markup
+ * some models write into their text, code blocks and markdown syntax
+ * @param {string} text
+ * @returns {string}
+ */
+export function toSpokenText(text) {
+  return text
+    .replace(/<tool_call>[\s\S]*?(<\/tool_call>|$)/g, ' ')
+    .replace(/\[TOOL_CALLS?\][\s\S]*?(\[\/TOOL_CALLS?\]|$)/g, ' ')
+    .replace(/^\s*TOOL_CALL:.*$/gm, ' ')
+    .replace(/<\|[^|]*\|>/g, ' ')
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/^\s*\{\s*"(name|function)"[\s\S]*?\}\s*$/gm, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, 'a link')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/^\s*#{1,6}\s+/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '')
+    .replace(/(\*\*|__|\*|~~)(\S(?:[^]*?\S)?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into utterances of whole sentences
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitUtterances(text) {
+  const sentences = text.split(/(?<=[.!?…])\s+/);
+  /** @type {string[]} */
+  const utterances = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length + 1 > MAX_UTTERANCE_LENGTH) {
+      utterances.push(current);
+      current = sentence;
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  }
+  if (current) utterances.push(current);
+
+  return utterances;
+}
+
+/**
+ * Speech through the browser's speechSynthesis
+ * @returns {TtsBackend}
+ */
+function createBrowserTtsBackend() {
+  function isSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+  }
+
+  /**
+   * Browser voices; Chrome loads them asynchronously
+   * @returns {Promise<SpeechSynthesisVoice[]>}
+   */
+  async function loadVoices() {
+    const voices = window.speechSynthesis.getVoices();
+    if (voices.length > 0) return voices;
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => resolve(window.speechSynthesis.getVoices()), 1000);
+      window.speechSynthesis.addEventListener('voiceschanged', () => {
+        clearTimeout(timeout);
+        resolve(window.speechSynthesis.getVoices());
+      }, { once: true });
+    });
+  }
+
+  async function getVoices() {
+    if (!isSupported()) return [];
+    return (await loadVoices()).map((voice) => ({
+      id: voice.name,
+      label: `${voice.name} (${voice.lang})${voice.localService ? '' : ' ☁️'}`
+    }));
+  }
+
+  /** @param {string} text @param {TtsOptions} options */
+  async function speak(text, options) {
+    const voice = options.voice ? (await loadVoices()).find((v) => v.name === options.voice) : undefined;
+
+    /** @type {Promise<void>} */
+    const done = new Promise((resolve) => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+      }
+      utterance.rate = options.rate;
+      utterance.onend = () => resolve();
+      utterance.onerror = (event) => {
+        // 'interrupted' and 'canceled' are what stop() causes
+        if (event.error !== 'interrupted' && event.error !== 'canceled') {
+          console.warn('Speech synthesis error:', event.error);
+        }
+        resolve();
+      };
+      window.speechSynthesis.speak(utterance);
+    });
+    return done;
+  }
+
+  function stop() {
+    if (isSupported()) window.speechSynthesis.cancel();
+  }
+
+  return { label: 'Browser voices', isSupported, getVoices, speak, stop };
+}
+
+/**
+ * Speech from a local TTS server through /api/tts
+ * @returns {TtsBackend}
+ */
+function createServerTtsBackend() {
+  /** @type {HTMLAudioElement | null} */
+  let audio = null;
+  /** @type {AbortController | null} */
+  let request = null;
+  /** @type {(() => void) | null} */
+  let finish = null;
+
+  function isSupported() {
+    return typeof window !== 'undefined' && typeof Audio !== 'undefined';
+  }
+
+  async function getVoices() {
+    const response = await fetch(TTS_URL);
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'TTS server not reachable');
+    return result.data.voices.map((/** @type {string} */ voice) => ({ id: voice, label: voice }));
+  }
+
+  /** @param {string} text @param {TtsOptions} options */
+  async function speak(text, options) {
+    request = new AbortController();
+    let url = '';
+
+    try {
+      const response = await fetch(TTS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, voice: options.voice || undefined }),
+        signal: request.signal
+      });
+      if (!response.ok) {
+        const result = await response.json().catch(() => null);
+        throw new Error(result?.error || `TTS failed: ${response.status} ${response.statusText}`);
+      }
+
+      url = URL.createObjectURL(await response.blob());
+      const player = new Audio(url);
+      player.playbackRate = options.rate;
+      audio = player;
+
+      await new Promise((resolve, reject) => {
+        finish = () => resolve(undefined);
+        player.onended = () => resolve(undefined);
+        player.onerror = () => reject(new Error('Could not play TTS audio'));
+        player.play().catch(reject);
+      });
+    } catch (/** @type {*} */ error) {
+      if (error.name !== 'AbortError') throw error;
+    } finally {
+      if (url) URL.revokeObjectURL(url);
+      audio = null;
+      request = null;
+      finish = null;
+    }
+  }
+
+  function stop() {
+    request?.abort();
+    audio?.pause();
+    finish?.();
+  }
+
+  return { label: 'Local TTS server (Piper)', isSupported, getVoices, speak, stop };
+}
+
+/**
+ * Speech backends, selected with the ttsBackend setting
+ * @type {Record<'browser' | 'server', TtsBackend>}
+ */
+export const TTS_BACKENDS = {
+  browser: createBrowserTtsBackend(),
+  server: createServerTtsBackend()
+};
+
+function createTextToSpeech() {
+  /** @type {boolean} */
+  let isSpeaking = $state(false);
+  /** @type {string} */
+  let error = $state('');
+  /** @type {string[]} */
+  let queue = [];
+  /** Bumped by stop(), so a queue that was cut off doesn't carry on */
+  let generation = 0;
+
+  /**
+   * Backend selected in settings
+   * @returns {TtsBackend}
+   */
+  function getBackend() {
+    return settingsManager.getSetting('ttsBackend') === 'server' ? TTS_BACKENDS.server : TTS_BACKENDS.browser;
+  }
+
+  /**
+   * Queue text to be spoken after anything already queued
+   * @param {string} text - Reply text; markdown and tool-call markup are skipped
+   */
+  function speak(text) {
+    const utterances = splitUtterances(toSpokenText(text));
+    if (utterances.length === 0 || !getBackend().isSupported()) return;
+
+    queue.push(...utterances);
+    if (!isSpeaking) runQueue(generation);
+  }
+
+  /**
+   * Speak queued utterances one after another
+   * @param {number} run
+   */
+  async function runQueue(run) {
+    isSpeaking = true;
+    error = '';
+
+    while (queue.length > 0 && run === generation) {
+      const text = /** @type {string} */ (queue.shift());
+      try {
+        await getBackend().speak(text, {
+          voice: settingsManager.getSetting('ttsVoice') || '',
+          rate: Number(settingsManager.getSetting('ttsRate')) || 1
+        });
+      } catch (/** @type {*} */ err) {
+        console.error('❌ Text-to-speech error:', err);
+        error = err.message || 'Text-to-speech failed';
+        queue = [];
+      }
+    }
+
+    if (run === generation) isSpeaking = false;
+  }
+
+  /**
+   * Stop speaking and drop anything queued, e.g. when the user starts talking
+   */
+  function stop() {
+    generation++;
+    queue = [];
+    TTS_BACKENDS.browser.stop();
+    TTS_BACKENDS.server.stop();
+    isSpeaking = false;
+  }
+
+  return {
+    speak,
+    stop,
+    isSupported: () => getBackend().isSupported(),
+    getVoices: () => getBackend().getVoices(),
+    get isSpeaking() { return isSpeaking; },
+    get error() { return error; },
+    get enabled() { return Boolean(settingsManager.getSetting('ttsEnabled')); }
+  };
+}
+
+export const textToSpeech = createTextToSpeech();
@@ -69,6 +69,29 @@ async function urlToBlob(videoUrl) {
  * Create the video storage manager
  */
 function createVideoStorage() {
+  /**
+   * Metadata of every saved video, kept in step with localStorage so open
+   * galleries see videos saved or imported elsewhere
+   * @type {SavedVideo[]}
+   */
+  let savedVideos = $state([]);
+
+  /**
+   * Reload the saved video list from localStorage
+   */
+  function loadSavedVideos() {
+    savedVideos = getSavedVideosMetadata();
+  }
+
+  /**
+   * Replace the stored metadata and the saved video list
+   * @param {SavedVideo[]} metadata
+   */
+  function writeMetadata(metadata) {
+    localStorage.setItem(METADATA_KEY, JSON.stringify(metadata));
+    savedVideos = metadata;
+  }
+
   /**
    * Save a video to storage
    * @param {string} videoUrl - URL of the video to save
@@ -117,9 +140,7 @@ function createVideoStorage() {
         type: blob.type || 'video/mp4'
       };
       
-      const existingMetadata = getSavedVideosMetadata();
-      existingMetadata.push(metadata);
-      localStorage.setItem(METADATA_KEY, JSON.stringify(existingMetadata));
+      writeMetadata([...getSavedVideosMetadata(), metadata]);
       
       console.log(`Video saved: ${videoId}`);
       return videoId;
@@ -130,6 +151,37 @@ function createVideoStorage() {
     }
   }
 
+  /**
+   * Restore a video from an archive, keeping its original metadata.
+   * A new ID is assigned if the original ID is already taken.
+   * @param {Blob} blob - Video data
+   * @param {SavedVideo} video - Metadata from the archive
+   * @returns {Promise<string>} - The ID the video was stored under
+   */
+  async function importVideo(blob, video) {
+    const existingMetadata = getSavedVideosMetadata();
+    const videoId = existingMetadata.some(existing => existing.id === video.id) ? generateVideoId() : video.id;
+
+    const db = await openVideoDatabase();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    await new Promise((resolve, reject) => {
+      const request = store.put({
+        id: videoId,
+        blob: blob,
+        timestamp: video.timestamp
+      });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    writeMetadata([...existingMetadata, { ...video, id: videoId, size: blob.size, type: blob.type || video.type || 'video/mp4' }]);
+
+    console.log(`Video imported: ${videoId}`);
+    return videoId;
+  }
+
   /**
    * Get all saved video metadata
    * @returns {SavedVideo[]}
@@ -227,9 +279,7 @@ function createVideoStorage() {
       });
       
       // Remove from metadata
-      const existingMetadata = getSavedVideosMetadata();
-      const filteredMetadata = existingMetadata.filter(video => video.id !== videoId);
-      localStorage.setItem(METADATA_KEY, JSON.stringify(filteredMetadata));
+      writeMetadata(getSavedVideosMetadata().filter(video => video.id !== videoId));
       
       console.log(`Video deleted: ${videoId}`);
       
@@ -277,6 +327,7 @@ function createVideoStorage() {
       
       // Clear metadata
       localStorage.removeItem(METADATA_KEY);
+      savedVideos = [];
       
       console.log('All videos cleared');
       
@@ -286,8 +337,17 @@ function createVideoStorage() {
     }
   }
 
+  if (typeof window !== 'undefined') {
+    loadSavedVideos();
+  }
+
   return {
+    get savedVideos() {
+      return savedVideos;
+    },
+    loadSavedVideos,
     saveVideo,
+    importVideo,
     getSavedVideosMetadata,
     getVideoBlob,
     getVideoObjectURL,
@@ -0,0 +1,425 @@
+/**
+ * Voice Commands
+ * Pure helpers for spoken input: finding the wake and end words in a
+ * transcript, and a small grammar that turns commands like "generate a red
+ * fox in portrait" or "open the gallery" into chat tool calls without asking
+ * the LLM. Anything the grammar doesn't recognize returns null and goes to
+ * the chat as before.
+ */
+
+/**
+ * @typedef {Object} VoiceGrammar
+ * @property {string[]} generate - Phrases that start an image request
+ * @property {string[]} imagePhrases - Words between the verb and the subject to drop ("an image of")
+ * @property {string[]} notImages - Subjects that aren't still images ("a video"), left to the LLM
+ * @property {string[]} aspectJoin - Words that introduce an aspect ratio ("in", "as")
+ * @property {Record<string, AspectRatio>} aspects - Spoken aspect ratio names
+ * @property {string[]} aspectSuffixes - Words allowed after an aspect ratio ("portrait mode")
+ * @property {string[]} ratioBy - Spoken separators in "16 by 9"
+ * @property {string[]} open - Phrases that start a window request
+ * @property {string[]} articles - Words to drop before a window name
+ * @property {string[]} windowSuffixes - Words to drop after a window name ("window")
+ * @property {Record<string, string>} windows - Spoken window names, mapped to the chat tool that opens them
+ */
+
+/**
+ * @typedef {Object} VoiceLocale
+ * @property {string} label - Language name shown in Settings
+ * @property {string} wakeWord - Default wake word
+ * @property {string} endWord - Default end word
+ * @property {VoiceGrammar} grammar - Command grammar
+ */
+
+/**
+ * @typedef {Object} VoiceWords
+ * @property {string} wakeWord - Starts a command
+ * @property {string} endWord - Ends a command
+ */
+
+/**
+ * @typedef {Object} VoiceAction
+ * @property {string} tool - Chat tool to run
+ * @property {Record<string, *>} arguments - Tool arguments
+ */
+
+/** Aspect ratios that can be spoken as numbers, e.g. "16 by 9" */
+const NUMERIC_ASPECTS = ['21:9', '16:9', '4:3', '1:1', '3:4', '9:16'];
+
+/** @type {VoiceGrammar} */
+const ENGLISH_GRAMMAR = {
+  generate: ['generate', 'create', 'draw', 'paint', 'render', 'make me'],
+  imagePhrases: ['an image of', 'a picture of', 'a photo of', 'a photograph of', 'an image', 'a picture', 'image of', 'picture of', 'photo of'],
+  notImages: ['a video', 'video', 'a movie', 'movie', 'a clip'],
+  aspectJoin: ['in', 'as', 'at'],
+  aspects: {
+    'portrait': '9:16',
+    'vertical': '9:16',
+    'phone wallpaper': '9:16',
+    'landscape': '16:9',
+    'horizontal': '16:9',
+    'widescreen': '16:9',
+    'square': '1:1',
+    'cinematic': '21:9',
+    'ultrawide': '21:9'
+  },
+  aspectSuffixes: ['mode', 'format', 'orientation', 'aspect ratio', 'ratio'],
+  ratioBy: ['by', 'to', 'x', ':'],
+  open: ['show me', 'go to', 'open', 'show', 'launch', 'start'],
+  articles: ['the', 'my', 'a'],
+  windowSuffixes: ['window', 'app'],
+  windows: {
+    'image generator': 'open_image_generator',
+    'fluxor': 'open_image_generator',
+    'flux or': 'open_image_generator',
+    'video generator': 'generate_video',
+    'cinemator': 'generate_video',
+    'video enhancer': 'enhance_video',
+    'video upscaler': 'enhance_video',
+    'image enhancer': 'enhance_image',
+    'enhancer': 'enhance_image',
+    'upscaler': 'enhance_image',
+    'gallery': 'view_images',
+    'image gallery': 'view_images',
+    'images': 'view_images',
+    'photos': 'view_images',
+    'pictures': 'view_images',
+    'videos': 'view_videos',
+    'video gallery': 'view_videos',
+    'settings': 'open_settings',
+    'preferences': 'open_settings',
+    'notepad': 'open_notepad',
+    'notes': 'open_notepad',
+    'lora studio': 'open_lora_studio',
+    'laura studio': 'open_lora_studio'
+  }
+};
+
+/** @type {VoiceGrammar} */
+const GERMAN_GRAMMAR = {
+  generate: ['generiere', 'erstelle', 'erzeuge', 'zeichne', 'male', 'mach mir'],
+  imagePhrases: ['ein bild von', 'ein foto von', 'ein bild', 'bild von', 'foto von'],
+  notImages: ['ein video', 'video', 'einen film', 'film'],
+  aspectJoin: ['im', 'in', 'als'],
+  aspects: {
+    'hochformat': '9:16',
+    'querformat': '16:9',
+    'breitbild': '16:9',
+    'quadratisch': '1:1',
+    'quadrat': '1:1',
+    'kinoformat': '21:9'
+  },
+  aspectSuffixes: ['format', 'modus'],
+  ratioBy: ['zu', 'x', ':'],
+  open: ['zeig mir', 'öffne', 'zeige', 'zeig', 'starte'],
+  articles: ['die', 'den', 'das', 'meine', 'mein'],
+  windowSuffixes: ['fenster'],
+  windows: {
+    'bildgenerator': 'open_image_generator',
+    'fluxor': 'open_image_generator',
+    'videogenerator': 'generate_video',
+    'cinemator': 'generate_video',
+    'bildverbesserer': 'enhance_image',
+    'upscaler': 'enhance_image',
+    'galerie': 'view_images',
+    'bilder': 'view_images',
+    'fotos': 'view_images',
+    'videos': 'view_videos',
+    'einstellungen': 'open_settings',
+    'notizblock': 'open_notepad',
+    'notizen': 'open_notepad',
+    'lora studio': 'open_lora_studio'
+  }
+};
+
+/** @type {VoiceGrammar} */
+const SPANISH_GRAMMAR = {
+  generate: ['genera', 'crea', 'dibuja', 'pinta', 'hazme'],
+  imagePhrases: ['una imagen de', 'una foto de', 'un dibujo de', 'una imagen', 'imagen de', 'foto de'],
+  notImages: ['un vídeo', 'un video', 'vídeo', 'video', 'una película'],
+  aspectJoin: ['en', 'como', 'en formato'],
+  aspects: {
+    'vertical': '9:16',
+    'retrato': '9:16',
+    'horizontal': '16:9',
+    'paisaje': '16:9',
+    'panorámico': '16:9',
+    'cuadrado': '1:1',
+    'cine': '21:9'
+  },
+  aspectSuffixes: ['formato'],
+  ratioBy: ['por', 'a', 'x', ':'],
+  open: ['muéstrame', 'abre', 'muestra', 'inicia'],
+  articles: ['el', 'la', 'los', 'las', 'mis', 'mi'],
+  windowSuffixes: ['ventana'],
+  windows: {
+    'generador de imágenes': 'open_image_generator',
+    'fluxor': 'open_image_generator',
+    'generador de vídeo': 'generate_video',
+    'generador de video': 'generate_video',
+    'cinemator': 'generate_video',
+    'upscaler': 'enhance_image',
+    'galería': 'view_images',
+    'imágenes': 'view_images',
+    'fotos': 'view_images',
+    'vídeos': 'view_videos',
+    'videos': 'view_videos',
+    'ajustes': 'open_settings',
+    'configuración': 'open_settings',
+    'bloc de notas': 'open_notepad',
+    'notas': 'open_notepad',
+    'lora studio': 'open_lora_studio'
+  }
+};
+
+/** @type {VoiceGrammar} */
+const FRENCH_GRAMMAR = {
+  generate: ['génère', 'genere', 'crée', 'cree', 'dessine', 'peins', 'fais-moi', 'fais moi'],
+  imagePhrases: ["une image d'", 'une image de', 'une photo de', 'un dessin de', 'une image', "image d'", 'image de', 'photo de'],
+  notImages: ['une vidéo', 'vidéo', 'un film', 'film'],
+  aspectJoin: ['en', 'au format', 'format'],
+  aspects: {
+    'portrait': '9:16',
+    'vertical': '9:16',
+    'paysage': '16:9',
+    'horizontal': '16:9',
+    'panoramique': '16:9',
+    'carré': '1:1',
+    'cinéma': '21:9'
+  },
+  aspectSuffixes: ['format', 'mode'],
+  ratioBy: ['sur', 'par', 'x', ':'],
+  open: ['montre-moi', 'montre moi', 'ouvre', 'affiche', 'montre', 'lance'],
+  articles: ["l'", 'le', 'la', 'les', 'mes', 'mon', 'ma'],
+  windowSuffixes: ['fenêtre'],
+  windows: {
+    "générateur d'images": 'open_image_generator',
+    'générateur d images': 'open_image_generator',
+    'fluxor': 'open_image_generator',
+    'générateur de vidéos': 'generate_video',
+    'cinemator': 'generate_video',
+    'upscaler': 'enhance_image',
+    'galerie': 'view_images',
+    'images': 'view_images',
+    'photos': 'view_images',
+    'vidéos': 'view_videos',
+    'videos': 'view_videos',
+    'paramètres': 'open_settings',
+    'réglages': 'open_settings',
+    'bloc-notes': 'open_notepad',
+    'bloc notes': 'open_notepad',
+    'notes': 'open_notepad',
+    'lora studio': 'open_lora_studio'
+  }
+};
+
+/**
+ * Languages voice commands can be given in, by BCP 47 tag as the browser's
+ * speech recognition expects
+ * @type {Record<string, VoiceLocale>}
+ */
+export const VOICE_LOCALES = {
+  'en-US': { label: 'English (US)', wakeWord: 'computer', endWord: 'please', grammar: ENGLISH_GRAMMAR },
+  'en-GB': { label: 'English (UK)', wakeWord: 'computer', endWord: 'please', grammar: ENGLISH_GRAMMAR },
+  'de-DE': { label: 'Deutsch', wakeWord: 'computer', endWord: 'bitte', grammar: GERMAN_GRAMMAR },
+  'es-ES': { label: 'Español', wakeWord: 'computadora', endWord: 'por favor', grammar: SPANISH_GRAMMAR },
+  'fr-FR': { label: 'Français', wakeWord: 'ordinateur', endWord: "s'il vous plaît", grammar: FRENCH_GRAMMAR }
+};
+
+export const DEFAULT_VOICE_LOCALE = 'en-US';
+
+/**
+ * Locale settings for a tag, falling back to US English
+ * @param {string} locale
+ * @returns {VoiceLocale}
+ */
+export function getVoiceLocale(locale) {
+  return VOICE_LOCALES[locale] || VOICE_LOCALES[DEFAULT_VOICE_LOCALE];
+}
+
+/**
+ * Lowercase a transcript and strip the punctuation some recognizers add,
+ * keeping apostrophes, hyphens and colons ("16:9")
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeTranscript(text) {
+  return text
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[.,!?¡¿;"“”«»()]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Escape text for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern matching one of several phrases as whole words, longest first
+ * so "show me" wins over "show"
+ * @param {string[]} phrases
+ * @returns {string}
+ */
+function phrasePattern(phrases) {
+  return [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map((phrase) => escapeRegExp(phrase).replace(/ /g, '\\s+'))
+    .join('|');
+}
+
+/**
+ * Find every whole-word occurrence of a phrase. "computer" matches in "hey
+ * computer open" but not in "computers".
+ * @param {string} text - Normalized transcript
+ * @param {string} phrase - Word or phrase to find
+ * @returns {Array<{index: number, end: number}>}
+ */
+function findPhrase(text, phrase) {
+  const word = normalizeTranscript(phrase);
+  if (!word) return [];
+  const pattern = new RegExp(`(^|\\s)(${escapeRegExp(word).replace(/ /g, '\\s+')})(?=\\s|$)`, 'g');
+  return [...text.matchAll(pattern)].map((match) => {
+    const index = /** @type {number} */ (match.index) + match[1].length;
+    return { index, end: index + match[2].length };
+  });
+}
+
+/**
+ * Whether a transcript contains a word or phrase as whole words
+ * @param {string} transcript
+ * @param {string} phrase
+ * @returns {boolean}
+ */
+export function containsWord(transcript, phrase) {
+  return findPhrase(normalizeTranscript(transcript), phrase).length > 0;
+}
+
+/**
+ * Pull the command out of a transcript: the text after the wake word (if
+ * present) up to the last end word (if present)
+ * @param {string} transcript
+ * @param {VoiceWords} words
+ * @returns {{command: string, hasWakeWord: boolean, isComplete: boolean}}
+ */
+export function extractCommand(transcript, words) {
+  let text = normalizeTranscript(transcript);
+
+  const [wake] = findPhrase(text, words.wakeWord);
+  if (wake) text = text.slice(wake.end).trim();
+
+  const ends = findPhrase(text, words.endWord);
+  const end = ends[ends.length - 1];
+  if (end) text = text.slice(0, end.index).trim();
+
+  return { command: text, hasWakeWord: Boolean(wake), isComplete: Boolean(end) };
+}
+
+/**
+ * Remove duplicate phrases that recognizers sometimes concatenate, e.g.
+ * "open settings open settings"
+ * @param {string} text
+ * @returns {string}
+ */
+export function removeDuplicatePhrases(text) {
+  const words = text.split(' ');
+  if (words.length <= 3) return text;
+
+  // Look for patterns where the same sequence of words is repeated
+  const halfLength = Math.floor(words.length / 2);
+  const firstHalf = words.slice(0, halfLength).join(' ');
+  const secondHalf = words.slice(halfLength).join(' ');
+
+  // If the two halves are similar, return just the first half
+  if (firstHalf === secondHalf) {
+    return firstHalf;
+  }
+
+  // Check for partial duplicates at the end
+  for (let i = 1; i <= halfLength; i++) {
+    const ending = words.slice(-i).join(' ');
+    const beforeEnding = words.slice(-(i * 2), -i).join(' ');
+    if (ending === beforeEnding) {
+      return words.slice(0, -i).join(' ');
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Split a trailing aspect ratio off an image prompt: "a fox in portrait"
+ * gives "a fox" and 9:16. The aspect name has to follow the join word
+ * directly, so "a dog sitting in a square" keeps its square.
+ * @param {string} text
+ * @param {VoiceGrammar} grammar
+ * @returns {{prompt: string, aspectRatio: AspectRatio | null}}
+ */
+function splitAspectRatio(text, grammar) {
+  const named = phrasePattern(Object.keys(grammar.aspects));
+  const by = phrasePattern(grammar.ratioBy);
+  const suffix = phrasePattern(grammar.aspectSuffixes);
+  const pattern = new RegExp(`\\s+(?:${phrasePattern(grammar.aspectJoin)})\\s+(${named}|(\\d+)\\s*(?:${by})\\s*(\\d+))(?:\\s+(?:${suffix}))?$`);
+
+  const match = text.match(pattern);
+  if (!match) return { prompt: text, aspectRatio: null };
+
+  /** @type {AspectRatio | null} */
+  let aspectRatio = null;
+  if (match[2]) {
+    const ratio = `${match[2]}:${match[3]}`;
+    if (NUMERIC_ASPECTS.includes(ratio)) aspectRatio = /** @type {AspectRatio} */ (ratio);
+  } else {
+    aspectRatio = grammar.aspects[match[1].replace(/\s+/g, ' ')] ?? null;
+  }
+
+  if (!aspectRatio) return { prompt: text, aspectRatio: null };
+  return { prompt: text.slice(0, match.index).trim(), aspectRatio };
+}
+
+/**
+ * Match a command against the grammar
+ * @param {string} command - Spoken command, without the wake and end words
+ * @param {string} [locale] - Language of the command
+ * @returns {VoiceAction | null} The action, or null to hand the command to the LLM
+ */
+export function parseVoiceCommand(command, locale = DEFAULT_VOICE_LOCALE) {
+  const { grammar } = getVoiceLocale(locale);
+  const text = normalizeTranscript(command);
+  if (!text) return null;
+
+  const generate = text.match(new RegExp(`^(?:${phrasePattern(grammar.generate)})\\s+(.+)$`));
+  if (generate) {
+    const subject = generate[1].replace(new RegExp(`^(?:${phrasePattern(grammar.imagePhrases)})(?:\\s+|(?<='))`), '');
+    if (new RegExp(`^(?:${phrasePattern(grammar.notImages)})(?:\\s|$)`).test(subject)) return null;
+
+    const { prompt, aspectRatio } = splitAspectRatio(subject, grammar);
+    if (!prompt) return null;
+
+    return {
+      tool: 'generate_image',
+      arguments: aspectRatio ? { prompt, aspect_ratio: aspectRatio } : { prompt }
+    };
+  }
+
+  const open = text.match(new RegExp(`^(?:${phrasePattern(grammar.open)})\\s+(.+)$`));
+  if (open) {
+    const articles = grammar.articles
+      .map((article) => escapeRegExp(article) + (article.endsWith("'") ? '' : '\\s+'))
+      .join('|');
+    const target = open[1]
+      .replace(new RegExp(`^(?:${articles})`), '')
+      .replace(new RegExp(`\\s+(?:${phrasePattern(grammar.windowSuffixes)})$`), '')
+      .trim();
+
+    const tool = grammar.windows[target];
+    return tool ? { tool, arguments: {} } : null;
+  }
+
+  return null;
+}
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import {
+  VOICE_LOCALES,
+  extractCommand,
+  removeDuplicatePhrases,
+  parseVoiceCommand
+} from './voice-commands.js';
+
+/**
+ * Transcripts as the recognizers delivered them, with their capitals,
+ * punctuation and repeated phrases, and what each should turn into
+ * @type {Record<string, {
+ *   extract: Array<{transcript: string, command: string, hasWakeWord: boolean, isComplete: boolean}>,
+ *   duplicates: Array<[string, string]>,
+ *   commands: Array<[string, import('./voice-commands.js').VoiceAction | null]>
+ * }>}
+ */
+const TRANSCRIPTS = {
+  'en-US': {
+    extract: [
+      { transcript: 'Hey computer, open the gallery please.', command: 'open the gallery', hasWakeWord: true, isComplete: true },
+      { transcript: 'computer generate a red fox', command: 'generate a red fox', hasWakeWord: true, isComplete: false },
+      { transcript: 'computers are great', command: 'computers are great', hasWakeWord: false, isComplete: false },
+      { transcript: 'computer please draw a cat please', command: 'please draw a cat', hasWakeWord: true, isComplete: true }
+    ],
+    duplicates: [
+      ['open settings open settings', 'open settings'],
+      ['generate a red fox in portrait in portrait', 'generate a red fox in portrait'],
+      ['draw a cat', 'draw a cat']
+    ],
+    commands: [
+      ['Generate a red fox in portrait', { tool: 'generate_image', arguments: { prompt: 'a red fox', aspect_ratio: '9:16' } }],
+      ['draw an image of a lighthouse at dusk', { tool: 'generate_image', arguments: { prompt: 'a lighthouse at dusk' } }],
+      ['create a castle in 16 by 9', { tool: 'generate_image', arguments: { prompt: 'a castle', aspect_ratio: '16:9' } }],
+      ['paint a beach in landscape mode', { tool: 'generate_image', arguments: { prompt: 'a beach', aspect_ratio: '16:9' } }],
+      ['render a tower in 5 by 7', { tool: 'generate_image', arguments: { prompt: 'a tower in 5 by 7' } }],
+      ['draw a dog sitting in a square', { tool: 'generate_image', arguments: { prompt: 'a dog sitting in a square' } }],
+      ['draw a dog in a square garden', { tool: 'generate_image', arguments: { prompt: 'a dog in a square garden' } }],
+      ['generate a video of a cat', null],
+      ['open the gallery', { tool: 'view_images', arguments: {} }],
+      ['show me my videos', { tool: 'view_videos', arguments: {} }],
+      ['open settings window', { tool: 'open_settings', arguments: {} }],
+      ['open the pod bay doors', null],
+      ['what is the weather like', null]
+    ]
+  },
+  'en-GB': {
+    extract: [
+      { transcript: 'Computer, launch the notepad, please', command: 'launch the notepad', hasWakeWord: true, isComplete: true }
+    ],
+    duplicates: [
+      ['launch the notepad launch the notepad', 'launch the notepad']
+    ],
+    commands: [
+      ['make me a cup of tea in square', { tool: 'generate_image', arguments: { prompt: 'a cup of tea', aspect_ratio: '1:1' } }],
+      ['launch the notepad', { tool: 'open_notepad', arguments: {} }]
+    ]
+  },
+  'de-DE': {
+    extract: [
+      { transcript: 'Computer, öffne die Galerie bitte', command: 'öffne die galerie', hasWakeWord: true, isComplete: true },
+      { transcript: 'zeichne einen Hund', command: 'zeichne einen hund', hasWakeWord: false, isComplete: false }
+    ],
+    duplicates: [
+      ['öffne die einstellungen öffne die einstellungen', 'öffne die einstellungen']
+    ],
+    commands: [
+      ['Generiere ein Bild von einem Fuchs im Hochformat', { tool: 'generate_image', arguments: { prompt: 'einem fuchs', aspect_ratio: '9:16' } }],
+      ['zeichne eine Burg im 16 zu 9 Format', { tool: 'generate_image', arguments: { prompt: 'eine burg', aspect_ratio: '16:9' } }],
+      ['erstelle ein Video von einer Katze', null],
+      ['öffne die Einstellungen', { tool: 'open_settings', arguments: {} }],
+      ['zeig mir meine Bilder', { tool: 'view_images', arguments: {} }],
+      ['wie spät ist es', null]
+    ]
+  },
+  'es-ES': {
+    extract: [
+      { transcript: 'Computadora, abre la galería, por favor.', command: 'abre la galería', hasWakeWord: true, isComplete: true }
+    ],
+    duplicates: [
+      ['abre los ajustes abre los ajustes', 'abre los ajustes']
+    ],
+    commands: [
+      ['Genera una imagen de un gato en vertical', { tool: 'generate_image', arguments: { prompt: 'un gato', aspect_ratio: '9:16' } }],
+      ['dibuja un castillo en formato cuadrado', { tool: 'generate_image', arguments: { prompt: 'un castillo', aspect_ratio: '1:1' } }],
+      ['crea un vídeo de un perro', null],
+      ['abre la galería', { tool: 'view_images', arguments: {} }],
+      ['muéstrame mis vídeos', { tool: 'view_videos', arguments: {} }],
+      ['abre la puerta', null]
+    ]
+  },
+  'fr-FR': {
+    extract: [
+      { transcript: "Ordinateur, ouvre la galerie s'il vous plaît", command: 'ouvre la galerie', hasWakeWord: true, isComplete: true },
+      { transcript: 'ordinateur dessine un chat', command: 'dessine un chat', hasWakeWord: true, isComplete: false }
+    ],
+    duplicates: [
+      ['ouvre les paramètres ouvre les paramètres', 'ouvre les paramètres']
+    ],
+    commands: [
+      ["Génère une image d'un renard en portrait", { tool: 'generate_image', arguments: { prompt: 'un renard', aspect_ratio: '9:16' } }],
+      ['dessine un phare au format carré', { tool: 'generate_image', arguments: { prompt: 'un phare', aspect_ratio: '1:1' } }],
+      ['crée une vidéo de la mer', null],
+      ['ouvre les paramètres', { tool: 'open_settings', arguments: {} }],
+      ["ouvre l'upscaler", { tool: 'enhance_image', arguments: {} }],
+      ['quelle heure est-il', null]
+    ]
+  }
+};
+
+describe('voice command fixtures', () => {
+  it('cover every locale', () => {
+    expect(Object.keys(TRANSCRIPTS).sort()).toEqual(Object.keys(VOICE_LOCALES).sort());
+  });
+});
+
+for (const [locale, fixtures] of Object.entries(TRANSCRIPTS)) {
+  const { wakeWord, endWord } = VOICE_LOCALES[locale];
+
+  describe(`voice commands (${locale})`, () => {
+    describe('extractCommand', () => {
+      it.each(fixtures.extract)('$transcript', ({ transcript, ...expected }) => {
+        expect(extractCommand(transcript, { wakeWord, endWord })).toEqual(expected);
+      });
+    });
+
+    describe('removeDuplicatePhrases', () => {
+      it.each(fixtures.duplicates)('%s', (transcript, expected) => {
+        expect(removeDuplicatePhrases(transcript)).toBe(expected);
+      });
+    });
+
+    describe('parseVoiceCommand', () => {
+      it.each(fixtures.commands)('%s', (command, expected) => {
+        expect(parseVoiceCommand(command, locale)).toEqual(expected);
+      });
+    });
+  });
+}
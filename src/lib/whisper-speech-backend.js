@@ -0,0 +1,259 @@
+/**
+ * Whisper Speech Backend
+ * Offline speech-to-text. Records the microphone, cuts the audio into
+ * segments at pauses in speech, and posts each segment as 16 kHz WAV to
+ * /api/transcribe, which forwards it to a local whisper.cpp server.
+ */
+
+/**
+ * @typedef {import('./speech-recognition.svelte.js').SpeechBackend} SpeechBackend
+ * @typedef {import('./speech-recognition.svelte.js').SpeechBackendCallbacks} SpeechBackendCallbacks
+ */
+
+const TRANSCRIBE_URL = '/api/transcribe';
+
+const SAMPLE_RATE = 16000; // What whisper.cpp expects
+const POLL_INTERVAL = 100; // How often the input level is checked
+const SPEECH_LEVEL = 0.015; // RMS level counted as speech rather than background noise
+const END_OF_SPEECH = 800; // Silence that ends a segment
+const MIN_SPEECH = 300; // Shorter bursts are clicks and coughs, not words
+const MAX_SEGMENT = 15000; // Segments are cut here even mid-sentence
+
+// Whisper marks non-speech like "[BLANK_AUDIO]" or "(wind blowing)"
+const NON_SPEECH_PATTERN = /\[[^\]]*\]|\([^)]*\)|\*[^*]*\*/g;
+
+/**
+ * Resample audio to 16 kHz mono and encode it as 16-bit PCM WAV
+ * @param {AudioBuffer} buffer
+ * @returns {Promise<Blob>}
+ */
+async function encodeWav(buffer) {
+  const offline = new OfflineAudioContext(1, Math.ceil(buffer.duration * SAMPLE_RATE), SAMPLE_RATE);
+  const source = offline.createBufferSource();
+  source.buffer = buffer;
+  source.connect(offline.destination);
+  source.start();
+  const samples = (await offline.startRendering()).getChannelData(0);
+
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+  /** @param {number} offset @param {string} text */
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, SAMPLE_RATE, true);
+  view.setUint32(28, SAMPLE_RATE * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+/**
+ * @returns {SpeechBackend}
+ */
+function createWhisperSpeechBackend() {
+  /** @type {AudioContext | null} */
+  let audioContext = null;
+  /** @type {AnalyserNode | null} */
+  let analyser = null;
+  /** @type {MediaStreamAudioSourceNode | null} */
+  let source = null;
+  /** @type {MediaRecorder | null} */
+  let recorder = null;
+  /** @type {Blob[]} */
+  let currentChunks = [];
+  /** @type {ReturnType<typeof setInterval> | null} */
+  let pollTimer = null;
+  /** @type {SpeechBackendCallbacks | null} */
+  let callbacks = null;
+  /** @type {MediaStream | null} */
+  let stream = null;
+  let language = '';
+  let segmentStart = 0;
+  let speechStart = 0;
+  let lastSpeech = 0;
+  /** Keeps transcripts in the order they were spoken */
+  let queue = Promise.resolve();
+
+  /**
+   * Check if the browser can record audio
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof window !== 'undefined' &&
+           Boolean(navigator.mediaDevices?.getUserMedia) &&
+           typeof MediaRecorder !== 'undefined' &&
+           typeof OfflineAudioContext !== 'undefined';
+  }
+
+  /**
+   * Start listening
+   * @param {MediaStream} micStream - Microphone stream to record
+   * @param {string} locale - BCP 47 language tag; its language code is passed to Whisper
+   * @param {SpeechBackendCallbacks} speechCallbacks
+   */
+  function start(micStream, locale, speechCallbacks) {
+    stream = micStream;
+    callbacks = speechCallbacks;
+    language = locale.split('-')[0].toLowerCase();
+
+    audioContext = new AudioContext();
+    source = audioContext.createMediaStreamSource(stream);
+    analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    source.connect(analyser);
+
+    startSegment();
+    pollTimer = setInterval(poll, POLL_INTERVAL);
+    callbacks.onStart();
+  }
+
+  // Record a new segment; finishSegment decides whether it gets transcribed
+  function startSegment() {
+    if (!stream) return;
+    /** @type {Blob[]} */
+    const chunks = [];
+    recorder = new MediaRecorder(stream);
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.start();
+    currentChunks = chunks;
+    segmentStart = Date.now();
+    speechStart = 0;
+    lastSpeech = 0;
+  }
+
+  /**
+   * Current input level, as root mean square of the waveform
+   * @returns {number}
+   */
+  function getLevel() {
+    if (!analyser) return 0;
+    const samples = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (const sample of samples) sum += sample * sample;
+    return Math.sqrt(sum / samples.length);
+  }
+
+  // Cut a segment when speech is followed by a pause, or when it runs too long
+  function poll() {
+    const now = Date.now();
+    if (getLevel() > SPEECH_LEVEL) {
+      if (!speechStart) speechStart = now;
+      lastSpeech = now;
+    }
+
+    const hasSpeech = speechStart > 0 && lastSpeech - speechStart >= MIN_SPEECH;
+    if (hasSpeech && (now - lastSpeech > END_OF_SPEECH || now - segmentStart > MAX_SEGMENT)) {
+      finishSegment(true);
+    } else if (!hasSpeech && now - segmentStart > MAX_SEGMENT) {
+      // Nothing but silence or noise; drop it so recordings stay short
+      finishSegment(false);
+    } else if (speechStart && !hasSpeech && now - lastSpeech > END_OF_SPEECH) {
+      // A short noise; forget it and keep waiting for speech
+      speechStart = 0;
+    }
+  }
+
+  /**
+   * Stop the current recording, transcribe it if it holds speech, and start
+   * the next one
+   * @param {boolean} keep
+   */
+  function finishSegment(keep) {
+    const finished = recorder;
+    const chunks = currentChunks;
+    if (!finished) return;
+
+    finished.onstop = () => {
+      if (keep && chunks.length > 0) {
+        const blob = new Blob(chunks, { type: finished.mimeType });
+        queue = queue.then(() => transcribe(blob));
+      }
+    };
+    finished.stop();
+
+    if (pollTimer) startSegment();
+  }
+
+  /**
+   * Send a segment to the server and report the text
+   * @param {Blob} recording
+   */
+  async function transcribe(recording) {
+    try {
+      if (!audioContext) return;
+      const decoded = await audioContext.decodeAudioData(await recording.arrayBuffer());
+      const wav = await encodeWav(decoded);
+
+      const response = await fetch(`${TRANSCRIBE_URL}?language=${encodeURIComponent(language)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'audio/wav' },
+        body: wav
+      });
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result?.success) {
+        throw new Error(result?.error || `Transcription failed: ${response.status} ${response.statusText}`);
+      }
+
+      const text = result.data.text.replace(NON_SPEECH_PATTERN, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+      if (text) {
+        callbacks?.onResult(text, true);
+      }
+    } catch (/** @type {*} */ error) {
+      console.error('Whisper transcription error:', error);
+      callbacks?.onError('transcription-failed', error.message);
+    }
+  }
+
+  function stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+
+    if (recorder && recorder.state !== 'inactive') {
+      recorder.onstop = null;
+      recorder.stop();
+    }
+    recorder = null;
+    currentChunks = [];
+
+    source?.disconnect();
+    source = null;
+    analyser = null;
+    audioContext?.close();
+    audioContext = null;
+    stream = null;
+
+    const stoppedCallbacks = callbacks;
+    callbacks = null;
+    stoppedCallbacks?.onEnd();
+  }
+
+  return {
+    label: 'Whisper (offline)',
+    isSupported,
+    start,
+    stop
+  };
+}
+
+export const whisperSpeechBackend = createWhisperSpeechBackend();
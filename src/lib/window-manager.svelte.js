@@ -1,4 +1,29 @@
 
+// Saved props drop blob: URLs, which die with the page, and long strings like
+// data URLs, which would fill localStorage
+const MAX_SAVED_PROP_LENGTH = 8192;
+
+/**
+ * JSON-safe copy of a window's props, without values that can't be restored
+ * @param {Object | undefined} props
+ * @returns {Record<string, any> | undefined}
+ */
+function serializeProps(props) {
+	if (!props) return undefined;
+	try {
+		return JSON.parse(
+			JSON.stringify(props, (_key, value) =>
+				typeof value === 'string' && (value.startsWith('blob:') || value.length > MAX_SAVED_PROP_LENGTH)
+					? undefined
+					: value
+			)
+		);
+	} catch (error) {
+		console.warn('Window props could not be saved:', error);
+		return undefined;
+	}
+}
+
 function createWindowManager() {
 	/** @type {AppWindow[]} */
 	let windows = $state([]);
@@ -18,7 +43,7 @@ function createWindowManager() {
 	/**
 	 * Register a window creator function
 	 * @param {string} windowId - The ID of the window
-	 * @param {Function} creatorFunction - Function to recreate the window
+	 * @param {Function} creatorFunction - Function to recreate the window; receives the props it was saved with
 	 */
 	function registerWindowCreator(windowId, creatorFunction) {
 		windowCreators.set(windowId, creatorFunction);
@@ -44,7 +69,8 @@ function createWindowManager() {
 				isMaximized: win.isMaximized,
 				originalBounds: win.originalBounds,
 				contentType: typeof win.content === 'string' ? 'string' : 'component',
-				contentData: typeof win.content === 'string' ? win.content : win.id // For components, we'll use the ID to recreate
+				contentData: typeof win.content === 'string' ? win.content : win.id, // For components, we'll use the ID to recreate
+				props: typeof win.content === 'string' ? undefined : serializeProps(win.content.props)
 			}));
 
 			const state = {
@@ -82,9 +108,8 @@ function createWindowManager() {
 			for (const savedWindow of state.windows) {
 				const creator = windowCreators.get(savedWindow.id);
 				if (creator) {
-					console.log()
 					// Recreate the window using its creator function
-					creator();
+					creator(savedWindow.props);
 
 					// Update the recreated window with saved state
 					const restoredWindow = windows.find((w) => w.id === savedWindow.id);
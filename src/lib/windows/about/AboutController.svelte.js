@@ -1,24 +1,10 @@
-import { windowManager } from "$lib/window-manager.svelte.js";
-import About from "./About.svelte";
+import { openApp } from "$lib/app-registry.js";
 
-const windowId = "about-window";
 function openAboutWindow() {
-  windowManager.createWindow({
-    id: windowId,
-    title: "About Windows",
-    content: {
-      component: About,
-      props: {},
-    },
-    width: 400,
-    height: 350,
-    x: 300,
-    y: 150,
-  });
+  openApp("about");
 }
 
 function AboutController() {
-  windowManager.registerWindowCreator(windowId, openAboutWindow);
   return { openAboutWindow };
 }
 
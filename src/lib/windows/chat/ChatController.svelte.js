@@ -1,25 +1,18 @@
-import { windowManager } from '$lib/window-manager.svelte.js';
-import Chat from './Chat.svelte';
+import { openApp } from '$lib/app-registry.js';
+import { commandRegistry } from '$lib/command-registry.svelte.js';
+import { chatManager } from '$lib/chat-manager.svelte.js';
 
 const windowId = 'chat-window';
 
 function openChatWindow() {
-	windowManager.createWindow({
-		id: windowId,
-		title: 'Chat - AI Agent',
-		content: {
-			component: Chat,
-			props: {}
-		},
-		width: 500,
-		height: 600,
-		x: 200,
-		y: 100
-	});
+	openApp('chat');
 }
 
 function ChatController() {
-	windowManager.registerWindowCreator(windowId, openChatWindow);
+	commandRegistry.registerCommands(windowId, [
+		{ id: `${windowId}:new`, title: 'New chat', icon: '➕', group: 'Action', keywords: 'session conversation', run: () => { chatManager.createNewSession(); openChatWindow(); } },
+		{ id: `${windowId}:clear`, title: 'Clear chat', icon: '🧹', group: 'Action', keywords: 'reset messages conversation', run: () => chatManager.clearCurrentSession() }
+	]);
 	return { openChatWindow };
 }
 
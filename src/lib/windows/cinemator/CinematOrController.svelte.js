@@ -1,25 +1,10 @@
-import { windowManager } from "$lib/window-manager.svelte.js";
-import Cinemator from "./Cinemator.svelte";
-
-const windowId = "cinemator-window";
+import { openApp } from "$lib/app-registry.js";
 
 function openCinematOrWindow() {
-  windowManager.createWindow({
-    id: windowId,
-    title: "Cinemator - AI Video Generator",
-    content: {
-      component: Cinemator,
-      props: {},
-    },
-    width: 700,
-    height: 500,
-    x: 200,
-    y: 50,
-  });
+  openApp("cinemator");
 }
 
 function CinematOrController() {
-  windowManager.registerWindowCreator(windowId, openCinematOrWindow);
   return { openCinematOrWindow };
 }
 
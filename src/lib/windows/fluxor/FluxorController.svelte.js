@@ -1,26 +1,23 @@
-import { windowManager } from '$lib/window-manager.svelte.js';
-import Fluxor from './Fluxor.svelte';
+import { openApp } from '$lib/app-registry.js';
 
-const windowId = 'fluxor-window';
+/**
+ * Open the Fluxor window
+ * @param {FluxorRemix} [remix] - Optional saved image to remix; populates the form with its settings
+ */
+function openFluxorWindow(remix) {
+	openApp('fluxor', remix && typeof remix === 'object' && 'parentId' in remix ? { remix } : {});
+}
 
-function openFluxorWindow() {
-	windowManager.createWindow({
-		id: windowId,
-		title: 'Fluxor - AI Image Generator',
-		content: {
-			component: Fluxor,
-			props: {}
-		},
-		width: 500,
-		height: 600,
-		x: 150,
-		y: 50
-	});
+/**
+ * Open Fluxor with a prompt filled in
+ * @param {string} prompt
+ */
+function openFluxorWithPrompt(prompt) {
+	openApp('fluxor', { initialPrompt: prompt });
 }
 
 function FluxorController() {
-	windowManager.registerWindowCreator(windowId, openFluxorWindow);
-	return { openFluxorWindow };
+	return { openFluxorWindow, openFluxorWithPrompt };
 }
 
-export default FluxorController();
\ No newline at end of file
+export default FluxorController();
@@ -1,25 +1,10 @@
-import { windowManager } from "$lib/window-manager.svelte.js";
-import ImageAnalyzer from "./ImageAnalyzer.svelte";
-
-const windowId = "image-analyzer-window";
+import { openApp } from "$lib/app-registry.js";
 
 function openImageAnalyzerWindow() {
-  windowManager.createWindow({
-    id: windowId,
-    title: "Image Analyzer",
-    content: {
-      component: ImageAnalyzer,
-      props: {}
-    },
-    width: 1000,
-    height: 700,
-    x: 100,
-    y: 100
-  });
+  openApp("image-analyzer");
 }
 
 function ImageAnalyzerController() {
-  windowManager.registerWindowCreator(windowId, openImageAnalyzerWindow);
   return { openImageAnalyzerWindow };
 }
 
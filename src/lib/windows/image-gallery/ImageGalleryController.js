@@ -1,24 +1,25 @@
-import { windowManager } from "$lib/window-manager.svelte.js";
-import ImageGallery from "./ImageGallery.svelte";
+import { openApp } from "$lib/app-registry.js";
+import { commandRegistry } from "$lib/command-registry.svelte.js";
+import { imageManager } from "$lib/image-manager.svelte.js";
 
 const windowId = "image-gallery-window";
 function openImageGalleryWindow() {
-  windowManager.createWindow({
-    id: windowId,
-    title: "Image Gallery",
-    content: {
-      component: ImageGallery,
-      props: {},
-    },
-    width: 400,
-    height: 350,
-    x: 300,
-    y: 150,
-  });
+  openApp("image-gallery");
 }
 
 function ImageGalleryController() {
-  windowManager.registerWindowCreator(windowId, openImageGalleryWindow);
+  commandRegistry.registerProvider(windowId, () =>
+    imageManager.savedImages.map((image) => ({
+      id: `image:${image.id}`,
+      title: image.prompt,
+      icon: image.favorite ? "⭐" : "🖼️",
+      group: "Image",
+      run: async () => {
+        const url = await imageManager.getImageUrl(image.id);
+        if (url) imageManager.previewImage(url, { imageId: image.id, prompt: image.prompt });
+      },
+    }))
+  );
   return { openImageGalleryWindow };
 }
 
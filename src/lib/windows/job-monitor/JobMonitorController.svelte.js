@@ -0,0 +1,11 @@
+import { openApp } from "$lib/app-registry.js";
+
+function openJobMonitorWindow() {
+  openApp("job-monitor");
+}
+
+function JobMonitorController() {
+  return { openJobMonitorWindow };
+}
+
+export default JobMonitorController();
@@ -1,26 +1,15 @@
-import { windowManager } from '$lib/window-manager.svelte.js';
-import LightingStudio from './LightingStudio.svelte';
-
-const windowId = 'lighting-studio-window';
-
-function openLightingStudioWindow() {
-	windowManager.createWindow({
-		id: windowId,
-		title: 'Lighting Studio',
-		content: {
-			component: LightingStudio,
-			props: {}
-		},
-		width: 900,
-		height: 700,
-		x: 100,
-		y: 100
-	});
+import { openApp } from '$lib/app-registry.js';
+
+/**
+ * Open the Lighting Studio window
+ * @param {string} [imageUrl] - Optional image to load as the input
+ */
+function openLightingStudioWindow(imageUrl) {
+	openApp('lighting-studio', typeof imageUrl === 'string' ? { imageUrl } : {});
 }
 
 function LightingStudioController() {
-	windowManager.registerWindowCreator(windowId, openLightingStudioWindow);
 	return { openLightingStudioWindow };
 }
 
-export default LightingStudioController();
\ No newline at end of file
+export default LightingStudioController();
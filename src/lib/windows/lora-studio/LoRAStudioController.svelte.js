@@ -1,26 +1,15 @@
-import { windowManager } from "$lib/window-manager.svelte.js";
-import LoRAStudio from "./LoRAStudio.svelte";
-
-const windowId = "lora-studio-window";
-
-function openLoRAStudioWindow() {
-  windowManager.createWindow({
-    id: windowId,
-    title: "LoRA Studio",
-    content: {
-      component: LoRAStudio,
-      props: {}
-    },
-    width: 1200,
-    height: 800,
-    x: 100,
-    y: 50
-  });
+import { openApp } from "$lib/app-registry.js";
+
+/**
+ * Open the LoRA Studio window
+ * @param {{imageUrl?: string, prompt?: string}} [input] - Optional image to edit and edit instruction
+ */
+function openLoRAStudioWindow(input) {
+  openApp("lora-studio", input && typeof input === "object" && "imageUrl" in input ? { imageUrl: input.imageUrl, prompt: input.prompt } : {});
 }
 
 function LoRAStudioController() {
-  windowManager.registerWindowCreator(windowId, openLoRAStudioWindow);
   return { openLoRAStudioWindow };
 }
 
-export default LoRAStudioController();
\ No newline at end of file
+export default LoRAStudioController();
@@ -1,25 +1,29 @@
-import { windowManager } from "$lib/window-manager.svelte.js";
-import PromptGenerator from "./PromptGenerator.svelte";
+import { openApp } from "$lib/app-registry.js";
+import { commandRegistry } from "$lib/command-registry.svelte.js";
+import FluxorController from "$lib/windows/fluxor/FluxorController.svelte.js";
+import { promptManager } from "$lib/prompt-manager.svelte.js";
 
 const windowId = "prompt-generator-window";
 
 function openPromptGeneratorWindow() {
-  windowManager.createWindow({
-    id: windowId,
-    title: "Prompt Generator",
-    content: {
-      component: PromptGenerator,
-      props: {}
-    },
-    width: 1200,
-    height: 700,
-    x: 50,
-    y: 50
-  });
+  openApp("prompt-generator");
 }
 
 function PromptGeneratorController() {
-  windowManager.registerWindowCreator(windowId, openPromptGeneratorWindow);
+  // Saved prompts open in Fluxor, ready to generate
+  commandRegistry.registerProvider(windowId, () =>
+    promptManager.prompts.map((saved) => ({
+      id: `prompt:${saved.id}`,
+      title: saved.prompt,
+      icon: saved.isFavorite ? "⭐" : "💭",
+      group: "Saved prompt",
+      keywords: [saved.scenePremise, ...(saved.tags || [])].join(" "),
+      run: () => {
+        promptManager.recordUsage(saved.id);
+        FluxorController.openFluxorWithPrompt(saved.prompt);
+      },
+    }))
+  );
   return { openPromptGeneratorWindow };
 }
 
@@ -1,25 +1,10 @@
-import { windowManager } from "$lib/window-manager.svelte.js";
-import Settings from "./Settings.svelte";
-
-const windowId = "settings-window";
+import { openApp } from "$lib/app-registry.js";
 
 function openSettingsWindow() {
-  windowManager.createWindow({
-    id: windowId,
-    title: "Settings",
-    content: {
-      component: Settings,
-      props: {},
-    },
-    width: 500,
-    height: 600,
-    x: 250,
-    y: 100,
-  });
+  openApp("settings");
 }
 
 function SettingsController() {
-  windowManager.registerWindowCreator(windowId, openSettingsWindow);
   return { openSettingsWindow };
 }
 
@@ -1,25 +1,10 @@
-import { windowManager } from "$lib/window-manager.svelte.js";
-import StaticFileBrowser from "./StaticFileBrowser.svelte";
-
-const windowId = "static-files-window";
+import { openApp } from "$lib/app-registry.js";
 
 function openStaticFileBrowserWindow() {
-  windowManager.createWindow({
-    id: windowId,
-    title: "Static Files Browser",
-    content: {
-      component: StaticFileBrowser,
-      props: {}
-    },
-    width: 800,
-    height: 600,
-    x: 100,
-    y: 100
-  });
+  openApp("static-files");
 }
 
 function StaticFileBrowserController() {
-  windowManager.registerWindowCreator(windowId, openStaticFileBrowserWindow);
   return { openStaticFileBrowserWindow };
 }
 
@@ -1,26 +1,34 @@
-import { windowManager } from '$lib/window-manager.svelte.js';
-import Upscaler from './Upscaler.svelte';
+import { openApp } from '$lib/app-registry.js';
+import { commandRegistry } from '$lib/command-registry.svelte.js';
+import { imageManager } from '$lib/image-manager.svelte.js';
 
 const windowId = 'upscaler-window';
 
-function openUpscalerWindow() {
-	windowManager.createWindow({
-		id: windowId,
-		title: 'Image Upscaler - AI Enhancement',
-		content: {
-			component: Upscaler,
-			props: {}
-		},
-		width: 800,
-		height: 600,
-		x: 200,
-		y: 100
-	});
+/**
+ * Open the upscaler window
+ * @param {string} [imageUrl] - Optional image to load as the input
+ */
+function openUpscalerWindow(imageUrl) {
+	openApp('upscaler', typeof imageUrl === 'string' ? { imageUrl } : {});
+}
+
+/**
+ * Open the upscaler with the most recently saved image
+ */
+async function upscaleLastImage() {
+	const latest = imageManager.savedImages.reduce(
+		(/** @type {SavedImage | null} */ newest, image) => (!newest || image.timestamp > newest.timestamp ? image : newest),
+		null
+	);
+	const imageUrl = latest ? await imageManager.getImageUrl(latest.id) : null;
+	openUpscalerWindow(imageUrl || undefined);
 }
 
 function UpscalerController() {
-	windowManager.registerWindowCreator(windowId, openUpscalerWindow);
+	commandRegistry.registerCommands(windowId, [
+		{ id: `${windowId}:upscale-last`, title: 'Upscale last image', icon: '⬆️', group: 'Action', keywords: 'enhance latest newest', run: upscaleLastImage }
+	]);
 	return { openUpscalerWindow };
 }
 
-export default UpscalerController();
\ No newline at end of file
+export default UpscalerController();
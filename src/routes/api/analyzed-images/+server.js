@@ -9,7 +9,7 @@ import {
   searchAnalyzedImages,
   getAllTags,
   getAnalyzedImagesByTag
-} from '$lib/analyzed-image-storage.js';
+} from '$lib/server/analyzed-image-store.js';
 
 /**
  * GET /api/analyzed-images
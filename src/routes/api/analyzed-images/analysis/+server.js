@@ -3,7 +3,7 @@ import {
   addAnalysisToImage,
   getImageAnalysis,
   getAnalyzedImage
-} from '$lib/analyzed-image-storage.js';
+} from '$lib/server/analyzed-image-store.js';
 
 /**
  * GET /api/analyzed-images/analysis
@@ -2,7 +2,7 @@ import { json } from '@sveltejs/kit';
 import { 
   getAllTags,
   getAnalyzedImagesByTag
-} from '$lib/analyzed-image-storage.js';
+} from '$lib/server/analyzed-image-store.js';
 
 /**
  * GET /api/analyzed-images/tags
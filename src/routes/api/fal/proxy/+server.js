@@ -17,6 +17,14 @@ export async function POST({ request, url }) {
   return handleRequest('POST', request, url);
 }
 
+/**
+ * Used by the fal queue client to cancel requests (cancel_url)
+ * @type {import('./$types').RequestHandler}
+ */
+export async function PUT({ request, url }) {
+  return handleRequest('PUT', request, url);
+}
+
 /**
  * @type {import('./$types').RequestHandler}
  */
@@ -25,7 +33,7 @@ export async function OPTIONS({ request, url }) {
     status: 200,
     headers: {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-fal-target-url',
       'Access-Control-Max-Age': '86400' // 24 hours
     }
@@ -100,9 +108,9 @@ async function handleRequest(method, request, url) {
       forwardHeaders.set('Content-Type', 'application/json');
     }
 
-    // Get request body for POST requests (re-read since we might have consumed it)
+    // Get request body for POST/PUT requests (re-read since we might have consumed it)
     let body = undefined;
-    if (method === 'POST') {
+    if (method === 'POST' || method === 'PUT') {
       body = await request.text();
     }
 
@@ -130,7 +138,7 @@ async function handleRequest(method, request, url) {
     
     // Add CORS headers for browser requests
     responseHeaders.set('Access-Control-Allow-Origin', '*');
-    responseHeaders.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    responseHeaders.set('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
     responseHeaders.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-fal-target-url');
 
     // Return proxied response
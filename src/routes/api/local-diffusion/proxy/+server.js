@@ -0,0 +1,145 @@
+import { error } from '@sveltejs/kit';
+import { env } from '$env/dynamic/private';
+
+const DEFAULT_ALLOWED_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ request, url }) {
+  return handleRequest('GET', request, url);
+}
+
+/**
+ * @type {import('./$types').RequestHandler}
+ */
+export async function POST({ request, url }) {
+  return handleRequest('POST', request, url);
+}
+
+/**
+ * @type {import('./$types').RequestHandler}
+ */
+export async function OPTIONS({ request, url }) {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, x-local-diffusion-target-url',
+      'Access-Control-Max-Age': '86400' // 24 hours
+    }
+  });
+}
+
+/**
+ * Hosts the proxy may forward to. Defaults to the local machine; set
+ * LOCAL_DIFFUSION_HOSTS (comma-separated) to reach a backend on another box.
+ * @returns {string[]}
+ */
+function getAllowedHosts() {
+  const configured = (env.LOCAL_DIFFUSION_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_HOSTS;
+}
+
+/**
+ * Handles a proxy request to a local ComfyUI or A1111 server.
+ * @param {string} method - The HTTP method to use for the request
+ * @param {Request} request - The SvelteKit request object
+ * @param {URL} url - The SvelteKit URL object
+ * @throws {import('@sveltejs/kit').Error} - If there is an error with the request
+ * @returns {Promise<Response>} - The proxied response
+ */
+async function handleRequest(method, request, url) {
+  try {
+    // Check if there's a target URL in headers
+    const targetUrl = request.headers.get('x-local-diffusion-target-url');
+
+    if (!targetUrl) {
+      throw error(400, 'Missing x-local-diffusion-target-url header - check local diffusion settings');
+    }
+
+    // Only forward to configured hosts so the proxy can't be used to reach arbitrary servers
+    /** @type {URL} */
+    let parsedTargetUrl;
+    try {
+      parsedTargetUrl = new URL(targetUrl);
+    } catch (urlError) {
+      throw error(400, 'Invalid target URL format');
+    }
+
+    if (!['http:', 'https:'].includes(parsedTargetUrl.protocol)) {
+      throw error(400, 'Invalid target URL - must use http or https');
+    }
+
+    const allowedHosts = getAllowedHosts();
+    if (!allowedHosts.includes(parsedTargetUrl.hostname.toLowerCase())) {
+      throw error(403, `Target host not allowed - add it to LOCAL_DIFFUSION_HOSTS (allowed: ${allowedHosts.join(', ')})`);
+    }
+
+    // Copy relevant headers (exclude host and proxy-specific headers)
+    const forwardHeaders = new Headers();
+    const excludedHeaders = ['host', 'x-local-diffusion-target-url', 'authorization', 'cookie', 'origin', 'referer', 'content-length'];
+    for (const [key, value] of request.headers.entries()) {
+      if (!excludedHeaders.includes(key.toLowerCase())) {
+        forwardHeaders.set(key, value);
+      }
+    }
+
+    // Read the body as bytes so multipart image uploads pass through untouched
+    let body = undefined;
+    if (method === 'POST') {
+      body = await request.arrayBuffer();
+    }
+
+    console.log('🖥️ Local diffusion request:', method, targetUrl);
+
+    // Make the proxied request
+    const response = await fetch(parsedTargetUrl, {
+      method: method,
+      headers: forwardHeaders,
+      body: body
+    });
+
+    if (!response.ok) {
+      const responseText = await response.clone().text();
+      console.error('❌ Local diffusion error response:', response.status, responseText);
+    }
+
+    // Prepare response headers
+    const responseHeaders = new Headers();
+
+    // Copy safe response headers
+    const safeHeaders = ['content-type', 'content-length', 'cache-control'];
+    for (const [key, value] of response.headers.entries()) {
+      if (safeHeaders.includes(key.toLowerCase())) {
+        responseHeaders.set(key, value);
+      }
+    }
+
+    // Add CORS headers for browser requests
+    responseHeaders.set('Access-Control-Allow-Origin', '*');
+    responseHeaders.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    responseHeaders.set('Access-Control-Allow-Headers', 'Content-Type, x-local-diffusion-target-url');
+
+    // Return proxied response
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: responseHeaders
+    });
+
+  } catch (/** @type {*} */ err) {
+    // Re-throw SvelteKit errors
+    if (err.status) {
+      throw err;
+    }
+
+    // A refused connection means the local server isn't running
+    console.error('Local diffusion proxy error:', err);
+    throw error(502, `Could not reach local diffusion server: ${err.cause?.code || err.message}`);
+  }
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { env } from '$env/dynamic/private';
+import { GET, POST } from './+server.js';
+
+vi.mock('$env/dynamic/private', () => ({ env: {} }));
+
+/** @type {Array<{url: string, init: RequestInit}>} */
+let forwarded;
+
+/**
+ * Call the route the way SvelteKit would
+ * @param {typeof GET} handler
+ * @param {string} targetUrl
+ * @param {RequestInit} [init]
+ */
+function proxy(handler, targetUrl, init = {}) {
+  const request = new Request('http://app.test/api/local-diffusion/proxy', {
+    ...init,
+    headers: { 'x-local-diffusion-target-url': targetUrl, ...init.headers }
+  });
+  return handler(/** @type {any} */ ({ request, url: new URL(request.url) }));
+}
+
+beforeEach(() => {
+  forwarded = [];
+  delete env.LOCAL_DIFFUSION_HOSTS;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  // Stands in for the diffusion server: answers every forwarded request
+  vi.stubGlobal('fetch', vi.fn(async (/** @type {URL} */ url, /** @type {RequestInit} */ init) => {
+    forwarded.push({ url: String(url), init });
+    return new Response(JSON.stringify({ ok: true }), { headers: { 'content-type': 'application/json', 'set-cookie': 'a=b' } });
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('local diffusion proxy', () => {
+  it.each(['http://localhost:8188/system_stats', 'http://127.0.0.1:8188/system_stats', 'http://[::1]:7860/sdapi/v1/sd-models'])(
+    'forwards to the local machine by default: %s',
+    async (target) => {
+      const response = await proxy(GET, target);
+
+      expect(response.status).toBe(200);
+      expect(forwarded.map((request) => request.url)).toEqual([target]);
+    }
+  );
+
+  it('refuses other hosts unless LOCAL_DIFFUSION_HOSTS lists them', async () => {
+    await expect(proxy(GET, 'http://gpu-box:8188/system_stats')).rejects.toMatchObject({ status: 403 });
+    await expect(proxy(GET, 'http://169.254.169.254/latest/meta-data')).rejects.toMatchObject({ status: 403 });
+    expect(forwarded).toEqual([]);
+  });
+
+  it('uses LOCAL_DIFFUSION_HOSTS instead of the defaults, ignoring case and spaces', async () => {
+    env.LOCAL_DIFFUSION_HOSTS = ' GPU-Box , 192.168.1.20 ';
+
+    expect((await proxy(GET, 'http://gpu-box:8188/queue')).status).toBe(200);
+    expect((await proxy(GET, 'http://192.168.1.20:7860/sdapi/v1/progress')).status).toBe(200);
+    await expect(proxy(GET, 'http://localhost:8188/queue')).rejects.toMatchObject({ status: 403 });
+    expect(forwarded).toHaveLength(2);
+  });
+
+  it('rejects missing, malformed and non-http targets', async () => {
+    const request = new Request('http://app.test/api/local-diffusion/proxy');
+    await expect(GET(/** @type {any} */ ({ request, url: new URL(request.url) }))).rejects.toMatchObject({ status: 400 });
+    await expect(proxy(GET, 'not a url')).rejects.toMatchObject({ status: 400 });
+    await expect(proxy(GET, 'file:///etc/passwd')).rejects.toMatchObject({ status: 400 });
+    expect(forwarded).toEqual([]);
+  });
+
+  it('passes the body through but not credentials, and only safe headers back', async () => {
+    const response = await proxy(POST, 'http://localhost:8188/prompt', {
+      method: 'POST',
+      body: '{"prompt":{}}',
+      headers: { 'content-type': 'application/json', authorization: 'Bearer secret', cookie: 'session=1' }
+    });
+
+    const headers = /** @type {Headers} */ (forwarded[0].init.headers);
+    expect(new TextDecoder().decode(/** @type {ArrayBuffer} */ (forwarded[0].init.body))).toBe('{"prompt":{}}');
+    expect(headers.get('content-type')).toBe('application/json');
+    expect(headers.has('authorization')).toBe(false);
+    expect(headers.has('cookie')).toBe(false);
+    expect(response.headers.get('content-type')).toBe('application/json');
+    expect(response.headers.has('set-cookie')).toBe(false);
+  });
+
+  it('reports an unreachable server as 502', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+    }));
+
+    await expect(proxy(GET, 'http://localhost:8188/system_stats')).rejects.toMatchObject({
+      status: 502,
+      body: { message: expect.stringContaining('ECONNREFUSED') }
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { json } from '@sveltejs/kit';
+import {
+  isMediaLibraryEnabled,
+  saveMedia,
+  fetchRemoteImage,
+  listMedia,
+  getMediaFacets,
+  MAX_MEDIA_BYTES
+} from '$lib/server/media-library.js';
+
+const DISABLED_RESPONSE = {
+  success: false,
+  error: 'Media library is disabled - set MEDIA_LIBRARY_ENABLED=true on the server'
+};
+
+/**
+ * Add browser URLs to an entry
+ * @param {import('$lib/server/media-library.js').MediaEntry} entry
+ */
+function withUrls(entry) {
+  return {
+    ...entry,
+    url: `/api/media/${entry.id}`,
+    thumbnailUrl: `/api/media/${entry.id}/thumbnail`
+  };
+}
+
+/**
+ * GET /api/media
+ * List saved media, newest first. Query parameters:
+ * search, model, provider, from, to (ISO dates), sort (newest|oldest), page, pageSize.
+ * Pass facets=true to also get the distinct models and providers for filter menus.
+ */
+export async function GET({ url }) {
+  if (!isMediaLibraryEnabled()) {
+    return json(DISABLED_RESPONSE, { status: 403 });
+  }
+
+  try {
+    const params = url.searchParams;
+    const sort = params.get('sort');
+    const result = await listMedia({
+      search: params.get('search') || undefined,
+      model: params.get('model') || undefined,
+      provider: params.get('provider') || undefined,
+      from: params.get('from') || undefined,
+      to: params.get('to') || undefined,
+      sort: sort === 'oldest' ? 'oldest' : 'newest',
+      page: parseInt(params.get('page') || '1') || 1,
+      pageSize: parseInt(params.get('pageSize') || '') || undefined
+    });
+
+    return json({
+      success: true,
+      data: {
+        ...result,
+        items: result.items.map(withUrls),
+        ...(params.get('facets') === 'true' ? { facets: await getMediaFacets() } : {})
+      }
+    });
+  } catch (error) {
+    console.error('Error listing media:', error);
+    return json({ success: false, error: 'Failed to list media' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/media
+ * Save a generated image to the media library. Accepts either
+ * - multipart/form-data with `file`, `prompt` and `metadata` (JSON string), or
+ * - JSON `{ imageUrl, prompt, metadata }` for images the server can fetch itself
+ * Responds 201 for new images and 200 when the same bytes were already stored.
+ */
+export async function POST({ request }) {
+  if (!isMediaLibraryEnabled()) {
+    return json(DISABLED_RESPONSE, { status: 403 });
+  }
+
+  try {
+    /** @type {Uint8Array} */
+    let bytes;
+    /** @type {string} */
+    let prompt;
+    /** @type {Record<string, any>} */
+    let metadata;
+    /** @type {string | null} */
+    let sourceUrl = null;
+
+    const contentType = request.headers.get('content-type') || '';
+
+    if (contentType.startsWith('multipart/form-data')) {
+      const formData = await request.formData();
+      const file = formData.get('file');
+      if (!(file instanceof Blob)) {
+        return json({ success: false, error: 'Missing file' }, { status: 400 });
+      }
+      if (file.size > MAX_MEDIA_BYTES) {
+        return json({ success: false, error: 'Image is too large' }, { status: 413 });
+      }
+
+      bytes = new Uint8Array(await file.arrayBuffer());
+      prompt = String(formData.get('prompt') || '');
+      metadata = parseMetadata(formData.get('metadata'));
+      sourceUrl = formData.get('sourceUrl') ? String(formData.get('sourceUrl')) : null;
+    } else {
+      const body = await request.json();
+      if (!body.imageUrl) {
+        return json({ success: false, error: 'Missing imageUrl or file upload' }, { status: 400 });
+      }
+
+      bytes = await fetchRemoteImage(body.imageUrl);
+      prompt = body.prompt || '';
+      metadata = body.metadata || {};
+      sourceUrl = body.imageUrl;
+    }
+
+    const { entry, duplicate } = await saveMedia(bytes, { prompt, metadata, sourceUrl });
+    console.log(duplicate ? `📁 Media already stored: ${entry.filename}` : `📁 Media saved: ${entry.filename}`);
+
+    return json({ success: true, data: { ...withUrls(entry), duplicate } }, { status: duplicate ? 200 : 201 });
+  } catch (/** @type {*} */ error) {
+    console.error('Error saving media:', error);
+    return json({ success: false, error: error.message || 'Failed to save media' }, { status: 400 });
+  }
+}
+
+/**
+ * Parse the metadata form field
+ * @param {FormDataEntryValue | null} value
+ * @returns {Record<string, any>}
+ */
+function parseMetadata(value) {
+  if (typeof value !== 'string' || !value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return {};
+  }
+}
@@ -0,0 +1,51 @@
+import { error, json } from '@sveltejs/kit';
+import { isMediaLibraryEnabled, getMediaEntry, readMediaFile, deleteMedia } from '$lib/server/media-library.js';
+
+/**
+ * GET /api/media/[id]
+ * Serve an image from the media library. Files are content-addressed, so
+ * responses never change and can be cached forever.
+ */
+export async function GET({ params }) {
+  if (!isMediaLibraryEnabled()) {
+    throw error(403, 'Media library is disabled');
+  }
+
+  const entry = await getMediaEntry(params.id);
+  if (!entry) {
+    throw error(404, 'Media not found');
+  }
+
+  const bytes = await readMediaFile(entry);
+  if (!bytes) {
+    throw error(404, 'Media file not found');
+  }
+  return new Response(bytes, {
+    headers: {
+      'Content-Type': entry.contentType,
+      'Content-Length': String(bytes.length),
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    }
+  });
+}
+
+/**
+ * DELETE /api/media/[id]
+ * Remove an image, its sidecar and cached thumbnails
+ */
+export async function DELETE({ params }) {
+  if (!isMediaLibraryEnabled()) {
+    return json({ success: false, error: 'Media library is disabled' }, { status: 403 });
+  }
+
+  try {
+    const deleted = await deleteMedia(params.id);
+    if (!deleted) {
+      return json({ success: false, error: 'Media not found' }, { status: 404 });
+    }
+    return json({ success: true, message: 'Media deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    return json({ success: false, error: 'Failed to delete media' }, { status: 500 });
+  }
+}
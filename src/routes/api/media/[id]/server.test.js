@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET } from './+server.js';
+import { GET as GET_THUMBNAIL } from './thumbnail/+server.js';
+
+vi.mock('$env/dynamic/private', () => ({ env: { MEDIA_LIBRARY_ENABLED: 'true', MEDIA_DIR: '/media' } }));
+
+// The media directory, in memory: a file path maps to its contents
+const files = vi.hoisted(() => /** @type {Map<string, string | Uint8Array>} */ (new Map()));
+vi.mock('fs', () => ({ existsSync: (/** @type {string} */ path) => files.has(path) }));
+vi.mock('fs/promises', () => ({
+  readFile: async (/** @type {string} */ path) => {
+    const contents = files.get(path);
+    if (contents === undefined) {
+      throw Object.assign(new Error(`ENOENT: no such file or directory, open '${path}'`), { code: 'ENOENT' });
+    }
+    return contents;
+  }
+}));
+
+const ID = 'a'.repeat(64);
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+/**
+ * @param {typeof GET | typeof GET_THUMBNAIL} handler
+ * @param {string} [path]
+ */
+function request(handler, path = '') {
+  const url = new URL(`http://app.test/api/media/${ID}${path}`);
+  return handler(/** @type {any} */ ({ params: { id: ID }, url }));
+}
+
+beforeEach(() => {
+  files.clear();
+  files.set(`/media/${ID}.json`, JSON.stringify({ id: ID, filename: `${ID}.png`, contentType: 'image/png', size: PNG.length }));
+});
+
+describe('GET /api/media/[id]', () => {
+  it('serves the image file', async () => {
+    files.set(`/media/${ID}.png`, PNG);
+
+    const response = await request(GET);
+
+    expect(response.headers.get('content-type')).toBe('image/png');
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(PNG);
+  });
+
+  it('answers 404 when the sidecar exists but the image file is gone', async () => {
+    await expect(request(GET)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('answers 404 for the thumbnail of a missing image file', async () => {
+    await expect(request(GET_THUMBNAIL, '/thumbnail?size=256')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,41 @@
+import { error } from '@sveltejs/kit';
+import { isMediaLibraryEnabled, getMediaEntry, getThumbnail, THUMBNAIL_SIZES } from '$lib/server/media-library.js';
+
+/**
+ * GET /api/media/[id]/thumbnail?size=256
+ * Serve a WebP thumbnail, generated on first request and cached on disk.
+ * Sizes are snapped to the nearest supported size so the cache stays small.
+ */
+export async function GET({ params, url }) {
+  if (!isMediaLibraryEnabled()) {
+    throw error(403, 'Media library is disabled');
+  }
+
+  const entry = await getMediaEntry(params.id);
+  if (!entry) {
+    throw error(404, 'Media not found');
+  }
+
+  const requested = parseInt(url.searchParams.get('size') || '256') || 256;
+  const size = THUMBNAIL_SIZES.find((candidate) => candidate >= requested) || THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1];
+
+  /** @type {Uint8Array | null} */
+  let thumbnail;
+  try {
+    thumbnail = await getThumbnail(entry, size);
+  } catch (err) {
+    console.error('Error generating thumbnail:', err);
+    throw error(500, 'Failed to generate thumbnail');
+  }
+  if (!thumbnail) {
+    throw error(404, 'Media file not found');
+  }
+
+  return new Response(thumbnail, {
+    headers: {
+      'Content-Type': 'image/webp',
+      'Content-Length': String(thumbnail.length),
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    }
+  });
+}
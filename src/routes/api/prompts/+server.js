@@ -13,8 +13,9 @@ import {
   getFavoritePrompts,
   exportPrompts,
   importPrompts,
+  clearAllPrompts,
   getPromptStats
-} from '$lib/prompt-storage.js';
+} from '$lib/server/prompt-store.js';
 
 /**
  * GET /api/prompts
@@ -79,10 +80,10 @@ export async function POST({ request }) {
     const data = await request.json();
     
     // Validate required fields
-    if (!data.prompt || !data.scenePremise || !data.style) {
+    if (!data.prompt || !data.style) {
       return json({ 
         success: false, 
-        error: 'Missing required fields: prompt, scenePremise, style' 
+        error: 'Missing required fields: prompt, style' 
       }, { status: 400 });
     }
     
@@ -90,7 +91,7 @@ export async function POST({ request }) {
     const prompt = {
       id: data.id || `prompt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       prompt: data.prompt,
-      scenePremise: data.scenePremise,
+      scenePremise: data.scenePremise || '',
       style: data.style,
       tags: data.tags,
       rating: data.rating || 3,
@@ -167,12 +168,18 @@ export async function PUT({ request, url }) {
 
 /**
  * DELETE /api/prompts/:id
- * Delete a prompt
+ * Delete a prompt, or every prompt with ?all=true
  */
 export async function DELETE({ url }) {
   try {
     const id = url.searchParams.get('id');
     
+    if (url.searchParams.get('all') === 'true') {
+      return clearAllPrompts()
+        ? json({ success: true, message: 'All prompts deleted' })
+        : json({ success: false, error: 'Failed to delete prompts' }, { status: 500 });
+    }
+    
     if (!id) {
       return json({ success: false, error: 'Missing prompt ID' }, { status: 400 });
     }
@@ -1,5 +1,5 @@
 import { json } from '@sveltejs/kit';
-import { exportPrompts, importPrompts } from '$lib/prompt-storage.js';
+import { exportPrompts, importPrompts } from '$lib/server/prompt-store.js';
 
 /**
  * GET /api/prompts/export
@@ -26,7 +26,8 @@ export async function GET({ url }) {
 
 /**
  * POST /api/prompts/export
- * Import prompts from JSON
+ * Import prompts from JSON; responds with how many were imported and how
+ * many were skipped because a prompt with the same ID already exists
  */
 export async function POST({ request }) {
   try {
@@ -37,10 +38,10 @@ export async function POST({ request }) {
     }
     
     const jsonString = typeof data.prompts === 'string' ? data.prompts : JSON.stringify(data.prompts);
-    const success = importPrompts(jsonString);
+    const counts = importPrompts(jsonString);
     
-    if (success) {
-      return json({ success: true, message: 'Prompts imported successfully' });
+    if (counts) {
+      return json({ success: true, data: counts });
     } else {
       return json({ success: false, error: 'Failed to import prompts' }, { status: 500 });
     }
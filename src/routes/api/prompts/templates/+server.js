@@ -0,0 +1,39 @@
+import { json } from '@sveltejs/kit';
+import { getTemplateLibrary, saveTemplateLibrary } from '$lib/server/prompt-store.js';
+
+/**
+ * GET /api/prompts/templates
+ * Get prompt templates and wildcard word lists
+ */
+export async function GET() {
+  try {
+    return json({ success: true, data: getTemplateLibrary() });
+  } catch (error) {
+    console.error('Error fetching prompt templates:', error);
+    return json({ success: false, error: 'Failed to fetch prompt templates' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/prompts/templates
+ * Replace prompt templates and wildcard word lists
+ */
+export async function PUT({ request }) {
+  try {
+    const data = await request.json();
+
+    if (!Array.isArray(data.templates) || !data.wordLists || typeof data.wordLists !== 'object') {
+      return json({ success: false, error: 'Missing required fields: templates, wordLists' }, { status: 400 });
+    }
+
+    const library = { templates: data.templates, wordLists: data.wordLists };
+    if (saveTemplateLibrary(library)) {
+      return json({ success: true, data: library });
+    } else {
+      return json({ success: false, error: 'Failed to save prompt templates' }, { status: 500 });
+    }
+  } catch (error) {
+    console.error('Error saving prompt templates:', error);
+    return json({ success: false, error: 'Failed to save prompt templates' }, { status: 500 });
+  }
+}
@@ -0,0 +1,36 @@
+import { json } from '@sveltejs/kit';
+import { importPrompts, importTemplateLibrary } from '$lib/server/prompt-store.js';
+import { importAnalyzedImages } from '$lib/server/analyzed-image-store.js';
+
+/**
+ * POST /api/storage/migrate
+ * Merge prompts, prompt templates and analyzed images from a browser's
+ * localStorage into the server store. Records that already exist on the
+ * server are left untouched; the response counts what was imported and
+ * what was skipped for each kind.
+ */
+export async function POST({ request }) {
+  try {
+    const data = await request.json();
+    const prompts = Array.isArray(data.prompts) ? data.prompts : [];
+    const analyzedImages = Array.isArray(data.analyzedImages) ? data.analyzedImages : [];
+    const templates = Array.isArray(data.templates) ? data.templates : [];
+    const wordLists = data.wordLists && typeof data.wordLists === 'object' ? data.wordLists : {};
+
+    const promptCounts = importPrompts(JSON.stringify(prompts));
+    const imageCounts = importAnalyzedImages(JSON.stringify(analyzedImages));
+    const templateCounts = importTemplateLibrary({ templates, wordLists });
+
+    if (promptCounts && imageCounts && templateCounts) {
+      return json({
+        success: true,
+        data: { prompts: promptCounts, analyzedImages: imageCounts, templates: templateCounts }
+      });
+    } else {
+      return json({ success: false, error: 'Failed to migrate local data' }, { status: 500 });
+    }
+  } catch (error) {
+    console.error('Error migrating local data:', error);
+    return json({ success: false, error: 'Failed to migrate local data' }, { status: 500 });
+  }
+}
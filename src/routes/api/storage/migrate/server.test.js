@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { POST } from './+server.js';
+
+// The stores write through fileStorage; keep their files in memory instead
+const files = vi.hoisted(() => /** @type {Map<string, string>} */ (new Map()));
+vi.mock('$lib/server/file-storage.js', () => ({
+  fileStorage: {
+    getItem: (/** @type {string} */ key) => files.get(key) ?? null,
+    setItem: (/** @type {string} */ key, /** @type {string} */ value) => files.set(key, value),
+    removeItem: (/** @type {string} */ key) => files.delete(key)
+  }
+}));
+
+/**
+ * Post a browser's local data the way storage-migration does
+ * @param {any} body
+ */
+async function migrate(body) {
+  const request = new Request('http://app.test/api/storage/migrate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const response = await POST(/** @type {any} */ ({ request }));
+  return { status: response.status, body: await response.json() };
+}
+
+beforeEach(() => {
+  files.clear();
+  files.set('saved_prompts', JSON.stringify([{ id: 'p1', prompt: 'on the server' }]));
+  files.set('analyzed_images', JSON.stringify([]));
+  files.set('prompt_templates', JSON.stringify([{ id: 't1', name: 'Portrait' }]));
+  files.set('prompt_word_lists', JSON.stringify({ color: ['red'] }));
+});
+
+describe('POST /api/storage/migrate', () => {
+  it('counts what was imported and what already existed', async () => {
+    const { status, body } = await migrate({
+      prompts: [{ id: 'p1', prompt: 'from the browser' }, { id: 'p2', prompt: 'new' }],
+      analyzedImages: [{ id: 'a1', name: 'cat', imageUrl: 'data:', analyses: [] }],
+      templates: [{ id: 't1', name: 'Portrait' }, { id: 't2', name: 'Landscape' }],
+      wordLists: { color: ['blue'], animal: ['fox'] }
+    });
+
+    expect(status).toBe(200);
+    expect(body.data).toEqual({
+      prompts: { imported: 1, skipped: 1 },
+      analyzedImages: { imported: 1, skipped: 0 },
+      templates: { imported: 2, skipped: 2 }
+    });
+  });
+
+  it('keeps the server copy of anything that already exists', async () => {
+    await migrate({
+      prompts: [{ id: 'p1', prompt: 'from the browser' }],
+      wordLists: { color: ['blue'] }
+    });
+
+    expect(JSON.parse(/** @type {string} */ (files.get('saved_prompts')))).toEqual([{ id: 'p1', prompt: 'on the server' }]);
+    expect(JSON.parse(/** @type {string} */ (files.get('prompt_word_lists')))).toEqual({ color: ['red'] });
+  });
+
+  it('treats missing lists as empty', async () => {
+    const { body } = await migrate({});
+
+    expect(body.data).toEqual({
+      prompts: { imported: 0, skipped: 0 },
+      analyzedImages: { imported: 0, skipped: 0 },
+      templates: { imported: 0, skipped: 0 }
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { json } from '@sveltejs/kit';
+import { env } from '$env/dynamic/private';
+
+const DEFAULT_WHISPER_URL = 'http://127.0.0.1:8081';
+
+// Speech segments are a few seconds of 16 kHz mono WAV; anything this big isn't one
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+/**
+ * whisper.cpp server URL, without a trailing slash
+ * @returns {string}
+ */
+function getWhisperUrl() {
+  return (env.WHISPER_URL || DEFAULT_WHISPER_URL).replace(/\/+$/, '');
+}
+
+/**
+ * GET /api/transcribe
+ * Check whether the whisper.cpp server is reachable
+ */
+export async function GET() {
+  const whisperUrl = getWhisperUrl();
+  try {
+    const response = await fetch(whisperUrl, { signal: AbortSignal.timeout(3000) });
+    return json({ success: response.ok, data: { url: whisperUrl } });
+  } catch (/** @type {*} */ err) {
+    return json({
+      success: false,
+      error: `Whisper server not reachable at ${whisperUrl}: ${err.cause?.code || err.message}`
+    }, { status: 502 });
+  }
+}
+
+/**
+ * POST /api/transcribe
+ * Transcribe one speech segment. The body is the audio (16 kHz mono WAV);
+ * pass language=<ISO 639-1 code> to skip language detection.
+ */
+export async function POST({ request, url }) {
+  const audio = await request.arrayBuffer();
+  if (audio.byteLength === 0) {
+    return json({ success: false, error: 'No audio in request' }, { status: 400 });
+  }
+  if (audio.byteLength > MAX_AUDIO_BYTES) {
+    return json({ success: false, error: 'Audio segment too large' }, { status: 413 });
+  }
+
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type: request.headers.get('content-type') || 'audio/wav' }), 'speech.wav');
+  form.append('response_format', 'json');
+  form.append('temperature', '0.0');
+
+  const language = url.searchParams.get('language');
+  if (language && /^[a-z]{2,3}$/.test(language)) {
+    form.append('language', language);
+  }
+
+  const whisperUrl = getWhisperUrl();
+  try {
+    const response = await fetch(`${whisperUrl}/inference`, { method: 'POST', body: form });
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      console.error('❌ Whisper server error:', response.status, details);
+      return json({ success: false, error: `Whisper server error: ${response.status} ${details || response.statusText}` }, { status: 502 });
+    }
+
+    const data = await response.json();
+    return json({ success: true, data: { text: String(data.text || '').trim() } });
+  } catch (/** @type {*} */ err) {
+    console.error('Whisper transcription error:', err);
+    return json({
+      success: false,
+      error: `Whisper server not reachable at ${whisperUrl}: ${err.cause?.code || err.message}`
+    }, { status: 502 });
+  }
+}
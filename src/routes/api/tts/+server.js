@@ -0,0 +1,89 @@
+import { json } from '@sveltejs/kit';
+import { env } from '$env/dynamic/private';
+
+const DEFAULT_TTS_URL = 'http://127.0.0.1:5000';
+
+// Replies are spoken a sentence or two at a time; this is a generous cap
+const MAX_TEXT_LENGTH = 5000;
+
+/**
+ * TTS server URL, without a trailing slash
+ * @returns {string}
+ */
+function getTtsUrl() {
+  return (env.TTS_URL || DEFAULT_TTS_URL).replace(/\/+$/, '');
+}
+
+/**
+ * GET /api/tts
+ * Check whether the TTS server is reachable and list its voices, if it
+ * reports them (Piper's HTTP server does at /voices)
+ */
+export async function GET() {
+  const ttsUrl = getTtsUrl();
+  try {
+    const response = await fetch(`${ttsUrl}/voices`, { signal: AbortSignal.timeout(3000) });
+
+    /** @type {string[]} */
+    let voices = [];
+    if (response.ok) {
+      const data = await response.json().catch(() => null);
+      voices = Array.isArray(data) ? data.map(String) : Object.keys(data || {});
+    }
+
+    return json({ success: true, data: { url: ttsUrl, voices } });
+  } catch (/** @type {*} */ err) {
+    return json({
+      success: false,
+      error: `TTS server not reachable at ${ttsUrl}: ${err.cause?.code || err.message}`
+    }, { status: 502 });
+  }
+}
+
+/**
+ * POST /api/tts
+ * Synthesize speech. Body: { text, voice? }. Responds with the audio the
+ * TTS server returns (WAV for Piper).
+ */
+export async function POST({ request }) {
+  /** @type {{text?: unknown, voice?: unknown}} */
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ success: false, error: 'Request body must be JSON' }, { status: 400 });
+  }
+
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (!text) {
+    return json({ success: false, error: 'No text to speak' }, { status: 400 });
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return json({ success: false, error: `Text too long (max ${MAX_TEXT_LENGTH} characters)` }, { status: 413 });
+  }
+
+  const ttsUrl = getTtsUrl();
+  try {
+    const response = await fetch(ttsUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, ...(typeof body.voice === 'string' && body.voice ? { voice: body.voice } : {}) })
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      console.error('❌ TTS server error:', response.status, details);
+      return json({ success: false, error: `TTS server error: ${response.status} ${details || response.statusText}` }, { status: 502 });
+    }
+
+    return new Response(response.body, {
+      headers: { 'Content-Type': response.headers.get('content-type') || 'audio/wav' }
+    });
+  } catch (/** @type {*} */ err) {
+    console.error('TTS error:', err);
+    return json({
+      success: false,
+      error: `TTS server not reachable at ${ttsUrl}: ${err.cause?.code || err.message}`
+    }, { status: 502 });
+  }
+}
@@ -33,6 +33,7 @@
  * @property {{x: number, y: number, width: number, height: number} | null} originalBounds
  * @property {string} contentType - 'string' or 'component'
  * @property {string} contentData - Serialized content
+ * @property {Record<string, any>} [props] - Props a component window was opened with
  */
 
 /**
@@ -69,6 +70,18 @@
  * @property {number} [numInferenceSteps] - Number of inference steps
  * @property {boolean} [hasReferenceImage] - Whether a reference image was used (boolean flag only)
  * @property {string} [provider] - API provider used ('fal' or 'blackforest')
+ * @property {number} [batchIndex] - Position of the image within its generated batch
+ * @property {string} [template] - Prompt template the prompt was expanded from
+ * @property {string} [sweep] - Parameter sweep cell this image fills, e.g. "Seed 2 / Guidance 3.5"
+ */
+
+/**
+ * @typedef {Object} GeneratedImage
+ * @property {string} url - URL of the generated image
+ * @property {number | null} seed - Seed reported by the provider (shared across a fal batch)
+ * @property {number} [batchIndex] - Position of the image within its batch
+ * @property {number} [width] - Image width if reported
+ * @property {number} [height] - Image height if reported
  */
 
 /**
@@ -78,9 +91,58 @@
  * @property {string} url - Original URL from the API
  * @property {number} timestamp - When the image was saved
  * @property {string} filename - Generated filename
+ * @property {number} [size] - Blob size in bytes
+ * @property {boolean} [favorite] - Favorites are never evicted by the quota policy
+ * @property {string} [parentId] - Saved image this one was derived from
+ * @property {string} [parentSource] - Input that was not in the library (file name or URL)
+ * @property {ImageRelation} [relation] - Operation that derived this image from its input
+ * @property {Record<string, any>} [operationParams] - Parameters of that operation
  * @property {GenerationParams} [generationParams] - All generation parameters used
  */
 
+/**
+ * @typedef {'remix' | 'variation' | 'edit' | 'lora' | 'relight' | 'upscale'} ImageRelation
+ *
+ * @typedef {Object} ImageLineage
+ * @property {string | null} [parentId] - ID of the parent saved image, if it is in the library
+ * @property {string} [parentSource] - Describes an input that is not in the library
+ * @property {ImageRelation} relation - How the new image derives from its input
+ * @property {Record<string, any>} [operationParams] - Parameters of the operation
+ *
+ * @typedef {Object} ImageSource
+ * @property {string | null} imageId - Saved image the input came from, if any
+ * @property {string} label - Short description of the input (file name or URL)
+ *
+ * @typedef {Object} LineageNode
+ * @property {SavedImage} image
+ * @property {LineageNode[]} children - Images derived from this one, oldest first
+ */
+
+/**
+ * @typedef {Object} FluxorRemix
+ * @property {string} parentId - ID of the saved image being remixed
+ * @property {string} prompt - Prompt to restore
+ * @property {Partial<GenerationParams>} generationParams - Settings to restore
+ */
+
+/**
+ * @typedef {Object} StorageQuotaPolicy
+ * @property {number} maxImages - Maximum number of saved images (0 = unlimited)
+ * @property {number} maxBytes - Maximum total blob size in bytes (0 = unlimited)
+ */
+
+/**
+ * @typedef {Object} StorageQuotaStatus
+ * @property {number} imageCount - Number of saved images
+ * @property {number} totalBytes - Total blob size in bytes
+ * @property {number} maxImages - Image limit from the policy
+ * @property {number} maxBytes - Byte limit from the policy
+ * @property {number} usage - Fraction of the tighter limit in use
+ * @property {boolean} nearQuota - Usage is close enough to the limit to warn
+ * @property {boolean} overQuota - At least one limit is exceeded
+ * @property {SavedImage[]} evictionCandidates - Oldest non-favorite images that would be removed to get back under quota
+ */
+
 /**
  * @typedef {Object} ImageAnalysis
  * @property {string} type - Type of analysis ('prompt' | 'subject' | 'style' | 'artistic' | 'technical')
@@ -117,7 +179,85 @@
  * @property {number} [lastUsed] - Timestamp of last usage
  */
 
-/** @typedef {"fal-ai/flux-pro/v1.1-ultra" | "fal-ai/flux-pro/kontext" | "fal-ai/flux-pro/kontext/text-to-image" | "fal-ai/bytedance/seedance/v1/pro/text-to-video" | "fal-ai/bytedance/seedance/v1/pro/image-to-video" | "fal-ai/clarity-upscaler" | "fal-ai/esrgan" | "fal-ai/creative-upscaler" | "fal-ai/aura-sr" | "fal-ai/fooocus/upscale-or-vary" | "fal-ai/video-upscaler" | "fal-ai/topaz/upscale/video"} Model */
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} id - Unique template ID
+ * @property {string} name - Display name
+ * @property {string} template - Prompt with {variable} and __wildcard__ slots
+ * @property {Record<string, string[]>} variables - Saved values for each {variable}
+ * @property {number} createdAt - When the template was created
+ * @property {number} updatedAt - When the template was last saved
+ */
+
+/**
+ * @typedef {Object} ProviderCapabilities
+ * @property {boolean} textToImage - Can generate from a prompt alone
+ * @property {boolean} imageEdit - Accepts a reference image (image_url)
+ * @property {boolean} lora - Accepts LoRA weights
+ * @property {AspectRatio[]} aspectRatios - Supported aspect ratios
+ * @property {number} maxImages - Maximum images per request
+ *
+ * @typedef {Object} FluxProvider
+ * @property {string} id - Unique provider ID (stored in the preferredFluxProvider setting)
+ * @property {string} name - Display name
+ * @property {ProviderCapabilities} capabilities - What the provider can do
+ * @property {() => boolean} isAvailable - Whether the provider is configured and usable
+ * @property {(options: ImageGenerationOptions, model?: Model) => Promise<ProviderResult>} generate - Generate images
+ * @property {() => Promise<{success: boolean, message: string}>} test - Test the provider connection
+ *
+ * @typedef {Object} ProviderResult
+ * @property {GeneratedImage[]} images - Generated images
+ * @property {number | null} seed - Seed used for the first image
+ * @property {string[]} [ignoredOptions] - Options that were set but not sent to the provider
+ */
+
+/**
+ * @typedef {Object} KeyValueStorage
+ * @property {(key: string) => string | null} getItem - Read a stored string value
+ * @property {(key: string, value: string) => void} setItem - Write a string value
+ * @property {(key: string) => void} removeItem - Remove a stored value
+ */
+
+/**
+ * @typedef {'pending' | 'queued' | 'running' | 'completed' | 'failed' | 'cancelled'} JobStatus
+ *
+ * @typedef {Object} GenerationJob
+ * @property {string} id - Unique job ID
+ * @property {string} provider - Provider running the job ('fal', 'blackforest', ...)
+ * @property {string} model - Model endpoint ID
+ * @property {Record<string, any>} input - Input sent to the model
+ * @property {string | null} label - Short description of what the job generates
+ * @property {JobStatus} status - Current job status
+ * @property {boolean} resumable - Whether the job can be resumed after a page reload
+ * @property {string | null} requestId - fal queue request ID
+ * @property {string | null} statusUrl - fal queue status URL
+ * @property {string | null} responseUrl - fal queue response URL
+ * @property {string | null} cancelUrl - fal queue cancel URL
+ * @property {number | null} queuePosition - Position in the provider queue while waiting
+ * @property {string[]} logs - Model log lines
+ * @property {number} logCursor - Number of provider log entries already recorded
+ * @property {any} result - Result payload once completed
+ * @property {string | null} resultUrl - Primary result media URL
+ * @property {string | null} error - Error message if failed or cancelled
+ * @property {number} createdAt - When the job was created
+ * @property {number | null} submittedAt - When the job was sent to the provider
+ * @property {number | null} startedAt - When the provider started processing
+ * @property {number | null} completedAt - When the job finished
+ *
+ * @typedef {Object} JobOptions
+ * @property {string} [provider] - Provider ID, defaults to 'fal'
+ * @property {string} [label] - Short description shown in the job list
+ * @property {JobExecutor} [execute] - Runner for non-fal providers
+ *
+ * @typedef {(job: GenerationJob, log: (message: string) => void) => Promise<any>} JobExecutor
+ *
+ * @typedef {Object} JobResult
+ * @property {any} data - Result payload
+ * @property {string | null} requestId - fal queue request ID
+ * @property {string} jobId - Job ID
+ */
+
+/** @typedef {"fal-ai/flux-pro/v1.1" | "fal-ai/flux-pro/v1.1-ultra" | "fal-ai/flux-pro/kontext" | "fal-ai/flux-pro/kontext/text-to-image" | "fal-ai/flux-pro/kontext/max" | "fal-ai/flux-pro/kontext/max/text-to-image" | "fal-ai/flux-pro/v1/fill" | "fal-ai/flux-pro/v1/canny" | "fal-ai/flux-pro/v1/depth" | "fal-ai/bytedance/seedance/v1/pro/text-to-video" | "fal-ai/bytedance/seedance/v1/pro/image-to-video" | "fal-ai/clarity-upscaler" | "fal-ai/esrgan" | "fal-ai/creative-upscaler" | "fal-ai/aura-sr" | "fal-ai/fooocus/upscale-or-vary" | "fal-ai/video-upscaler" | "fal-ai/topaz/upscale/video"} Model */
 
 /**
  * @typedef {'21:9' | '16:9' | '4:3' | '1:1' | '3:4' | '9:16'} AspectRatio
@@ -139,6 +279,7 @@
  * @property {boolean} [raw] - Generate less processed images
  * @property {number} [guidance_scale] - Controls how closely the model follows the prompt
  * @property {number} [num_inference_steps] - Number of inference steps (1-50)
+ * @property {Array<{path: string, scale?: number}>} [loras] - LoRA weights (flux-kontext-lora models only)
  *
  * @typedef {Object} VideoGenerationOptions
  * @property {string} prompt - The text prompt for video generation